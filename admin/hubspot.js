@@ -280,6 +280,99 @@ const RevGuideHubSpot = {
     return await this.proxy(connectionId, endpoint);
   },
 
+  /**
+   * Search records of an object type, one page at a time
+   * @param {string} connectionId - The connection ID
+   * @param {string} objectType - Object type (contacts, companies, deals, tickets)
+   * @param {Object} options - { properties, limit, after, filterGroups, sorts }
+   * @returns {Promise<Object>} { results, total, after } - after is null on the last page
+   */
+  async searchRecords(connectionId, objectType, options = {}) {
+    const body = {
+      limit: Math.min(options.limit || 100, 100),
+      properties: options.properties || [],
+      filterGroups: options.filterGroups || [],
+      sorts: options.sorts || []
+    };
+    if (options.after) body.after = options.after;
+
+    const data = await this.proxy(connectionId, `/crm/v3/objects/${objectType}/search`, {
+      method: 'POST',
+      body
+    });
+
+    return {
+      results: data.results || [],
+      total: data.total || 0,
+      after: data.paging?.next?.after || null
+    };
+  },
+
+  /**
+   * Fetch all HubSpot owners (users who can own records)
+   * @param {string} connectionId - The connection ID
+   * @returns {Promise<Array>} Owners with id, email, name and teams
+   */
+  async getOwners(connectionId) {
+    const owners = [];
+    let after = null;
+
+    do {
+      const params = new URLSearchParams({ limit: '500' });
+      if (after) params.set('after', after);
+      const data = await this.proxy(connectionId, `/crm/v3/owners/?${params.toString()}`);
+
+      (data.results || []).forEach(owner => {
+        owners.push({
+          id: String(owner.id),
+          email: owner.email,
+          name: [owner.firstName, owner.lastName].filter(Boolean).join(' ') || owner.email,
+          teams: (owner.teams || []).map(team => ({ id: String(team.id), name: team.name }))
+        });
+      });
+
+      after = data.paging?.next?.after || null;
+    } while (after);
+
+    return owners;
+  },
+
+  /**
+   * Fetch HubSpot teams, derived from owner team memberships
+   * @param {string} connectionId - The connection ID
+   * @returns {Promise<Array>} Teams with id and name, sorted by name
+   */
+  async getTeams(connectionId) {
+    const owners = await this.getOwners(connectionId);
+    const teams = new Map();
+    owners.forEach(owner => {
+      owner.teams.forEach(team => teams.set(team.id, team));
+    });
+    return Array.from(teams.values()).sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  },
+
+  /**
+   * Fetch a record's associated records for associated-record conditions
+   * Mirrors fetchAssociatedRecords() in the background script (both use RevGuideHubSpotAssociations)
+   * @param {string} connectionId - The connection ID
+   * @param {string} objectType - Object type of the record (contacts, companies, deals, tickets)
+   * @param {string} recordId - The HubSpot record ID
+   * @param {Object} request - From RulesEngine.getAssociationRequest, keyed by plural object type
+   * @returns {Promise<Object>} { companies: { count, openCount, primary: { id, properties } | null }, ... }
+   */
+  async getRecordAssociations(connectionId, objectType, recordId, request = {}) {
+    const proxyRequest = (endpoint, method, body) => this.proxy(connectionId, endpoint, { method, body: body || undefined });
+    const associations = {};
+
+    for (const [toType, wanted] of Object.entries(request)) {
+      associations[toType] = await RevGuideHubSpotAssociations.fetchAssociationsOfType(
+        proxyRequest, objectType, recordId, toType, wanted
+      );
+    }
+
+    return associations;
+  },
+
   // ============================================
   // HubSpot Lists API
   // ============================================
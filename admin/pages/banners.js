@@ -2,6 +2,16 @@
  * RevGuide - Banners Page
  */
 
+// Banner action types offered in the actions builder (handled by BannersModule.handleAction)
+const BANNER_ACTION_TYPES = {
+  url: 'Open URL',
+  copy: 'Copy text',
+  update_property: 'Update property',
+  create_task: 'Create task',
+  open_play: 'Open play',
+  enroll_sequence: 'Enroll in sequence'
+};
+
 class BannersPage {
   constructor() {
     this.rules = [];
@@ -13,6 +23,10 @@ class BannersPage {
     this.activeTab = 'content';
     this.isViewOnly = false; // View-only mode for members
     this.messageEditor = null; // Tiptap editor instance
+    this.explainValues = {}; // Sample record values for the "Why isn't this showing?" panel
+    this.lintTimer = null;
+    this.dismissalStats = null; // Map of banner id -> dismissal stats, loaded on demand
+    this.canPublish = true; // False for editors when the org requires approval
     this.init();
   }
 
@@ -32,6 +46,10 @@ class BannersPage {
       this.setupViewOnlyMode();
     }
 
+    document.getElementById('ruleHealthBtn').addEventListener('click', () => {
+      window.location.href = AdminShared.isExtensionContext ? 'rule-health.html' : AdminShared.buildOrgAwareUrl('/rule-health');
+    });
+
     // Load data
     const data = await AdminShared.loadStorageData();
     this.rules = data.rules || [];
@@ -43,6 +61,11 @@ class BannersPage {
       if (playSelectEl) {
         AdminShared.initPlaySelect(playSelectEl, this.plays);
       }
+
+      // Before the editor can be opened from the URL below
+      this.initVariantEditor();
+      this.initTranslationEditor();
+      await this.initReviewControls();
     }
 
     // Check for action param (e.g., from home page)
@@ -66,6 +89,11 @@ class BannersPage {
     // Bind events (only for admins)
     if (!this.isViewOnly) {
       this.bindEvents();
+
+      // Dismissal rates are shown on the cards once loaded
+      this.loadDismissalStats().then(stats => {
+        if (stats.size > 0) this.renderRules();
+      });
     }
   }
 
@@ -120,6 +148,7 @@ class BannersPage {
     });
     document.getElementById('cancelRuleBtn').addEventListener('click', () => this.handleBackNavigation());
     document.getElementById('saveRuleBtn').addEventListener('click', () => this.saveRule());
+    document.getElementById('saveRuleDraftBtn').addEventListener('click', () => this.saveRule({ asDraft: true }));
 
     // Tab clicks
     document.getElementById('bannerCardTabs').addEventListener('click', (e) => {
@@ -137,6 +166,10 @@ class BannersPage {
       AdminShared.addConditionGroup('ruleConditionGroups', null, this.currentProperties);
     });
 
+    // Test rules against real HubSpot records
+    AdminShared.initRecordTestPanel(document.getElementById('ruleRecordTestPanel'), () => this.getDraftRule());
+    AdminShared.initMatchPreviewPanel(document.getElementById('ruleMatchPreviewPanel'), () => this.getDraftRule());
+
     // Group logic toggle (between groups)
     AdminShared.initGroupLogicToggle('ruleGroupLogicToggle');
 
@@ -145,6 +178,12 @@ class BannersPage {
       AdminShared.toggleConditionsWrapper('ruleConditionsWrapper', e.target.checked);
     });
 
+    // Snooze length only applies to the "for a number of days" mode
+    document.getElementById('ruleDismissMode').addEventListener('change', () => this.toggleDismissDays());
+    document.getElementById('ruleFreqMaxEnabled').addEventListener('change', (e) => {
+      document.getElementById('ruleFreqMaxViews').disabled = !e.target.checked;
+    });
+
     // Preview updates
     document.getElementById('ruleTitle').addEventListener('input', () => this.updatePreview());
     document.getElementById('ruleType').addEventListener('change', () => {
@@ -152,11 +191,102 @@ class BannersPage {
       this.updatePreview();
     });
     document.getElementById('ruleEmbedUrl').addEventListener('input', () => this.updatePreview());
+    document.getElementById('ruleRequiresAck').addEventListener('change', () => this.updatePreview());
+    document.getElementById('rulePlacement').addEventListener('change', () => {
+      this.togglePlacementProperty();
+      this.updatePreview();
+    });
+    document.getElementById('rulePlacementProperty').addEventListener('change', () => this.updatePreview());
+
+    // Actions builder
+    document.getElementById('addRuleActionBtn').addEventListener('click', () => {
+      this.renderActionsEditor([...this.getActionsFromEditor(), { type: 'url', label: '' }]);
+      this.updatePreview();
+    });
+    const actionsEditor = document.getElementById('ruleActions');
+    actionsEditor.addEventListener('input', () => this.updatePreview());
+    actionsEditor.addEventListener('change', (e) => {
+      if (e.target.matches('[data-action-type]')) {
+        // Swap in the fields for the new type, keeping the label
+        const actions = this.getActionsFromEditor();
+        const index = Number(e.target.closest('.banner-action-row').dataset.index);
+        actions[index] = { type: e.target.value, label: actions[index].label };
+        this.renderActionsEditor(actions);
+      }
+      this.updatePreview();
+    });
+    actionsEditor.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('[data-remove-action]');
+      if (!removeBtn) return;
+      const actions = this.getActionsFromEditor();
+      actions.splice(Number(removeBtn.closest('.banner-action-row').dataset.index), 1);
+      this.renderActionsEditor(actions);
+      this.updatePreview();
+    });
+
+    // Re-lint as rules are edited (condition rows are added and removed with clicks, not just inputs)
+    const editorBody = document.querySelector('#ruleEditorSection .banner-card-body');
+    ['input', 'change', 'click'].forEach(type => {
+      editorBody.addEventListener(type, () => this.scheduleLint());
+    });
 
     // Initialize Tiptap editor
     this.initMessageEditor();
   }
 
+  // A/B variants swap the title and message shown in the form
+  initVariantEditor() {
+    this.variantEditor = AdminShared.initVariantEditor(document.getElementById('ruleVariants'), {
+      readContent: () => ({
+        title: document.getElementById('ruleTitle').value,
+        message: this.messageEditor ? this.messageEditor.getHTML() : ''
+      }),
+      writeContent: ({ title = '', message = '' }) => {
+        document.getElementById('ruleTitle').value = title;
+        if (this.messageEditor) this.messageEditor.setContent(message);
+      },
+      onChange: () => this.updatePreview()
+    });
+  }
+
+  initTranslationEditor() {
+    this.translationEditor = AdminShared.initTranslationEditor(document.getElementById('ruleTranslations'), {
+      contentType: 'banner',
+      getSource: () => {
+        const { title, message } = this.variantEditor.getControlContent();
+        // Embed banners only show their title
+        return document.getElementById('ruleType').value === 'embed' ? { title } : { title, message };
+      },
+      badgeEl: document.getElementById('ruleTranslationCount')
+    });
+  }
+
+  /**
+   * Drafts are saved to Supabase only; editors who can't publish submit for review instead
+   */
+  async initReviewControls() {
+    if (AdminShared.isExtensionContext) return;
+
+    this.canPublish = await AdminShared.canPublishContent();
+    document.getElementById('saveRuleDraftBtn').hidden = false;
+    if (!this.canPublish) {
+      document.getElementById('saveRuleBtn').textContent = 'Submit for Review';
+    }
+  }
+
+  renderReviewBar(rule) {
+    AdminShared.renderReviewBar(document.getElementById('ruleReviewBar'), rule, {
+      contentType: 'banner',
+      onReviewed: ({ status, reviewNote }) => {
+        Object.assign(rule, { status, reviewNote });
+        AdminShared.clearStorageCache();
+        AdminShared.notifyContentScript();
+        this.renderReviewBar(rule);
+        this.renderRules();
+      }
+    });
+  }
+
   async initMessageEditor() {
     // Wait for TiptapEditor to be available (loaded as module)
     const waitForTiptap = () => {
@@ -187,13 +317,25 @@ class BannersPage {
     const type = document.getElementById('ruleType').value;
     const embedUrlGroup = document.getElementById('embedUrlGroup');
     const messageGroup = document.getElementById('messageGroup');
+    const requiresAckGroup = document.getElementById('requiresAckGroup');
+    const actionsGroup = document.getElementById('actionsGroup');
+    const placementGroup = document.getElementById('placementGroup');
+    const variantsGroup = document.getElementById('variantsGroup');
 
     if (type === 'embed') {
       embedUrlGroup.style.display = 'block';
       messageGroup.style.display = 'none';
+      requiresAckGroup.style.display = 'none';
+      actionsGroup.style.display = 'none';
+      placementGroup.style.display = 'none';
+      variantsGroup.style.display = 'none';
     } else {
       embedUrlGroup.style.display = 'none';
       messageGroup.style.display = 'block';
+      requiresAckGroup.style.display = '';
+      actionsGroup.style.display = '';
+      placementGroup.style.display = '';
+      variantsGroup.style.display = '';
     }
   }
 
@@ -211,6 +353,524 @@ class BannersPage {
     document.querySelectorAll('.banner-tab-panel').forEach(panel => {
       panel.hidden = panel.id !== `banner-tab-${tabName}`;
     });
+
+    if (tabName === 'translations') {
+      this.translationEditor.render();
+    } else {
+      this.translationEditor.refreshBadge();
+    }
+
+    if (tabName === 'usage') {
+      this.renderExplainPanel();
+      this.renderAckPanel();
+      this.renderDismissalPanel();
+      this.renderVariantPanel();
+    }
+
+    if (tabName === 'history') {
+      this.renderHistoryPanel();
+    }
+
+    if (tabName === 'rules') {
+      this.renderLintPanel();
+    }
+  }
+
+  /**
+   * Build a rule object from the editor form, including unsaved changes
+   * Audience is left out: it depends on who views the record, so previews evaluate for everyone
+   */
+  getDraftRule() {
+    const objectTypeValue = document.getElementById('ruleObjectType').value;
+    const objectTypeReverseMap = { contacts: 'contact', companies: 'company', deals: 'deal', tickets: 'ticket' };
+    const existing = this.rules.find(r => r.id === this.editingRuleId);
+
+    return {
+      id: this.editingRuleId,
+      name: document.getElementById('ruleName').value.trim(),
+      objectTypes: objectTypeValue ? [objectTypeReverseMap[objectTypeValue] || objectTypeValue] : [],
+      conditionGroups: AdminShared.getConditionGroups('ruleConditionGroups'),
+      groupLogic: AdminShared.getGroupLogic('ruleGroupLogicToggle'),
+      displayOnAll: document.getElementById('ruleDisplayOnAll').checked,
+      schedule: AdminShared.getScheduleFromEditor(document.getElementById('ruleSchedule')),
+      enabled: existing ? existing.enabled !== false : true
+    };
+  }
+
+  /**
+   * Draft rule with the fields the linter compares between banners
+   */
+  getLintDraft() {
+    return {
+      ...this.getDraftRule(),
+      type: document.getElementById('ruleType').value,
+      priority: parseInt(document.getElementById('rulePriority').value) || 10,
+      tabVisibility: document.getElementById('ruleTabVisibility').value.trim() || 'all'
+    };
+  }
+
+  scheduleLint() {
+    clearTimeout(this.lintTimer);
+    this.lintTimer = setTimeout(() => this.renderLintPanel(), 300);
+  }
+
+  /**
+   * Show lint findings for the banner being edited, compared against the other saved banners
+   * @returns {Array} Findings
+   */
+  renderLintPanel() {
+    const panel = document.getElementById('ruleLintPanel');
+    if (!panel || !document.getElementById('ruleEditorSection').classList.contains('active')) return [];
+
+    const findings = AdminShared.lintRules(this.rules, { kind: 'banner', draft: this.getLintDraft() });
+    panel.style.display = findings.length > 0 ? '' : 'none';
+    document.getElementById('ruleLintResult').innerHTML = AdminShared.renderRuleLintFindings(findings, {
+      rules: this.rules,
+      kind: 'banner',
+      currentRuleId: this.editingRuleId
+    });
+    return findings;
+  }
+
+  /**
+   * Worst lint severity and finding count per banner, for the list view
+   * @returns {Map} ruleId -> { severity, count }
+   */
+  getLintSummary() {
+    const summary = new Map();
+    AdminShared.lintRules(this.rules, { kind: 'banner' }).forEach(finding => {
+      finding.ruleIds.forEach(id => {
+        const entry = summary.get(id) || { severity: finding.severity, count: 0 };
+        entry.count++;
+        if (finding.severity === 'error') entry.severity = 'error';
+        summary.set(id, entry);
+      });
+    });
+    return summary;
+  }
+
+  renderExplainPanel() {
+    const panel = document.getElementById('ruleExplainPanel');
+    if (!panel) return;
+
+    const rule = this.getDraftRule();
+    AdminShared.renderRuleExplainPanel(panel, rule, {
+      properties: this.currentProperties,
+      values: this.explainValues,
+      context: { objectType: rule.objectTypes[0] }
+    });
+  }
+
+  toggleDismissDays() {
+    const isDays = document.getElementById('ruleDismissMode').value === 'days';
+    document.getElementById('ruleDismissDays').style.display = isDays ? '' : 'none';
+  }
+
+  /**
+   * Fill the frequency cap options
+   * @param {Object|null} cap - { maxViews, oncePerRecordPerDay, firstVisitOnly }
+   */
+  setFrequencyCapEditor(cap) {
+    document.getElementById('ruleFreqMaxEnabled').checked = !!cap?.maxViews;
+    document.getElementById('ruleFreqMaxViews').value = cap?.maxViews || 3;
+    document.getElementById('ruleFreqMaxViews').disabled = !cap?.maxViews;
+    document.getElementById('ruleFreqPerRecordDay').checked = !!cap?.oncePerRecordPerDay;
+    document.getElementById('ruleFreqFirstVisit').checked = !!cap?.firstVisitOnly;
+  }
+
+  /**
+   * Read the frequency cap options
+   * @returns {Object|null} Frequency cap, or null when no option is set
+   */
+  getFrequencyCapFromEditor() {
+    const maxViews = document.getElementById('ruleFreqMaxEnabled').checked
+      ? parseInt(document.getElementById('ruleFreqMaxViews').value)
+      : null;
+    const oncePerRecordPerDay = document.getElementById('ruleFreqPerRecordDay').checked;
+    const firstVisitOnly = document.getElementById('ruleFreqFirstVisit').checked;
+
+    if (maxViews === null && !oncePerRecordPerDay && !firstVisitOnly) return null;
+    return { maxViews, oncePerRecordPerDay, firstVisitOnly };
+  }
+
+  /**
+   * Property picker only applies to the "next to a property" placement
+   */
+  togglePlacementProperty() {
+    const isProperty = document.getElementById('rulePlacement').value === 'property';
+    document.getElementById('rulePlacementProperty').style.display = isProperty ? '' : 'none';
+  }
+
+  /**
+   * Fill the placement property picker with the record's own properties
+   * @param {string} selected - Currently selected property name
+   */
+  renderPlacementPropertyOptions(selected) {
+    const escape = AdminShared.escapeHtml;
+    const select = document.getElementById('rulePlacementProperty');
+    // Associated and computed properties aren't shown in the left sidebar
+    const own = this.currentProperties.filter(p => !p.name.includes('.'));
+    const known = own.some(p => p.name === selected);
+    select.innerHTML = `
+      <option value="">Select property...</option>
+      ${selected && !known ? `<option value="${escape(selected)}" selected>${escape(selected)}</option>` : ''}
+      ${own.map(p => `
+        <option value="${escape(p.name)}" ${p.name === selected ? 'selected' : ''}>${escape(p.label)}</option>
+      `).join('')}
+    `;
+  }
+
+  /**
+   * Render the actions builder rows
+   * @param {Array} actions - Banner actions ({ type, label, ...type-specific fields })
+   */
+  renderActionsEditor(actions) {
+    const container = document.getElementById('ruleActions');
+    container.innerHTML = actions.map((action, index) => `
+      <div class="banner-action-row" data-index="${index}">
+        <div class="banner-action-row-header">
+          <select data-action-type aria-label="Action type">
+            ${Object.entries(BANNER_ACTION_TYPES).map(([value, label]) => `
+              <option value="${value}" ${action.type === value ? 'selected' : ''}>${label}</option>
+            `).join('')}
+          </select>
+          <input type="text" data-action-label placeholder="Button label" value="${AdminShared.escapeHtml(action.label || '')}">
+          <button type="button" class="btn-icon btn-icon-danger" data-remove-action title="Remove action">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </div>
+        <div class="banner-action-config">${this.renderActionConfig(action)}</div>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Type-specific inputs for one action
+   * @param {Object} action - Banner action
+   * @returns {string} HTML
+   */
+  renderActionConfig(action) {
+    const escape = AdminShared.escapeHtml;
+
+    switch (action.type) {
+      case 'copy':
+        return `<textarea data-action-field="text" rows="3" placeholder="Hi {{firstname}}, ...">${escape(action.text || '')}</textarea>`;
+      case 'update_property': {
+        const [property, value] = Object.entries(action.properties || {})[0] || ['', ''];
+        // Only the record's own properties can be written (not computed or associated ones)
+        const writable = this.currentProperties.filter(p => !p.name.includes('.'));
+        const known = writable.some(p => p.name === property);
+        return `
+          <select data-action-field="property" aria-label="Property to update">
+            <option value="">Select property...</option>
+            ${property && !known ? `<option value="${escape(property)}" selected>${escape(property)}</option>` : ''}
+            ${writable.map(p => `
+              <option value="${escape(p.name)}" ${p.name === property ? 'selected' : ''}>${escape(p.label)}</option>
+            `).join('')}
+          </select>
+          <input type="text" data-action-field="value" placeholder="New value (internal value for dropdowns)" value="${escape(String(value ?? ''))}">
+        `;
+      }
+      case 'create_task':
+        return `
+          <input type="text" data-action-field="subject" placeholder="Task title, e.g. Follow up with {{firstname}}" value="${escape(action.subject || '')}">
+          <div class="banner-action-inline">
+            <label>Due in <input type="number" data-action-field="dueInDays" min="0" max="365" value="${action.dueInDays ?? 3}"> days</label>
+            <select data-action-field="taskType" aria-label="Task type">
+              ${['TODO', 'CALL', 'EMAIL'].map(t => `<option value="${t}" ${action.taskType === t ? 'selected' : ''}>${t === 'TODO' ? 'To-do' : t.charAt(0) + t.slice(1).toLowerCase()}</option>`).join('')}
+            </select>
+            <select data-action-field="priority" aria-label="Task priority">
+              ${['NONE', 'LOW', 'MEDIUM', 'HIGH'].map(p => `<option value="${p}" ${action.priority === p ? 'selected' : ''}>${p === 'NONE' ? 'No priority' : p.charAt(0) + p.slice(1).toLowerCase()}</option>`).join('')}
+            </select>
+          </div>
+          <textarea data-action-field="body" rows="2" placeholder="Notes (optional)">${escape(action.body || '')}</textarea>
+        `;
+      case 'open_play':
+        return `
+          <select data-action-field="playId" aria-label="Play to open">
+            <option value="">Select play...</option>
+            ${this.plays.map(play => `
+              <option value="${escape(play.id)}" ${play.id === action.playId ? 'selected' : ''}>${escape(play.name)}</option>
+            `).join('')}
+          </select>
+        `;
+      case 'enroll_sequence':
+        return `
+          <input type="text" data-action-field="sequenceId" placeholder="HubSpot sequence ID" value="${escape(action.sequenceId || '')}">
+          <span class="form-hint">Contacts only. Enrolls the contact with the viewer as sender (requires Sales Hub Professional or Enterprise).</span>
+        `;
+      default:
+        return `<input type="url" data-action-field="url" placeholder="https://... (supports {{property}})" value="${escape(action.url || '')}">`;
+    }
+  }
+
+  /**
+   * Read actions back from the builder
+   * @returns {Array} Banner actions
+   */
+  getActionsFromEditor() {
+    return [...document.querySelectorAll('#ruleActions .banner-action-row')].map(row => {
+      const field = (name) => row.querySelector(`[data-action-field="${name}"]`)?.value.trim() ?? '';
+      const action = {
+        type: row.querySelector('[data-action-type]').value,
+        label: row.querySelector('[data-action-label]').value.trim()
+      };
+
+      switch (action.type) {
+        case 'copy':
+          action.text = row.querySelector('[data-action-field="text"]').value;
+          break;
+        case 'update_property':
+          action.properties = field('property') ? { [field('property')]: field('value') } : {};
+          break;
+        case 'create_task':
+          action.subject = field('subject');
+          action.body = field('body');
+          action.dueInDays = parseInt(field('dueInDays')) || 0;
+          action.taskType = field('taskType') || 'TODO';
+          action.priority = field('priority') || 'NONE';
+          break;
+        case 'open_play':
+          action.playId = field('playId');
+          break;
+        case 'enroll_sequence':
+          action.sequenceId = field('sequenceId');
+          break;
+        default:
+          action.url = field('url');
+      }
+      return action;
+    });
+  }
+
+  /**
+   * @param {Array} actions - Banner actions
+   * @returns {string|null} Error message for the first incomplete action
+   */
+  validateActions(actions) {
+    for (const [i, action] of actions.entries()) {
+      const name = `Action ${i + 1}`;
+      if (!action.label) return `${name} needs a button label`;
+      if (action.type === 'url' && !action.url) return `${name} needs a URL`;
+      if (action.type === 'copy' && !action.text) return `${name} needs text to copy`;
+      if (action.type === 'update_property' && Object.keys(action.properties).length === 0) return `${name} needs a property to update`;
+      if (action.type === 'create_task' && !action.subject) return `${name} needs a task title`;
+      if (action.type === 'open_play' && !action.playId) return `${name} needs a play`;
+      if (action.type === 'enroll_sequence' && !/^\d+$/.test(action.sequenceId)) return `${name} needs a numeric HubSpot sequence ID`;
+    }
+    return null;
+  }
+
+  renderPreviewActions() {
+    const actions = this.getActionsFromEditor().filter(action => action.label);
+    if (actions.length === 0) return '';
+    return `
+      <div class="preview-actions">
+        ${actions.map((action, i) => `
+          <button type="button" class="preview-action-btn ${i === 0 ? 'primary' : 'secondary'}" disabled>${AdminShared.escapeHtml(action.label)}</button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  async renderAckPanel() {
+    const panel = document.getElementById('ruleAckPanel');
+    const result = panel.querySelector('[data-ack-result]');
+    const rule = this.rules.find(r => r.id === this.editingRuleId);
+
+    panel.style.display = rule?.requiresAcknowledgement ? '' : 'none';
+    if (!rule?.requiresAcknowledgement) return;
+
+    if (AdminShared.isExtensionContext || typeof RevGuideDB === 'undefined') {
+      result.innerHTML = '<div class="explain-empty">Acknowledgements are available in the web admin.</div>';
+      return;
+    }
+
+    result.innerHTML = '<div class="explain-empty">Loading acknowledgements...</div>';
+    const { data, error } = await RevGuideDB.getBannerAcknowledgements(rule.id);
+    if (error) {
+      console.error('Failed to load acknowledgements:', error);
+      result.innerHTML = '<div class="explain-empty">Could not load acknowledgements.</div>';
+      return;
+    }
+
+    const version = rule.contentVersion || 1;
+    const members = data || [];
+    const current = members.filter(m => m.content_version === version);
+    const statusFor = (member) => {
+      if (member.content_version === version) return { className: 'acknowledged', label: 'Acknowledged' };
+      if (member.content_version) return { className: 'outdated', label: `Acknowledged version ${member.content_version}` };
+      return { className: 'pending', label: 'Not yet' };
+    };
+
+    result.innerHTML = `
+      <div class="record-test-meta">
+        ${current.length} of ${members.length} members acknowledged version ${version}
+      </div>
+      <table class="ack-report">
+        <thead>
+          <tr><th>Member</th><th>Status</th><th>When</th></tr>
+        </thead>
+        <tbody>
+          ${members.map(member => {
+            const status = statusFor(member);
+            return `
+              <tr>
+                <td>
+                  ${AdminShared.escapeHtml(member.name || member.email)}
+                  ${member.name ? `<span class="ack-report-email">${AdminShared.escapeHtml(member.email)}</span>` : ''}
+                </td>
+                <td><span class="ack-status ${status.className}">${status.label}</span></td>
+                <td>${member.acknowledged_at ? AdminShared.escapeHtml(new Date(member.acknowledged_at).toLocaleString()) : '-'}</td>
+              </tr>
+            `;
+          }).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * Load per-banner dismissal stats from Supabase (web admin only)
+   * @param {boolean} forceRefresh - Reload even if already loaded
+   * @returns {Promise<Map>} bannerId -> { viewers, dismissers, dismissals, activeDismissals, lastDismissedAt }
+   */
+  async loadDismissalStats(forceRefresh = false) {
+    if (this.dismissalStats && !forceRefresh) return this.dismissalStats;
+    if (AdminShared.isExtensionContext || typeof RevGuideDB === 'undefined') return new Map();
+
+    const { data, error } = await RevGuideDB.getBannerDismissalStats();
+    if (error) {
+      console.error('Failed to load dismissal stats:', error);
+      return new Map();
+    }
+
+    this.dismissalStats = new Map((data || []).map(row => [row.banner_id, {
+      viewers: Number(row.viewers) || 0,
+      dismissers: Number(row.dismissers) || 0,
+      dismissals: Number(row.dismissals) || 0,
+      activeDismissals: Number(row.active_dismissals) || 0,
+      lastDismissedAt: row.last_dismissed_at
+    }]));
+    return this.dismissalStats;
+  }
+
+  /**
+   * Share of viewers who dismissed a banner, or null before anyone has seen it
+   */
+  getDismissalRate(stats) {
+    if (!stats || stats.viewers === 0) return null;
+    return Math.min(100, Math.round(stats.dismissers / stats.viewers * 100));
+  }
+
+  async renderDismissalPanel() {
+    const result = document.querySelector('#ruleDismissalPanel [data-dismissal-result]');
+    if (!result) return;
+
+    if (!this.editingRuleId) {
+      result.innerHTML = '<div class="explain-empty">Save this banner to start tracking dismissals.</div>';
+      return;
+    }
+    if (AdminShared.isExtensionContext) {
+      result.innerHTML = '<div class="explain-empty">Dismissal stats are available in the web admin.</div>';
+      return;
+    }
+
+    const stats = (await this.loadDismissalStats(true)).get(this.editingRuleId);
+    const rate = this.getDismissalRate(stats);
+    if (rate === null) {
+      result.innerHTML = '<div class="explain-empty">Nobody has seen this banner yet.</div>';
+      return;
+    }
+
+    const stat = (value, label) => `
+      <div class="dismissal-stat">
+        <span class="dismissal-stat-value">${value}</span>
+        <span class="dismissal-stat-label">${label}</span>
+      </div>
+    `;
+    result.innerHTML = `
+      <div class="dismissal-stats">
+        ${stat(`${rate}%`, 'Dismissal rate')}
+        ${stat(stats.viewers, 'Users who saw it')}
+        ${stat(stats.dismissers, 'Users who dismissed it')}
+        ${stat(stats.dismissals, 'Total dismissals')}
+        ${stat(stats.activeDismissals, 'Currently hidden')}
+        ${stat(stats.lastDismissedAt ? AdminShared.escapeHtml(new Date(stats.lastDismissedAt).toLocaleDateString()) : '-', 'Last dismissed')}
+      </div>
+    `;
+  }
+
+  async renderVariantPanel() {
+    const result = document.querySelector('#ruleVariantPanel [data-variant-result]');
+    if (!result) return;
+
+    const rule = this.rules.find(r => r.id === this.editingRuleId);
+    if (!rule || !rule.variants?.length) {
+      result.innerHTML = '<div class="explain-empty">This banner is not running an A/B test. Add a variant on the Content tab and save to start one.</div>';
+      return;
+    }
+    if (AdminShared.isExtensionContext) {
+      result.innerHTML = '<div class="explain-empty">A/B test results are available in the web admin.</div>';
+      return;
+    }
+
+    result.innerHTML = '<div class="explain-empty">Loading...</div>';
+    const { data, error } = await RevGuideDB.getVariantStats('banner', rule.id);
+    if (error) {
+      console.error('[Banners] Failed to load variant stats:', error);
+      result.innerHTML = '<div class="explain-empty">Could not load A/B test results.</div>';
+      return;
+    }
+
+    result.innerHTML = AdminShared.renderVariantComparison(rule, data || [], { events: ['action', 'play_open'] });
+  }
+
+  renderHistoryPanel() {
+    const result = document.querySelector('#ruleHistoryPanel [data-history-result]');
+    if (!result) return;
+
+    if (AdminShared.isExtensionContext) {
+      result.innerHTML = '<div class="explain-empty">Version history is available in the web admin.</div>';
+      return;
+    }
+    if (!this.editingRuleId) {
+      result.innerHTML = '<div class="explain-empty">Save this banner to start its version history.</div>';
+      return;
+    }
+
+    AdminShared.renderRevisionHistory(result, {
+      contentType: 'banner',
+      contentId: this.editingRuleId,
+      onRestore: async (data) => {
+        const restored = this.mapBannerFromSupabase(data);
+        const index = this.rules.findIndex(r => r.id === restored.id);
+        if (index !== -1) {
+          this.rules[index] = restored;
+        }
+        AdminShared.clearStorageCache();
+        AdminShared.notifyContentScript();
+        this.renderRules();
+        await this.openRuleEditor(restored);
+        this.switchTab('history');
+      }
+    });
+  }
+
+  resetRecordTestPanels() {
+    const panel = document.getElementById('ruleRecordTestPanel');
+    if (panel) {
+      panel.querySelector('[data-record-test-input]').value = '';
+      panel.querySelector('[data-record-test-result]').innerHTML = '';
+    }
+
+    const previewPanel = document.getElementById('ruleMatchPreviewPanel');
+    if (previewPanel) {
+      previewPanel.querySelector('[data-match-preview-result]').innerHTML = '';
+    }
   }
 
   clearSearch() {
@@ -306,6 +966,8 @@ class BannersPage {
     cardList.style.display = 'flex';
     emptyState.style.display = 'none';
 
+    const lintSummary = this.getLintSummary();
+
     cardList.innerHTML = filtered.map(rule => {
       const objectType = rule.objectTypes?.[0] || 'All';
       const conditionCount = rule.conditions?.length || 0;
@@ -323,10 +985,31 @@ class BannersPage {
       };
       const iconClass = iconMap[rule.type] || 'icon-info';
 
+      const lint = lintSummary.get(rule.id);
+      const lintBadge = lint ? `
+        <span class="compact-card-meta-item rule-lint-badge ${lint.severity}" title="Open Rule Health for details">
+          <span class="icon icon-alert-triangle icon--sm"></span>
+          ${lint.count} ${lint.count === 1 ? 'problem' : 'problems'}
+        </span>
+      ` : '';
+
+      const dismissalStats = this.dismissalStats?.get(rule.id);
+      const dismissalRate = this.getDismissalRate(dismissalStats);
+      const dismissalBadge = dismissalRate !== null ? `
+        <span class="compact-card-meta-item dismissal-rate-badge ${dismissalRate >= 50 ? 'high' : ''}"
+          title="${dismissalStats.dismissers} of ${dismissalStats.viewers} users who saw this banner dismissed it">
+          ${dismissalRate}% dismissed
+        </span>
+      ` : '';
+
       // Build dropdown menu for editors, simple view button for viewers
       const actionsHtml = this.isViewOnly ? `
+        ${AdminShared.renderContentStatusBadge(rule.status)}
+        ${AdminShared.renderScheduleBadge(rule.schedule)}
         <span class="status-badge ${rule.enabled !== false ? 'active' : 'inactive'}">${rule.enabled !== false ? 'Active' : 'Inactive'}</span>
       ` : `
+        ${AdminShared.renderContentStatusBadge(rule.status)}
+        ${AdminShared.renderScheduleBadge(rule.schedule)}
         <span class="status-badge ${rule.enabled !== false ? 'active' : 'inactive'}">${rule.enabled !== false ? 'Active' : 'Inactive'}</span>
         <div class="compact-card-dropdown">
           <button class="compact-card-menu-btn" data-id="${rule.id}" title="Actions">
@@ -376,6 +1059,8 @@ class BannersPage {
           <div class="compact-card-meta">
             <span class="compact-card-meta-item">${objectType}</span>
             <span class="compact-card-meta-item">${conditionText}</span>
+            ${lintBadge}
+            ${dismissalBadge}
           </div>
           <div class="compact-card-actions">
             ${actionsHtml}
@@ -549,7 +1234,10 @@ class BannersPage {
     }
 
     this.editingRuleId = rule?.id || null;
+    this.explainValues = {};
+    this.resetRecordTestPanels();
     document.getElementById('ruleEditorTitle').textContent = rule ? 'Edit Banner' : 'Add Banner';
+    this.renderReviewBar(rule);
 
     // Reset to Content tab
     this.switchTab('content');
@@ -563,6 +1251,13 @@ class BannersPage {
     document.getElementById('ruleType').value = rule?.type || 'info';
     document.getElementById('rulePriority').value = rule?.priority || 10;
     document.getElementById('ruleEmbedUrl').value = rule?.embedUrl || rule?.url || '';
+    document.getElementById('ruleRequiresAck').checked = rule?.requiresAcknowledgement || false;
+    this.variantEditor.setVariants(rule?.variants || []);
+    this.translationEditor.setTranslations(rule?.translations || {});
+    this.renderActionsEditor(rule?.actions || []);
+    document.getElementById('rulePlacement').value = rule?.placement || 'inline';
+    this.renderPlacementPropertyOptions(rule?.placementProperty || '');
+    this.togglePlacementProperty();
 
     // Toggle embed fields visibility
     this.toggleEmbedFields();
@@ -582,6 +1277,7 @@ class BannersPage {
     AdminShared.clearConditionGroups('ruleConditionGroups');
     document.getElementById('addRuleGroupBtn').disabled = true;
     document.getElementById('ruleConditionStatus').textContent = '';
+    document.getElementById('ruleLintPanel').style.display = 'none';
 
     // Display on all
     const displayOnAll = rule?.displayOnAll || false;
@@ -595,6 +1291,18 @@ class BannersPage {
     // Show on index pages - default to true for new banners
     document.getElementById('ruleShowOnIndex').checked = rule ? (rule.showOnIndex || false) : true;
 
+    // Activation schedule
+    AdminShared.setScheduleEditor(document.getElementById('ruleSchedule'), rule?.schedule || null);
+
+    // Audience
+    AdminShared.setAudienceEditor(document.getElementById('ruleAudience'), rule?.audience || null);
+
+    // Dismissal behaviour
+    document.getElementById('ruleDismissMode').value = rule?.dismissMode || 'session';
+    document.getElementById('ruleDismissDays').value = rule?.dismissDays || 7;
+    this.setFrequencyCapEditor(rule?.frequencyCap || null);
+    this.toggleDismissDays();
+
     // Migrate conditions to groups format if needed
     const { conditionGroups, groupLogic } = AdminShared.migrateConditionsToGroups(rule || {});
 
@@ -613,6 +1321,7 @@ class BannersPage {
     // Store original data for change detection
     setTimeout(() => {
       this.originalData = this.getCurrentFormData();
+      this.translationEditor.refreshBadge();
     }, 100);
 
     // Show editor
@@ -632,15 +1341,28 @@ class BannersPage {
       displayOnAll: document.getElementById('ruleDisplayOnAll').checked,
       tabVisibility: document.getElementById('ruleTabVisibility').value,
       showOnIndex: document.getElementById('ruleShowOnIndex').checked,
+      schedule: AdminShared.getScheduleFromEditor(document.getElementById('ruleSchedule')),
+      audience: AdminShared.getAudienceFromEditor(document.getElementById('ruleAudience')),
+      dismissMode: document.getElementById('ruleDismissMode').value,
+      dismissDays: document.getElementById('ruleDismissDays').value,
+      frequencyCap: this.getFrequencyCapFromEditor(),
       groupLogic: AdminShared.getGroupLogic('ruleGroupLogicToggle'),
       conditionGroups: AdminShared.getConditionGroups('ruleConditionGroups'),
       embedUrl: document.getElementById('ruleEmbedUrl').value,
+      requiresAcknowledgement: document.getElementById('ruleRequiresAck').checked,
+      actions: this.getActionsFromEditor(),
+      placement: document.getElementById('rulePlacement').value,
+      placementProperty: document.getElementById('rulePlacementProperty').value,
+      variants: this.variantEditor.getVariants(),
+      translations: this.translationEditor.getTranslations(),
       relatedPlayId: playSelectEl ? AdminShared.getPlaySelectValue(playSelectEl) : ''
     });
   }
 
   hasUnsavedChanges() {
     if (!this.originalData) return false;
+    // The snapshot was taken with the original content in the form
+    this.variantEditor.select(window.RevGuideVariants.CONTROL_ID);
     const currentData = this.getCurrentFormData();
     return currentData !== this.originalData;
   }
@@ -712,15 +1434,52 @@ class BannersPage {
         `;
       }
     } else {
-      preview.innerHTML = `
+      const requiresAck = document.getElementById('ruleRequiresAck').checked;
+      preview.innerHTML = this.renderPlacementPreview(`
         <div class="preview-banner ${type}">
           <strong>${AdminShared.escapeHtml(title)}</strong>
           <div class="preview-message">${message}</div>
+          ${this.renderPreviewActions()}
+          ${requiresAck ? '<button type="button" class="preview-ack-btn" disabled>I understand</button>' : ''}
         </div>
-      `;
+      `);
     }
   }
 
+  /**
+   * Place the preview banner in a sketch of a HubSpot record page
+   * @param {string} bannerHtml - Preview banner markup
+   * @returns {string} HTML
+   */
+  renderPlacementPreview(bannerHtml) {
+    const placement = document.getElementById('rulePlacement').value;
+    const propertySelect = document.getElementById('rulePlacementProperty');
+    const propertyLabel = propertySelect.value ? propertySelect.selectedOptions[0]?.textContent.trim() : 'Property';
+    const slot = (name) => placement === name ? bannerHtml : '';
+    const placeholderRows = (count) => '<div class="placement-preview-line"></div>'.repeat(count);
+
+    return `
+      <div class="placement-preview placement-${placement}">
+        <div class="placement-preview-column left">
+          ${placeholderRows(2)}
+          <div class="placement-preview-property">${AdminShared.escapeHtml(propertyLabel)}</div>
+          ${slot('property')}
+          ${placeholderRows(2)}
+        </div>
+        <div class="placement-preview-column middle">
+          ${slot('inline')}
+          ${placeholderRows(4)}
+        </div>
+        <div class="placement-preview-column right">
+          ${slot('sidebar')}
+          ${placeholderRows(3)}
+        </div>
+        ${placement === 'toast' ? `<div class="placement-preview-toast">${bannerHtml}</div>` : ''}
+        ${placement === 'modal' ? `<div class="placement-preview-modal">${bannerHtml}</div>` : ''}
+      </div>
+    `;
+  }
+
   async onObjectTypeChange(objectType) {
     const statusEl = document.getElementById('ruleConditionStatus');
     const addBtn = document.getElementById('addRuleGroupBtn');
@@ -737,8 +1496,10 @@ class BannersPage {
     addBtn.disabled = true;
 
     try {
-      const properties = await AdminShared.fetchProperties(objectType, this.propertiesCache);
+      const properties = await AdminShared.fetchConditionProperties(objectType, this.propertiesCache);
       this.currentProperties = properties;
+      this.renderActionsEditor(this.getActionsFromEditor());
+      this.renderPlacementPropertyOptions(document.getElementById('rulePlacementProperty').value);
       addBtn.disabled = false;
       statusEl.textContent = `${properties.length} properties loaded`;
       statusEl.className = 'status-text success';
@@ -760,8 +1521,10 @@ class BannersPage {
     statusEl.className = 'status-text';
 
     try {
-      const properties = await AdminShared.fetchProperties(objectType, this.propertiesCache);
+      const properties = await AdminShared.fetchConditionProperties(objectType, this.propertiesCache);
       this.currentProperties = properties;
+      this.renderActionsEditor(this.getActionsFromEditor());
+      this.renderPlacementPropertyOptions(document.getElementById('rulePlacementProperty').value);
       addBtn.disabled = false;
       statusEl.textContent = '';
 
@@ -774,7 +1537,14 @@ class BannersPage {
     }
   }
 
-  async saveRule() {
+  /**
+   * Save the banner from the editor
+   * @param {Object} [options]
+   * @param {boolean} [options.asDraft] - Save without publishing
+   */
+  async saveRule({ asDraft = false } = {}) {
+    // Title and message below are the original's; variants carry their own
+    this.variantEditor.select(window.RevGuideVariants.CONTROL_ID);
     const name = document.getElementById('ruleName').value.trim();
     const title = document.getElementById('ruleTitle').value.trim();
     const message = this.messageEditor ? this.messageEditor.getHTML().trim() : '';
@@ -818,6 +1588,69 @@ class BannersPage {
     const tabVisibilityInput = document.getElementById('ruleTabVisibility').value.trim();
     const tabVisibility = tabVisibilityInput ? String(tabVisibilityInput) : 'all';
     const showOnIndex = document.getElementById('ruleShowOnIndex').checked;
+    const schedule = AdminShared.getScheduleFromEditor(document.getElementById('ruleSchedule'));
+    const audience = AdminShared.getAudienceFromEditor(document.getElementById('ruleAudience'));
+    const requiresAcknowledgement = type !== 'embed' && document.getElementById('ruleRequiresAck').checked;
+    const actions = type === 'embed' ? [] : this.getActionsFromEditor();
+    const placement = type === 'embed' ? 'inline' : document.getElementById('rulePlacement').value;
+    const placementProperty = placement === 'property' ? document.getElementById('rulePlacementProperty').value : null;
+    const placementPropertyLabel = placementProperty
+      ? (this.currentProperties.find(p => p.name === placementProperty)?.label || placementProperty)
+      : null;
+
+    if (placement === 'property' && !placementProperty) {
+      alert('Please select the property to show this banner next to');
+      return;
+    }
+
+    const actionError = this.validateActions(actions);
+    if (actionError) {
+      alert(actionError);
+      return;
+    }
+    const dismissMode = document.getElementById('ruleDismissMode').value;
+    const dismissDays = dismissMode === 'days' ? parseInt(document.getElementById('ruleDismissDays').value) : null;
+
+    if (dismissMode === 'days' && !(dismissDays >= 1 && dismissDays <= 365)) {
+      alert('Please enter how many days a dismissed banner stays hidden (1-365)');
+      return;
+    }
+
+    const frequencyCap = this.getFrequencyCapFromEditor();
+    if (frequencyCap && frequencyCap.maxViews !== null && !(frequencyCap.maxViews >= 1 && frequencyCap.maxViews <= 1000)) {
+      alert('Please enter how many times this banner can be shown to each user (1-1000)');
+      return;
+    }
+
+    const scheduleError = AdminShared.validateSchedule(schedule);
+    if (scheduleError) {
+      alert(scheduleError);
+      return;
+    }
+
+    const variants = type === 'embed' ? [] : this.variantEditor.getVariants();
+    const translations = this.translationEditor.getTranslations();
+    const variantsError = AdminShared.validateVariants(variants);
+    if (variantsError) {
+      alert(variantsError);
+      return;
+    }
+
+    // Rules that can never match or clash with another banner can still be saved, but not by accident
+    const lintErrors = this.renderLintPanel().filter(f => f.severity === 'error');
+    if (lintErrors.length > 0) {
+      const result = await AdminShared.showConfirmDialog({
+        title: 'Rule Problems',
+        message: `${lintErrors[0].message}. Save this banner anyway?`,
+        primaryLabel: 'Save Anyway',
+        secondaryLabel: 'Keep Editing',
+        showCancel: false
+      });
+      if (result !== 'primary') {
+        this.switchTab('rules');
+        return;
+      }
+    }
 
     // Get related play
     const playSelectEl = document.getElementById('ruleRelatedPlay');
@@ -837,6 +1670,18 @@ class BannersPage {
       displayOnAll,
       tabVisibility,
       showOnIndex,
+      schedule,
+      audience,
+      dismissMode,
+      dismissDays,
+      frequencyCap,
+      requiresAcknowledgement,
+      actions,
+      placement,
+      placementProperty,
+      placementPropertyLabel,
+      variants,
+      translations,
       relatedPlayId: relatedPlayId || null,
       enabled: true
     };
@@ -847,6 +1692,8 @@ class BannersPage {
       bannerData.embedUrl = AdminShared.convertToEmbedUrl(embedUrl);
     }
 
+    let savedBanner = null;
+    let submitted = false;
     try {
       // In web context, save directly to Supabase
       if (!AdminShared.isExtensionContext && typeof RevGuideDB !== 'undefined') {
@@ -864,8 +1711,21 @@ class BannersPage {
           display_on_all: displayOnAll,
           tab_visibility: tabVisibility,
           show_on_index: showOnIndex,
+          schedule,
+          audience,
+          dismiss_mode: dismissMode,
+          dismiss_days: dismissDays,
+          frequency_cap: frequencyCap,
+          requires_acknowledgement: requiresAcknowledgement,
+          actions,
+          placement,
+          placement_property: placementProperty,
+          placement_property_label: placementPropertyLabel,
+          variants,
+          translations,
           related_play_id: relatedPlayId || null,
-          enabled: true
+          enabled: true,
+          status: asDraft || !this.canPublish ? 'draft' : 'published'
         };
 
         // Add embed URL for embed type
@@ -885,6 +1745,7 @@ class BannersPage {
           if (index !== -1) {
             this.rules[index] = mappedData;
           }
+          savedBanner = mappedData;
         } else {
           // Create new banner
           const { data, error } = await RevGuideDB.createBanner(supabaseData);
@@ -893,6 +1754,13 @@ class BannersPage {
           // Map response back to camelCase and add to local array
           const mappedData = this.mapBannerFromSupabase(data);
           this.rules.push(mappedData);
+          savedBanner = mappedData;
+        }
+
+        // Editors who can't publish send their changes to an admin
+        if (!asDraft && !this.canPublish) {
+          submitted = await AdminShared.submitContentForReview('banner', savedBanner);
+          if (submitted) savedBanner.status = 'in_review';
         }
 
         // Clear storage cache so next load gets fresh data
@@ -913,8 +1781,21 @@ class BannersPage {
           displayOnAll,
           tabVisibility,
           showOnIndex,
+          schedule,
+          audience,
+          dismissMode,
+          dismissDays,
+          frequencyCap,
+          requiresAcknowledgement,
+          actions,
+          placement,
+          placementProperty,
+          placementPropertyLabel,
+          variants,
+          translations,
           relatedPlayId,
           enabled: true,
+          contentVersion: 1,
           createdAt: Date.now()
         };
 
@@ -926,9 +1807,14 @@ class BannersPage {
         if (this.editingRuleId) {
           const index = this.rules.findIndex(r => r.id === this.editingRuleId);
           if (index !== -1) {
-            rule.createdAt = this.rules[index].createdAt;
-            rule.enabled = this.rules[index].enabled;
+            const previous = this.rules[index];
+            rule.createdAt = previous.createdAt;
+            rule.enabled = previous.enabled;
             rule.updatedAt = Date.now();
+            // Same rule as the banners_publish_content_version trigger: new wording asks everyone again
+            const wording = (r) => JSON.stringify([r.title, r.message, r.variants || [], r.translations || {}]);
+            const contentChanged = wording(rule) !== wording(previous);
+            rule.contentVersion = (previous.contentVersion || 1) + (contentChanged ? 1 : 0);
             this.rules[index] = rule;
           }
         } else {
@@ -939,7 +1825,9 @@ class BannersPage {
       }
 
       AdminShared.notifyContentScript();
-      AdminShared.showToast('Banner saved successfully', 'success');
+      const savedMessage = submitted ? 'Banner submitted for review'
+        : (asDraft || !this.canPublish ? 'Banner saved as draft' : 'Banner saved successfully');
+      AdminShared.showToast(savedMessage, 'success');
       this.closeRuleEditor();
     } catch (error) {
       console.error('Failed to save banner:', error);
@@ -964,6 +1852,22 @@ class BannersPage {
       displayOnAll: data.display_on_all,
       tabVisibility: data.tab_visibility,
       showOnIndex: data.show_on_index,
+      schedule: data.schedule || null,
+      audience: data.audience || null,
+      dismissMode: data.dismiss_mode || 'session',
+      dismissDays: data.dismiss_days || null,
+      frequencyCap: data.frequency_cap || null,
+      variants: data.variants || [],
+      translations: data.translations || {},
+      status: data.status || 'published',
+      reviewNote: data.review_note || null,
+      submittedAt: data.submitted_at || null,
+      requiresAcknowledgement: data.requires_acknowledgement || false,
+      contentVersion: data.content_version || 1,
+      actions: data.actions || [],
+      placement: data.placement || 'inline',
+      placementProperty: data.placement_property || null,
+      placementPropertyLabel: data.placement_property_label || null,
       relatedPlayId: data.related_play_id,
       fields: data.fields || [],
       enabled: data.enabled,
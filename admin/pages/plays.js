@@ -18,6 +18,8 @@ class PlaysPage {
     this.contentAssets = []; // All available content assets from library
     this.selectedAssetIds = []; // Selected asset IDs for current play
     this.assetPickerSelectedIds = []; // Temporary selection in picker modal
+    this.explainValues = {}; // Sample record values for the "Why isn't this showing?" panel
+    this.canPublish = true; // False for editors when the org requires approval
     this.init();
   }
 
@@ -37,10 +39,21 @@ class PlaysPage {
       this.setupViewOnlyMode();
     }
 
+    document.getElementById('ruleHealthBtn').addEventListener('click', () => {
+      window.location.href = AdminShared.isExtensionContext ? 'rule-health.html' : AdminShared.buildOrgAwareUrl('/rule-health');
+    });
+
     // Load data
     const data = await AdminShared.loadStorageData();
     this.battleCards = data.battleCards || [];
 
+    // Before the editor can be opened from the URL below
+    if (!this.isViewOnly) {
+      this.initVariantEditor();
+      this.initTranslationEditor();
+      await this.initReviewControls();
+    }
+
     // Check for action param
     const urlParams = new URLSearchParams(window.location.search);
     if (urlParams.get('action') === 'add' && !this.isViewOnly) {
@@ -154,6 +167,7 @@ class PlaysPage {
     });
     document.getElementById('cancelPlayBtn').addEventListener('click', () => this.handleBackNavigation());
     document.getElementById('savePlayBtn').addEventListener('click', () => this.savePlay());
+    document.getElementById('savePlayDraftBtn').addEventListener('click', () => this.savePlay({ asDraft: true }));
 
     // Tab clicks
     document.getElementById('playCardTabs').addEventListener('click', (e) => {
@@ -171,6 +185,10 @@ class PlaysPage {
       AdminShared.addConditionGroup('playConditionGroups', null, this.currentProperties);
     });
 
+    // Test rules against real HubSpot records
+    AdminShared.initRecordTestPanel(document.getElementById('playRecordTestPanel'), () => this.getDraftRule());
+    AdminShared.initMatchPreviewPanel(document.getElementById('playMatchPreviewPanel'), () => this.getDraftRule());
+
     // Group logic toggle (between groups)
     AdminShared.initGroupLogicToggle('playGroupLogicToggle');
 
@@ -181,6 +199,7 @@ class PlaysPage {
 
     // Add section
     document.getElementById('addSectionBtn').addEventListener('click', () => this.addSection());
+    document.getElementById('addGuidedStepBtn').addEventListener('click', () => this.addGuidedStep());
 
     // Play type change (toggle sections vs content assets)
     document.getElementById('playType').addEventListener('change', (e) => this.onPlayTypeChange(e.target.value));
@@ -196,6 +215,60 @@ class PlaysPage {
     document.querySelector('#assetPickerModal .modal-backdrop').addEventListener('click', () => this.closeAssetPicker());
   }
 
+  // A/B variants swap the subtitle and sections shown in the form
+  initVariantEditor() {
+    this.variantEditor = AdminShared.initVariantEditor(document.getElementById('playVariants'), {
+      readContent: () => ({
+        subtitle: document.getElementById('playSubtitle').value,
+        sections: this.getSections()
+      }),
+      writeContent: ({ subtitle = '', sections = [] }) => {
+        document.getElementById('playSubtitle').value = subtitle;
+        this.sectionEditors.forEach(editor => editor.destroy());
+        this.sectionEditors.clear();
+        document.getElementById('playSections').innerHTML = '';
+        sections.forEach(s => this.addSection(s));
+      }
+    });
+  }
+
+  /**
+   * Drafts are saved to Supabase only; editors who can't publish submit for review instead
+   */
+  async initReviewControls() {
+    if (AdminShared.isExtensionContext) return;
+
+    this.canPublish = await AdminShared.canPublishContent();
+    document.getElementById('savePlayDraftBtn').hidden = false;
+    if (!this.canPublish) {
+      document.getElementById('savePlayBtn').textContent = 'Submit for Review';
+    }
+  }
+
+  renderReviewBar(play) {
+    AdminShared.renderReviewBar(document.getElementById('playReviewBar'), play, {
+      contentType: 'play',
+      onReviewed: ({ status, reviewNote }) => {
+        Object.assign(play, { status, reviewNote });
+        AdminShared.clearStorageCache();
+        AdminShared.notifyContentScript();
+        this.renderReviewBar(play);
+        this.renderPlays();
+      }
+    });
+  }
+
+  initTranslationEditor() {
+    this.translationEditor = AdminShared.initTranslationEditor(document.getElementById('playTranslations'), {
+      contentType: 'play',
+      getSource: () => {
+        const { subtitle, sections } = this.variantEditor.getControlContent();
+        return { name: document.getElementById('playName').value, subtitle, sections };
+      },
+      badgeEl: document.getElementById('playTranslationCount')
+    });
+  }
+
   switchTab(tabName) {
     this.activeTab = tabName;
 
@@ -210,21 +283,145 @@ class PlaysPage {
     document.querySelectorAll('.play-tab-panel').forEach(panel => {
       panel.hidden = panel.id !== `play-tab-${tabName}`;
     });
+
+    if (tabName === 'translations') {
+      this.translationEditor.render();
+    } else {
+      this.translationEditor.refreshBadge();
+    }
+
+    if (tabName === 'usage') {
+      this.renderExplainPanel();
+      this.renderVariantPanel();
+    }
+
+    if (tabName === 'history') {
+      this.renderHistoryPanel();
+    }
+  }
+
+  /**
+   * Build a rule object from the editor form, including unsaved changes
+   * Plays don't have an enabled flag, so only object type, schedule and conditions apply.
+   * Audience is left out: it depends on who views the record, so previews evaluate for everyone
+   */
+  getDraftRule() {
+    const objectTypeValue = document.getElementById('playObjectType').value;
+    const objectTypeReverseMap = { contacts: 'contact', companies: 'company', deals: 'deal', tickets: 'ticket' };
+
+    return {
+      id: this.editingPlayId,
+      name: document.getElementById('playName').value.trim(),
+      objectTypes: objectTypeValue ? [objectTypeReverseMap[objectTypeValue] || objectTypeValue] : [],
+      conditionGroups: AdminShared.getConditionGroups('playConditionGroups'),
+      groupLogic: AdminShared.getGroupLogic('playGroupLogicToggle'),
+      displayOnAll: document.getElementById('playDisplayOnAll').checked,
+      schedule: AdminShared.getScheduleFromEditor(document.getElementById('playSchedule'))
+    };
+  }
+
+  renderExplainPanel() {
+    const panel = document.getElementById('playExplainPanel');
+    if (!panel) return;
+
+    const rule = this.getDraftRule();
+    AdminShared.renderRuleExplainPanel(panel, rule, {
+      properties: this.currentProperties,
+      values: this.explainValues,
+      context: { objectType: rule.objectTypes[0] }
+    });
+  }
+
+  async renderVariantPanel() {
+    const result = document.querySelector('#playVariantPanel [data-variant-result]');
+    if (!result) return;
+
+    const play = this.battleCards.find(c => c.id === this.editingPlayId);
+    if (!play || !play.variants?.length) {
+      result.innerHTML = '<div class="explain-empty">This play is not running an A/B test. Add a variant on the Content tab and save to start one.</div>';
+      return;
+    }
+    if (AdminShared.isExtensionContext) {
+      result.innerHTML = '<div class="explain-empty">A/B test results are available in the web admin.</div>';
+      return;
+    }
+
+    result.innerHTML = '<div class="explain-empty">Loading...</div>';
+    const { data, error } = await RevGuideDB.getVariantStats('play', play.id);
+    if (error) {
+      console.error('[Plays] Failed to load variant stats:', error);
+      result.innerHTML = '<div class="explain-empty">Could not load A/B test results.</div>';
+      return;
+    }
+
+    result.innerHTML = AdminShared.renderVariantComparison(play, data || [], { events: ['play_open', 'field_save'] });
+  }
+
+  renderHistoryPanel() {
+    const result = document.querySelector('#playHistoryPanel [data-history-result]');
+    if (!result) return;
+
+    if (AdminShared.isExtensionContext) {
+      result.innerHTML = '<div class="explain-empty">Version history is available in the web admin.</div>';
+      return;
+    }
+    if (!this.editingPlayId) {
+      result.innerHTML = '<div class="explain-empty">Save this play to start its version history.</div>';
+      return;
+    }
+
+    AdminShared.renderRevisionHistory(result, {
+      contentType: 'play',
+      contentId: this.editingPlayId,
+      onRestore: async (data) => {
+        const restored = this.mapPlayFromSupabase(data);
+        const index = this.battleCards.findIndex(c => c.id === restored.id);
+        if (index !== -1) {
+          this.battleCards[index] = restored;
+        }
+        AdminShared.clearStorageCache();
+        AdminShared.notifyContentScript();
+        this.renderPlays();
+        await this.openPlayEditor(restored);
+        this.switchTab('history');
+      }
+    });
+  }
+
+  resetRecordTestPanels() {
+    const panel = document.getElementById('playRecordTestPanel');
+    if (panel) {
+      panel.querySelector('[data-record-test-input]').value = '';
+      panel.querySelector('[data-record-test-result]').innerHTML = '';
+    }
+
+    const previewPanel = document.getElementById('playMatchPreviewPanel');
+    if (previewPanel) {
+      previewPanel.querySelector('[data-match-preview-result]').innerHTML = '';
+    }
   }
 
   // ===== Recommended Content Play Type Methods =====
 
   onPlayTypeChange(cardType) {
     const isRecommendedContent = cardType === 'recommended_content';
+    const isGuided = cardType === 'guided';
     const sectionsWrapper = document.getElementById('playSectionsWrapper');
     const contentAssetsWrapper = document.getElementById('contentAssetsWrapper');
 
     if (sectionsWrapper) {
-      sectionsWrapper.style.display = isRecommendedContent ? 'none' : 'block';
+      sectionsWrapper.style.display = isRecommendedContent || isGuided ? 'none' : 'block';
     }
     if (contentAssetsWrapper) {
       contentAssetsWrapper.style.display = isRecommendedContent ? 'block' : 'none';
     }
+    document.getElementById('guidedStepsWrapper').style.display = isGuided ? 'block' : 'none';
+    // Recommended content plays are asset lists and guided plays are decision trees, so there's nothing to A/B test
+    document.getElementById('playVariantsGroup').style.display = isRecommendedContent || isGuided ? 'none' : '';
+
+    if (isGuided && !document.querySelector('#guidedSteps .guided-step')) {
+      this.addGuidedStep();
+    }
 
     // Load content assets if switching to recommended_content type
     if (isRecommendedContent && this.contentAssets.length === 0) {
@@ -568,7 +765,8 @@ class PlaysPage {
         objection: 'icon-shield',
         tip: 'icon-lightbulb',
         process: 'icon-clipboard-list',
-        recommended_content: 'icon-book-open'
+        recommended_content: 'icon-book-open',
+        guided: 'icon-split'
       };
       const iconClass = iconMap[card.cardType] || 'icon-layers';
 
@@ -618,6 +816,8 @@ class PlaysPage {
             <span class="compact-card-meta-item">${conditionText}</span>
           </div>
           <div class="compact-card-actions">
+            ${AdminShared.renderContentStatusBadge(card.status)}
+            ${AdminShared.renderScheduleBadge(card.schedule)}
             ${actionsHtml}
           </div>
         </div>
@@ -688,7 +888,7 @@ class PlaysPage {
     const sectionsCount = play.sections?.length || 0;
 
     // Build sections HTML with new design
-    const sectionsHtml = (play.sections || []).map(section => {
+    const sectionsHtml = (play.sections || []).map((section, index) => {
       if (section.type === 'media') {
         return `
           <div class="view-details-section">
@@ -716,6 +916,30 @@ class PlaysPage {
             </div>
           </div>
         `;
+      } else if (section.type === 'checklist') {
+        const items = (section.items || []).map(item =>
+          `<li>${AdminShared.escapeHtml(item.label)}</li>`
+        ).join('');
+        return `
+          <div class="view-details-section">
+            <div class="view-details-section-label">${AdminShared.escapeHtml(section.title || 'Checklist')}</div>
+            <div class="view-details-content-box"><ul class="view-details-checklist">${items || '<li>No items</li>'}</ul></div>
+          </div>
+        `;
+      } else if (section.type === 'step') {
+        const choices = (section.choices || []).map(choice =>
+          `<li>${AdminShared.escapeHtml(choice.label)} → ${AdminShared.escapeHtml(this.describeStepTarget(play.sections, choice.nextStepId))}</li>`
+        ).join('');
+        return `
+          <div class="view-details-section">
+            <div class="view-details-section-label">Step ${index + 1}: ${AdminShared.escapeHtml(section.title || 'Untitled')}</div>
+            <div class="view-details-content-box">
+              ${section.content ? `<p>${AdminShared.escapeHtml(section.content)}</p>` : ''}
+              ${choices ? `<ul class="view-details-choices">${choices}</ul>` : ''}
+              ${section.property ? `<p>Answer saved to <code>${AdminShared.escapeHtml(section.property)}</code></p>` : ''}
+            </div>
+          </div>
+        `;
       } else {
         // Content may be HTML from Tiptap editor - render it directly (sanitized on save)
         return `
@@ -800,7 +1024,10 @@ class PlaysPage {
     }
 
     this.editingPlayId = play?.id || null;
+    this.explainValues = {};
+    this.resetRecordTestPanels();
     document.getElementById('playEditorTitle').textContent = play ? 'Edit Play' : 'Add Play';
+    this.renderReviewBar(play);
 
     // Reset to Content tab
     this.switchTab('content');
@@ -822,17 +1049,28 @@ class PlaysPage {
     document.getElementById('playDisplayOnAll').checked = displayOnAll;
     AdminShared.toggleConditionsWrapper('playConditionsWrapper', displayOnAll);
 
-    // Toggle sections vs content assets based on play type
+    // Activation schedule
+    AdminShared.setScheduleEditor(document.getElementById('playSchedule'), play?.schedule || null);
+
+    // Audience
+    AdminShared.setAudienceEditor(document.getElementById('playAudience'), play?.audience || null);
+
+    // Toggle sections vs content assets vs guided steps based on play type
     const isRecommendedContent = play?.cardType === 'recommended_content';
+    const isGuided = play?.cardType === 'guided';
     const sectionsWrapper = document.getElementById('playSectionsWrapper');
     const contentAssetsWrapper = document.getElementById('contentAssetsWrapper');
 
     if (sectionsWrapper) {
-      sectionsWrapper.style.display = isRecommendedContent ? 'none' : 'block';
+      sectionsWrapper.style.display = isRecommendedContent || isGuided ? 'none' : 'block';
     }
     if (contentAssetsWrapper) {
       contentAssetsWrapper.style.display = isRecommendedContent ? 'block' : 'none';
     }
+    document.getElementById('guidedStepsWrapper').style.display = isGuided ? 'block' : 'none';
+    document.getElementById('playVariantsGroup').style.display = isRecommendedContent || isGuided ? 'none' : '';
+    this.variantEditor.setVariants(isRecommendedContent || isGuided ? [] : play?.variants || []);
+    this.translationEditor.setTranslations(play?.translations || {});
 
     // Reset content assets selection
     this.selectedAssetIds = [];
@@ -842,10 +1080,17 @@ class PlaysPage {
     // Sections (for non-recommended_content types)
     const sectionsContainer = document.getElementById('playSections');
     sectionsContainer.innerHTML = '';
-    if (!isRecommendedContent && play?.sections?.length) {
+    if (!isRecommendedContent && !isGuided && play?.sections?.length) {
       play.sections.forEach(s => this.addSection(s));
     }
 
+    // Steps (for guided type)
+    document.getElementById('guidedSteps').innerHTML = '';
+    if (isGuided) {
+      const steps = window.RevGuideGuidedPlays.getSteps(play);
+      (steps.length ? steps : [null]).forEach(step => this.addGuidedStep(step));
+    }
+
     // Load content assets for recommended_content type
     if (isRecommendedContent) {
       await this.loadContentAssets();
@@ -881,6 +1126,7 @@ class PlaysPage {
     // Use setTimeout to allow conditions to be populated
     setTimeout(() => {
       this.originalData = this.getCurrentFormData();
+      this.translationEditor.refreshBadge();
     }, 100);
 
     // Show editor
@@ -897,15 +1143,21 @@ class PlaysPage {
       link: document.getElementById('playLink').value,
       objectType: document.getElementById('playObjectType').value,
       displayOnAll: document.getElementById('playDisplayOnAll').checked,
+      schedule: AdminShared.getScheduleFromEditor(document.getElementById('playSchedule')),
+      audience: AdminShared.getAudienceFromEditor(document.getElementById('playAudience')),
       groupLogic: AdminShared.getGroupLogic('playGroupLogicToggle'),
       conditionGroups: AdminShared.getConditionGroups('playConditionGroups'),
       sections: cardType === 'recommended_content' ? [] : this.getSections(),
+      variants: ['recommended_content', 'guided'].includes(cardType) ? [] : this.variantEditor.getVariants(),
+      translations: this.translationEditor.getTranslations(),
       contentAssetIds: cardType === 'recommended_content' ? this.selectedAssetIds : []
     });
   }
 
   hasUnsavedChanges() {
     if (!this.originalData) return false;
+    // The snapshot was taken with the original content in the form
+    this.variantEditor.select(window.RevGuideVariants.CONTROL_ID);
     const currentData = this.getCurrentFormData();
     return currentData !== this.originalData;
   }
@@ -967,9 +1219,10 @@ class PlaysPage {
     addBtn.disabled = true;
 
     try {
-      const properties = await AdminShared.fetchProperties(objectType, this.propertiesCache);
+      const properties = await AdminShared.fetchConditionProperties(objectType, this.propertiesCache);
       this.currentProperties = properties;
-      this.fieldSectionProperties = properties;
+      // Field sections edit the record itself, so leave out associated-record properties
+      this.fieldSectionProperties = properties.filter(p => !window.RevGuideRulesEngine.parseAssociationKey(p.name));
       addBtn.disabled = false;
       statusEl.textContent = `${properties.length} properties loaded`;
       statusEl.className = 'status-text success';
@@ -993,9 +1246,9 @@ class PlaysPage {
     statusEl.className = 'status-text';
 
     try {
-      const properties = await AdminShared.fetchProperties(objectType, this.propertiesCache);
+      const properties = await AdminShared.fetchConditionProperties(objectType, this.propertiesCache);
       this.currentProperties = properties;
-      this.fieldSectionProperties = properties;
+      this.fieldSectionProperties = properties.filter(p => !window.RevGuideRulesEngine.parseAssociationKey(p.name));
       addBtn.disabled = false;
       statusEl.textContent = '';
 
@@ -1028,7 +1281,7 @@ class PlaysPage {
       <div class="section-editor-container"></div>
       <div class="section-variables-hint">
         <span class="hint-icon"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M12 16v-4"/><path d="M12 8h.01"/></svg></span>
-        Use <code>{{propertyName}}</code> to display record data. Example: <code>{{dealname}}</code>, <code>{{amount}}</code>
+        Use <code>{{propertyName}}</code> to display record data. Example: <code>{{dealname}}</code>, <code>{{amount}}</code>, <code>{{computed.days_in_stage}}</code>
       </div>
     `;
 
@@ -1040,6 +1293,7 @@ class PlaysPage {
     `;
 
     const fieldsContentHtml = this.renderFieldsSectionBody(section?.fields || []);
+    const checklistContentHtml = this.renderChecklistSectionBody(section || {});
 
     div.innerHTML = `
       <div class="section-header-row">
@@ -1070,6 +1324,12 @@ class PlaysPage {
               <path d="M18.375 2.625a2.121 2.121 0 1 1 3 3L12 15l-4 1 1-4Z"/>
             </svg>
           </button>
+          <button type="button" class="section-type-btn ${sectionType === 'checklist' ? 'active' : ''}" data-type="checklist" title="Checklist reps tick off per record">
+            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="9 11 12 14 22 4"/>
+              <path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"/>
+            </svg>
+          </button>
         </div>
         <input type="text" class="section-title" placeholder="${this.getSectionPlaceholder(sectionType)}" value="${AdminShared.escapeHtml(section?.title || '')}">
         <button type="button" class="btn-icon btn-icon-danger remove-section-btn" title="Remove">
@@ -1080,7 +1340,9 @@ class PlaysPage {
         </button>
       </div>
       <div class="section-body">
-        ${sectionType === 'media' ? mediaContentHtml : sectionType === 'fields' ? fieldsContentHtml : textContentHtml}
+        ${sectionType === 'media' ? mediaContentHtml
+          : sectionType === 'fields' ? fieldsContentHtml
+            : sectionType === 'checklist' ? checklistContentHtml : textContentHtml}
       </div>
     `;
 
@@ -1114,6 +1376,9 @@ class PlaysPage {
         } else if (newType === 'fields') {
           bodyContainer.innerHTML = this.renderFieldsSectionBody([]);
           this.initFieldsSectionEvents(bodyContainer);
+        } else if (newType === 'checklist') {
+          bodyContainer.innerHTML = this.renderChecklistSectionBody();
+          this.initChecklistSectionEvents(bodyContainer);
         } else {
           // Switch to text - create Tiptap editor
           bodyContainer.innerHTML = `<div class="section-editor-container"></div>`;
@@ -1129,11 +1394,18 @@ class PlaysPage {
       this.initFieldsSectionEvents(div.querySelector('.section-body'));
     }
 
+    if (sectionType === 'checklist') {
+      this.initChecklistSectionEvents(div.querySelector('.section-body'));
+    }
+
     // Initialize Tiptap editor for text sections
     if (sectionType === 'text') {
+      // Kept until the editor is ready so getSections() doesn't drop the content meanwhile
+      div.dataset.pendingContent = section?.content || '';
       const editorContainer = div.querySelector('.section-editor-container');
       this.createSectionEditor(editorContainer, section?.content || '').then(editor => {
         this.sectionEditors.set(div, editor);
+        delete div.dataset.pendingContent;
       });
     }
 
@@ -1198,6 +1470,7 @@ class PlaysPage {
     switch (type) {
       case 'media': return 'Video Title (e.g., Product Demo)';
       case 'fields': return 'Section Title (e.g., Update Deal Info)';
+      case 'checklist': return 'Checklist Title (e.g., Before Sending the Contract)';
       default: return 'Section Title (e.g., Key Points)';
     }
   }
@@ -1234,6 +1507,255 @@ class PlaysPage {
     `;
   }
 
+  renderChecklistSectionBody(section = {}) {
+    const items = section.items?.length ? section.items : [{}];
+
+    return `
+      <div class="section-checklist-builder">
+        <div class="checklist-items-list">
+          ${items.map(item => this.renderChecklistItemRow(item)).join('')}
+        </div>
+        <button type="button" class="btn btn-secondary btn-sm add-checklist-item-btn">
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="12" y1="5" x2="12" y2="19"/>
+            <line x1="5" y1="12" x2="19" y2="12"/>
+          </svg>
+          Add Item
+        </button>
+        <div class="checklist-progress-field">
+          <label>Mirror progress to HubSpot</label>
+          <select class="section-progress-property">
+            ${this.renderProgressPropertyOptions(section.progressProperty)}
+          </select>
+          <span class="form-hint">Reps tick items off per record in the sidebar. Optionally write the percentage done (0-100) to a number property of the record.</span>
+        </div>
+      </div>
+    `;
+  }
+
+  renderChecklistItemRow(item = {}) {
+    // IDs stay the same when the label is edited, so ticks survive rewording
+    const itemId = item.id || window.RevGuideChecklists.createItemId();
+    return `
+      <div class="checklist-item-row" data-item-id="${AdminShared.escapeHtml(itemId)}">
+        <span class="checklist-item-box"></span>
+        <input type="text" class="checklist-item-label" placeholder="e.g., Send MSA" value="${AdminShared.escapeHtml(item.label || '')}">
+        <button type="button" class="btn-icon btn-icon-danger remove-checklist-item-btn" title="Remove item">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"/>
+            <line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
+      </div>
+    `;
+  }
+
+  renderProgressPropertyOptions(selected = '') {
+    const numberProperties = this.fieldSectionProperties.filter(p => p.type === 'number');
+    const options = numberProperties.map(p =>
+      `<option value="${AdminShared.escapeHtml(p.name)}" ${p.name === selected ? 'selected' : ''}>${AdminShared.escapeHtml(p.label)}</option>`
+    );
+    // Keep a saved property selectable while properties load or if it's no longer listed
+    if (selected && !numberProperties.some(p => p.name === selected)) {
+      options.unshift(`<option value="${AdminShared.escapeHtml(selected)}" selected>${AdminShared.escapeHtml(selected)}</option>`);
+    }
+    return `<option value="">Don't sync</option>${options.join('')}`;
+  }
+
+  initChecklistSectionEvents(bodyContainer) {
+    const list = bodyContainer.querySelector('.checklist-items-list');
+    bodyContainer.querySelector('.add-checklist-item-btn').addEventListener('click', () => {
+      list.insertAdjacentHTML('beforeend', this.renderChecklistItemRow());
+      this.initChecklistItemRow(list.lastElementChild);
+      list.lastElementChild.querySelector('.checklist-item-label').focus();
+    });
+
+    list.querySelectorAll('.checklist-item-row').forEach(row => this.initChecklistItemRow(row));
+  }
+
+  initChecklistItemRow(row) {
+    row.querySelector('.remove-checklist-item-btn').addEventListener('click', () => row.remove());
+
+    // Enter adds the next item
+    row.querySelector('.checklist-item-label').addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter') return;
+      e.preventDefault();
+      row.closest('.section-checklist-builder').querySelector('.add-checklist-item-btn').click();
+    });
+  }
+
+  getChecklistFromSection(sectionRow) {
+    const items = [...sectionRow.querySelectorAll('.checklist-item-row')]
+      .map(row => ({ id: row.dataset.itemId, label: row.querySelector('.checklist-item-label').value.trim() }))
+      .filter(item => item.label);
+    const progressProperty = sectionRow.querySelector('.section-progress-property')?.value || null;
+    return { items, progressProperty };
+  }
+
+  // ===== Guided Play Steps =====
+
+  /**
+   * Add a step to the guided play builder
+   * @param {Object} [step] - Saved step section
+   */
+  addGuidedStep(step = null) {
+    const GuidedPlays = window.RevGuideGuidedPlays;
+    const container = document.getElementById('guidedSteps');
+    // IDs stay the same when steps are edited, so choices keep pointing at them
+    const stepId = step?.id || GuidedPlays.createStepId();
+    const choices = step ? GuidedPlays.getChoices(step) : [{}, {}];
+
+    const div = document.createElement('div');
+    div.className = 'guided-step';
+    div.dataset.stepId = stepId;
+    div.innerHTML = `
+      <div class="guided-step-header">
+        <span class="guided-step-number"></span>
+        <input type="text" class="guided-step-title" placeholder="Question, e.g., Is budget approved?" value="${AdminShared.escapeHtml(step?.title || '')}">
+        <button type="button" class="btn-icon btn-icon-danger remove-guided-step-btn" title="Remove step">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"/>
+            <line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
+      </div>
+      <textarea class="guided-step-content" rows="2" placeholder="Guidance for the rep (optional). Use {{propertyName}} to display record data">${AdminShared.escapeHtml(step?.content || '')}</textarea>
+      <div class="guided-choices-list">
+        ${choices.map(choice => this.renderGuidedChoiceRow(choice)).join('')}
+      </div>
+      <button type="button" class="btn btn-secondary btn-sm add-guided-choice-btn">
+        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="12" y1="5" x2="12" y2="19"/>
+          <line x1="5" y1="12" x2="19" y2="12"/>
+        </svg>
+        Add Answer
+      </button>
+      <div class="guided-step-property-field">
+        <label>Save answer to HubSpot</label>
+        <select class="guided-step-property">
+          ${this.renderStepPropertyOptions(step?.property)}
+        </select>
+        <span class="form-hint">Writes the chosen answer's value (or its label) to this property of the record. Steps without answers just show a Continue button.</span>
+      </div>
+    `;
+    container.appendChild(div);
+
+    div.querySelector('.remove-guided-step-btn').addEventListener('click', () => {
+      div.remove();
+      this.refreshGuidedStepTargets();
+    });
+    div.querySelector('.guided-step-title').addEventListener('input', () => this.refreshGuidedStepTargets());
+    div.querySelector('.add-guided-choice-btn').addEventListener('click', () => {
+      const list = div.querySelector('.guided-choices-list');
+      list.insertAdjacentHTML('beforeend', this.renderGuidedChoiceRow());
+      this.initGuidedChoiceRow(list.lastElementChild);
+      this.refreshGuidedStepTargets();
+      list.lastElementChild.querySelector('.guided-choice-label').focus();
+    });
+    div.querySelectorAll('.guided-choice-row').forEach(row => this.initGuidedChoiceRow(row));
+
+    this.refreshGuidedStepTargets();
+    if (!step) div.querySelector('.guided-step-title').focus();
+  }
+
+  renderGuidedChoiceRow(choice = {}) {
+    const choiceId = choice.id || window.RevGuideGuidedPlays.createChoiceId();
+    return `
+      <div class="guided-choice-row" data-choice-id="${AdminShared.escapeHtml(choiceId)}">
+        <input type="text" class="guided-choice-label" placeholder="Answer, e.g., Yes" value="${AdminShared.escapeHtml(choice.label || '')}">
+        <input type="text" class="guided-choice-value" placeholder="Value to save (optional)" value="${AdminShared.escapeHtml(choice.value || '')}">
+        <select class="guided-choice-target" data-selected="${AdminShared.escapeHtml(choice.nextStepId || '')}"></select>
+        <button type="button" class="btn-icon btn-icon-danger remove-guided-choice-btn" title="Remove answer">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"/>
+            <line x1="6" y1="6" x2="18" y2="18"/>
+          </svg>
+        </button>
+      </div>
+    `;
+  }
+
+  initGuidedChoiceRow(row) {
+    row.querySelector('.remove-guided-choice-btn').addEventListener('click', () => row.remove());
+
+    // Remember the pick so it survives re-rendering the options
+    const select = row.querySelector('.guided-choice-target');
+    select.addEventListener('change', () => {
+      select.dataset.selected = select.value;
+    });
+  }
+
+  /**
+   * Renumber the steps and rebuild the "go to" options of every answer
+   * Answers pointing at a removed step fall back to the next step
+   */
+  refreshGuidedStepTargets() {
+    const steps = [...document.querySelectorAll('#guidedSteps .guided-step')].map((stepEl, i) => {
+      stepEl.querySelector('.guided-step-number').textContent = i + 1;
+      return { id: stepEl.dataset.stepId, title: stepEl.querySelector('.guided-step-title').value.trim() };
+    });
+
+    document.querySelectorAll('#guidedSteps .guided-step').forEach(stepEl => {
+      const targets = steps.map((step, i) => ({ ...step, number: i + 1 })).filter(step => step.id !== stepEl.dataset.stepId);
+      stepEl.querySelectorAll('.guided-choice-target').forEach(select => {
+        const selected = select.dataset.selected || '';
+        select.innerHTML = `
+          <option value="">Go to next step</option>
+          ${targets.map(step => `<option value="${AdminShared.escapeHtml(step.id)}" ${step.id === selected ? 'selected' : ''}>Go to ${step.number}. ${AdminShared.escapeHtml(step.title || 'Untitled step')}</option>`).join('')}
+          <option value="${window.RevGuideGuidedPlays.END}" ${selected === window.RevGuideGuidedPlays.END ? 'selected' : ''}>End play</option>
+        `;
+      });
+    });
+  }
+
+  renderStepPropertyOptions(selected = '') {
+    const properties = this.fieldSectionProperties;
+    const options = properties.map(p =>
+      `<option value="${AdminShared.escapeHtml(p.name)}" ${p.name === selected ? 'selected' : ''}>${AdminShared.escapeHtml(p.label)}</option>`
+    );
+    // Keep a saved property selectable while properties load or if it's no longer listed
+    if (selected && !properties.some(p => p.name === selected)) {
+      options.unshift(`<option value="${AdminShared.escapeHtml(selected)}" selected>${AdminShared.escapeHtml(selected)}</option>`);
+    }
+    return `<option value="">Don't save</option>${options.join('')}`;
+  }
+
+  /**
+   * Describe where an answer leads, for the read-only play details
+   * @param {Array<Object>} steps - Step sections
+   * @param {string} nextStepId
+   * @returns {string}
+   */
+  describeStepTarget(steps, nextStepId) {
+    if (nextStepId === window.RevGuideGuidedPlays.END) return 'End play';
+    const index = (steps || []).findIndex(step => step.id === nextStepId);
+    return index === -1 ? 'Next step' : `Step ${index + 1}`;
+  }
+
+  /**
+   * Read the guided play steps from the builder, as play sections
+   * @returns {Array<Object>}
+   */
+  getGuidedSteps() {
+    return [...document.querySelectorAll('#guidedSteps .guided-step')]
+      .map(stepEl => ({
+        type: 'step',
+        id: stepEl.dataset.stepId,
+        title: stepEl.querySelector('.guided-step-title').value.trim(),
+        content: stepEl.querySelector('.guided-step-content').value.trim(),
+        property: stepEl.querySelector('.guided-step-property').value || null,
+        choices: [...stepEl.querySelectorAll('.guided-choice-row')]
+          .map(row => ({
+            id: row.dataset.choiceId,
+            label: row.querySelector('.guided-choice-label').value.trim(),
+            value: row.querySelector('.guided-choice-value').value.trim(),
+            nextStepId: row.querySelector('.guided-choice-target').value
+          }))
+          .filter(choice => choice.label)
+      }))
+      .filter(step => step.title || step.content || step.choices.length > 0);
+  }
+
   renderFieldRow(field = {}, index = 0) {
     const properties = this.fieldSectionProperties;
     const selectedProp = field?.property ? properties.find(p => p.name === field.property) : null;
@@ -1253,8 +1775,11 @@ class PlaysPage {
       }
     };
 
+    const { showWhen = null, validation = null, dependsOn = null } = field || {};
+    const rules = { showWhen, validation, dependsOn };
+
     return `
-      <div class="field-row" data-index="${index}">
+      <div class="field-row" data-index="${index}" data-rules-encoded="${btoa(encodeURIComponent(JSON.stringify(rules)))}">
         <div class="searchable-select field-property-select">
           <button type="button" class="searchable-select-trigger"
             data-value="${field?.property || ''}"
@@ -1294,12 +1819,26 @@ class PlaysPage {
           <input type="checkbox" class="field-required-checkbox" ${field?.required ? 'checked' : ''}>
           <span>Required</span>
         </label>
+        <button type="button" class="btn-icon field-rules-btn ${window.RevGuideFieldRules.hasRules(rules) ? 'has-rules' : ''}" title="Conditions, validation and dependent options">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="4" y1="21" x2="4" y2="14"/>
+            <line x1="4" y1="10" x2="4" y2="3"/>
+            <line x1="12" y1="21" x2="12" y2="12"/>
+            <line x1="12" y1="8" x2="12" y2="3"/>
+            <line x1="20" y1="21" x2="20" y2="16"/>
+            <line x1="20" y1="12" x2="20" y2="3"/>
+            <line x1="1" y1="14" x2="7" y2="14"/>
+            <line x1="9" y1="8" x2="15" y2="8"/>
+            <line x1="17" y1="16" x2="23" y2="16"/>
+          </svg>
+        </button>
         <button type="button" class="btn-icon btn-icon-danger remove-field-btn" title="Remove field">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <line x1="18" y1="6" x2="6" y2="18"/>
             <line x1="6" y1="6" x2="18" y2="18"/>
           </svg>
         </button>
+        <div class="field-rules-panel" hidden></div>
       </div>
     `;
   }
@@ -1341,6 +1880,19 @@ class PlaysPage {
     if (removeBtn) {
       removeBtn.addEventListener('click', () => row.remove());
     }
+
+    // Rules panel
+    row.querySelector('.field-rules-btn').addEventListener('click', () => this.toggleFieldRulesPanel(row));
+    const panel = row.querySelector('.field-rules-panel');
+    panel.addEventListener('input', () => this.readFieldRulesPanel(row));
+    panel.addEventListener('change', (e) => {
+      this.readFieldRulesPanel(row);
+      // These change which inputs the panel shows; read again to pick up the new inputs' defaults
+      if (e.target.matches('.rule-show-property, .rule-show-operator, .rule-depends-property')) {
+        this.renderFieldRulesPanel(row);
+        this.readFieldRulesPanel(row);
+      }
+    });
   }
 
   initFieldPropertySelect(selectEl) {
@@ -1393,6 +1945,12 @@ class PlaysPage {
           opt.classList.toggle('selected', opt.dataset.value === value);
         });
 
+        // Validation and dependent options depend on the property's type
+        const row = selectEl.closest('.field-row');
+        if (row && !row.querySelector('.field-rules-panel').hidden) {
+          this.renderFieldRulesPanel(row);
+        }
+
         selectEl.classList.remove('open');
       }
     });
@@ -1412,6 +1970,203 @@ class PlaysPage {
     });
   }
 
+  // ===== Field Rules (conditional fields, validation, dependent dropdowns) =====
+
+  getFieldRules(row) {
+    try {
+      return JSON.parse(decodeURIComponent(atob(row.dataset.rulesEncoded || ''))) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  setFieldRules(row, rules) {
+    row.dataset.rulesEncoded = btoa(encodeURIComponent(JSON.stringify(rules)));
+    row.querySelector('.field-rules-btn').classList.toggle('has-rules', window.RevGuideFieldRules.hasRules(rules));
+  }
+
+  decodeFieldOptions(encoded) {
+    try {
+      return encoded ? JSON.parse(decodeURIComponent(atob(encoded))) : [];
+    } catch (e) {
+      return [];
+    }
+  }
+
+  /**
+   * Other fields picked in the same fields section
+   * @param {HTMLElement} row - Field row
+   * @returns {Array<{property: string, label: string, options: Array}>}
+   */
+  getSiblingFields(row) {
+    return [...row.closest('.fields-list').querySelectorAll('.field-row')]
+      .filter(other => other !== row)
+      .map(other => other.querySelector('.searchable-select-trigger'))
+      .filter(trigger => trigger?.dataset.value)
+      .map(trigger => ({
+        property: trigger.dataset.value,
+        label: trigger.dataset.label || trigger.dataset.value,
+        options: this.decodeFieldOptions(trigger.dataset.optionsEncoded)
+      }));
+  }
+
+  toggleFieldRulesPanel(row) {
+    const panel = row.querySelector('.field-rules-panel');
+    panel.hidden = !panel.hidden;
+    if (!panel.hidden) this.renderFieldRulesPanel(row);
+  }
+
+  renderFieldRulesPanel(row) {
+    const panel = row.querySelector('.field-rules-panel');
+    const rules = this.getFieldRules(row);
+    const trigger = row.querySelector('.searchable-select-trigger');
+    const type = trigger.dataset.type || '';
+    const fieldType = trigger.dataset.fieldType || '';
+    const options = this.decodeFieldOptions(trigger.dataset.optionsEncoded);
+    const siblings = this.getSiblingFields(row);
+    const esc = AdminShared.escapeHtml;
+    const optionValue = (opt) => String(opt?.value !== undefined ? opt.value : opt);
+    const optionLabel = (opt) => opt?.label || String(opt);
+
+    // Show when
+    const showWhen = rules.showWhen || {};
+    const showParent = siblings.find(f => f.property === showWhen.property);
+    const operator = showWhen.operator || 'equals';
+    const operatorLabels = {
+      equals: 'is',
+      not_equals: 'is not',
+      contains: 'contains',
+      is_empty: 'is empty',
+      is_not_empty: 'is not empty',
+      greater_than: 'is greater than',
+      less_than: 'is less than'
+    };
+    let showValueHtml = '';
+    if (showWhen.property && !['is_empty', 'is_not_empty'].includes(operator)) {
+      showValueHtml = showParent?.options.length
+        ? `<select class="rule-show-value">
+            ${showParent.options.map(opt => `<option value="${esc(optionValue(opt))}" ${optionValue(opt) === String(showWhen.value ?? '') ? 'selected' : ''}>${esc(optionLabel(opt))}</option>`).join('')}
+          </select>`
+        : `<input type="text" class="rule-show-value" placeholder="Value" value="${esc(showWhen.value ?? '')}">`;
+    }
+
+    // Validation, depending on the kind of field
+    const validation = rules.validation || {};
+    let validationHtml = '';
+    if (type === 'number' || fieldType === 'number') {
+      validationHtml = `
+        <input type="number" class="rule-min" placeholder="Min" value="${esc(String(validation.min ?? ''))}">
+        <input type="number" class="rule-max" placeholder="Max" value="${esc(String(validation.max ?? ''))}">
+      `;
+    } else if (type === 'date' || type === 'datetime' || fieldType === 'date') {
+      validationHtml = `
+        <label class="field-rules-checkbox">
+          <input type="checkbox" class="rule-future" ${validation.future ? 'checked' : ''}>
+          <span>Must be a date in the future</span>
+        </label>
+      `;
+    } else if (!options.length && type !== 'bool' && fieldType !== 'booleancheckbox') {
+      validationHtml = `<input type="text" class="rule-pattern" placeholder="Regex, e.g. ^PO-\\d{4}$" value="${esc(validation.pattern || '')}">`;
+    }
+
+    // Dependent dropdown
+    const dependsOn = rules.dependsOn || {};
+    const parents = options.length ? siblings.filter(f => f.options.length > 0) : [];
+    const dependsParent = parents.find(f => f.property === dependsOn.property);
+    const mappingHtml = dependsParent ? dependsParent.options.map(parentOpt => {
+      const allowed = dependsOn.options?.[optionValue(parentOpt)] || [];
+      return `
+        <div class="field-rules-mapping-row">
+          <span class="field-rules-mapping-label">${esc(optionLabel(parentOpt))}</span>
+          <select multiple class="rule-depends-options" data-parent-value="${esc(optionValue(parentOpt))}">
+            ${options.map(opt => `<option value="${esc(optionValue(opt))}" ${allowed.includes(optionValue(opt)) ? 'selected' : ''}>${esc(optionLabel(opt))}</option>`).join('')}
+          </select>
+        </div>
+      `;
+    }).join('') : '';
+
+    panel.innerHTML = `
+      <div class="field-rules-group">
+        <label>Show this field</label>
+        <div class="field-rules-inline">
+          <select class="rule-show-property">
+            <option value="">Always</option>
+            ${siblings.map(f => `<option value="${esc(f.property)}" ${f.property === showWhen.property ? 'selected' : ''}>When ${esc(f.label)}</option>`).join('')}
+          </select>
+          ${showWhen.property ? `
+            <select class="rule-show-operator">
+              ${Object.entries(operatorLabels).map(([value, label]) => `<option value="${value}" ${value === operator ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+            ${showValueHtml}
+          ` : ''}
+        </div>
+      </div>
+      ${validationHtml ? `
+        <div class="field-rules-group">
+          <label>Validation</label>
+          <div class="field-rules-inline">${validationHtml}</div>
+          <input type="text" class="rule-message" placeholder="Error message (optional)" value="${esc(validation.message || '')}">
+        </div>
+      ` : ''}
+      ${parents.length ? `
+        <div class="field-rules-group">
+          <label>Options depend on</label>
+          <select class="rule-depends-property">
+            <option value="">Nothing (offer every option)</option>
+            ${parents.map(f => `<option value="${esc(f.property)}" ${f.property === dependsOn.property ? 'selected' : ''}>${esc(f.label)}</option>`).join('')}
+          </select>
+          ${mappingHtml ? `
+            <div class="field-rules-mapping">${mappingHtml}</div>
+            <span class="form-hint">Pick the options to offer for each value (Cmd/Ctrl+click for several). Leave empty to offer every option.</span>
+          ` : ''}
+        </div>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Save the rules panel's inputs to the field row
+   * @param {HTMLElement} row - Field row
+   */
+  readFieldRulesPanel(row) {
+    const panel = row.querySelector('.field-rules-panel');
+    const previous = this.getFieldRules(row);
+    const value = (selector) => panel.querySelector(selector)?.value.trim() || '';
+
+    const showProperty = value('.rule-show-property');
+    const operator = value('.rule-show-operator') || 'equals';
+    const showWhen = showProperty
+      ? { property: showProperty, operator, value: ['is_empty', 'is_not_empty'].includes(operator) ? '' : value('.rule-show-value') }
+      : null;
+
+    const validation = {};
+    if (value('.rule-min')) validation.min = Number(value('.rule-min'));
+    if (value('.rule-max')) validation.max = Number(value('.rule-max'));
+    if (panel.querySelector('.rule-future')?.checked) validation.future = true;
+    if (value('.rule-pattern')) validation.pattern = value('.rule-pattern');
+    if (value('.rule-message')) validation.message = value('.rule-message');
+
+    const dependsProperty = value('.rule-depends-property');
+    let dependsOn = null;
+    if (dependsProperty) {
+      const options = {};
+      // Mappings belong to the previous parent until the panel re-renders for a new one
+      if (previous.dependsOn?.property === dependsProperty) {
+        panel.querySelectorAll('.rule-depends-options').forEach(select => {
+          const selected = [...select.selectedOptions].map(opt => opt.value);
+          if (selected.length) options[select.dataset.parentValue] = selected;
+        });
+      }
+      dependsOn = { property: dependsProperty, options };
+    }
+
+    this.setFieldRules(row, {
+      showWhen,
+      validation: Object.keys(validation).length ? validation : null,
+      dependsOn
+    });
+  }
+
   async loadFieldSectionProperties() {
     const objectType = document.getElementById('playObjectType').value;
     if (!objectType) {
@@ -1438,6 +2193,15 @@ class PlaysPage {
       bodyContainer.innerHTML = this.renderFieldsSectionBody(currentFields);
       this.initFieldsSectionEvents(bodyContainer);
     });
+
+    // Checklists offer the object's number properties for mirroring progress
+    container.querySelectorAll('.section-row[data-type="checklist"] .section-progress-property').forEach(select => {
+      select.innerHTML = this.renderProgressPropertyOptions(select.value);
+    });
+
+    document.querySelectorAll('#guidedSteps .guided-step-property').forEach(select => {
+      select.innerHTML = this.renderStepPropertyOptions(select.value);
+    });
   }
 
   getFieldsFromSection(sectionRow) {
@@ -1460,13 +2224,17 @@ class PlaysPage {
           options = [];
         }
 
+        const { showWhen, validation, dependsOn } = this.getFieldRules(row);
         fields.push({
           property,
           required,
           label: trigger.dataset.label || property,
           type: trigger.dataset.type || '',
           fieldType: trigger.dataset.fieldType || '',
-          options: options
+          options: options,
+          ...(showWhen && { showWhen }),
+          ...(validation && { validation }),
+          ...(dependsOn && { dependsOn })
         });
       }
     });
@@ -1519,6 +2287,11 @@ class PlaysPage {
   }
 
   getSections() {
+    // Guided plays keep their steps in sections, so translations and revisions cover them too
+    if (document.getElementById('playType').value === 'guided') {
+      return this.getGuidedSteps();
+    }
+
     const container = document.getElementById('playSections');
     const sections = [];
 
@@ -1536,10 +2309,15 @@ class PlaysPage {
         if (title || fields.length > 0) {
           sections.push({ type, title, fields });
         }
+      } else if (type === 'checklist') {
+        const { items, progressProperty } = this.getChecklistFromSection(item);
+        if (title || items.length > 0) {
+          sections.push({ type, title, items, progressProperty });
+        }
       } else {
         // Get content from Tiptap editor
         const editor = this.sectionEditors.get(item);
-        const content = editor ? editor.getHTML().trim() : '';
+        const content = editor ? editor.getHTML().trim() : (item.dataset.pendingContent || '').trim();
         if (title || content) {
           sections.push({ type, title, content });
         }
@@ -1549,7 +2327,14 @@ class PlaysPage {
     return sections;
   }
 
-  async savePlay() {
+  /**
+   * Save the play from the editor
+   * @param {Object} [options]
+   * @param {boolean} [options.asDraft] - Save without publishing
+   */
+  async savePlay({ asDraft = false } = {}) {
+    // Subtitle and sections below are the original's; variants carry their own
+    this.variantEditor.select(window.RevGuideVariants.CONTROL_ID);
     const name = document.getElementById('playName').value.trim();
     const cardType = document.getElementById('playType').value;
     const subtitle = document.getElementById('playSubtitle').value.trim();
@@ -1568,9 +2353,34 @@ class PlaysPage {
 
     const conditionGroups = AdminShared.getConditionGroups('playConditionGroups');
     const isRecommendedContent = cardType === 'recommended_content';
+    const isGuided = cardType === 'guided';
     const sections = isRecommendedContent ? [] : this.getSections();
     const groupLogic = AdminShared.getGroupLogic('playGroupLogicToggle');
     const displayOnAll = document.getElementById('playDisplayOnAll').checked;
+    const schedule = AdminShared.getScheduleFromEditor(document.getElementById('playSchedule'));
+    const audience = AdminShared.getAudienceFromEditor(document.getElementById('playAudience'));
+
+    const scheduleError = AdminShared.validateSchedule(schedule);
+    if (scheduleError) {
+      alert(scheduleError);
+      return;
+    }
+
+    if (isGuided) {
+      const stepsError = window.RevGuideGuidedPlays.validateSteps(sections);
+      if (stepsError) {
+        alert(stepsError);
+        return;
+      }
+    }
+
+    const variants = isRecommendedContent || isGuided ? [] : this.variantEditor.getVariants();
+    const translations = this.translationEditor.getTranslations();
+    const variantsError = AdminShared.validateVariants(variants);
+    if (variantsError) {
+      alert(variantsError);
+      return;
+    }
 
     // Build play data object (camelCase for local use)
     const playData = {
@@ -1582,9 +2392,15 @@ class PlaysPage {
       conditionGroups,
       groupLogic,
       displayOnAll,
-      sections
+      schedule,
+      audience,
+      sections,
+      variants,
+      translations
     };
 
+    let savedPlay = null;
+    let submitted = false;
     try {
       // In web context, save directly to Supabase
       if (!AdminShared.isExtensionContext && typeof RevGuideDB !== 'undefined') {
@@ -1598,7 +2414,12 @@ class PlaysPage {
           condition_groups: conditionGroups,
           group_logic: groupLogic,
           display_on_all: displayOnAll,
-          sections
+          schedule,
+          audience,
+          sections,
+          variants,
+          translations,
+          status: asDraft || !this.canPublish ? 'draft' : 'published'
         };
 
         let playId = this.editingPlayId;
@@ -1614,6 +2435,7 @@ class PlaysPage {
           if (index !== -1) {
             this.battleCards[index] = mappedData;
           }
+          savedPlay = mappedData;
         } else {
           // Create new play
           const { data, error } = await RevGuideDB.createPlay(supabaseData);
@@ -1624,6 +2446,13 @@ class PlaysPage {
           // Map response back to camelCase and add to local array
           const mappedData = this.mapPlayFromSupabase(data);
           this.battleCards.push(mappedData);
+          savedPlay = mappedData;
+        }
+
+        // Editors who can't publish send their changes to an admin
+        if (!asDraft && !this.canPublish) {
+          submitted = await AdminShared.submitContentForReview('play', savedPlay);
+          if (submitted) savedPlay.status = 'in_review';
         }
 
         // Save content asset links for recommended_content type
@@ -1659,7 +2488,9 @@ class PlaysPage {
       }
 
       AdminShared.notifyContentScript();
-      AdminShared.showToast('Play saved successfully', 'success');
+      const savedMessage = submitted ? 'Play submitted for review'
+        : (asDraft || !this.canPublish ? 'Play saved as draft' : 'Play saved successfully');
+      AdminShared.showToast(savedMessage, 'success');
       this.closePlayEditor();
     } catch (error) {
       console.error('Failed to save play:', error);
@@ -1680,7 +2511,14 @@ class PlaysPage {
       conditionGroups: data.condition_groups,
       groupLogic: data.group_logic,
       displayOnAll: data.display_on_all,
+      schedule: data.schedule || null,
+      audience: data.audience || null,
       sections: data.sections,
+      variants: data.variants || [],
+      translations: data.translations || {},
+      status: data.status || 'published',
+      reviewNote: data.review_note || null,
+      submittedAt: data.submitted_at || null,
       createdAt: data.created_at,
       updatedAt: data.updated_at
     };
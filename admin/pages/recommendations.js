@@ -68,6 +68,7 @@
     elements.contentPriority = document.getElementById('contentPriority');
     elements.contentEnabled = document.getElementById('contentEnabled');
     elements.displayOnAll = document.getElementById('displayOnAll');
+    elements.contentSchedule = document.getElementById('contentSchedule');
     elements.tagSelectGrid = document.getElementById('tagSelectGrid');
     elements.noTagsMessage = document.getElementById('noTagsMessage');
     // Delete Modal
@@ -251,6 +252,7 @@
                 <span class="content-type-badge ${item.content_type}">${typeLabel}</span>
                 ${!item.enabled ? '<span style="color: var(--text-muted); font-size: 12px;">(Disabled)</span>' : ''}
                 ${item.display_on_all ? '<span style="color: var(--success); font-size: 12px;">Always shown</span>' : ''}
+                ${AdminShared.renderScheduleBadge(item.schedule)}
               </div>
               <h3 style="font-size: 16px; font-weight: 500; color: var(--text-primary); margin: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;">
                 ${escapeHtml(item.title)}
@@ -296,6 +298,7 @@
     elements.contentPriority.value = editingContent?.priority || 0;
     elements.contentEnabled.checked = editingContent?.enabled !== false;
     elements.displayOnAll.checked = editingContent?.display_on_all || false;
+    AdminShared.setScheduleEditor(elements.contentSchedule, editingContent?.schedule || null);
 
     // Render tag selection
     renderTagSelection();
@@ -365,6 +368,7 @@
     const priority = parseInt(elements.contentPriority.value) || 0;
     const enabled = elements.contentEnabled.checked;
     const displayOnAll = elements.displayOnAll.checked;
+    const schedule = AdminShared.getScheduleFromEditor(elements.contentSchedule);
 
     // Validation
     if (!title) {
@@ -379,6 +383,12 @@
       return;
     }
 
+    const scheduleError = AdminShared.validateSchedule(schedule);
+    if (scheduleError) {
+      AdminShared.showToast(scheduleError, 'error');
+      return;
+    }
+
     elements.saveContentBtn.disabled = true;
     elements.saveContentBtn.innerHTML = '<span class="loading-spinner loading-spinner--sm"></span> Saving...';
 
@@ -392,6 +402,7 @@
         priority,
         enabled,
         display_on_all: displayOnAll,
+        schedule,
         tag_ids: Array.from(selectedTagIds)
       };
 
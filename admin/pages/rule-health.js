@@ -0,0 +1,79 @@
+/**
+ * RevGuide - Rule Health Page
+ *
+ * Lints every banner and play: rules that can never match, duplicates,
+ * banners that clash on the same records and shadowed priorities.
+ */
+
+class RuleHealthPage {
+  constructor() {
+    this.banners = [];
+    this.plays = [];
+    this.init();
+  }
+
+  async init() {
+    // Check authentication (redirects to login if not authenticated)
+    const isAuthenticated = await AdminShared.checkAuth();
+    if (!isAuthenticated) return;
+
+    // Render sidebar
+    AdminShared.renderSidebar('rule-health');
+
+    document.getElementById('refreshRuleHealthBtn').addEventListener('click', () => this.refreshData());
+
+    const data = await AdminShared.loadStorageData();
+    this.banners = data.rules || [];
+    this.plays = data.battleCards || [];
+    this.render();
+  }
+
+  async refreshData() {
+    const btn = document.getElementById('refreshRuleHealthBtn');
+    const icon = btn.querySelector('.icon');
+
+    icon.classList.add('spinning');
+    btn.disabled = true;
+
+    try {
+      AdminShared.clearStorageCache();
+      const data = await AdminShared.loadStorageData(true);
+      this.banners = data.rules || [];
+      this.plays = data.battleCards || [];
+      this.render();
+      AdminShared.showToast('Rule health refreshed', 'success');
+    } catch (e) {
+      console.error('Failed to refresh:', e);
+      AdminShared.showToast('Failed to refresh', 'error');
+    } finally {
+      icon.classList.remove('spinning');
+      btn.disabled = false;
+    }
+  }
+
+  render() {
+    this.renderPanel(document.getElementById('bannerLintPanel'), this.banners, 'banner');
+    this.renderPanel(document.getElementById('playLintPanel'), this.plays, 'play');
+  }
+
+  /**
+   * @param {HTMLElement} panel - Panel with [data-lint-meta] and [data-lint-result]
+   * @param {Array} rules - Banners or plays
+   * @param {string} kind - 'banner' | 'play'
+   */
+  renderPanel(panel, rules, kind) {
+    const findings = AdminShared.lintRules(rules, { kind });
+    const errors = findings.filter(f => f.severity === 'error').length;
+    const warnings = findings.length - errors;
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+    panel.querySelector('[data-lint-meta]').textContent =
+      `${plural(rules.length, kind)} checked - ${plural(errors, 'error')}, ${plural(warnings, 'warning')}`;
+    panel.querySelector('[data-lint-result]').innerHTML = AdminShared.renderRuleLintFindings(findings, { rules, kind });
+  }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new RuleHealthPage();
+});
@@ -13,6 +13,8 @@ class SettingsPage {
     this.accessRequests = []; // Partner access requests
     this.isViewOnly = false; // View-only mode for members
     this.erpConfig = null; // ERP connection configuration
+    this.computedProperties = []; // Org-defined formula properties
+    this.editingComputedPropertyId = null;
     this.init();
   }
 
@@ -113,6 +115,17 @@ class SettingsPage {
       await this.loadErpConfig();
     }
 
+    // Load computed properties (editors and above, web context)
+    if (!this.isViewOnly && !AdminShared.isExtensionContext) {
+      await this.loadComputedProperties();
+    }
+
+    // Load content languages and approval (admin, web context)
+    if (this.isAdmin && !AdminShared.isExtensionContext) {
+      await this.loadContentLanguageSettings();
+      await this.loadContentApprovalSettings();
+    }
+
     // Load partner status
     await this.loadPartnerStatus();
 
@@ -349,6 +362,13 @@ class SettingsPage {
       saveAccountBtn.addEventListener('click', () => this.saveAccountSettings());
     }
 
+    // Content languages
+    document.getElementById('defaultLanguage')?.addEventListener('change', () => this.renderTranslationLanguageOptions());
+    document.getElementById('saveContentLanguagesBtn')?.addEventListener('click', () => this.saveContentLanguageSettings());
+
+    // Content approval
+    document.getElementById('saveContentApprovalBtn')?.addEventListener('click', () => this.saveContentApprovalSettings());
+
     // Password reset button
     const sendPasswordResetBtn = document.getElementById('sendPasswordResetBtn');
     if (sendPasswordResetBtn) {
@@ -531,6 +551,9 @@ class SettingsPage {
     // ERP Configuration events
     this.bindErpEvents();
 
+    // Computed property events
+    this.bindComputedPropertyEvents();
+
   }
 
   async saveSettings() {
@@ -581,6 +604,16 @@ class SettingsPage {
     // Store original values for change detection
     this.originalUserName = name || '';
     this.originalCompanyName = companyName || '';
+    this.originalUserLanguage = AdminShared.currentUser?.preferred_language || '';
+
+    const languages = window.RevGuideTranslations.LANGUAGES;
+    const languageSelect = document.getElementById('userLanguage');
+    if (languageSelect) {
+      languageSelect.insertAdjacentHTML('beforeend', Object.entries(languages)
+        .map(([code, label]) => `<option value="${code}">${AdminShared.escapeHtml(label)}</option>`).join(''));
+      languageSelect.value = this.originalUserLanguage;
+    }
+    this.updateLanguageDisplay(this.originalUserLanguage);
 
     // Update display mode values (shown by default)
     this.updateAccountDisplay(name, email, companyName);
@@ -617,6 +650,13 @@ class SettingsPage {
     }
   }
 
+  updateLanguageDisplay(language) {
+    const displayLanguage = document.getElementById('displayUserLanguage');
+    if (displayLanguage) {
+      displayLanguage.textContent = window.RevGuideTranslations.LANGUAGES[language] || 'Same as HubSpot';
+    }
+  }
+
   enterAccountEditMode() {
     document.getElementById('accountDisplayMode').style.display = 'none';
     document.getElementById('accountEditMode').style.display = 'block';
@@ -634,6 +674,7 @@ class SettingsPage {
     // Reset inputs to original values
     document.getElementById('userName').value = this.originalUserName;
     document.getElementById('companyName').value = this.originalCompanyName;
+    document.getElementById('userLanguage').value = this.originalUserLanguage;
 
     // Clear any status message
     this.showAccountStatus('', '');
@@ -646,12 +687,14 @@ class SettingsPage {
 
     const userName = userNameInput.value.trim();
     const companyName = companyNameInput.value.trim();
+    const userLanguage = document.getElementById('userLanguage').value;
 
     // Check if anything changed
     const nameChanged = userName !== this.originalUserName;
     const companyChanged = companyName !== this.originalCompanyName;
+    const languageChanged = userLanguage !== this.originalUserLanguage;
 
-    if (!nameChanged && !companyChanged) {
+    if (!nameChanged && !companyChanged && !languageChanged) {
       this.showAccountStatus('No changes to save', 'info');
       return;
     }
@@ -662,16 +705,19 @@ class SettingsPage {
     saveBtn.innerHTML = 'Saving...';
 
     try {
-      // Update user name if changed
-      if (nameChanged) {
-        const { error: userError } = await RevGuideDB.updateUserProfile({ name: userName });
+      // Update user name and language if changed
+      if (nameChanged || languageChanged) {
+        const { error: userError } = await RevGuideDB.updateUserProfile({ name: userName, preferred_language: userLanguage || null });
         if (userError) {
           throw new Error(userError.message);
         }
         this.originalUserName = userName;
+        this.originalUserLanguage = userLanguage;
         if (AdminShared.currentUser) {
           AdminShared.currentUser.name = userName;
+          AdminShared.currentUser.preferred_language = userLanguage || null;
         }
+        this.updateLanguageDisplay(userLanguage);
       }
 
       // Update organization name if changed
@@ -1880,6 +1926,374 @@ class SettingsPage {
     }
   }
 
+  // ================================
+  // Computed Properties Methods
+  // ================================
+
+  /**
+   * Load the organization's content languages
+   */
+  async loadContentLanguageSettings() {
+    const card = document.getElementById('contentLanguagesCard');
+    if (!card || typeof RevGuideDB === 'undefined') return;
+
+    const { data, error } = await RevGuideDB.getContentLanguages();
+    if (error) {
+      console.error('[Settings] Failed to load content languages:', error);
+      return;
+    }
+    card.style.display = 'block';
+
+    const languages = window.RevGuideTranslations.LANGUAGES;
+    const defaultSelect = document.getElementById('defaultLanguage');
+    defaultSelect.innerHTML = Object.entries(languages)
+      .map(([code, label]) => `<option value="${code}">${AdminShared.escapeHtml(label)}</option>`).join('');
+    defaultSelect.value = data?.default_language || window.RevGuideTranslations.DEFAULT_LANGUAGE;
+    this.renderTranslationLanguageOptions(data?.translation_languages || []);
+  }
+
+  renderTranslationLanguageOptions(selected = null) {
+    const container = document.getElementById('translationLanguages');
+    const defaultLanguage = document.getElementById('defaultLanguage').value;
+    const checked = selected || [...container.querySelectorAll('input:checked')].map(input => input.value);
+
+    container.innerHTML = Object.entries(window.RevGuideTranslations.LANGUAGES)
+      .filter(([code]) => code !== defaultLanguage)
+      .map(([code, label]) => `
+        <label class="toggle-label">
+          <input type="checkbox" value="${code}" ${checked.includes(code) ? 'checked' : ''}>
+          <span>${AdminShared.escapeHtml(label)}</span>
+        </label>
+      `).join('');
+  }
+
+  async saveContentLanguageSettings() {
+    const defaultLanguage = document.getElementById('defaultLanguage').value;
+    const translationLanguages = [...document.querySelectorAll('#translationLanguages input:checked')].map(input => input.value);
+
+    const { error } = await RevGuideDB.updateOrganization({
+      default_language: defaultLanguage,
+      translation_languages: translationLanguages
+    });
+    if (error) {
+      console.error('[Settings] Failed to save content languages:', error);
+      AdminShared.showToast(`Failed to save languages: ${error.message}`, 'error');
+      return;
+    }
+
+    AdminShared.clearContentLanguagesCache();
+    AdminShared.showToast('Content languages saved', 'success');
+  }
+
+  /**
+   * Load whether changes need admin approval before publishing
+   */
+  async loadContentApprovalSettings() {
+    const card = document.getElementById('contentApprovalCard');
+    if (!card || typeof RevGuideDB === 'undefined') return;
+
+    const { data, error } = await RevGuideDB.getContentReviewSettings();
+    if (error) {
+      console.error('[Settings] Failed to load content approval:', error);
+      return;
+    }
+    card.style.display = 'block';
+    document.getElementById('requireContentApproval').checked = !!data?.require_content_approval;
+  }
+
+  async saveContentApprovalSettings() {
+    const requireApproval = document.getElementById('requireContentApproval').checked;
+
+    const { error } = await RevGuideDB.updateOrganization({ require_content_approval: requireApproval });
+    if (error) {
+      console.error('[Settings] Failed to save content approval:', error);
+      AdminShared.showToast(`Failed to save content approval: ${error.message}`, 'error');
+      return;
+    }
+
+    AdminShared.clearReviewSettingsCache();
+    AdminShared.showToast(requireApproval ? 'Changes now need admin approval' : 'Editors can publish directly', 'success');
+  }
+
+  /**
+   * Load the organization's computed properties
+   */
+  async loadComputedProperties() {
+    const card = document.getElementById('computedPropertiesCard');
+    if (!card || typeof RevGuideDB === 'undefined') return;
+    card.style.display = 'block';
+
+    const { data, error } = await RevGuideDB.getComputedProperties();
+    if (error) {
+      console.error('[Settings] Failed to load computed properties:', error);
+      document.getElementById('computedPropertiesList').innerHTML =
+        '<p class="computed-property-meta">Could not load computed properties.</p>';
+      return;
+    }
+
+    this.computedProperties = (data || []).map(AdminShared.mapComputedPropertyFromSupabase);
+    this.renderComputedProperties();
+  }
+
+  renderComputedProperties() {
+    const listEl = document.getElementById('computedPropertiesList');
+    if (!listEl) return;
+
+    if (this.computedProperties.length === 0) {
+      listEl.innerHTML = '<p class="computed-property-meta">No computed properties yet.</p>';
+      return;
+    }
+
+    listEl.innerHTML = this.computedProperties.map(cp => `
+      <div class="computed-property-row">
+        <div>
+          <strong>${AdminShared.escapeHtml(cp.label)}</strong>
+          <div class="computed-property-meta">
+            <code>computed.${AdminShared.escapeHtml(cp.key)}</code>
+            · ${AdminShared.COMPUTED_RESULT_TYPES[cp.resultType] || 'Text'}
+            · ${cp.objectType ? AdminShared.escapeHtml(cp.objectType) : 'All object types'}
+          </div>
+          <code>${AdminShared.escapeHtml(cp.expression)}</code>
+        </div>
+        <div style="display: flex; gap: var(--space-2);">
+          <button class="btn-icon-sm edit-computed-property-btn" data-id="${cp.id}" title="Edit">
+            <span class="icon icon-edit icon--sm"></span>
+          </button>
+          <button class="btn-icon-sm btn-danger-icon delete-computed-property-btn" data-id="${cp.id}" title="Delete">
+            <span class="icon icon-trash icon--sm"></span>
+          </button>
+        </div>
+      </div>
+    `).join('');
+
+    listEl.querySelectorAll('.edit-computed-property-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.openComputedPropertyForm(this.computedProperties.find(cp => cp.id === btn.dataset.id));
+      });
+    });
+    listEl.querySelectorAll('.delete-computed-property-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.deleteComputedProperty(btn.dataset.id));
+    });
+  }
+
+  bindComputedPropertyEvents() {
+    const addBtn = document.getElementById('addComputedPropertyBtn');
+    if (!addBtn) return;
+
+    const resultTypeSelect = document.getElementById('computedPropertyResultType');
+    resultTypeSelect.innerHTML = Object.entries(AdminShared.COMPUTED_RESULT_TYPES)
+      .map(([value, label]) => `<option value="${value}">${label}</option>`)
+      .join('');
+
+    const labelInput = document.getElementById('computedPropertyLabel');
+    const keyInput = document.getElementById('computedPropertyKey');
+
+    // Suggest a key from the label until the key is edited by hand
+    labelInput.addEventListener('input', () => {
+      if (keyInput.dataset.edited) return;
+      keyInput.value = labelInput.value.toLowerCase().trim()
+        .replace(/[^a-z0-9]+/g, '_')
+        .replace(/^[^a-z]+|_+$/g, '');
+      this.updateComputedPropertyKeyPreview();
+    });
+    keyInput.addEventListener('input', () => {
+      keyInput.dataset.edited = 'true';
+      this.updateComputedPropertyKeyPreview();
+    });
+
+    document.getElementById('computedPropertyExpression')
+      .addEventListener('input', () => this.validateComputedPropertyExpression());
+
+    addBtn.addEventListener('click', () => this.openComputedPropertyForm());
+    document.getElementById('cancelComputedPropertyBtn').addEventListener('click', () => this.closeComputedPropertyForm());
+    document.getElementById('saveComputedPropertyBtn').addEventListener('click', () => this.saveComputedProperty());
+    document.getElementById('testComputedPropertyBtn').addEventListener('click', () => this.testComputedProperty());
+  }
+
+  openComputedPropertyForm(computedProperty = null) {
+    this.editingComputedPropertyId = computedProperty?.id || null;
+
+    const keyInput = document.getElementById('computedPropertyKey');
+    document.getElementById('computedPropertyLabel').value = computedProperty?.label || '';
+    keyInput.value = computedProperty?.key || '';
+    if (computedProperty) {
+      keyInput.dataset.edited = 'true';
+    } else {
+      delete keyInput.dataset.edited;
+    }
+    document.getElementById('computedPropertyObjectType').value = computedProperty?.objectType || '';
+    document.getElementById('computedPropertyResultType').value = computedProperty?.resultType || 'string';
+    document.getElementById('computedPropertyExpression').value = computedProperty?.expression || '';
+    document.getElementById('computedPropertyTestResult').textContent = '';
+
+    this.updateComputedPropertyKeyPreview();
+    this.validateComputedPropertyExpression();
+    document.getElementById('computedPropertyForm').style.display = 'block';
+    document.getElementById('computedPropertyLabel').focus();
+  }
+
+  closeComputedPropertyForm() {
+    this.editingComputedPropertyId = null;
+    document.getElementById('computedPropertyForm').style.display = 'none';
+  }
+
+  updateComputedPropertyKeyPreview() {
+    const key = document.getElementById('computedPropertyKey').value.trim();
+    document.getElementById('computedPropertyKeyPreview').textContent = key || 'key';
+  }
+
+  /**
+   * Validate the formula as it is typed
+   * @returns {Object} RevGuideComputedProperties.validate() result
+   */
+  validateComputedPropertyExpression() {
+    const expression = document.getElementById('computedPropertyExpression').value;
+    const validationEl = document.getElementById('computedPropertyValidation');
+
+    if (!expression.trim()) {
+      validationEl.textContent = '';
+      validationEl.classList.remove('error');
+      return { valid: false, error: 'Enter a formula', references: [] };
+    }
+
+    const result = window.RevGuideComputedProperties.validate(expression);
+    validationEl.classList.toggle('error', !result.valid);
+    validationEl.textContent = result.valid
+      ? (result.references.length > 0 ? `Uses: ${result.references.join(', ')}` : 'Valid formula')
+      : result.error;
+    return result;
+  }
+
+  getComputedPropertyFormData() {
+    return {
+      label: document.getElementById('computedPropertyLabel').value.trim(),
+      key: document.getElementById('computedPropertyKey').value.trim(),
+      objectType: document.getElementById('computedPropertyObjectType').value || null,
+      resultType: document.getElementById('computedPropertyResultType').value || 'string',
+      expression: document.getElementById('computedPropertyExpression').value.trim()
+    };
+  }
+
+  /**
+   * Evaluate the draft formula against a real record
+   */
+  async testComputedProperty() {
+    const resultEl = document.getElementById('computedPropertyTestResult');
+    const draft = this.getComputedPropertyFormData();
+    const validation = this.validateComputedPropertyExpression();
+    if (!validation.valid) {
+      resultEl.textContent = validation.error;
+      return;
+    }
+
+    const singular = { contacts: 'contact', companies: 'company', deals: 'deal', tickets: 'ticket' };
+    const input = document.getElementById('computedPropertyTestRecord').value;
+    const ref = AdminShared.parseRecordReference(input, singular[draft.objectType] || 'deal');
+    if (!ref) {
+      resultEl.textContent = 'Paste a HubSpot record URL or a numeric record ID.';
+      return;
+    }
+
+    // Evaluate with the other saved properties so formulas can build on each other
+    const definitions = [
+      ...this.computedProperties.filter(cp => cp.id !== this.editingComputedPropertyId && cp.key !== draft.key),
+      { ...draft, key: draft.key || 'draft', objectType: null }
+    ];
+    const propertyNames = [];
+    definitions.forEach(definition => {
+      window.RevGuideComputedProperties.validate(definition.expression).references.forEach(name => {
+        if (!name.startsWith(window.RevGuideComputedProperties.KEY_PREFIX) && !propertyNames.includes(name)) propertyNames.push(name);
+      });
+    });
+
+    resultEl.textContent = 'Fetching record...';
+    try {
+      const properties = await AdminShared.fetchRecordProperties(ref.objectType, ref.recordId, propertyNames);
+      const computed = window.RevGuideComputedProperties.applyComputedProperties(definitions, properties, { objectType: ref.objectType });
+      const value = computed[window.RevGuideComputedProperties.KEY_PREFIX + (draft.key || 'draft')];
+      resultEl.textContent = `Result for ${ref.objectType} ${ref.recordId}: ${value === '' ? '(empty)' : value}`;
+    } catch (error) {
+      console.error('[Settings] Failed to test computed property:', error);
+      resultEl.textContent = error.message;
+    }
+  }
+
+  async saveComputedProperty() {
+    const draft = this.getComputedPropertyFormData();
+
+    if (!draft.label) {
+      AdminShared.showToast('Please enter a label', 'error');
+      return;
+    }
+    if (!window.RevGuideComputedProperties.isValidKey(draft.key)) {
+      AdminShared.showToast('Key must start with a letter and use only lowercase letters, numbers and underscores', 'error');
+      return;
+    }
+    if (this.computedProperties.some(cp => cp.key === draft.key && cp.id !== this.editingComputedPropertyId)) {
+      AdminShared.showToast(`A computed property with key "${draft.key}" already exists`, 'error');
+      return;
+    }
+    const validation = this.validateComputedPropertyExpression();
+    if (!validation.valid) {
+      AdminShared.showToast(`Formula error: ${validation.error}`, 'error');
+      return;
+    }
+
+    const existing = this.computedProperties.find(cp => cp.id === this.editingComputedPropertyId);
+    const supabaseData = AdminShared.mapComputedPropertyToSupabase({
+      ...draft,
+      sortOrder: existing ? existing.sortOrder : this.computedProperties.length
+    });
+
+    const { data, error } = this.editingComputedPropertyId
+      ? await RevGuideDB.updateComputedProperty(this.editingComputedPropertyId, supabaseData)
+      : await RevGuideDB.createComputedProperty(supabaseData);
+
+    if (error) {
+      console.error('[Settings] Failed to save computed property:', error);
+      AdminShared.showToast(`Failed to save: ${error.message}`, 'error');
+      return;
+    }
+
+    const saved = AdminShared.mapComputedPropertyFromSupabase(data);
+    if (existing) {
+      this.computedProperties = this.computedProperties.map(cp => (cp.id === saved.id ? saved : cp));
+    } else {
+      this.computedProperties.push(saved);
+    }
+
+    this.closeComputedPropertyForm();
+    this.renderComputedProperties();
+    AdminShared.notifyContentScript();
+    AdminShared.showToast('Computed property saved', 'success');
+  }
+
+  async deleteComputedProperty(id) {
+    const computedProperty = this.computedProperties.find(cp => cp.id === id);
+    if (!computedProperty) return;
+
+    const confirmed = await AdminShared.showConfirmDialog({
+      title: 'Delete Computed Property',
+      message: `Delete "${computedProperty.label}"? Rules and plays that use computed.${computedProperty.key} will see an empty value.`,
+      primaryLabel: 'Delete',
+      secondaryLabel: 'Keep',
+      showCancel: false
+    });
+    if (confirmed !== 'primary') return;
+
+    const { error } = await RevGuideDB.deleteComputedProperty(id);
+    if (error) {
+      AdminShared.showToast(`Failed to delete: ${error.message}`, 'error');
+      return;
+    }
+
+    this.computedProperties = this.computedProperties.filter(cp => cp.id !== id);
+    if (this.editingComputedPropertyId === id) this.closeComputedPropertyForm();
+    this.renderComputedProperties();
+    AdminShared.notifyContentScript();
+    AdminShared.showToast('Computed property deleted', 'success');
+  }
+
   // ================================
   // Partner Account Methods
   // ================================
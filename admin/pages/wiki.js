@@ -18,6 +18,7 @@ class WikiPage {
     this.isSelectMode = false;
     this.selectedEntryIds = new Set();
     this.isViewOnly = false; // View-only mode for members
+    this.canPublish = true; // False for editors when the org requires approval
     this.definitionEditor = null; // Tiptap editor instance
     this.shouldScrollToEntry = false; // Flag to scroll to entry after render
     this.init();
@@ -54,6 +55,10 @@ class WikiPage {
     // Bind events (skip editing events for view-only)
     this.bindEvents();
 
+    if (!this.isViewOnly) {
+      await this.initReviewControls();
+    }
+
     // Check for action param (only if not view-only)
     const urlParams = new URLSearchParams(window.location.search);
     if (urlParams.get('action') === 'add' && !this.isViewOnly) {
@@ -120,6 +125,14 @@ class WikiPage {
     const statusToggle = document.getElementById('wikiStatusToggle');
     if (statusToggle) statusToggle.style.display = 'none';
 
+    // Translations are edited, not viewed
+    const translationsTab = document.querySelector('.wiki-tab[data-tab="translations"]');
+    if (translationsTab) translationsTab.style.display = 'none';
+
+    // Restoring versions is an edit too
+    const historyTab = document.querySelector('.wiki-tab[data-tab="history"]');
+    if (historyTab) historyTab.style.display = 'none';
+
     // Make form inputs read-only
     this.makeFormReadOnly();
   }
@@ -188,6 +201,7 @@ class WikiPage {
     // Save/Cancel
     document.getElementById('saveWikiBtn').addEventListener('click', () => this.saveWikiEntry());
     document.getElementById('saveEntryBtnTop').addEventListener('click', () => this.saveWikiEntry());
+    document.getElementById('saveWikiDraftBtn').addEventListener('click', () => this.saveWikiEntry({ asDraft: true }));
     document.getElementById('cancelWikiBtn').addEventListener('click', () => this.cancelEditing());
 
     // Preview updates
@@ -217,6 +231,16 @@ class WikiPage {
     // Initialize Tiptap editor
     this.initDefinitionEditor();
 
+    this.translationEditor = AdminShared.initTranslationEditor(document.getElementById('wikiTranslations'), {
+      contentType: 'wiki',
+      getSource: () => ({
+        title: document.getElementById('wikiTitle').value,
+        definition: this.definitionEditor ? this.definitionEditor.getHTML() : ''
+      }),
+      badgeEl: document.getElementById('wikiTranslationCount'),
+      onChange: () => this.markUnsavedChanges()
+    });
+
     // Object type change - load property groups
     document.getElementById('wikiObjectType').addEventListener('change', (e) => {
       this.loadPropertyGroups(e.target.value);
@@ -633,6 +657,31 @@ class WikiPage {
     });
   }
 
+  /**
+   * Drafts are saved to Supabase only; editors who can't publish submit for review instead
+   */
+  async initReviewControls() {
+    if (AdminShared.isExtensionContext) return;
+
+    this.canPublish = await AdminShared.canPublishContent();
+    document.getElementById('saveWikiDraftBtn').hidden = false;
+    if (!this.canPublish) {
+      document.getElementById('saveWikiBtn').textContent = 'Submit for Review';
+    }
+  }
+
+  renderReviewBar(entry) {
+    AdminShared.renderReviewBar(document.getElementById('wikiReviewBar'), entry, {
+      contentType: 'wiki',
+      onReviewed: ({ status, reviewNote }) => {
+        Object.assign(entry, { status, reviewNote });
+        AdminShared.clearStorageCache();
+        AdminShared.notifyContentScript();
+        this.render();
+      }
+    });
+  }
+
   renderCard() {
     const entry = this.selectedEntryId
       ? this.wikiEntries.find(e => e.id === this.selectedEntryId)
@@ -652,6 +701,8 @@ class WikiPage {
     const usageEmpty = document.getElementById('wikiUsageEmpty');
     const usageContent = document.getElementById('wikiUsageContent');
 
+    this.renderReviewBar(this.isCreatingNew ? null : entry);
+
     if (!entry && !this.isCreatingNew) {
       // Show empty state
       titleEl.textContent = 'Select an Entry';
@@ -703,6 +754,7 @@ class WikiPage {
       const objectLabel = entry.objectType ? entry.objectType.charAt(0).toUpperCase() + entry.objectType.slice(1) : '';
 
       let metaHtml = `<span class="badge badge-category">${categoryLabel}</span>`;
+      metaHtml += AdminShared.renderContentStatusBadge(entry.status);
       if (objectLabel) {
         metaHtml += `<span class="badge badge-object">${objectLabel}</span>`;
       }
@@ -735,6 +787,8 @@ class WikiPage {
       this.definitionEditor.setContent(entry?.definition || '');
     }
     document.getElementById('wikiLink').value = entry?.link || '';
+    this.translationEditor.setTranslations(entry?.translations || {});
+    this.translationEditor.refreshBadge();
 
     // Rules tab fields
     document.getElementById('wikiCategory').value = entry?.category || 'general';
@@ -836,6 +890,49 @@ class WikiPage {
     document.querySelectorAll('.wiki-tab-panel').forEach(panel => {
       panel.hidden = panel.id !== `tab-${tabName}`;
     });
+
+    if (tabName === 'translations' && (this.selectedEntryId || this.isCreatingNew)) {
+      this.translationEditor.render();
+    } else {
+      this.translationEditor.refreshBadge();
+    }
+
+    if (tabName === 'history') {
+      this.renderHistoryPanel();
+    }
+  }
+
+  renderHistoryPanel() {
+    const result = document.querySelector('#wikiHistoryPanel [data-history-result]');
+    if (!result) return;
+
+    if (AdminShared.isExtensionContext) {
+      result.innerHTML = '<div class="explain-empty">Version history is available in the web admin.</div>';
+      return;
+    }
+    if (!this.selectedEntryId) {
+      result.innerHTML = `<div class="explain-empty">${this.isCreatingNew ? 'Save this entry to start its version history.' : 'Select a term to see its version history.'}</div>`;
+      return;
+    }
+
+    AdminShared.renderRevisionHistory(result, {
+      contentType: 'wiki',
+      contentId: this.selectedEntryId,
+      onRestore: async (data) => {
+        const restored = this.mapWikiFromSupabase(data);
+        const index = this.wikiEntries.findIndex(e => e.id === restored.id);
+        if (index !== -1) {
+          this.wikiEntries[index] = restored;
+        }
+        AdminShared.clearStorageCache();
+        AdminShared.notifyContentScript();
+
+        this.hasUnsavedChanges = false;
+        this.updateSaveButtonIcon();
+        this.render();
+        this.switchTab('history');
+      }
+    });
   }
 
   updatePreview() {
@@ -1033,7 +1130,12 @@ class WikiPage {
     this.render();
   }
 
-  async saveWikiEntry() {
+  /**
+   * Save the selected entry from the card
+   * @param {Object} [options]
+   * @param {boolean} [options.asDraft] - Save without publishing
+   */
+  async saveWikiEntry({ asDraft = false } = {}) {
     // Gather data from Content tab
     const title = document.getElementById('wikiTitle').value.trim();
     const trigger = document.getElementById('wikiTrigger').value.trim();
@@ -1139,6 +1241,7 @@ class WikiPage {
     entry.propertyGroup = propertyGroup || null;
     entry.definition = definition;
     entry.link = link || null;
+    entry.translations = this.translationEditor.getTranslations();
     entry.updatedAt = Date.now();
 
     // Remove legacy term field if present
@@ -1152,6 +1255,8 @@ class WikiPage {
     entry.pageType = pageType;
     entry.urlPatterns = urlPatterns.length > 0 ? urlPatterns : null;
 
+    let savedEntry = null;
+    let submitted = false;
     try {
       // In web context, save directly to Supabase
       if (!AdminShared.isExtensionContext && typeof RevGuideDB !== 'undefined') {
@@ -1171,7 +1276,9 @@ class WikiPage {
           priority: entry.priority,
           page_type: entry.pageType,
           url_patterns: entry.urlPatterns,
-          enabled: entry.enabled
+          translations: entry.translations,
+          enabled: entry.enabled,
+          status: asDraft || !this.canPublish ? 'draft' : 'published'
         };
 
         if (isNew) {
@@ -1191,6 +1298,7 @@ class WikiPage {
           }
           this.selectedEntryId = mappedData.id;
           this.isCreatingNew = false;
+          savedEntry = mappedData;
         } else {
           // Update existing entry
           const { data, error } = await RevGuideDB.updateWikiEntry(this.selectedEntryId, supabaseData);
@@ -1202,6 +1310,13 @@ class WikiPage {
           if (index !== -1) {
             this.wikiEntries[index] = mappedData;
           }
+          savedEntry = mappedData;
+        }
+
+        // Editors who can't publish send their changes to an admin
+        if (!asDraft && !this.canPublish) {
+          submitted = await AdminShared.submitContentForReview('wiki', savedEntry);
+          if (submitted) savedEntry.status = 'in_review';
         }
 
         // Clear storage cache so next load gets fresh data
@@ -1225,7 +1340,9 @@ class WikiPage {
       // Re-render
       this.render();
 
-      AdminShared.showToast('Wiki entry saved', 'success');
+      const savedMessage = submitted ? 'Wiki entry submitted for review'
+        : (asDraft || !this.canPublish ? 'Wiki entry saved as draft' : 'Wiki entry saved');
+      AdminShared.showToast(savedMessage, 'success');
     } catch (error) {
       console.error('Failed to save wiki entry:', error);
       AdminShared.showToast(`Failed to save: ${error.message}`, 'error');
@@ -2137,6 +2254,10 @@ class WikiPage {
       pageType: data.page_type,
       urlPatterns: data.url_patterns,
       enabled: data.enabled,
+      translations: data.translations || {},
+      status: data.status || 'published',
+      reviewNote: data.review_note || null,
+      submittedAt: data.submitted_at || null,
       createdAt: data.created_at,
       updatedAt: data.updated_at
     };
@@ -1087,6 +1087,22 @@ function mapBannerFromSupabase(data) {
     displayOnAll: data.display_on_all,
     tabVisibility: data.tab_visibility,
     showOnIndex: data.show_on_index,
+    schedule: data.schedule || null,
+    audience: data.audience || null,
+    dismissMode: data.dismiss_mode || 'session',
+    dismissDays: data.dismiss_days || null,
+    frequencyCap: data.frequency_cap || null,
+    variants: data.variants || [],
+    translations: data.translations || {},
+    status: data.status || 'published',
+    reviewNote: data.review_note || null,
+    submittedAt: data.submitted_at || null,
+    requiresAcknowledgement: data.requires_acknowledgement || false,
+    contentVersion: data.content_version || 1,
+    actions: data.actions || [],
+    placement: data.placement || 'inline',
+    placementProperty: data.placement_property || null,
+    placementPropertyLabel: data.placement_property_label || null,
     relatedPlayId: data.related_play_id,
     fields: data.fields || [],
     enabled: data.enabled,
@@ -1111,7 +1127,14 @@ function mapPlayFromSupabase(data) {
     conditionGroups: data.condition_groups,
     groupLogic: data.group_logic,
     displayOnAll: data.display_on_all,
+    schedule: data.schedule || null,
+    audience: data.audience || null,
     sections: data.sections,
+    variants: data.variants || [],
+    translations: data.translations || {},
+    status: data.status || 'published',
+    reviewNote: data.review_note || null,
+    submittedAt: data.submitted_at || null,
     createdAt: data.created_at,
     updatedAt: data.updated_at
   };
@@ -1137,6 +1160,10 @@ function mapWikiFromSupabase(data) {
     pageType: data.page_type,
     urlPatterns: data.url_patterns,
     enabled: data.enabled,
+    translations: data.translations || {},
+    status: data.status || 'published',
+    reviewNote: data.review_note || null,
+    submittedAt: data.submitted_at || null,
     createdAt: data.created_at,
     updatedAt: data.updated_at
   };
@@ -1160,10 +1187,13 @@ function mapBannerToSupabase(data) {
     group_logic: data.groupLogic || 'AND',
     display_on_all: data.displayOnAll ?? false,
     tab_visibility: data.tabVisibility || 'all',
+    schedule: data.schedule || null,
+    audience: data.audience || null,
     related_play_id: data.relatedPlayId || null,
     enabled: data.enabled !== false,
     url: data.url || null,
-    embed_url: data.embedUrl || null
+    embed_url: data.embedUrl || null,
+    translations: data.translations || {}
   };
   // Remove undefined/null values that might cause issues
   Object.keys(mapped).forEach(key => {
@@ -1186,7 +1216,10 @@ function mapPlayToSupabase(data) {
     condition_groups: data.conditionGroups || null,
     group_logic: data.groupLogic || 'AND',
     display_on_all: data.displayOnAll ?? false,
+    schedule: data.schedule || null,
+    audience: data.audience || null,
     sections: data.sections || [],
+    translations: data.translations || {},
     enabled: data.enabled !== false
   };
   Object.keys(mapped).forEach(key => {
@@ -1217,6 +1250,7 @@ function mapWikiToSupabase(data) {
     priority: data.priority ?? 50,
     page_type: data.pageType || 'record',
     url_patterns: data.urlPatterns || null,
+    translations: data.translations || {},
     enabled: data.enabled !== false
   };
   Object.keys(mapped).forEach(key => {
@@ -1545,9 +1579,47 @@ const OPERATORS = [
   { value: 'is_empty', label: 'Is empty' },
   { value: 'is_not_empty', label: 'Is not empty' },
   { value: 'is_member_of_list', label: 'Is member of list', listSelector: true },
-  { value: 'is_not_member_of_list', label: 'Is not member of list', listSelector: true }
+  { value: 'is_not_member_of_list', label: 'Is not member of list', listSelector: true },
+  { value: 'is_before', label: 'Is before', propertyTypes: ['date', 'datetime'], valueType: 'date' },
+  { value: 'is_after', label: 'Is after', propertyTypes: ['date', 'datetime'], valueType: 'date' },
+  { value: 'within_last_n_days', label: 'Within last N days', propertyTypes: ['date', 'datetime'], valueType: 'days' },
+  { value: 'within_next_n_days', label: 'Within next N days', propertyTypes: ['date', 'datetime'], valueType: 'days' },
+  { value: 'more_than_n_days_ago', label: 'More than N days ago', propertyTypes: ['date', 'datetime'], valueType: 'days' },
+  { value: 'is_today', label: 'Is today', propertyTypes: ['date', 'datetime'], valueType: 'none' },
+  { value: 'has_any_of', label: 'Has any of', propertyTypes: ['enumeration'], valueType: 'multi' },
+  { value: 'has_all_of', label: 'Has all of', propertyTypes: ['enumeration'], valueType: 'multi' },
+  { value: 'has_none_of', label: 'Has none of', propertyTypes: ['enumeration'], valueType: 'multi' },
+  { value: 'matches_regex', label: 'Matches regex', valueType: 'regex' }
 ];
 
+/**
+ * Get operators available for a property type
+ * Operators without propertyTypes apply to every property
+ * @param {string|null} propertyType - HubSpot property type (e.g. 'date', 'string')
+ * @returns {Array}
+ */
+function getOperatorsForType(propertyType) {
+  return OPERATORS.filter(op => !op.propertyTypes || op.propertyTypes.includes(propertyType));
+}
+
+/**
+ * Build <option> HTML for a condition operator select
+ * The selected operator is always offered, so a saved condition keeps its operator when the
+ * property's type is unknown (e.g. properties failed to load or the property was deleted)
+ * @param {string|null} propertyType
+ * @param {string} selectedOperator
+ * @returns {string}
+ */
+function buildOperatorOptions(propertyType, selectedOperator) {
+  const operators = getOperatorsForType(propertyType);
+  if (selectedOperator && !operators.some(op => op.value === selectedOperator)) {
+    operators.push(OPERATORS.find(op => op.value === selectedOperator) || { value: selectedOperator, label: selectedOperator });
+  }
+  return operators.map(op => `
+    <option value="${escapeHtml(op.value)}" ${selectedOperator === op.value ? 'selected' : ''}>${escapeHtml(op.label)}</option>
+  `).join('');
+}
+
 /**
  * Type labels and colors
  */
@@ -1575,7 +1647,8 @@ const CARD_TYPE_ICONS = {
   objection: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/></svg>',
   tip: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M15 14c.2-1 .7-1.7 1.5-2.5 1-.9 1.5-2.2 1.5-3.5A6 6 0 0 0 6 8c0 1 .2 2.2 1.5 3.5.7.7 1.3 1.5 1.5 2.5"/><path d="M9 18h6"/><path d="M10 22h4"/></svg>',
   process: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="10" x2="21" y1="6" y2="6"/><line x1="10" x2="21" y1="12" y2="12"/><line x1="10" x2="21" y1="18" y2="18"/><path d="M4 6h1v4"/><path d="M4 10h2"/><path d="M6 18H4c0-1 2-2 2-3s-1-1.5-2-1"/></svg>',
-  recommended_content: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 19.5v-15A2.5 2.5 0 0 1 6.5 2H20v20H6.5a2.5 2.5 0 0 1 0-5H20"/><polyline points="10 2 10 10 13 7 16 10 16 2"/></svg>'
+  recommended_content: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 19.5v-15A2.5 2.5 0 0 1 6.5 2H20v20H6.5a2.5 2.5 0 0 1 0-5H20"/><polyline points="10 2 10 10 13 7 16 10 16 2"/></svg>',
+  guided: '<svg xmlns="http://www.w3.org/2000/svg" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M16 3h5v5"/><path d="M8 3H3v5"/><path d="M12 22v-8.3a4 4 0 0 0-1.172-2.872L3 3"/><path d="m15 9 6-6"/></svg>'
 };
 
 const CARD_TYPE_LABELS = {
@@ -1583,7 +1656,8 @@ const CARD_TYPE_LABELS = {
   objection: 'Objection',
   tip: 'Tip',
   process: 'Process',
-  recommended_content: 'Recommended Content'
+  recommended_content: 'Recommended Content',
+  guided: 'Guided'
 };
 
 /**
@@ -1780,6 +1854,152 @@ async function fetchProperties(objectType, propertiesCache = {}) {
   });
 }
 
+// Associated objects offered in condition pickers, keyed by plural object type
+const ASSOCIATED_CONDITION_OBJECTS = {
+  contacts: { prefix: 'contact', label: 'Contact', plural: 'contacts', hasOpenState: false },
+  companies: { prefix: 'company', label: 'Company', plural: 'companies', hasOpenState: false },
+  deals: { prefix: 'deal', label: 'Deal', plural: 'deals', hasOpenState: true },
+  tickets: { prefix: 'ticket', label: 'Ticket', plural: 'tickets', hasOpenState: true }
+};
+
+const COMPUTED_PROPERTY_PREFIX = 'computed.';
+
+// Result types a computed property can declare; they pick the condition operators
+const COMPUTED_RESULT_TYPES = {
+  string: 'Text',
+  number: 'Number',
+  date: 'Date',
+  bool: 'Yes/No'
+};
+
+let computedPropertiesPromise = null;
+
+/**
+ * Map computed property from Supabase format
+ */
+function mapComputedPropertyFromSupabase(data) {
+  return {
+    id: data.id,
+    key: data.key,
+    label: data.label,
+    expression: data.expression,
+    resultType: data.result_type || 'string',
+    objectType: data.object_type || null,
+    description: data.description || '',
+    sortOrder: data.sort_order || 0
+  };
+}
+
+/**
+ * Map computed property to Supabase format
+ */
+function mapComputedPropertyToSupabase(computedProperty) {
+  return {
+    key: computedProperty.key,
+    label: computedProperty.label,
+    expression: computedProperty.expression,
+    result_type: computedProperty.resultType || 'string',
+    object_type: computedProperty.objectType || null,
+    description: computedProperty.description || null,
+    sort_order: computedProperty.sortOrder || 0
+  };
+}
+
+// The organization's computed properties, loaded once per page
+function loadComputedProperties() {
+  if (!computedPropertiesPromise) {
+    computedPropertiesPromise = (async () => {
+      if (typeof RevGuideDB === 'undefined') return [];
+      const { data, error } = await RevGuideDB.getComputedProperties();
+      if (error) throw error;
+      return (data || []).map(mapComputedPropertyFromSupabase);
+    })().catch(error => {
+      console.error('Failed to load computed properties:', error);
+      computedPropertiesPromise = null;
+      return [];
+    });
+  }
+  return computedPropertiesPromise;
+}
+
+/**
+ * Evaluate computed properties into a fetched record's properties
+ * @param {Object} properties - Record properties
+ * @param {string} objectType - Singular or plural object type
+ * @param {Array} definitions - From loadComputedProperties
+ * @returns {Object} properties plus computed.<key> values
+ */
+function withComputedProperties(properties, objectType, definitions) {
+  if (typeof window.RevGuideComputedProperties === 'undefined' || definitions.length === 0) {
+    return properties;
+  }
+  return {
+    ...properties,
+    ...window.RevGuideComputedProperties.applyComputedProperties(definitions, properties, { objectType })
+  };
+}
+
+/**
+ * Record properties that computed property formulas read, so previews can request them
+ * @param {Array} definitions - From loadComputedProperties
+ * @param {string} objectType - Singular or plural object type
+ * @returns {Array<string>}
+ */
+function getComputedPropertyReferences(definitions, objectType) {
+  if (typeof window.RevGuideComputedProperties === 'undefined') return [];
+  const names = [];
+  definitions
+    .filter(definition => window.RevGuideComputedProperties.appliesTo(definition, objectType))
+    .forEach(definition => {
+      const { references } = window.RevGuideComputedProperties.validate(definition.expression);
+      references.forEach(name => {
+        if (!name.startsWith(COMPUTED_PROPERTY_PREFIX) && !names.includes(name)) names.push(name);
+      });
+    });
+  return names;
+}
+
+/**
+ * Fetch the properties conditions can use for an object type: the record's own
+ * properties, the org's computed properties (computed.days_in_stage), then its primary
+ * associated records' properties (company.industry) and association counts (tickets.count)
+ * @param {string} objectType - Plural object type (deals, contacts, ...)
+ * @param {Object} propertiesCache - Page-level cache passed to fetchProperties
+ * @returns {Promise<Array>} Property definitions
+ */
+async function fetchConditionProperties(objectType, propertiesCache = {}) {
+  const properties = await fetchProperties(objectType, propertiesCache);
+  const computed = (await loadComputedProperties())
+    .filter(definition => !definition.objectType || definition.objectType === objectType)
+    .map(definition => ({
+      name: COMPUTED_PROPERTY_PREFIX + definition.key,
+      label: `Computed: ${definition.label}`,
+      type: definition.resultType
+    }));
+  const associated = [];
+
+  for (const [otherType, meta] of Object.entries(ASSOCIATED_CONDITION_OBJECTS)) {
+    if (otherType === objectType) continue;
+
+    associated.push({ name: `${meta.plural}.count`, label: `Associated ${meta.plural} (count)`, type: 'number' });
+    if (meta.hasOpenState) {
+      associated.push({ name: `${meta.plural}.open_count`, label: `Open associated ${meta.plural} (count)`, type: 'number' });
+    }
+
+    try {
+      const otherProperties = await fetchProperties(otherType, propertiesCache);
+      otherProperties.forEach(p => {
+        associated.push({ ...p, name: `${meta.prefix}.${p.name}`, label: `${meta.label}: ${p.label}` });
+      });
+    } catch (error) {
+      // Associated properties are optional; the record's own properties still load
+      console.warn(`Could not load associated ${otherType} properties:`, error.message);
+    }
+  }
+
+  return [...properties, ...computed, ...associated];
+}
+
 /**
  * Initialize a searchable select dropdown
  * @param {HTMLElement} selectEl - The .searchable-select element
@@ -1850,6 +2070,16 @@ function initSearchableSelect(selectEl, properties) {
         newValueInput.placeholder = 'Value';
         valueInput.replaceWith(newValueInput);
       }
+
+      // Refresh operators for the property type (date operators only apply to date properties)
+      const operatorSelect = conditionRow.querySelector('.condition-operator');
+      if (operatorSelect) {
+        const currentOperator = operatorSelect.value;
+        const available = getOperatorsForType(selectedProp?.type);
+        const nextOperator = available.some(op => op.value === currentOperator) ? currentOperator : available[0]?.value;
+        operatorSelect.innerHTML = buildOperatorOptions(selectedProp?.type, nextOperator);
+        operatorSelect.dispatchEvent(new Event('change'));
+      }
     }
   });
 
@@ -2021,6 +2251,66 @@ function getPlaySelectValue(selectEl) {
   return trigger.dataset.value || '';
 }
 
+/**
+ * Switch a condition value text input between text, number (N days) and date entry
+ * @param {HTMLElement} valueInput - The .condition-value element
+ * @param {string|undefined} valueType - Operator valueType ('date', 'days', 'none')
+ */
+function updateConditionValueInputType(valueInput, valueType) {
+  if (!valueInput) return;
+
+  // Property options render as a select; multi-select operators pick several options
+  if (valueInput.tagName === 'SELECT') {
+    valueInput.multiple = valueType === 'multi';
+    valueInput.size = valueType === 'multi' ? Math.min(valueInput.options.length, 5) : 0;
+    return;
+  }
+
+  if (valueType === 'date') {
+    valueInput.type = 'date';
+    valueInput.placeholder = '';
+  } else if (valueType === 'days') {
+    valueInput.type = 'number';
+    valueInput.min = '0';
+    valueInput.placeholder = 'Days';
+  } else {
+    valueInput.type = 'text';
+    valueInput.removeAttribute('min');
+    valueInput.placeholder = valueType === 'multi' ? 'Values separated by ;'
+      : valueType === 'regex' ? 'Pattern, e.g. ^enterprise' : 'Value';
+  }
+}
+
+/**
+ * Read a condition value element, joining multi-select choices with ; like HubSpot does
+ * @param {HTMLElement|null} valueEl - The .condition-value element
+ * @returns {string}
+ */
+function readConditionValue(valueEl) {
+  if (!valueEl) return '';
+  if (valueEl.tagName === 'SELECT' && valueEl.multiple) {
+    return Array.from(valueEl.selectedOptions).map(opt => opt.value).filter(Boolean).join(';');
+  }
+  return valueEl.value?.trim() || '';
+}
+
+/**
+ * Write a stored value into a condition value element
+ * @param {HTMLElement|null} valueEl - The .condition-value element
+ * @param {string} value
+ */
+function writeConditionValue(valueEl, value) {
+  if (!valueEl) return;
+  if (valueEl.tagName === 'SELECT' && valueEl.multiple) {
+    const selected = String(value || '').split(';').map(v => v.trim());
+    Array.from(valueEl.options).forEach(opt => {
+      opt.selected = selected.includes(opt.value);
+    });
+    return;
+  }
+  valueEl.value = value;
+}
+
 /**
  * Add a condition row to the conditions builder
  * @param {string} containerId - ID of the conditions container
@@ -2062,9 +2352,7 @@ function addCondition(containerId, condition = null, properties = []) {
       </div>
     </div>
     <select class="condition-operator">
-      ${OPERATORS.map(op => `
-        <option value="${op.value}" ${condition?.operator === op.value ? 'selected' : ''}>${op.label}</option>
-      `).join('')}
+      ${buildOperatorOptions(selectedProp?.type, condition?.operator)}
     </select>
     <input type="text" class="condition-value" placeholder="Value" value="${escapeHtml(condition?.value || '')}">
     <select class="condition-list-value" style="display: none;">
@@ -2085,15 +2373,18 @@ function addCondition(containerId, condition = null, properties = []) {
   removeBtn.addEventListener('click', () => div.remove());
 
   const operatorSelect = div.querySelector('.condition-operator');
-  const valueInput = div.querySelector('.condition-value');
   const listSelect = div.querySelector('.condition-list-value');
 
   const updateValueVisibility = async () => {
     const op = operatorSelect.value;
     const isListOperator = op === 'is_member_of_list' || op === 'is_not_member_of_list';
     const isEmptyOperator = op === 'is_empty' || op === 'is_not_empty';
+    const operatorDef = OPERATORS.find(o => o.value === op);
+    // Value input is swapped out by the property picker, so always look it up fresh
+    const valueInput = div.querySelector('.condition-value');
+    updateConditionValueInputType(valueInput, operatorDef?.valueType);
 
-    if (isEmptyOperator) {
+    if (isEmptyOperator || operatorDef?.valueType === 'none') {
       valueInput.style.display = 'none';
       listSelect.style.display = 'none';
     } else if (isListOperator) {
@@ -2117,8 +2408,7 @@ function addCondition(containerId, condition = null, properties = []) {
   // If editing, set value after appending
   if (condition?.value) {
     setTimeout(() => {
-      const valInput = div.querySelector('.condition-value');
-      if (valInput) valInput.value = condition.value;
+      writeConditionValue(div.querySelector('.condition-value'), condition.value);
     }, 0);
   }
 }
@@ -2144,8 +2434,7 @@ function getConditions(containerId) {
       const listSelect = item.querySelector('.condition-list-value');
       value = listSelect?.value || '';
     } else {
-      const valueEl = item.querySelector('.condition-value');
-      value = valueEl?.value?.trim() || '';
+      value = readConditionValue(item.querySelector('.condition-value'));
     }
 
     if (property) {
@@ -2209,10 +2498,301 @@ function toggleConditionsWrapper(wrapperId, disabled) {
   }
 }
 
+// ============================================
+// Activation Schedule Functions
+// ============================================
+
+const SCHEDULE_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// ISO datetime -> value for a datetime-local input (viewer's local time)
+function toDatetimeLocalValue(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  if (isNaN(date.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Render schedule fields into a container and fill them from a schedule
+ * Recurring windows keep the timezone they were created in so editing from
+ * another timezone doesn't shift them.
+ * @param {HTMLElement} containerEl - Empty .schedule-editor element
+ * @param {Object|null} schedule - { startAt, endAt, days, startTime, endTime, timezone }
+ */
+function setScheduleEditor(containerEl, schedule) {
+  if (!containerEl) return;
+  const timezone = schedule?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const days = (schedule?.days || []).map(Number);
+  const recurring = days.length > 0 || !!schedule?.startTime || !!schedule?.endTime;
+  containerEl.dataset.timezone = timezone;
+
+  containerEl.innerHTML = `
+    <div class="schedule-row">
+      <label class="schedule-field">
+        <span>Starts</span>
+        <input type="datetime-local" data-schedule-start value="${toDatetimeLocalValue(schedule?.startAt)}">
+      </label>
+      <label class="schedule-field">
+        <span>Ends</span>
+        <input type="datetime-local" data-schedule-end value="${toDatetimeLocalValue(schedule?.endAt)}">
+      </label>
+    </div>
+    <label class="checkbox-label">
+      <input type="checkbox" data-schedule-recurring ${recurring ? 'checked' : ''}>
+      <span>Only on certain days or times</span>
+    </label>
+    <div class="schedule-recurring" data-schedule-recurring-fields ${recurring ? '' : 'hidden'}>
+      <div class="schedule-days">
+        ${SCHEDULE_WEEKDAYS.map((label, day) => `
+          <label class="schedule-day">
+            <input type="checkbox" data-schedule-day="${day}" ${days.includes(day) ? 'checked' : ''}>
+            <span>${label}</span>
+          </label>
+        `).join('')}
+      </div>
+      <div class="schedule-row">
+        <label class="schedule-field">
+          <span>From</span>
+          <input type="time" data-schedule-start-time value="${escapeHtml(schedule?.startTime || '')}">
+        </label>
+        <label class="schedule-field">
+          <span>To</span>
+          <input type="time" data-schedule-end-time value="${escapeHtml(schedule?.endTime || '')}">
+        </label>
+      </div>
+      <span class="form-hint">Times are in ${escapeHtml(timezone)}. Leave days unchecked for every day; a "To" time earlier than "From" runs overnight.</span>
+    </div>
+  `;
+
+  const recurringToggle = containerEl.querySelector('[data-schedule-recurring]');
+  recurringToggle.addEventListener('change', () => {
+    containerEl.querySelector('[data-schedule-recurring-fields]').hidden = !recurringToggle.checked;
+  });
+}
+
+/**
+ * Read the schedule from a schedule editor
+ * @param {HTMLElement} containerEl
+ * @returns {Object|null} Schedule, or null when no window is set
+ */
+function getScheduleFromEditor(containerEl) {
+  if (!containerEl || !containerEl.querySelector('[data-schedule-start]')) return null;
+
+  const toIso = (value) => {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  };
+
+  const schedule = {
+    startAt: toIso(containerEl.querySelector('[data-schedule-start]').value),
+    endAt: toIso(containerEl.querySelector('[data-schedule-end]').value)
+  };
+
+  if (containerEl.querySelector('[data-schedule-recurring]').checked) {
+    const days = Array.from(containerEl.querySelectorAll('[data-schedule-day]:checked'))
+      .map(input => Number(input.dataset.scheduleDay));
+    const startTime = containerEl.querySelector('[data-schedule-start-time]').value;
+    const endTime = containerEl.querySelector('[data-schedule-end-time]').value;
+    if (days.length > 0) schedule.days = days;
+    if (startTime) schedule.startTime = startTime;
+    if (endTime) schedule.endTime = endTime;
+    if (days.length > 0 || startTime || endTime) schedule.timezone = containerEl.dataset.timezone;
+  }
+
+  const hasWindow = schedule.startAt || schedule.endAt || schedule.days || schedule.startTime || schedule.endTime;
+  return hasWindow ? schedule : null;
+}
+
+/**
+ * Validate a schedule before saving
+ * @param {Object|null} schedule
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateSchedule(schedule) {
+  if (!schedule) return null;
+  if (schedule.startAt && schedule.endAt && new Date(schedule.endAt) <= new Date(schedule.startAt)) {
+    return 'Schedule end must be after its start';
+  }
+  if (schedule.startTime && schedule.endTime && schedule.startTime === schedule.endTime) {
+    return 'Schedule "From" and "To" times must differ';
+  }
+  return null;
+}
+
+/**
+ * Render a list-view badge for scheduled content
+ * @param {Object|null} schedule
+ * @returns {string} Badge HTML, or '' when there is no schedule
+ */
+function renderScheduleBadge(schedule) {
+  const RulesEngine = window.RevGuideRulesEngine;
+  if (!RulesEngine) return '';
+
+  const status = RulesEngine.getScheduleStatus(schedule, Date.now());
+  if (status === 'none') return '';
+
+  const stateLabels = {
+    upcoming: 'Not started yet',
+    active: 'Live now',
+    inactive: 'Outside its window right now',
+    expired: 'Ended'
+  };
+  const title = `${stateLabels[status]} - ${RulesEngine.describeSchedule(schedule)}`;
+  const label = status === 'expired' ? 'Ended' : 'Scheduled';
+  return `<span class="status-badge scheduled ${status}" title="${escapeHtml(title).replace(/"/g, '&quot;')}">${label}</span>`;
+}
+
+// ============================================
+// Audience Targeting Functions
+// ============================================
+
+const AUDIENCE_ROLES = [
+  { value: 'owner', label: 'Owner' },
+  { value: 'admin', label: 'Admin' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'partner', label: 'Partner' }
+];
+
+let audienceUsersPromise = null;
+let audienceTeamsPromise = null;
+
+// RevGuide users in the current organization, loaded once per page
+function loadAudienceUsers() {
+  if (!audienceUsersPromise) {
+    audienceUsersPromise = (async () => {
+      if (typeof RevGuideDB === 'undefined') return [];
+      const { data, error } = await RevGuideDB.getTeamMembers();
+      if (error) throw error;
+      return (data || []).map(user => ({ id: user.id, label: user.name ? `${user.name} (${user.email})` : user.email }));
+    })().catch(error => {
+      console.error('Failed to load users for audience targeting:', error);
+      audienceUsersPromise = null;
+      return [];
+    });
+  }
+  return audienceUsersPromise;
+}
+
+// HubSpot teams for the connected portal, loaded once per page
+function loadAudienceTeams() {
+  if (!audienceTeamsPromise) {
+    audienceTeamsPromise = (async () => {
+      if (typeof RevGuideHubSpot === 'undefined') return [];
+      const connection = await RevGuideHubSpot.getConnection();
+      if (!connection || !connection.isConnected) return [];
+      const teams = await RevGuideHubSpot.getTeams(connection.connectionId);
+      return teams.map(team => ({ id: team.id, label: team.name }));
+    })().catch(error => {
+      console.error('Failed to load HubSpot teams for audience targeting:', error);
+      audienceTeamsPromise = null;
+      return [];
+    });
+  }
+  return audienceTeamsPromise;
+}
+
+// Fill an audience option list once its options load, keeping selections that no longer exist visible
+async function populateAudienceOptions(listEl, loadOptions, selectedIds, emptyText) {
+  const options = await loadOptions();
+  const known = new Set(options.map(option => option.id));
+  const all = [
+    ...options,
+    ...selectedIds.filter(id => !known.has(id)).map(id => ({ id, label: `Unknown (${id})` }))
+  ];
+
+  listEl.innerHTML = all.length === 0
+    ? `<span class="form-hint">${escapeHtml(emptyText)}</span>`
+    : all.map(option => `
+      <label class="checkbox-label">
+        <input type="checkbox" value="${escapeHtml(option.id).replace(/"/g, '&quot;')}" ${selectedIds.includes(option.id) ? 'checked' : ''}>
+        <span>${escapeHtml(option.label)}</span>
+      </label>
+    `).join('');
+  listEl.dataset.loaded = 'true';
+}
+
+/**
+ * Render audience fields into a container and fill them from an audience
+ * Users and teams load asynchronously; reading before they load returns the original selection.
+ * @param {HTMLElement} containerEl - Empty .audience-editor element
+ * @param {Object|null} audience - { roles, userIds, teamIds, ownerIsCurrentUser }
+ */
+function setAudienceEditor(containerEl, audience) {
+  if (!containerEl) return;
+  const roles = audience?.roles || [];
+  const userIds = audience?.userIds || [];
+  const teamIds = (audience?.teamIds || []).map(String);
+
+  containerEl.innerHTML = `
+    <div class="audience-section">
+      <span class="audience-label">Roles</span>
+      <div class="audience-roles">
+        ${AUDIENCE_ROLES.map(role => `
+          <label class="schedule-day">
+            <input type="checkbox" data-audience-role="${role.value}" ${roles.includes(role.value) ? 'checked' : ''}>
+            <span>${role.label}</span>
+          </label>
+        `).join('')}
+      </div>
+    </div>
+    <div class="audience-section">
+      <span class="audience-label">Specific users</span>
+      <div class="audience-options" data-audience-users data-selected="${escapeHtml(JSON.stringify(userIds)).replace(/"/g, '&quot;')}">
+        <span class="form-hint">Loading users...</span>
+      </div>
+    </div>
+    <div class="audience-section">
+      <span class="audience-label">HubSpot teams</span>
+      <div class="audience-options" data-audience-teams data-selected="${escapeHtml(JSON.stringify(teamIds)).replace(/"/g, '&quot;')}">
+        <span class="form-hint">Loading teams...</span>
+      </div>
+    </div>
+    <label class="checkbox-label">
+      <input type="checkbox" data-audience-owner ${audience?.ownerIsCurrentUser ? 'checked' : ''}>
+      <span>Only when the viewer is the record owner</span>
+    </label>
+  `;
+
+  populateAudienceOptions(containerEl.querySelector('[data-audience-users]'), loadAudienceUsers, userIds, 'No users found');
+  populateAudienceOptions(containerEl.querySelector('[data-audience-teams]'), loadAudienceTeams, teamIds, 'No HubSpot teams found. Connect HubSpot in Settings to target teams.');
+}
+
+/**
+ * Read the audience from an audience editor
+ * @param {HTMLElement} containerEl
+ * @returns {Object|null} Audience, or null when everyone is targeted
+ */
+function getAudienceFromEditor(containerEl) {
+  if (!containerEl || !containerEl.querySelector('[data-audience-owner]')) return null;
+
+  const readIds = (listEl) => (listEl.dataset.loaded
+    ? Array.from(listEl.querySelectorAll('input:checked')).map(input => input.value)
+    : JSON.parse(listEl.dataset.selected || '[]'));
+
+  const audience = {};
+  const roles = Array.from(containerEl.querySelectorAll('[data-audience-role]:checked')).map(input => input.dataset.audienceRole);
+  const userIds = readIds(containerEl.querySelector('[data-audience-users]'));
+  const teamIds = readIds(containerEl.querySelector('[data-audience-teams]'));
+  if (roles.length > 0) audience.roles = roles;
+  if (userIds.length > 0) audience.userIds = userIds;
+  if (teamIds.length > 0) audience.teamIds = teamIds;
+  if (containerEl.querySelector('[data-audience-owner]').checked) audience.ownerIsCurrentUser = true;
+
+  return Object.keys(audience).length > 0 ? audience : null;
+}
+
 // ============================================
 // Condition Groups Functions
 // ============================================
 
+/**
+ * Maximum sub-group nesting below a top-level group
+ */
+const MAX_CONDITION_GROUP_DEPTH = 2;
+
 /**
  * Add a condition group card to the container
  * @param {string} containerId - ID of the groups container
@@ -2223,39 +2803,82 @@ function toggleConditionsWrapper(wrapperId, disabled) {
 function addConditionGroup(containerId, group = null, properties = []) {
   const container = document.getElementById(containerId);
   const groupId = group?.id || `group_${Date.now()}`;
+
+  const div = createConditionGroupElement(group, properties, 0, () => {
+    // Don't allow removing the last group
+    if (container.querySelectorAll('[data-group-id]').length > 1) {
+      div.remove();
+      updateConditionGroupsUI(containerId);
+    } else {
+      showToast('At least one filter group is required', 'warning');
+    }
+  });
+  div.dataset.groupId = groupId;
+
+  container.appendChild(div);
+
+  // Add existing conditions and sub-groups if any
+  populateConditionGroup(div, group, properties, 0);
+
+  // Update UI (numbering, connectors)
+  updateConditionGroupsUI(containerId);
+
+  return groupId;
+}
+
+/**
+ * Build a condition group card (top-level group or nested sub-group)
+ * @param {Object|null} group - Existing group data or null for new
+ * @param {Array} properties - Array of property objects
+ * @param {number} depth - 0 for top-level groups, 1+ for sub-groups
+ * @param {Function} onRemove - Called when the remove button is clicked
+ * @returns {HTMLElement}
+ */
+function createConditionGroupElement(group, properties, depth, onRemove) {
   const groupLogic = group?.logic || 'AND';
+  const canNest = depth < MAX_CONDITION_GROUP_DEPTH;
 
   const div = document.createElement('div');
-  div.className = 'condition-group-wrapper';
-  div.dataset.groupId = groupId;
+  div.className = depth > 0 ? 'condition-group-wrapper condition-subgroup' : 'condition-group-wrapper';
 
   div.innerHTML = `
     <div class="condition-group-card">
       <div class="condition-group-header">
         <div class="condition-group-header-left">
-          <span class="condition-group-label">Group 1</span>
+          <button type="button" class="group-not-toggle ${group?.negate ? 'active' : ''}" data-group-not title="Match when this group is NOT true">NOT</button>
+          <span class="condition-group-label">${depth > 0 ? 'Sub-group' : 'Group 1'}</span>
           <div class="logic-toggle" data-group-logic>
             <button type="button" class="logic-btn ${groupLogic === 'AND' ? 'active' : ''}" data-value="AND">AND</button>
             <button type="button" class="logic-btn ${groupLogic === 'OR' ? 'active' : ''}" data-value="OR">OR</button>
           </div>
         </div>
-        <button type="button" class="btn-icon btn-icon-danger remove-group-btn" title="Remove group">
+        <button type="button" class="btn-icon btn-icon-danger remove-group-btn" title="${depth > 0 ? 'Remove sub-group' : 'Remove group'}">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M3 6h18M19 6v14a2 2 0 01-2 2H7a2 2 0 01-2-2V6m3 0V4a2 2 0 012-2h4a2 2 0 012 2v2"/>
           </svg>
         </button>
       </div>
       <div class="condition-group-body">
-        <div class="conditions-builder" data-group-conditions="${groupId}"></div>
-        <button type="button" class="add-group-condition-btn">
-          <span class="icon icon-plus icon--sm"></span> Add condition
-        </button>
+        <div class="conditions-builder" data-group-conditions></div>
+        <div class="condition-subgroups" data-group-subgroups></div>
+        <div class="condition-group-actions">
+          <button type="button" class="add-group-condition-btn">
+            <span class="icon icon-plus icon--sm"></span> Add condition
+          </button>
+          ${canNest ? `
+            <button type="button" class="add-group-condition-btn add-subgroup-btn">
+              <span class="icon icon-plus icon--sm"></span> Add sub-group
+            </button>
+          ` : ''}
+        </div>
       </div>
     </div>
   `;
 
+  const header = div.querySelector('.condition-group-header');
+
   // Set up group logic toggle (within group)
-  const logicToggle = div.querySelector('[data-group-logic]');
+  const logicToggle = header.querySelector('[data-group-logic]');
   logicToggle.addEventListener('click', (e) => {
     const btn = e.target.closest('.logic-btn');
     if (btn) {
@@ -2264,38 +2887,71 @@ function addConditionGroup(containerId, group = null, properties = []) {
     }
   });
 
+  // Set up NOT toggle
+  const notToggle = header.querySelector('[data-group-not]');
+  notToggle.addEventListener('click', () => notToggle.classList.toggle('active'));
+
   // Set up remove button
-  const removeBtn = div.querySelector('.remove-group-btn');
-  removeBtn.addEventListener('click', () => {
-    // Don't allow removing the last group
-    if (container.querySelectorAll('[data-group-id]').length > 1) {
-      div.remove();
-      updateConditionGroupsUI(containerId);
-    } else {
-      showToast('At least one filter group is required', 'warning');
-    }
-  });
+  header.querySelector('.remove-group-btn').addEventListener('click', onRemove);
 
-  // Set up add condition button
-  const addConditionBtn = div.querySelector('.add-group-condition-btn');
-  const conditionsContainer = div.querySelector('[data-group-conditions]');
-  addConditionBtn.addEventListener('click', () => {
+  // Set up add condition / sub-group buttons
+  const body = div.querySelector('.condition-group-body');
+  const conditionsContainer = body.querySelector('[data-group-conditions]');
+  body.querySelector('.add-group-condition-btn').addEventListener('click', () => {
     addConditionToGroup(conditionsContainer, null, properties);
   });
 
-  container.appendChild(div);
+  const addSubgroupBtn = body.querySelector('.add-subgroup-btn');
+  if (addSubgroupBtn) {
+    addSubgroupBtn.addEventListener('click', () => {
+      addConditionSubgroup(div, null, properties, depth + 1);
+    });
+  }
+
+  return div;
+}
+
+/**
+ * Add a nested sub-group inside a condition group card
+ * @param {HTMLElement} parentEl - The parent .condition-group-wrapper
+ * @param {Object|null} group - Existing sub-group data or null for new
+ * @param {Array} properties - Array of property objects
+ * @param {number} depth - Nesting depth of the new sub-group
+ * @returns {HTMLElement}
+ */
+function addConditionSubgroup(parentEl, group, properties, depth) {
+  const subgroupsContainer = parentEl.querySelector(':scope > .condition-group-card > .condition-group-body > [data-group-subgroups]');
+
+  const div = createConditionGroupElement(group, properties, depth, () => div.remove());
+  div.dataset.subgroupId = group?.id || `group_${Date.now()}_${Math.random().toString(36).slice(2, 6)}`;
+
+  subgroupsContainer.appendChild(div);
+  populateConditionGroup(div, group, properties, depth);
+
+  return div;
+}
+
+/**
+ * Fill a group card with its saved conditions and sub-groups
+ * @param {HTMLElement} groupEl - The .condition-group-wrapper
+ * @param {Object|null} group - Saved group data
+ * @param {Array} properties - Array of property objects
+ * @param {number} depth - Nesting depth of groupEl
+ */
+function populateConditionGroup(groupEl, group, properties, depth) {
+  const conditionsContainer = groupEl.querySelector(':scope > .condition-group-card > .condition-group-body > [data-group-conditions]');
 
-  // Add existing conditions if any
   if (group?.conditions?.length) {
     group.conditions.forEach(condition => {
       addConditionToGroup(conditionsContainer, condition, properties);
     });
   }
 
-  // Update UI (numbering, connectors)
-  updateConditionGroupsUI(containerId);
-
-  return groupId;
+  if (group?.groups?.length && depth < MAX_CONDITION_GROUP_DEPTH) {
+    group.groups.forEach(subGroup => {
+      addConditionSubgroup(groupEl, subGroup, properties, depth + 1);
+    });
+  }
 }
 
 /**
@@ -2354,6 +3010,42 @@ function updateConditionGroupsUI(containerId) {
   });
 }
 
+/**
+ * Whether an operator can compare against another property instead of a literal value
+ * @param {Object|undefined} operatorDef - Entry from OPERATORS
+ * @returns {boolean}
+ */
+function operatorSupportsPropertyValue(operatorDef) {
+  if (!operatorDef || operatorDef.listSelector) return false;
+  if (['none', 'days', 'multi', 'regex'].includes(operatorDef.valueType)) return false;
+  return operatorDef.value !== 'is_empty' && operatorDef.value !== 'is_not_empty';
+}
+
+/**
+ * Build <option> HTML for the right-hand property of a property-to-property comparison
+ * Only offers properties whose type can be meaningfully compared with the left-hand property
+ * @param {Array} properties - Array of property objects
+ * @param {string} leftProperty - Name of the property being compared
+ * @param {string|undefined} leftType - Type of the property being compared
+ * @param {string} selected - Currently selected property name
+ * @returns {string}
+ */
+function buildComparePropertyOptions(properties, leftProperty, leftType, selected) {
+  const typeFamily = (type) => {
+    if (type === 'number') return 'number';
+    if (type === 'date' || type === 'datetime') return 'date';
+    return 'text';
+  };
+  const family = leftType ? typeFamily(leftType) : null;
+  const candidates = properties.filter(p =>
+    p.name !== leftProperty && (!family || typeFamily(p.type) === family)
+  );
+
+  return `<option value="">Select property...</option>` + candidates.map(p => `
+    <option value="${escapeHtml(p.name)}" ${p.name === selected ? 'selected' : ''}>${escapeHtml(p.label)}</option>
+  `).join('');
+}
+
 /**
  * Add a condition row to a specific group
  * @param {HTMLElement} container - The conditions container element
@@ -2366,6 +3058,7 @@ function addConditionToGroup(container, condition = null, properties = []) {
 
   const selectedProp = condition?.property ? properties.find(p => p.name === condition.property) : null;
   const selectedLabel = selectedProp ? selectedProp.label : 'Select property...';
+  const comparesProperty = condition?.valueSource === 'property';
 
   div.innerHTML = `
     <div class="searchable-select" data-properties='${JSON.stringify(properties.map(p => ({name: p.name, label: p.label, type: p.type})))}'>
@@ -2394,11 +3087,14 @@ function addConditionToGroup(container, condition = null, properties = []) {
       </div>
     </div>
     <select class="condition-operator">
-      ${OPERATORS.map(op => `
-        <option value="${op.value}" ${condition?.operator === op.value ? 'selected' : ''}>${op.label}</option>
-      `).join('')}
+      ${buildOperatorOptions(selectedProp?.type, condition?.operator)}
     </select>
-    <input type="text" class="condition-value" placeholder="Value" value="${escapeHtml(condition?.value || '')}">
+    <select class="condition-value-source" title="Compare against a fixed value or another property">
+      <option value="value" ${!comparesProperty ? 'selected' : ''}>Value</option>
+      <option value="property" ${comparesProperty ? 'selected' : ''}>Property</option>
+    </select>
+    <input type="text" class="condition-value" placeholder="Value" value="${comparesProperty ? '' : escapeHtml(condition?.value || '')}">
+    <select class="condition-value-property" style="display: none;"></select>
     <select class="condition-list-value" style="display: none;">
       <option value="">Select a list...</option>
     </select>
@@ -2417,15 +3113,33 @@ function addConditionToGroup(container, condition = null, properties = []) {
   removeBtn.addEventListener('click', () => div.remove());
 
   const operatorSelect = div.querySelector('.condition-operator');
-  const valueInput = div.querySelector('.condition-value');
   const listSelect = div.querySelector('.condition-list-value');
+  const valueSourceSelect = div.querySelector('.condition-value-source');
+  const valuePropertySelect = div.querySelector('.condition-value-property');
+  let selectedValueProperty = comparesProperty ? condition.value : '';
 
   const updateValueVisibility = async () => {
     const op = operatorSelect.value;
     const isListOperator = op === 'is_member_of_list' || op === 'is_not_member_of_list';
     const isEmptyOperator = op === 'is_empty' || op === 'is_not_empty';
+    const operatorDef = OPERATORS.find(o => o.value === op);
+    // Value input is swapped out by the property picker, so always look it up fresh
+    const valueInput = div.querySelector('.condition-value');
+    updateConditionValueInputType(valueInput, operatorDef?.valueType);
+
+    const canCompareProperty = operatorSupportsPropertyValue(operatorDef);
+    valueSourceSelect.style.display = canCompareProperty ? 'block' : 'none';
+    const useProperty = canCompareProperty && valueSourceSelect.value === 'property';
+
+    if (useProperty) {
+      const leftProperty = div.querySelector('.searchable-select-trigger').dataset.value;
+      const leftType = properties.find(p => p.name === leftProperty)?.type;
+      selectedValueProperty = valuePropertySelect.value || selectedValueProperty;
+      valuePropertySelect.innerHTML = buildComparePropertyOptions(properties, leftProperty, leftType, selectedValueProperty);
+    }
+    valuePropertySelect.style.display = useProperty ? 'block' : 'none';
 
-    if (isEmptyOperator) {
+    if (isEmptyOperator || operatorDef?.valueType === 'none') {
       valueInput.style.display = 'none';
       listSelect.style.display = 'none';
     } else if (isListOperator) {
@@ -2436,21 +3150,21 @@ function addConditionToGroup(container, condition = null, properties = []) {
         await loadListOptions(listSelect, condition?.value);
       }
     } else {
-      valueInput.style.display = 'block';
+      valueInput.style.display = useProperty ? 'none' : 'block';
       listSelect.style.display = 'none';
     }
   };
 
   operatorSelect.addEventListener('change', updateValueVisibility);
+  valueSourceSelect.addEventListener('change', updateValueVisibility);
   updateValueVisibility();
 
   container.appendChild(div);
 
   // If editing, set value after appending
-  if (condition?.value) {
+  if (condition?.value && !comparesProperty) {
     setTimeout(() => {
-      const valInput = div.querySelector('.condition-value');
-      if (valInput) valInput.value = condition.value;
+      writeConditionValue(div.querySelector('.condition-value'), condition.value);
     }, 0);
   }
 }
@@ -2507,38 +3221,9 @@ function getConditionGroups(containerId) {
   const groups = [];
 
   container.querySelectorAll('[data-group-id]').forEach(groupCard => {
-    const groupId = groupCard.dataset.groupId;
-    const logicToggle = groupCard.querySelector('[data-group-logic]');
-    const activeBtn = logicToggle?.querySelector('.logic-btn.active');
-    const logic = activeBtn ? activeBtn.dataset.value : 'AND';
-
-    const conditions = [];
-    const conditionsContainer = groupCard.querySelector('[data-group-conditions]');
-
-    conditionsContainer.querySelectorAll('.condition-row').forEach(item => {
-      const trigger = item.querySelector('.searchable-select-trigger');
-      const property = trigger ? trigger.dataset.value : '';
-      const operator = item.querySelector('.condition-operator').value;
-
-      // Get value from either text input or list selector
-      const isListOperator = operator === 'is_member_of_list' || operator === 'is_not_member_of_list';
-      let value = '';
-      if (isListOperator) {
-        const listSelect = item.querySelector('.condition-list-value');
-        value = listSelect?.value || '';
-      } else {
-        const valueEl = item.querySelector('.condition-value');
-        value = valueEl?.value?.trim() || '';
-      }
-
-      if (property) {
-        conditions.push({ property, operator, value });
-      }
-    });
-
-    // Only include groups that have conditions
-    if (conditions.length > 0) {
-      groups.push({ id: groupId, logic, conditions });
+    const group = readConditionGroup(groupCard, groupCard.dataset.groupId);
+    if (group) {
+      groups.push(group);
     }
   });
 
@@ -2546,9 +3231,73 @@ function getConditionGroups(containerId) {
 }
 
 /**
- * Set condition groups in a container
- * @param {string} containerId
- * @param {Array} groups
+ * Read a condition group card (and its sub-groups, recursively)
+ * @param {HTMLElement} groupCard - The .condition-group-wrapper
+ * @param {string} groupId
+ * @returns {Object|null} Group data, or null if it has no conditions or sub-groups
+ */
+function readConditionGroup(groupCard, groupId) {
+  const card = groupCard.querySelector(':scope > .condition-group-card');
+  const header = card.querySelector(':scope > .condition-group-header');
+  const body = card.querySelector(':scope > .condition-group-body');
+
+  const activeBtn = header.querySelector('[data-group-logic] .logic-btn.active');
+  const logic = activeBtn ? activeBtn.dataset.value : 'AND';
+  const negate = header.querySelector('[data-group-not]')?.classList.contains('active') || false;
+
+  const conditions = [];
+  const conditionsContainer = body.querySelector(':scope > [data-group-conditions]');
+
+  conditionsContainer.querySelectorAll(':scope > .condition-row').forEach(item => {
+    const trigger = item.querySelector('.searchable-select-trigger');
+    const property = trigger ? trigger.dataset.value : '';
+    const operator = item.querySelector('.condition-operator').value;
+
+    // Get value from either text input, list selector or compared property
+    const isListOperator = operator === 'is_member_of_list' || operator === 'is_not_member_of_list';
+    const valueSourceSelect = item.querySelector('.condition-value-source');
+    const comparesProperty = valueSourceSelect?.value === 'property' &&
+      operatorSupportsPropertyValue(OPERATORS.find(o => o.value === operator));
+    let value = '';
+    if (isListOperator) {
+      const listSelect = item.querySelector('.condition-list-value');
+      value = listSelect?.value || '';
+    } else if (comparesProperty) {
+      value = item.querySelector('.condition-value-property')?.value || '';
+    } else {
+      value = readConditionValue(item.querySelector('.condition-value'));
+    }
+
+    if (property) {
+      conditions.push(comparesProperty
+        ? { property, operator, value, valueSource: 'property' }
+        : { property, operator, value });
+    }
+  });
+
+  const subGroups = [];
+  body.querySelectorAll(':scope > [data-group-subgroups] > [data-subgroup-id]').forEach(subgroupCard => {
+    const subGroup = readConditionGroup(subgroupCard, subgroupCard.dataset.subgroupId);
+    if (subGroup) {
+      subGroups.push(subGroup);
+    }
+  });
+
+  // Only include groups that have conditions or sub-groups
+  if (conditions.length === 0 && subGroups.length === 0) {
+    return null;
+  }
+
+  const group = { id: groupId, logic, conditions };
+  if (negate) group.negate = true;
+  if (subGroups.length > 0) group.groups = subGroups;
+  return group;
+}
+
+/**
+ * Set condition groups in a container
+ * @param {string} containerId
+ * @param {Array} groups
  * @param {Array} properties
  */
 function setConditionGroups(containerId, groups, properties = []) {
@@ -2631,6 +3380,7 @@ function initGroupLogicToggle(toggleId) {
 
 /**
  * Migrate flat conditions to condition groups format
+ * Groups saved before nesting existed (no groups/negate keys) are valid as-is
  * @param {Object} rule - Rule with conditions/logic or conditionGroups/groupLogic
  * @returns {Object} - { conditionGroups, groupLogic }
  */
@@ -2662,6 +3412,1437 @@ function migrateConditionsToGroups(rule) {
   };
 }
 
+// ============================================
+// Rule Explanation ("Why isn't this showing?")
+// ============================================
+
+/**
+ * Collect every property referenced by condition groups (including nested groups
+ * and the right-hand side of property-to-property comparisons)
+ * @param {Array} conditionGroups
+ * @returns {Array<string>} Unique property names in order of first use
+ */
+function getConditionProperties(conditionGroups = []) {
+  const names = [];
+  const add = (name) => {
+    if (name && !names.includes(name)) names.push(name);
+  };
+  const visit = (group) => {
+    (group.conditions || []).forEach(condition => {
+      add(condition.property);
+      if (condition.valueSource === 'property') add(condition.value);
+    });
+    (group.groups || []).forEach(visit);
+  };
+  conditionGroups.forEach(visit);
+  return names;
+}
+
+/**
+ * Render an explainRule() result as HTML
+ * @param {Object} explanation - Result of RulesEngine#explainRule
+ * @returns {string}
+ */
+function renderRuleExplanation(explanation) {
+  const RulesEngine = window.RevGuideRulesEngine;
+  const summary = RulesEngine.summarizeExplanation(explanation);
+
+  const filtersHtml = explanation.filters
+    .filter(f => f.filter !== 'enabled' || !f.passed)
+    .map(f => {
+      const expected = Array.isArray(f.expected) ? f.expected.join(', ') : f.expected;
+      const label = f.reason || `${f.filter}: ${expected}`;
+      return `<div class="explain-row ${f.passed ? 'pass' : 'fail'}">${f.passed ? '✓' : '✗'} ${escapeHtml(String(label))}</div>`;
+    }).join('');
+
+  const renderGroup = (group) => `
+    <div class="explain-group ${group.passed ? 'pass' : 'fail'}">
+      <div class="explain-group-header">${group.negate ? 'NOT ' : ''}${escapeHtml(group.logic)} group · ${group.passed ? 'passes' : 'fails'}</div>
+      ${group.conditions.map(c => `
+        <div class="explain-row ${c.passed ? 'pass' : 'fail'}">
+          ${c.passed ? '✓' : '✗'} ${escapeHtml(RulesEngine.describeCondition(c))}
+          ${c.error ? `<span class="explain-row-error">${escapeHtml(c.error)}</span>` : ''}
+        </div>
+      `).join('')}
+      ${group.groups.map(renderGroup).join('')}
+    </div>
+  `;
+
+  const conditionsHtml = explanation.displayOnAll
+    ? '<div class="explain-row pass">✓ Displays on all records</div>'
+    : (explanation.conditions?.groups || []).map(renderGroup).join('') || '<div class="explain-row pass">✓ No conditions</div>';
+
+  return `
+    <div class="explain-summary ${explanation.matched ? 'pass' : 'fail'}">
+      <strong>${explanation.matched ? 'Would show' : 'Would not show'}</strong>
+      <span>${escapeHtml(summary)}</span>
+    </div>
+    ${filtersHtml}
+    ${conditionsHtml}
+  `;
+}
+
+/**
+ * Render the "Why isn't this showing?" panel for a draft rule
+ * Shows one input per referenced property; editing a value re-evaluates the rule
+ * @param {HTMLElement} panelEl - Container with [data-explain-inputs] and [data-explain-result]
+ * @param {Object} rule - Draft rule (objectTypes, conditionGroups, groupLogic, displayOnAll)
+ * @param {Object} options
+ * @param {Array} options.properties - Property definitions for labels
+ * @param {Object} options.values - Sample record values, updated in place as the user types
+ * @param {Object} options.context - Evaluation context ({ objectType, pipeline, stage })
+ */
+function renderRuleExplainPanel(panelEl, rule, { properties = [], values = {}, context = {} } = {}) {
+  const inputsEl = panelEl.querySelector('[data-explain-inputs]');
+  const resultEl = panelEl.querySelector('[data-explain-result]');
+
+  if (typeof window.RevGuideRulesEngine === 'undefined') {
+    resultEl.innerHTML = '<div class="explain-empty">Rule evaluation is unavailable.</div>';
+    return;
+  }
+
+  const engine = new window.RevGuideRulesEngine();
+  const propertyNames = getConditionProperties(rule.conditionGroups || []);
+
+  const evaluate = () => {
+    resultEl.innerHTML = renderRuleExplanation(engine.explainRule(rule, values, context));
+  };
+
+  if (propertyNames.length === 0 || rule.displayOnAll) {
+    inputsEl.innerHTML = '';
+  } else {
+    inputsEl.innerHTML = propertyNames.map(name => {
+      const prop = properties.find(p => p.name === name);
+      return `
+        <label class="explain-input">
+          <span class="explain-input-label">${escapeHtml(prop?.label || name)} <code>${escapeHtml(name)}</code></span>
+          <input type="text" data-explain-property="${escapeHtml(name)}" value="${escapeHtml(String(values[name] ?? '')).replace(/"/g, '&quot;')}" placeholder="(empty)">
+        </label>
+      `;
+    }).join('');
+
+    inputsEl.querySelectorAll('[data-explain-property]').forEach(input => {
+      input.addEventListener('input', () => {
+        values[input.dataset.explainProperty] = input.value;
+        evaluate();
+      });
+    });
+  }
+
+  evaluate();
+}
+
+const RECORD_TYPE_IDS = {
+  '0-1': 'contact',
+  '0-2': 'company',
+  '0-3': 'deal',
+  '0-5': 'ticket'
+};
+
+const RECORD_TYPE_PLURALS = {
+  contact: 'contacts',
+  company: 'companies',
+  deal: 'deals',
+  ticket: 'tickets'
+};
+
+// Properties used for pipeline/stage filters
+const RULE_CONTEXT_PROPERTIES = ['pipeline', 'dealstage', 'hs_pipeline', 'hs_pipeline_stage'];
+
+// Properties used to label records in match previews
+const RECORD_NAME_PROPERTIES = {
+  contact: ['firstname', 'lastname', 'email'],
+  company: ['name', 'domain'],
+  deal: ['dealname'],
+  ticket: ['subject']
+};
+
+/**
+ * Parse a pasted HubSpot record URL or bare record ID
+ * Supports /record/0-3/123 and legacy /deal/123 style URLs.
+ * @param {string} input - Record URL or numeric ID
+ * @param {string} fallbackObjectType - Singular object type used for bare IDs
+ * @returns {Object|null} { objectType, recordId } or null if unrecognised
+ */
+function parseRecordReference(input, fallbackObjectType) {
+  const value = (input || '').trim();
+  if (!value) return null;
+
+  if (/^\d+$/.test(value)) {
+    return fallbackObjectType ? { objectType: fallbackObjectType, recordId: value } : null;
+  }
+
+  const recordMatch = value.match(/\/record\/(0-\d+)\/(\d+)/);
+  if (recordMatch) {
+    const objectType = RECORD_TYPE_IDS[recordMatch[1]];
+    return objectType ? { objectType, recordId: recordMatch[2] } : null;
+  }
+
+  const legacyMatch = value.match(/\/(contact|company|deal|ticket)\/(\d+)/);
+  if (legacyMatch) {
+    return { objectType: legacyMatch[1], recordId: legacyMatch[2] };
+  }
+
+  return null;
+}
+
+/**
+ * Fetch a single HubSpot record's properties
+ * @param {string} objectType - Singular object type (deal, contact, ...)
+ * @param {string} recordId - HubSpot record ID
+ * @param {Array<string>} propertyNames - Properties to request
+ * @returns {Promise<Object>} Record properties
+ */
+async function fetchRecordProperties(objectType, recordId, propertyNames = []) {
+  const apiObjectType = RECORD_TYPE_PLURALS[objectType] || objectType;
+
+  // In web context, use HubSpot OAuth proxy
+  if (!isExtensionContext) {
+    if (typeof RevGuideHubSpot === 'undefined') {
+      throw new Error('HubSpot integration not loaded. Please refresh the page.');
+    }
+
+    const connection = await RevGuideHubSpot.getConnection();
+    if (!connection || !connection.isConnected) {
+      throw new Error('HubSpot not connected. Please connect your HubSpot account in Settings.');
+    }
+
+    const query = propertyNames.length > 0
+      ? `?properties=${propertyNames.map(encodeURIComponent).join(',')}`
+      : '';
+    const data = await RevGuideHubSpot.proxy(
+      connection.connectionId,
+      `/crm/v3/objects/${apiObjectType}/${encodeURIComponent(recordId)}${query}`
+    );
+    return data.properties || {};
+  }
+
+  // In extension context, use background script
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      { action: 'fetchRecordProperties', objectType, recordId },
+      (response) => {
+        if (response?.success) {
+          resolve(response.data?.properties || {});
+        } else {
+          reject(new Error(response?.error || 'Failed to fetch record'));
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Fetch the associated records a rule references for a single record
+ * @param {string} objectType - Singular object type of the record
+ * @param {string} recordId - HubSpot record ID
+ * @param {Object} request - From RulesEngine.getAssociationRequest
+ * @returns {Promise<Object>} Namespaced properties (company.industry, tickets.count, ...)
+ */
+async function fetchRecordAssociations(objectType, recordId, request) {
+  const RulesEngine = window.RevGuideRulesEngine;
+  if (Object.keys(request).length === 0) return {};
+
+  // In web context, use HubSpot OAuth proxy
+  if (!isExtensionContext) {
+    if (typeof RevGuideHubSpot === 'undefined') {
+      throw new Error('HubSpot integration not loaded. Please refresh the page.');
+    }
+
+    const connection = await RevGuideHubSpot.getConnection();
+    if (!connection || !connection.isConnected) {
+      throw new Error('HubSpot not connected. Please connect your HubSpot account in Settings.');
+    }
+
+    const associations = await RevGuideHubSpot.getRecordAssociations(
+      connection.connectionId,
+      RECORD_TYPE_PLURALS[objectType] || objectType,
+      encodeURIComponent(recordId),
+      request
+    );
+    return RulesEngine.flattenAssociations(request, associations);
+  }
+
+  // In extension context, use background script
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      { action: 'fetchAssociatedRecords', objectType, recordId, request },
+      (response) => {
+        if (response?.success) {
+          resolve(RulesEngine.flattenAssociations(request, response.data || {}));
+        } else {
+          reject(new Error(response?.error || 'Failed to fetch associated records'));
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Build the rules engine context for a fetched record
+ * @param {string} objectType - Singular object type
+ * @param {Object} properties - Record properties
+ * @returns {Object} { objectType, pipeline, stage }
+ */
+function buildRecordContext(objectType, properties) {
+  return {
+    objectType,
+    pipeline: properties.pipeline || properties.hs_pipeline || null,
+    stage: properties.dealstage || properties.hs_pipeline_stage || null
+  };
+}
+
+/**
+ * Get a readable name for a record from its properties
+ * @param {string} objectType - Singular object type
+ * @param {Object} properties - Record properties
+ * @param {string} recordId - Fallback when no name property is set
+ * @returns {string}
+ */
+function getRecordDisplayName(objectType, properties, recordId) {
+  if (objectType === 'contact') {
+    const name = [properties.firstname, properties.lastname].filter(Boolean).join(' ');
+    return name || properties.email || `Contact ${recordId}`;
+  }
+  if (objectType === 'company') return properties.name || properties.domain || `Company ${recordId}`;
+  if (objectType === 'deal') return properties.dealname || `Deal ${recordId}`;
+  if (objectType === 'ticket') return properties.subject || `Ticket ${recordId}`;
+  return `Record ${recordId}`;
+}
+
+/**
+ * Build a link to a record in HubSpot
+ * @param {string} portalId - HubSpot portal ID
+ * @param {string} objectType - Singular object type
+ * @param {string} recordId - HubSpot record ID
+ * @returns {string|null}
+ */
+function buildRecordUrl(portalId, objectType, recordId) {
+  const objectTypeId = Object.keys(RECORD_TYPE_IDS).find(id => RECORD_TYPE_IDS[id] === objectType);
+  if (!portalId || !objectTypeId) return null;
+  return `https://app.hubspot.com/contacts/${portalId}/record/${objectTypeId}/${recordId}`;
+}
+
+/**
+ * Page through records of the rule's object type and count how many match
+ * Records are scanned most recently modified first. The rule is evaluated as if
+ * enabled, unscheduled and without an audience so a banner can be previewed before it goes
+ * live; audience depends on who views the record, which a record search can't tell.
+ * @param {Object} rule - Draft rule (must have an object type)
+ * @param {Object} options - { maxRecords, sampleSize, onProgress(scanned, total) }
+ * @returns {Promise<Object>} { objectType, scanned, total, matched, samples, portalId, usesAssociations, error }
+ *   error is set when paging stopped early; counts cover the records scanned so far.
+ *   Associated-record conditions are not fetched per record, so they see empty values
+ */
+async function previewRuleMatches(rule, { maxRecords = 1000, sampleSize = 10, onProgress } = {}) {
+  if (typeof RevGuideHubSpot === 'undefined') {
+    throw new Error('HubSpot integration not loaded. Please refresh the page.');
+  }
+
+  const objectType = rule.objectTypes?.[0];
+  if (!objectType) {
+    throw new Error('Choose an object type before previewing matches.');
+  }
+
+  const connection = await RevGuideHubSpot.getConnection();
+  if (!connection || !connection.isConnected) {
+    throw new Error('HubSpot not connected. Please connect your HubSpot account in Settings.');
+  }
+
+  const RulesEngine = window.RevGuideRulesEngine;
+  const computedDefinitions = await loadComputedProperties();
+  const propertyNames = getConditionProperties(rule.conditionGroups || [])
+    .filter(name => !RulesEngine.parseAssociationKey(name) && !name.startsWith(COMPUTED_PROPERTY_PREFIX));
+  [
+    ...RULE_CONTEXT_PROPERTIES,
+    ...(RECORD_NAME_PROPERTIES[objectType] || []),
+    ...getComputedPropertyReferences(computedDefinitions, objectType)
+  ].forEach(name => {
+    if (!propertyNames.includes(name)) propertyNames.push(name);
+  });
+
+  const engine = new RulesEngine();
+  const previewRule = { ...rule, enabled: true, schedule: null, audience: null };
+  const result = {
+    objectType,
+    scanned: 0,
+    total: 0,
+    matched: 0,
+    samples: [],
+    portalId: connection.portalId || currentOrganization?.hubspot_portal_id || null,
+    usesAssociations: Object.keys(RulesEngine.getAssociationRequest([rule])).length > 0,
+    error: null
+  };
+
+  let after = null;
+  do {
+    let page;
+    try {
+      page = await RevGuideHubSpot.searchRecords(connection.connectionId, RECORD_TYPE_PLURALS[objectType], {
+        properties: propertyNames,
+        limit: Math.min(100, maxRecords - result.scanned),
+        after,
+        sorts: [{ propertyName: 'hs_lastmodifieddate', direction: 'DESCENDING' }]
+      });
+    } catch (error) {
+      // Keep what we have (e.g. after hitting the search rate limit)
+      if (result.scanned === 0) throw error;
+      result.error = error.message;
+      break;
+    }
+
+    result.total = page.total;
+    page.results.forEach(record => {
+      const properties = withComputedProperties(record.properties || {}, objectType, computedDefinitions);
+      result.scanned++;
+      if (engine.evaluateRules([previewRule], properties, buildRecordContext(objectType, properties)).length === 0) return;
+      result.matched++;
+      if (result.samples.length < sampleSize) {
+        result.samples.push({
+          id: record.id,
+          name: getRecordDisplayName(objectType, properties, record.id),
+          url: buildRecordUrl(result.portalId, objectType, record.id)
+        });
+      }
+    });
+
+    if (onProgress) onProgress(result.scanned, result.total);
+    after = page.after;
+  } while (after && result.scanned < maxRecords);
+
+  return result;
+}
+
+/**
+ * Render a previewRuleMatches() result as HTML
+ * @param {Object} preview - Result of previewRuleMatches
+ * @returns {string}
+ */
+function renderMatchPreview(preview) {
+  const plural = RECORD_TYPE_PLURALS[preview.objectType] || preview.objectType;
+  const percent = preview.scanned > 0 ? Math.round((preview.matched / preview.scanned) * 100) : 0;
+  const summaryClass = preview.matched > 0 ? 'pass' : 'fail';
+
+  const coverage = preview.scanned < preview.total
+    ? `Scanned the ${preview.scanned.toLocaleString()} most recently modified of ${preview.total.toLocaleString()} ${plural}.`
+    : `Scanned all ${preview.scanned.toLocaleString()} ${plural}.`;
+
+  const samplesHtml = preview.samples.length > 0
+    ? `<ul class="match-preview-samples">
+        ${preview.samples.map(sample => `
+          <li>
+            ${sample.url
+              ? `<a href="${escapeHtml(sample.url)}" target="_blank" rel="noopener">${escapeHtml(sample.name)}</a>`
+              : escapeHtml(sample.name)}
+            <code>${escapeHtml(sample.id)}</code>
+          </li>
+        `).join('')}
+      </ul>`
+    : '';
+
+  return `
+    <div class="explain-summary ${summaryClass}">
+      Matches ${preview.matched.toLocaleString()} of ${preview.scanned.toLocaleString()} ${plural} (${percent}%)
+    </div>
+    <div class="record-test-meta">${coverage} Audience targeting is not applied.</div>
+    ${preview.usesAssociations ? '<div class="explain-empty">Associated-record conditions are evaluated as empty here. Use "Test against record" to check them.</div>' : ''}
+    ${preview.error ? `<div class="explain-empty">Stopped early: ${escapeHtml(preview.error)}</div>` : ''}
+    ${samplesHtml}
+  `;
+}
+
+/**
+ * Wire up a "Match preview" panel
+ * @param {HTMLElement} panelEl - Panel containing [data-match-preview-limit], [data-match-preview-btn] and [data-match-preview-result]
+ * @param {Function} getRule - Returns the draft rule to preview
+ */
+function initMatchPreviewPanel(panelEl, getRule) {
+  if (!panelEl || panelEl.dataset.bound) return;
+  panelEl.dataset.bound = 'true';
+
+  const limitSelect = panelEl.querySelector('[data-match-preview-limit]');
+  const button = panelEl.querySelector('[data-match-preview-btn]');
+  const resultEl = panelEl.querySelector('[data-match-preview-result]');
+
+  button.addEventListener('click', async () => {
+    if (typeof window.RevGuideRulesEngine === 'undefined') {
+      resultEl.innerHTML = '<div class="explain-empty">Rule evaluation is unavailable.</div>';
+      return;
+    }
+
+    button.disabled = true;
+    resultEl.innerHTML = '<div class="explain-empty">Searching records...</div>';
+
+    try {
+      const preview = await previewRuleMatches(getRule(), {
+        maxRecords: parseInt(limitSelect.value, 10) || 1000,
+        onProgress: (scanned, total) => {
+          resultEl.innerHTML = `<div class="explain-empty">Scanned ${scanned.toLocaleString()} of ${Math.min(total, parseInt(limitSelect.value, 10) || 1000).toLocaleString()} records...</div>`;
+        }
+      });
+      resultEl.innerHTML = renderMatchPreview(preview);
+    } catch (error) {
+      console.error('Failed to preview rule matches:', error);
+      resultEl.innerHTML = `<div class="explain-empty">${escapeHtml(error.message)}</div>`;
+    } finally {
+      button.disabled = false;
+    }
+  });
+}
+
+/**
+ * Wire up a "Test against record" panel
+ * Each run re-reads the rule so unsaved edits in the Rules tab are included.
+ * @param {HTMLElement} panelEl - Panel containing [data-record-test-input], [data-record-test-btn] and [data-record-test-result]
+ * @param {Function} getRule - Returns the draft rule to test
+ */
+function initRecordTestPanel(panelEl, getRule) {
+  if (!panelEl || panelEl.dataset.bound) return;
+  panelEl.dataset.bound = 'true';
+
+  const input = panelEl.querySelector('[data-record-test-input]');
+  const button = panelEl.querySelector('[data-record-test-btn]');
+  const resultEl = panelEl.querySelector('[data-record-test-result]');
+
+  const run = async () => {
+    if (typeof window.RevGuideRulesEngine === 'undefined') {
+      resultEl.innerHTML = '<div class="explain-empty">Rule evaluation is unavailable.</div>';
+      return;
+    }
+
+    const rule = getRule();
+    const ref = parseRecordReference(input.value, rule.objectTypes?.[0]);
+    if (!ref) {
+      resultEl.innerHTML = `<div class="explain-empty">${input.value.trim()
+        ? 'Could not read a record from that URL. Paste a HubSpot record URL or a numeric record ID.'
+        : 'Paste a HubSpot record URL or ID to test.'}</div>`;
+      return;
+    }
+
+    // Request the properties the rule references plus those used by pipeline/stage filters;
+    // associated-record keys (company.industry) are fetched separately
+    const RulesEngine = window.RevGuideRulesEngine;
+    const computedDefinitions = await loadComputedProperties();
+    const propertyNames = getConditionProperties(rule.conditionGroups || [])
+      .filter(name => !RulesEngine.parseAssociationKey(name) && !name.startsWith(COMPUTED_PROPERTY_PREFIX));
+    [...RULE_CONTEXT_PROPERTIES, ...getComputedPropertyReferences(computedDefinitions, ref.objectType)].forEach(name => {
+      if (!propertyNames.includes(name)) propertyNames.push(name);
+    });
+
+    button.disabled = true;
+    resultEl.innerHTML = '<div class="explain-empty">Fetching record...</div>';
+
+    try {
+      const [ownProperties, associated] = await Promise.all([
+        fetchRecordProperties(ref.objectType, ref.recordId, propertyNames),
+        fetchRecordAssociations(ref.objectType, ref.recordId, RulesEngine.getAssociationRequest([rule]))
+      ]);
+      const properties = withComputedProperties({ ...ownProperties, ...associated }, ref.objectType, computedDefinitions);
+      const engine = new RulesEngine();
+      // Audience depends on the viewer, not the record, so it is left out like in the match preview
+      const explanation = engine.explainRule({ ...rule, audience: null }, properties, buildRecordContext(ref.objectType, properties));
+
+      resultEl.innerHTML = `
+        <div class="record-test-meta">Tested against ${escapeHtml(ref.objectType)} <code>${escapeHtml(ref.recordId)}</code>. Audience targeting is not applied.</div>
+        ${renderRuleExplanation(explanation)}
+      `;
+    } catch (error) {
+      console.error('Failed to test rule against record:', error);
+      resultEl.innerHTML = `<div class="explain-empty">${escapeHtml(error.message)}</div>`;
+    } finally {
+      button.disabled = false;
+    }
+  };
+
+  button.addEventListener('click', run);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      run();
+    }
+  });
+}
+
+// ============================================
+// Rule Lint
+// ============================================
+
+/**
+ * Lint banners or plays with RevGuideRuleLinter
+ * @param {Array} rules - Saved banners or plays
+ * @param {Object} options - { kind: 'banner' | 'play', draft }
+ *   With a draft (e.g. the rule open in the editor), only findings involving the draft are returned
+ * @returns {Array} Findings, or [] when the linter isn't loaded
+ */
+function lintRules(rules = [], { kind = 'banner', draft = null } = {}) {
+  const Linter = window.RevGuideRuleLinter;
+  if (!Linter) return [];
+  return draft ? Linter.lintRule(draft, rules, { kind }) : Linter.lintRules(rules, { kind });
+}
+
+/**
+ * Render lint findings with links to edit the rules they mention
+ * @param {Array} findings - From lintRules()
+ * @param {Object} options - { rules, kind, currentRuleId } - currentRuleId is not linked
+ * @returns {string} HTML
+ */
+function renderRuleLintFindings(findings, { rules = [], kind = 'banner', currentRuleId = null } = {}) {
+  if (findings.length === 0) {
+    return '<div class="explain-empty">No problems found.</div>';
+  }
+
+  const page = kind === 'play' ? '/plays' : '/banners';
+  const editUrl = (id) => `${isExtensionContext ? page.slice(1) + '.html' : buildOrgAwareUrl(page)}?edit=${encodeURIComponent(id)}`;
+
+  const items = findings.map(finding => {
+    const links = finding.ruleIds
+      .filter(id => id && id !== currentRuleId)
+      .map(id => rules.find(r => r.id === id))
+      .filter(Boolean)
+      .map(rule => `<a href="${escapeHtml(editUrl(rule.id))}">Edit ${escapeHtml(rule.name || rule.id)}</a>`)
+      .join('');
+
+    return `
+      <li class="rule-lint-item ${finding.severity}">
+        <span class="rule-lint-severity">${finding.severity}</span>
+        <span>
+          ${escapeHtml(finding.message)}
+          ${links ? `<span class="rule-lint-links">${links}</span>` : ''}
+        </span>
+      </li>
+    `;
+  }).join('');
+
+  return `<ul class="rule-lint-list">${items}</ul>`;
+}
+
+// ============================================
+// Translations
+// ============================================
+
+const TRANSLATION_FIELD_LABELS = {
+  title: 'Title',
+  name: 'Name',
+  subtitle: 'Subtitle',
+  message: 'Message',
+  definition: 'Definition'
+};
+
+// Fields edited with a rich text editor; the rest are single-line inputs
+const TRANSLATION_RICH_FIELDS = ['message', 'definition'];
+
+let contentLanguagesPromise = null;
+
+/**
+ * Load the organization's default language and the languages it translates into
+ * @returns {Promise<{defaultLanguage: string, languages: Array<string>}>}
+ */
+function loadContentLanguages() {
+  if (contentLanguagesPromise) return contentLanguagesPromise;
+
+  const Translations = window.RevGuideTranslations;
+  contentLanguagesPromise = (async () => {
+    // Local-only setups have no organization settings, so offer every language
+    if (isExtensionContext || typeof RevGuideDB === 'undefined') {
+      return {
+        defaultLanguage: Translations.DEFAULT_LANGUAGE,
+        languages: Object.keys(Translations.LANGUAGES).filter(code => code !== Translations.DEFAULT_LANGUAGE)
+      };
+    }
+
+    const { data, error } = await RevGuideDB.getContentLanguages();
+    if (error) console.warn('[Translations] Failed to load content languages:', error);
+    const defaultLanguage = data?.default_language || Translations.DEFAULT_LANGUAGE;
+    return {
+      defaultLanguage,
+      languages: (data?.translation_languages || []).filter(code => code !== defaultLanguage && Translations.LANGUAGES[code])
+    };
+  })();
+  return contentLanguagesPromise;
+}
+
+/**
+ * Forget the cached content languages after they're changed in Settings
+ */
+function clearContentLanguagesCache() {
+  contentLanguagesPromise = null;
+}
+
+/**
+ * Wire up a Translations tab for a banner, play or wiki entry
+ * Shows one language at a time with the original text next to each field, and flags fields
+ * that have original content but no translation.
+ * @param {HTMLElement} containerEl - Empty container for the editor
+ * @param {Object} options
+ * @param {string} options.contentType - 'banner', 'play' or 'wiki'
+ * @param {Function} options.getSource - Returns the original fields from the Content tab
+ * @param {HTMLElement} [options.badgeEl] - Shows the number of missing translations (e.g. on the tab button)
+ * @param {Function} [options.onChange] - Called when a translation is edited
+ * @returns {Object} { setTranslations(translations), getTranslations(), render(), refreshBadge() }
+ */
+function initTranslationEditor(containerEl, { contentType, getSource, badgeEl = null, onChange = () => {} }) {
+  const Translations = window.RevGuideTranslations;
+  let translations = {};
+  let languages = [];
+  let selectedLanguage = null;
+  const richEditors = new Map(); // field key -> Tiptap editor (or pending content until it's ready)
+
+  const getPath = (obj, key) => key.split('.').reduce((value, part) => value?.[part], obj);
+  const setPath = (obj, key, value) => {
+    const parts = key.split('.');
+    let target = obj;
+    parts.slice(0, -1).forEach((part, i) => {
+      if (target[part] === undefined) target[part] = /^\d+$/.test(parts[i + 1]) ? [] : {};
+      target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+  };
+
+  const flush = () => {
+    if (!selectedLanguage) return;
+    const translation = translations[selectedLanguage] || {};
+    containerEl.querySelectorAll('[data-translation-field]').forEach(input => {
+      setPath(translation, input.dataset.translationField, input.value.trim());
+    });
+    richEditors.forEach((editor, key) => {
+      setPath(translation, key, typeof editor === 'string' ? editor : editor.getHTML().trim());
+    });
+    translations[selectedLanguage] = translation;
+  };
+
+  const destroyEditors = () => {
+    richEditors.forEach(editor => {
+      if (typeof editor !== 'string') editor.destroy();
+    });
+    richEditors.clear();
+  };
+
+  const countMissing = (source, language) => Translations.getMissingFields({ ...source, translations }, contentType, language).length;
+
+  const refreshBadge = () => {
+    if (!badgeEl) return;
+    const source = getSource();
+    const missing = languages.reduce((sum, language) => sum + countMissing(source, language), 0);
+    badgeEl.textContent = missing;
+    badgeEl.title = `${missing} missing translation${missing === 1 ? '' : 's'}`;
+    badgeEl.hidden = missing === 0;
+  };
+
+  const renderField = (key, label, sourceValue, rich) => {
+    const value = getPath(translations[selectedLanguage], key) || '';
+    const isMissing = stripHtml(sourceValue || '').trim() !== '' && stripHtml(value).trim() === '';
+    return `
+      <div class="form-group translation-field">
+        <div class="label-row">
+          <label>${escapeHtml(label)}</label>
+          ${isMissing ? '<span class="translation-missing">Missing</span>' : ''}
+        </div>
+        <div class="translation-source" title="Original">${escapeHtml(rich ? stripHtml(sourceValue) : sourceValue)}</div>
+        ${rich
+          ? `<div class="translation-rich" data-translation-rich="${key}"></div>`
+          : `<input type="text" data-translation-field="${key}" value="${escapeHtml(value)}">`}
+      </div>
+    `;
+  };
+
+  const render = () => {
+    flush();
+    destroyEditors();
+
+    if (languages.length === 0) {
+      containerEl.innerHTML = `
+        <div class="explain-empty">
+          No translation languages are turned on. Choose the languages your team translates into in
+          <a href="${isExtensionContext ? 'settings.html' : buildOrgAwareUrl('/settings')}">Settings</a>.
+        </div>
+      `;
+      return;
+    }
+    if (!languages.includes(selectedLanguage)) selectedLanguage = languages[0];
+
+    const source = getSource();
+    const fieldsHtml = Translations.FIELDS[contentType].map(field => {
+      if (field !== 'sections') {
+        if (stripHtml(source[field] || '').trim() === '') return '';
+        return renderField(field, TRANSLATION_FIELD_LABELS[field] || field, source[field], TRANSLATION_RICH_FIELDS.includes(field));
+      }
+      return (source.sections || []).map((section, i) => {
+        const parts = Translations.getSectionFields(section);
+        if (parts.length === 0) return '';
+        return `
+          <div class="translation-section">
+            <h5>Section ${i + 1}${section.title ? ` · ${escapeHtml(section.title)}` : ''}</h5>
+            ${parts.map(part => renderField(`sections.${i}.${part}`, part === 'title' ? 'Section title' : 'Section content', section[part], part === 'content')).join('')}
+          </div>
+        `;
+      }).join('');
+    }).join('');
+
+    containerEl.innerHTML = `
+      <div class="translation-languages" role="tablist">
+        ${languages.map(language => {
+          const missing = countMissing(source, language);
+          return `
+            <button type="button" role="tab" class="translation-language ${language === selectedLanguage ? 'active' : ''}" data-language="${language}" aria-selected="${language === selectedLanguage}">
+              ${escapeHtml(Translations.LANGUAGES[language])}
+              ${missing > 0 ? `<span class="translation-missing">${missing} missing</span>` : '<span class="translation-complete">Complete</span>'}
+            </button>
+          `;
+        }).join('')}
+      </div>
+      <span class="form-hint">Reps see their profile language, or HubSpot's language when they haven't picked one. Anything left blank shows the original.</span>
+      ${fieldsHtml || '<div class="explain-empty">Add content on the Content tab to translate it.</div>'}
+    `;
+
+    containerEl.querySelectorAll('[data-translation-rich]').forEach(el => {
+      const key = el.dataset.translationRich;
+      const content = getPath(translations[selectedLanguage], key) || '';
+      richEditors.set(key, content);
+      if (!window.TiptapEditor) {
+        el.innerHTML = `<textarea data-translation-field="${key}" rows="4">${escapeHtml(content)}</textarea>`;
+        richEditors.delete(key);
+        return;
+      }
+      window.TiptapEditor.create(el, { content, minimal: true, onChange }).then(editor => {
+        // Ignore editors that finished loading after the tab was re-rendered
+        if (!el.isConnected) {
+          editor.destroy();
+          return;
+        }
+        richEditors.set(key, editor);
+      });
+    });
+
+    refreshBadge();
+  };
+
+  containerEl.addEventListener('click', (e) => {
+    const tab = e.target.closest('[data-language]');
+    if (!tab || tab.dataset.language === selectedLanguage) return;
+    flush();
+    selectedLanguage = tab.dataset.language;
+    render();
+  });
+  containerEl.addEventListener('input', () => onChange());
+
+  loadContentLanguages().then(config => {
+    languages = config.languages;
+    refreshBadge();
+  });
+
+  return {
+    setTranslations(value) {
+      destroyEditors();
+      translations = JSON.parse(JSON.stringify(value || {}));
+      selectedLanguage = null;
+      containerEl.innerHTML = '';
+      refreshBadge();
+    },
+    getTranslations() {
+      flush();
+      // Drop blank fields and languages with nothing translated
+      const cleaned = {};
+      Object.entries(translations).forEach(([language, translation]) => {
+        const fields = {};
+        Object.entries(translation || {}).forEach(([field, value]) => {
+          if (field === 'sections') {
+            const sections = (value || []).map(section => Object.fromEntries(
+              Object.entries(section || {}).filter(([, text]) => stripHtml(text || '').trim() !== '')
+            ));
+            if (sections.some(section => Object.keys(section).length > 0)) fields.sections = sections;
+          } else if (stripHtml(value || '').trim() !== '') {
+            fields[field] = value;
+          }
+        });
+        if (Object.keys(fields).length > 0) cleaned[language] = fields;
+      });
+      return cleaned;
+    },
+    render,
+    refreshBadge
+  };
+}
+
+// ============================================
+// A/B Variants
+// ============================================
+
+const VARIANT_EVENT_LABELS = {
+  action: 'Action clicks',
+  play_open: 'Play opens',
+  field_save: 'Field saves'
+};
+
+/**
+ * Wire up an A/B variant switcher above a content editor
+ * The page's form always shows one variant; switching stores the form's content in the current
+ * variant and loads the next one. Variant "a" is the item's own content.
+ * @param {HTMLElement} containerEl - Empty container for the switcher
+ * @param {Object} options
+ * @param {Function} options.readContent - Returns the form's content fields (e.g. { title, message })
+ * @param {Function} options.writeContent - Puts content fields into the form
+ * @param {Function} [options.onChange] - Called after switching, adding or removing variants
+ * @returns {Object} { setVariants(variants), getVariants(), getControlContent(), select(id), get selectedId() }
+ */
+function initVariantEditor(containerEl, { readContent, writeContent, onChange = () => {} }) {
+  const Variants = window.RevGuideVariants;
+  const CONTROL_ID = Variants.CONTROL_ID;
+  let variants = [];
+  let selectedId = CONTROL_ID;
+  let controlContent = null;
+
+  const flush = () => {
+    if (selectedId === CONTROL_ID) {
+      controlContent = readContent();
+      return;
+    }
+    const variant = variants.find(v => v.id === selectedId);
+    if (variant) Object.assign(variant, readContent());
+  };
+
+  const contentOf = (id) => {
+    if (id === CONTROL_ID) return controlContent;
+    const variant = variants.find(v => v.id === id);
+    return variant ? Object.fromEntries(Variants.CONTENT_FIELDS.filter(f => f in variant).map(f => [f, variant[f]])) : {};
+  };
+
+  const render = () => {
+    const all = Variants.getVariants({ variants });
+    if (all.length === 0) {
+      containerEl.innerHTML = `
+        <button type="button" class="btn btn-secondary btn-sm" data-add-variant>
+          <span class="icon icon-plus icon--sm"></span> Add A/B variant
+        </button>
+      `;
+      return;
+    }
+
+    const selected = variants.find(v => v.id === selectedId);
+    containerEl.innerHTML = `
+      <div class="variant-tabs" role="tablist">
+        ${all.map(v => `
+          <button type="button" role="tab" class="variant-tab ${v.id === selectedId ? 'active' : ''}" data-variant-id="${escapeHtml(v.id)}" aria-selected="${v.id === selectedId}">
+            ${escapeHtml(v.id === CONTROL_ID ? v.name : `${v.id.toUpperCase()}${v.name ? ` · ${v.name}` : ''}`)}
+            <span class="variant-weight">${v.weight}%</span>
+          </button>
+        `).join('')}
+        <button type="button" class="variant-tab variant-add" data-add-variant title="Add variant">
+          <span class="icon icon-plus icon--sm"></span>
+        </button>
+      </div>
+      ${selected ? `
+        <div class="variant-settings">
+          <input type="text" data-variant-name placeholder="Variant name (optional)" value="${escapeHtml(selected.name || '')}">
+          <label>Traffic <input type="number" data-variant-weight min="0" max="100" value="${selected.weight}">%</label>
+          <button type="button" class="btn btn-secondary btn-sm" data-remove-variant>Remove variant</button>
+        </div>
+      ` : ''}
+      <span class="form-hint">Each user is always shown the same variant. The original gets the traffic the other variants leave. Compare results in the Usage tab.</span>
+    `;
+  };
+
+  const select = (id) => {
+    if (id === selectedId) return;
+    flush();
+    selectedId = id;
+    writeContent(contentOf(id) || {});
+    render();
+    onChange();
+  };
+
+  containerEl.addEventListener('click', (e) => {
+    const tab = e.target.closest('[data-variant-id]');
+    if (tab) {
+      select(tab.dataset.variantId);
+      return;
+    }
+
+    if (e.target.closest('[data-add-variant]')) {
+      flush();
+      const control = Variants.getVariants({ variants })[0];
+      const weight = control ? Math.floor(control.weight / 2) : 50;
+      // Start from the content being edited so small wording changes are quick to make
+      const variant = { id: Variants.nextVariantId(variants), name: '', weight, ...readContent() };
+      variants.push(variant);
+      selectedId = variant.id;
+      render();
+      onChange();
+      return;
+    }
+
+    if (e.target.closest('[data-remove-variant]')) {
+      variants = variants.filter(v => v.id !== selectedId);
+      selectedId = CONTROL_ID;
+      writeContent(controlContent || {});
+      render();
+      onChange();
+    }
+  });
+
+  containerEl.addEventListener('input', (e) => {
+    const variant = variants.find(v => v.id === selectedId);
+    if (!variant) return;
+    if (e.target.matches('[data-variant-name]')) {
+      variant.name = e.target.value;
+    } else if (e.target.matches('[data-variant-weight]')) {
+      variant.weight = Math.max(0, Math.min(100, parseInt(e.target.value, 10) || 0));
+      // Only the weights change, so update the labels without re-rendering the inputs
+      Variants.getVariants({ variants }).forEach(v => {
+        const label = containerEl.querySelector(`[data-variant-id="${v.id}"] .variant-weight`);
+        if (label) label.textContent = `${v.weight}%`;
+      });
+    }
+  });
+
+  return {
+    setVariants(list) {
+      variants = (list || []).map(v => ({ ...v }));
+      selectedId = CONTROL_ID;
+      controlContent = null;
+      render();
+    },
+    getVariants() {
+      flush();
+      return variants.map(v => ({ ...v }));
+    },
+    // The original's content, whichever variant the form is showing
+    getControlContent() {
+      flush();
+      return { ...controlContent };
+    },
+    select,
+    get selectedId() { return selectedId; }
+  };
+}
+
+/**
+ * Check a variant list before saving
+ * @param {Array} variants - Variants without the original
+ * @returns {string|null} Error message
+ */
+function validateVariants(variants = []) {
+  const total = variants.reduce((sum, v) => sum + (Number(v.weight) || 0), 0);
+  if (total > 100) {
+    return 'A/B variant traffic adds up to more than 100%. Lower some variants so the original gets the rest.';
+  }
+  return null;
+}
+
+/**
+ * Render an A/B comparison table from get_variant_stats rows
+ * Rates are the share of reached users who did each thing at least once
+ * @param {Object} item - Banner or play with variants
+ * @param {Array} stats - [{ variant_id, event_type, users, events }]
+ * @param {Object} options - { events: event types to compare, e.g. ['play_open', 'field_save'] }
+ * @returns {string} HTML
+ */
+function renderVariantComparison(item, stats = [], { events = ['play_open', 'field_save'] } = {}) {
+  const variants = window.RevGuideVariants.getVariants(item);
+  const count = (variantId, eventType, field = 'users') => {
+    const row = stats.find(s => s.variant_id === variantId && s.event_type === eventType);
+    return row ? Number(row[field]) || 0 : 0;
+  };
+  const rate = (variantId, eventType) => {
+    const reached = count(variantId, 'impression');
+    return reached > 0 ? count(variantId, eventType) / reached : null;
+  };
+  const best = Object.fromEntries(events.map(eventType => {
+    const rates = variants.map(v => rate(v.id, eventType)).filter(r => r !== null);
+    return [eventType, rates.length > 1 ? Math.max(...rates) : null];
+  }));
+  const minReached = Math.min(...variants.map(v => count(v.id, 'impression')));
+
+  return `
+    <table class="variant-report">
+      <thead>
+        <tr>
+          <th>Variant</th>
+          <th>Traffic</th>
+          <th>Users reached</th>
+          ${events.map(eventType => `<th>${VARIANT_EVENT_LABELS[eventType] || escapeHtml(eventType)}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${variants.map(v => `
+          <tr>
+            <td>${escapeHtml(v.id === window.RevGuideVariants.CONTROL_ID ? v.name : `${v.id.toUpperCase()}${v.name ? ` · ${v.name}` : ''}`)}</td>
+            <td>${v.weight}%</td>
+            <td>${count(v.id, 'impression').toLocaleString()}</td>
+            ${events.map(eventType => {
+              const value = rate(v.id, eventType);
+              const isBest = value !== null && value > 0 && value === best[eventType];
+              return `
+                <td class="${isBest ? 'variant-best' : ''}" title="${count(v.id, eventType, 'events').toLocaleString()} total">
+                  ${count(v.id, eventType).toLocaleString()}
+                  ${value !== null ? `<span class="variant-rate">${Math.round(value * 100)}%</span>` : ''}
+                </td>
+              `;
+            }).join('')}
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ${minReached < 100 ? '<div class="form-hint">Fewer than 100 users have seen some variants, so differences may be chance.</div>' : ''}
+  `;
+}
+
+// ============================================
+// Revision History
+// ============================================
+
+/**
+ * Render the saved versions of a banner, play or wiki entry with a side-by-side diff
+ * Selecting a version shows what changed in that save, or everything since then compared with
+ * the current version, and offers to restore it.
+ * @param {HTMLElement} containerEl - Container for the history
+ * @param {Object} options
+ * @param {string} options.contentType - 'banner', 'play' or 'wiki'
+ * @param {string} options.contentId
+ * @param {Function} options.onRestore - Called with the restored database row
+ */
+async function renderRevisionHistory(containerEl, { contentType, contentId, onRestore }) {
+  const Revisions = window.RevGuideRevisions;
+  containerEl.innerHTML = '<div class="explain-empty">Loading...</div>';
+
+  const { data, error } = await RevGuideDB.getContentRevisions(contentType, contentId);
+  if (error) {
+    console.error('[Revisions] Failed to load history:', error);
+    containerEl.innerHTML = '<div class="explain-empty">Could not load the version history.</div>';
+    return;
+  }
+
+  const revisions = data || [];
+  if (revisions.length === 0) {
+    containerEl.innerHTML = '<div class="explain-empty">No saved versions yet. A version is recorded every time this is saved.</div>';
+    return;
+  }
+
+  let selectedId = revisions[0].id;
+  let compareTo = 'previous';
+
+  const renderDiff = (older, newer) => {
+    const changes = Revisions.compareRevisions(contentType, older?.snapshot || null, newer.snapshot);
+    if (changes.length === 0) {
+      return '<div class="explain-empty">No differences.</div>';
+    }
+
+    return changes.map(change => `
+      <div class="revision-field">
+        <h5>${escapeHtml(change.label)}</h5>
+        <table class="revision-diff">
+          <thead>
+            <tr>
+              <th>${older ? `Version ${older.version}` : 'Before'}</th>
+              <th>Version ${newer.version}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${change.rows.map(row => `
+              <tr class="revision-row-${row.type}">
+                <td>${row.left !== null ? escapeHtml(row.left) : ''}</td>
+                <td>${row.right !== null ? escapeHtml(row.right) : ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `).join('');
+  };
+
+  const render = () => {
+    const index = revisions.findIndex(r => r.id === selectedId);
+    const selected = revisions[index];
+    const isCurrent = index === 0;
+    const sinceSelected = compareTo === 'current' && !isCurrent;
+    const older = sinceSelected ? selected : revisions[index + 1];
+    const newer = sinceSelected ? revisions[0] : selected;
+
+    containerEl.innerHTML = `
+      <div class="revision-history">
+        <ul class="revision-list">
+          ${revisions.map((r, i) => `
+            <li>
+              <button type="button" class="revision-item ${r.id === selectedId ? 'active' : ''}" data-revision-id="${r.id}">
+                <strong>Version ${r.version}</strong>
+                ${i === 0 ? '<span class="revision-current">Current</span>' : ''}
+                <span class="revision-meta">${escapeHtml(r.author?.name || r.author?.email || 'Unknown author')}</span>
+                <span class="revision-meta">${escapeHtml(new Date(r.created_at).toLocaleString())}</span>
+              </button>
+            </li>
+          `).join('')}
+        </ul>
+        <div class="revision-detail">
+          <div class="revision-detail-header">
+            <select data-revision-compare ${isCurrent ? 'disabled' : ''}>
+              <option value="previous" ${!sinceSelected ? 'selected' : ''}>Changes made in this version</option>
+              <option value="current" ${sinceSelected ? 'selected' : ''}>Changes since this version</option>
+            </select>
+            ${isCurrent ? '' : `<button type="button" class="btn btn-secondary btn-sm" data-revision-restore>Restore version ${selected.version}</button>`}
+          </div>
+          ${renderDiff(older, newer)}
+        </div>
+      </div>
+    `;
+
+    containerEl.querySelectorAll('[data-revision-id]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        selectedId = btn.dataset.revisionId;
+        render();
+      });
+    });
+
+    containerEl.querySelector('[data-revision-compare]').addEventListener('change', (e) => {
+      compareTo = e.target.value;
+      render();
+    });
+
+    const restoreBtn = containerEl.querySelector('[data-revision-restore]');
+    if (restoreBtn) {
+      restoreBtn.addEventListener('click', async () => {
+        const choice = await showConfirmDialog({
+          title: `Restore Version ${selected.version}`,
+          message: 'The current content is replaced with this version and any unsaved edits are discarded. The current version stays in the history.',
+          primaryLabel: 'Restore',
+          secondaryLabel: 'Cancel',
+          showCancel: false
+        });
+        if (choice !== 'primary') return;
+
+        restoreBtn.disabled = true;
+        const { data: restored, error: restoreError } = await RevGuideDB.restoreContentRevision(
+          contentType,
+          contentId,
+          Revisions.getRestoreUpdates(selected.snapshot)
+        );
+        if (restoreError) {
+          console.error('[Revisions] Failed to restore version:', restoreError);
+          showToast('Failed to restore version: ' + restoreError.message, 'error');
+          restoreBtn.disabled = false;
+          return;
+        }
+
+        showToast(`Restored version ${selected.version}`, 'success');
+        await onRestore(restored);
+      });
+    }
+  };
+
+  render();
+}
+
+// ============================================
+// Review Workflow
+// ============================================
+
+const CONTENT_STATUS_LABELS = {
+  draft: 'Draft',
+  in_review: 'In review',
+  published: 'Published'
+};
+
+const REVIEW_CONTENT_LABELS = {
+  banner: 'banner',
+  play: 'play',
+  wiki: 'wiki entry'
+};
+
+const REVIEW_API_URL = 'https://revguide-api.revguide.workers.dev/api';
+
+let reviewSettingsPromise = null;
+
+/**
+ * Load whether the organization requires admin approval before content goes live
+ * @returns {Promise<{requireApproval: boolean}>}
+ */
+function loadReviewSettings() {
+  if (reviewSettingsPromise) return reviewSettingsPromise;
+
+  reviewSettingsPromise = (async () => {
+    if (isExtensionContext || typeof RevGuideDB === 'undefined') {
+      return { requireApproval: false };
+    }
+    const { data, error } = await RevGuideDB.getContentReviewSettings();
+    if (error) {
+      console.warn('[Review] Failed to load review settings:', error);
+    }
+    return { requireApproval: !!data?.require_content_approval };
+  })();
+  return reviewSettingsPromise;
+}
+
+function clearReviewSettingsCache() {
+  reviewSettingsPromise = null;
+}
+
+/**
+ * Whether the current user's saves go live directly
+ * @returns {Promise<boolean>} False for editors when the organization requires approval
+ */
+async function canPublishContent() {
+  if (isExtensionContext) return true;
+  const { requireApproval } = await loadReviewSettings();
+  return !requireApproval || isAdmin();
+}
+
+/**
+ * Badge for content that isn't live
+ * @param {string} status - 'draft', 'in_review' or 'published'
+ * @returns {string} HTML, empty for published content
+ */
+function renderContentStatusBadge(status) {
+  if (!status || status === 'published') return '';
+  return `<span class="status-badge content-status ${status}">${CONTENT_STATUS_LABELS[status] || escapeHtml(status)}</span>`;
+}
+
+/**
+ * Post a review notification to the email worker; failures only log
+ * @param {string} endpoint - e.g. 'notify-content-review'
+ * @param {Object} body
+ */
+async function sendReviewNotification(endpoint, body) {
+  try {
+    await fetch(`${REVIEW_API_URL}/${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, orgName: currentOrganization?.name })
+    });
+  } catch (error) {
+    console.warn('[Review] Failed to send notification:', error);
+  }
+}
+
+/**
+ * Submit saved content for review and email the organization's admins
+ * @param {string} contentType - 'banner', 'play' or 'wiki'
+ * @param {Object} item - Saved item ({ id, name or title })
+ * @returns {Promise<boolean>} Whether the item is now in review
+ */
+async function submitContentForReview(contentType, item) {
+  const { error } = await RevGuideDB.submitContentForReview(contentType, item.id);
+  if (error) {
+    console.error('[Review] Failed to submit for review:', error);
+    showToast('Saved as draft, but submitting for review failed: ' + error.message, 'error');
+    return false;
+  }
+
+  const orgId = currentOrganization?.id || await RevGuideDB.getOrganizationId();
+  const { data: admins } = await RevGuideDB.getOrgAdminEmails(orgId);
+  const adminEmails = (admins || []).map(a => a.email).filter(Boolean);
+  if (adminEmails.length > 0) {
+    await sendReviewNotification('notify-content-review', {
+      adminEmails,
+      submitterName: currentUser?.name || currentUser?.email,
+      contentType,
+      contentId: item.id,
+      contentName: item.name || item.title
+    });
+  }
+  return true;
+}
+
+/**
+ * Approve or reject content in review, asking for a reason when rejecting, and email the submitter
+ * @param {string} contentType - 'banner', 'play' or 'wiki'
+ * @param {Object} item - Item in review ({ id, name or title })
+ * @param {boolean} approve
+ * @returns {Promise<{status: string, reviewNote: string|null}|null>} The new state, or null if cancelled or failed
+ */
+async function reviewContent(contentType, item, approve) {
+  const label = REVIEW_CONTENT_LABELS[contentType] || 'content';
+  let noteEl = null;
+  const choice = await showConfirmDialog(approve ? {
+    title: 'Approve and Publish',
+    message: `Publish this ${label}? Users see the new version the next time their content refreshes.`,
+    primaryLabel: 'Publish',
+    secondaryLabel: 'Cancel',
+    showCancel: false
+  } : {
+    title: 'Request Changes',
+    message: `
+      <p>The ${escapeHtml(label)} goes back to draft and the author is emailed your note.</p>
+      <textarea class="review-note-input" rows="3" placeholder="What needs to change?"></textarea>
+    `,
+    allowHtml: true,
+    primaryLabel: 'Send Back',
+    secondaryLabel: 'Cancel',
+    showCancel: false,
+    onOpen: () => { noteEl = document.querySelector('.confirm-dialog .review-note-input'); }
+  });
+  if (choice !== 'primary') return null;
+
+  const note = noteEl ? noteEl.value.trim() : '';
+  const { data, error } = await RevGuideDB.reviewContent(contentType, item.id, approve, note || null);
+  if (error) {
+    console.error('[Review] Failed to review content:', error);
+    showToast('Review failed: ' + error.message, 'error');
+    return null;
+  }
+
+  if (data?.submitter_email) {
+    await sendReviewNotification('notify-content-reviewed', {
+      submitterEmail: data.submitter_email,
+      reviewerName: currentUser?.name || currentUser?.email,
+      approved: approve,
+      note,
+      contentType,
+      contentId: item.id,
+      contentName: item.name || item.title
+    });
+  }
+
+  showToast(approve ? 'Published' : 'Sent back to draft', 'success');
+  return approve ? { status: 'published', reviewNote: null } : { status: 'draft', reviewNote: note || null };
+}
+
+/**
+ * Show an item's workflow status above its editor, with approve/reject for admins
+ * @param {HTMLElement} barEl - Container, hidden when the item is published
+ * @param {Object|null} item - Item being edited
+ * @param {Object} options
+ * @param {string} options.contentType - 'banner', 'play' or 'wiki'
+ * @param {Function} options.onReviewed - Called with { status, reviewNote } after approving or rejecting
+ */
+function renderReviewBar(barEl, item, { contentType, onReviewed }) {
+  if (!barEl) return;
+  const status = item?.status;
+  if (isExtensionContext || !status || status === 'published') {
+    barEl.hidden = true;
+    barEl.innerHTML = '';
+    return;
+  }
+
+  const canReview = status === 'in_review' && isAdmin();
+  let message;
+  if (status === 'in_review') {
+    const when = item.submittedAt ? ` on ${new Date(item.submittedAt).toLocaleDateString()}` : '';
+    message = `Waiting for review${when}. Users won't see these changes until they're approved.`;
+  } else if (item.reviewNote) {
+    message = `Changes requested: ${escapeHtml(item.reviewNote)}`;
+  } else {
+    message = "Draft. Users won't see these changes until they're published.";
+  }
+
+  barEl.className = `content-review-bar ${status}`;
+  barEl.innerHTML = `
+    ${renderContentStatusBadge(status)}
+    <span class="content-review-message">${message}</span>
+    ${canReview ? `
+      <div class="content-review-actions">
+        <button type="button" class="btn btn-secondary btn-sm" data-review-reject>Request Changes</button>
+        <button type="button" class="btn btn-primary btn-sm" data-review-approve>Approve &amp; Publish</button>
+      </div>
+    ` : ''}
+  `;
+  barEl.hidden = false;
+
+  barEl.querySelectorAll('[data-review-approve], [data-review-reject]').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const result = await reviewContent(contentType, item, btn.hasAttribute('data-review-approve'));
+      if (result) onReviewed(result);
+    });
+  });
+}
+
 /**
  * Initialize rich text editor toolbar
  * @param {string} toolbarSelector - CSS selector for toolbar
@@ -3158,6 +5339,12 @@ window.AdminShared = {
   mapPlayToSupabase,
   notifyContentScript,
   fetchProperties,
+  fetchConditionProperties,
+  COMPUTED_RESULT_TYPES,
+  loadComputedProperties,
+  mapComputedPropertyFromSupabase,
+  mapComputedPropertyToSupabase,
+  withComputedProperties,
   initSearchableSelect,
   filterSearchableOptions,
   initPlaySelect,
@@ -3170,18 +5357,54 @@ window.AdminShared = {
   setLogic,
   initLogicToggle,
   toggleConditionsWrapper,
+  getOperatorsForType,
   // Condition groups
   addConditionGroup,
   addConditionToGroup,
   getConditionGroups,
   setConditionGroups,
   clearConditionGroups,
+  addConditionSubgroup,
   updateConditionGroupsUI,
   updateGroupLogicVisibility,
   getGroupLogic,
   setGroupLogic,
   initGroupLogicToggle,
   migrateConditionsToGroups,
+  // Rule explanation
+  getConditionProperties,
+  renderRuleExplanation,
+  renderRuleExplainPanel,
+  parseRecordReference,
+  fetchRecordProperties,
+  fetchRecordAssociations,
+  initRecordTestPanel,
+  previewRuleMatches,
+  initMatchPreviewPanel,
+  setScheduleEditor,
+  getScheduleFromEditor,
+  validateSchedule,
+  renderScheduleBadge,
+  lintRules,
+  renderRuleLintFindings,
+  loadContentLanguages,
+  clearContentLanguagesCache,
+  initTranslationEditor,
+  initVariantEditor,
+  validateVariants,
+  renderVariantComparison,
+  // Revision history
+  renderRevisionHistory,
+  // Review workflow
+  CONTENT_STATUS_LABELS,
+  loadReviewSettings,
+  clearReviewSettingsCache,
+  canPublishContent,
+  renderContentStatusBadge,
+  submitContentForReview,
+  renderReviewBar,
+  setAudienceEditor,
+  getAudienceFromEditor,
   initRichTextEditor,
   convertToEmbedUrl,
   // Constants
@@ -475,6 +475,39 @@ const RevGuideDB = {
       .eq('id', id);
   },
 
+  /**
+   * Get per-banner viewer and dismissal counts for the current organization
+   * @returns {Promise<{data: Array<{banner_id, viewers, dismissers, dismissals, active_dismissals, last_dismissed_at}>, error}>}
+   */
+  async getBannerDismissalStats() {
+    const client = await RevGuideAuth.waitForClient();
+    const orgId = await this.getOrganizationId();
+    if (!orgId) return { data: [], error: new Error('No organization') };
+
+    return client.rpc('get_banner_dismissal_stats', { p_organization_id: orgId });
+  },
+
+  /**
+   * Get each organization member's latest acknowledgement of a banner
+   * @param {string} bannerId - Banner ID
+   * @returns {Promise<{data: Array<{user_id, name, email, content_version, acknowledged_at}>, error}>}
+   */
+  async getBannerAcknowledgements(bannerId) {
+    const client = await RevGuideAuth.waitForClient();
+    return client.rpc('get_banner_acknowledgements', { p_banner_id: bannerId });
+  },
+
+  /**
+   * Get per-variant A/B event counts for a banner or play
+   * @param {string} contentType - 'banner' or 'play'
+   * @param {string} contentId - Banner or play ID
+   * @returns {Promise<{data: Array<{variant_id, event_type, users, events}>, error}>}
+   */
+  async getVariantStats(contentType, contentId) {
+    const client = await RevGuideAuth.waitForClient();
+    return client.rpc('get_variant_stats', { p_content_type: contentType, p_content_id: contentId });
+  },
+
   // ============================================
   // Plays
   // ============================================
@@ -521,6 +554,94 @@ const RevGuideDB = {
       .eq('id', id);
   },
 
+  // ============================================
+  // Content Revisions
+  // ============================================
+
+  /**
+   * Saved versions of a banner, play or wiki entry, newest first
+   * @param {string} contentType - 'banner', 'play' or 'wiki'
+   * @param {string} contentId
+   * @returns {Promise<{data: Array<{id, version, snapshot, created_at, author: {name, email}}>, error}>}
+   */
+  async getContentRevisions(contentType, contentId) {
+    const client = await RevGuideAuth.waitForClient();
+    return client
+      .from('content_revisions')
+      .select('id, version, snapshot, created_at, author:users(name, email)')
+      .eq('content_type', contentType)
+      .eq('content_id', contentId)
+      .order('version', { ascending: false });
+  },
+
+  /**
+   * Write a saved version back to its content row (recorded as a new revision)
+   * @param {string} contentType - 'banner', 'play' or 'wiki'
+   * @param {string} contentId
+   * @param {Object} updates - Snapshot columns to write (see RevGuideRevisions.getRestoreUpdates)
+   * @returns {Promise<{data: Object, error}>} The restored content row
+   */
+  async restoreContentRevision(contentType, contentId, updates) {
+    if (contentType === 'banner') return this.updateBanner(contentId, updates);
+    if (contentType === 'play') return this.updatePlay(contentId, updates);
+    return this.updateWikiEntry(contentId, updates);
+  },
+
+  // ============================================
+  // Content Review
+  // ============================================
+
+  async getContentReviewSettings() {
+    const client = await RevGuideAuth.waitForClient();
+    const orgId = await this.getOrganizationId();
+    if (!orgId) return { data: null, error: new Error('No organization') };
+
+    return client
+      .from('organizations')
+      .select('require_content_approval')
+      .eq('id', orgId)
+      .single();
+  },
+
+  /**
+   * Put a banner, play or wiki entry in review
+   * @param {string} contentType - 'banner', 'play' or 'wiki'
+   * @param {string} contentId
+   */
+  async submitContentForReview(contentType, contentId) {
+    const client = await RevGuideAuth.waitForClient();
+    const { data, error } = await client.rpc('submit_content_for_review', {
+      p_content_type: contentType,
+      p_content_id: contentId
+    });
+    if (!error && data && !data.success) {
+      return { data, error: new Error(data.error || 'Failed to submit for review') };
+    }
+    return { data, error };
+  },
+
+  /**
+   * Approve (publish) or reject (back to draft) content in review. Admins only.
+   * @param {string} contentType - 'banner', 'play' or 'wiki'
+   * @param {string} contentId
+   * @param {boolean} approve
+   * @param {string} [note] - Reason for rejecting
+   * @returns {Promise<{data: {success, submitter_email, submitter_name}, error}>}
+   */
+  async reviewContent(contentType, contentId, approve, note = null) {
+    const client = await RevGuideAuth.waitForClient();
+    const { data, error } = await client.rpc('review_content', {
+      p_content_type: contentType,
+      p_content_id: contentId,
+      p_approve: approve,
+      p_note: note
+    });
+    if (!error && data && !data.success) {
+      return { data, error: new Error(data.error || 'Failed to review content') };
+    }
+    return { data, error };
+  },
+
   // ============================================
   // Team Members
   // ============================================
@@ -1017,6 +1138,22 @@ const RevGuideDB = {
       .single();
   },
 
+  /**
+   * Get the organization's default language and translation languages
+   * @returns {Promise<{data: {default_language, translation_languages}, error}>}
+   */
+  async getContentLanguages() {
+    const client = await RevGuideAuth.waitForClient();
+    const orgId = await this.getOrganizationId();
+    if (!orgId) return { data: null, error: new Error('No organization') };
+
+    return client
+      .from('organizations')
+      .select('default_language, translation_languages')
+      .eq('id', orgId)
+      .single();
+  },
+
   /**
    * Get organization by HubSpot portal ID
    */
@@ -2491,6 +2628,53 @@ const RevGuideDB = {
     };
   },
 
+  // ============================================
+  // Computed Properties (formula properties)
+  // ============================================
+
+  async getComputedProperties() {
+    const client = await RevGuideAuth.waitForClient();
+    const orgId = await this.getOrganizationId();
+    if (!orgId) return { data: [], error: new Error('No organization') };
+
+    return client
+      .from('computed_properties')
+      .select('*')
+      .eq('organization_id', orgId)
+      .order('sort_order')
+      .order('created_at');
+  },
+
+  async createComputedProperty(computedProperty) {
+    const client = await RevGuideAuth.waitForClient();
+    const orgId = await this.getOrganizationId();
+    if (!orgId) return { error: new Error('No organization') };
+
+    return client
+      .from('computed_properties')
+      .insert({ ...computedProperty, organization_id: orgId })
+      .select()
+      .single();
+  },
+
+  async updateComputedProperty(id, updates) {
+    const client = await RevGuideAuth.waitForClient();
+    return client
+      .from('computed_properties')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', id)
+      .select()
+      .single();
+  },
+
+  async deleteComputedProperty(id) {
+    const client = await RevGuideAuth.waitForClient();
+    return client
+      .from('computed_properties')
+      .delete()
+      .eq('id', id);
+  },
+
   // ============================================
   // HubSpot Lists (for List Membership Conditions)
   // ============================================
@@ -659,6 +659,140 @@ ${dashboardLink}
 RevGuide - Contextual guidance for your revenue team`;
 }
 
+// ===========================================
+// CONTENT REVIEW EMAIL TEMPLATES
+// ===========================================
+
+const REVIEW_CONTENT_PATHS = { banner: 'banners', play: 'plays', wiki: 'wiki' };
+const REVIEW_CONTENT_LABELS = { banner: 'banner', play: 'play', wiki: 'wiki entry' };
+
+// Content names and review notes are free text typed by users
+function escapeEmailHtml(text) {
+  return String(text || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function buildContentReviewLink(contentType, contentId) {
+  const path = REVIEW_CONTENT_PATHS[contentType] || 'home';
+  return `${CONFIG.appUrl}/${path}?edit=${encodeURIComponent(contentId || '')}`;
+}
+
+function buildContentReviewEmailHtml(submitterName, contentType, contentId, contentName, orgName) {
+  const reviewLink = buildContentReviewLink(contentType, contentId);
+  const label = REVIEW_CONTENT_LABELS[contentType] || 'content';
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #374151; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: #111827; padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">Content Ready for Review</h1>
+  </div>
+
+  <div style="background: #ffffff; padding: 30px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+    <p style="font-size: 16px; margin-bottom: 20px;">
+      <strong>${escapeEmailHtml(submitterName) || 'An editor'}</strong> submitted the ${label} <strong>${escapeEmailHtml(contentName) || 'Untitled'}</strong>${orgName ? ` in <strong>${escapeEmailHtml(orgName)}</strong>` : ''} for review.
+    </p>
+
+    <p style="margin-bottom: 25px;">
+      It won't be shown to your team until an admin approves it.
+    </p>
+
+    <div style="text-align: center; margin-bottom: 25px;">
+      <a href="${reviewLink}" style="display: inline-block; background: #b2ef63; color: #111827; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: 600; font-size: 16px;">
+        Review ${label.charAt(0).toUpperCase() + label.slice(1)}
+      </a>
+    </div>
+  </div>
+
+  <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+    RevGuide - Contextual guidance for your revenue team
+  </div>
+</body>
+</html>`;
+}
+
+function buildContentReviewEmailText(submitterName, contentType, contentId, contentName, orgName) {
+  const reviewLink = buildContentReviewLink(contentType, contentId);
+  const label = REVIEW_CONTENT_LABELS[contentType] || 'content';
+
+  return `Content Ready for Review
+
+${submitterName || 'An editor'} submitted the ${label} "${contentName || 'Untitled'}"${orgName ? ` in ${orgName}` : ''} for review.
+
+It won't be shown to your team until an admin approves it. Review it here:
+${reviewLink}
+
+---
+RevGuide - Contextual guidance for your revenue team`;
+}
+
+function buildContentReviewedEmailHtml(approved, reviewerName, contentType, contentId, contentName, note) {
+  const editLink = buildContentReviewLink(contentType, contentId);
+  const label = REVIEW_CONTENT_LABELS[contentType] || 'content';
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+</head>
+<body style="font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; line-height: 1.6; color: #374151; max-width: 600px; margin: 0 auto; padding: 20px;">
+  <div style="background: ${approved ? '#166534' : '#111827'}; padding: 30px; border-radius: 12px 12px 0 0; text-align: center;">
+    <h1 style="color: white; margin: 0; font-size: 24px;">${approved ? 'Your Changes Are Live' : 'Changes Requested'}</h1>
+  </div>
+
+  <div style="background: #ffffff; padding: 30px; border: 1px solid #e5e7eb; border-top: none; border-radius: 0 0 12px 12px;">
+    <p style="font-size: 16px; margin-bottom: 20px;">
+      ${escapeEmailHtml(reviewerName) || 'An admin'} ${approved ? 'approved and published' : 'sent back'} the ${label} <strong>${escapeEmailHtml(contentName) || 'Untitled'}</strong>.
+    </p>
+
+    ${note ? `
+    <div style="background: #f9fafb; border-left: 4px solid #6b7280; padding: 15px; margin-bottom: 20px;">
+      <p style="margin: 0; font-size: 14px; color: #374151; font-style: italic;">
+        "${escapeEmailHtml(note)}"
+      </p>
+    </div>
+    ` : ''}
+
+    <div style="text-align: center; margin-bottom: 25px;">
+      <a href="${editLink}" style="display: inline-block; background: #b2ef63; color: #111827; padding: 14px 28px; border-radius: 8px; text-decoration: none; font-weight: 600; font-size: 16px;">
+        Open ${label.charAt(0).toUpperCase() + label.slice(1)}
+      </a>
+    </div>
+  </div>
+
+  <div style="text-align: center; padding: 20px; color: #9ca3af; font-size: 12px;">
+    RevGuide - Contextual guidance for your revenue team
+  </div>
+</body>
+</html>`;
+}
+
+function buildContentReviewedEmailText(approved, reviewerName, contentType, contentId, contentName, note) {
+  const editLink = buildContentReviewLink(contentType, contentId);
+  const label = REVIEW_CONTENT_LABELS[contentType] || 'content';
+
+  return `${approved ? 'Your Changes Are Live' : 'Changes Requested'}
+
+${reviewerName || 'An admin'} ${approved ? 'approved and published' : 'sent back'} the ${label} "${contentName || 'Untitled'}".
+
+${note ? `Note: "${note}"\n` : ''}
+Open it here:
+${editLink}
+
+---
+RevGuide - Contextual guidance for your revenue team`;
+}
+
 // ===========================================
 // CORS HANDLING
 // ===========================================
@@ -771,6 +905,16 @@ export default {
       return handleNotifyPartnerAutoConnect(request, env, corsHeaders);
     }
 
+    // Route: POST /api/notify-content-review - Notify admins of content submitted for review
+    if (url.pathname === '/api/notify-content-review') {
+      return handleNotifyContentReview(request, env, corsHeaders);
+    }
+
+    // Route: POST /api/notify-content-reviewed - Notify the author that their content was approved or sent back
+    if (url.pathname === '/api/notify-content-reviewed') {
+      return handleNotifyContentReviewed(request, env, corsHeaders);
+    }
+
     // Route: POST /api/send-ownership-invite - Send ownership claim invitation email
     if (url.pathname === '/api/send-ownership-invite') {
       return handleSendOwnershipInvite(request, env, corsHeaders);
@@ -2378,6 +2522,126 @@ async function handleNotifyPartnerAutoConnect(request, env, corsHeaders) {
   }
 }
 
+// ===========================================
+// CONTENT REVIEW HANDLERS
+// ===========================================
+
+async function sendReviewEmail(env, corsHeaders, { to, subject, html, text, successMessage }) {
+  const apiKey = env.RESEND_API_KEY;
+  if (!apiKey) {
+    return new Response(JSON.stringify({ error: 'Email service not configured' }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  const resendResponse = await fetch('https://api.resend.com/emails', {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ from: CONFIG.fromEmail, to, subject, html, text })
+  });
+
+  if (!resendResponse.ok) {
+    const errorData = await resendResponse.json().catch(() => ({}));
+    console.error('Resend error:', errorData);
+    return new Response(JSON.stringify({
+      error: errorData.message || 'Failed to send notification'
+    }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+
+  const result = await resendResponse.json();
+
+  return new Response(JSON.stringify({
+    success: true,
+    message: successMessage,
+    id: result.id
+  }), {
+    status: 200,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  });
+}
+
+async function handleNotifyContentReview(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { adminEmails, submitterName, contentType, contentId, contentName, orgName } = body;
+
+    const recipients = Array.isArray(adminEmails) ? adminEmails.filter(isValidEmail) : [];
+    if (recipients.length === 0) {
+      return new Response(JSON.stringify({ error: 'At least one valid admin email is required' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (!REVIEW_CONTENT_PATHS[contentType] || !contentId) {
+      return new Response(JSON.stringify({ error: 'Content type and ID are required' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    return sendReviewEmail(env, corsHeaders, {
+      to: recipients,
+      subject: `Review requested: ${contentName || 'Untitled'}`,
+      html: buildContentReviewEmailHtml(submitterName, contentType, contentId, contentName, orgName),
+      text: buildContentReviewEmailText(submitterName, contentType, contentId, contentName, orgName),
+      successMessage: 'Review request notification sent'
+    });
+
+  } catch (error) {
+    console.error('Notify content review error:', error);
+    return new Response(JSON.stringify({ error: 'Internal server error' }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
+async function handleNotifyContentReviewed(request, env, corsHeaders) {
+  try {
+    const body = await request.json();
+    const { submitterEmail, reviewerName, approved, note, contentType, contentId, contentName } = body;
+
+    if (!submitterEmail || !isValidEmail(submitterEmail)) {
+      return new Response(JSON.stringify({ error: 'Valid submitter email is required' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (!REVIEW_CONTENT_PATHS[contentType] || !contentId) {
+      return new Response(JSON.stringify({ error: 'Content type and ID are required' }), {
+        status: 400,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    return sendReviewEmail(env, corsHeaders, {
+      to: [submitterEmail],
+      subject: approved
+        ? `Published: ${contentName || 'Untitled'}`
+        : `Changes requested: ${contentName || 'Untitled'}`,
+      html: buildContentReviewedEmailHtml(!!approved, reviewerName, contentType, contentId, contentName, note),
+      text: buildContentReviewedEmailText(!!approved, reviewerName, contentType, contentId, contentName, note),
+      successMessage: 'Review result notification sent'
+    });
+
+  } catch (error) {
+    console.error('Notify content reviewed error:', error);
+    return new Response(JSON.stringify({ error: 'Internal server error' }), {
+      status: 500,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+    });
+  }
+}
+
 // ===========================================
 // OWNERSHIP INVITATION HANDLER
 // ===========================================
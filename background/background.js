@@ -5,6 +5,8 @@
 
 console.log('[RevGuide] Service worker starting...');
 
+importScripts('/lib/hubspot-associations.js');
+
 // ============ AUTH STATE MANAGEMENT ============
 
 /**
@@ -110,7 +112,9 @@ async function handleLogout() {
     'cloudContentLastFetch',
     'rules',
     'battleCards',
-    'wikiEntries'
+    'wikiEntries',
+    'currentHubSpotOwnerCache',
+    'associationsCache'
   ]);
 
   // Also clear any org-specific content caches
@@ -362,6 +366,39 @@ async function getHubSpotAuth(orgId) {
   return null;
 }
 
+/**
+ * Make a HubSpot API request with whichever auth getHubSpotAuth() or getHubSpotAuthForWrite() returned
+ * @param {Object} auth - Result of getHubSpotAuth or getHubSpotAuthForWrite
+ * @param {string} endpoint - HubSpot API endpoint
+ * @param {string} method - HTTP method
+ * @param {Object} body - Request body (optional)
+ * @returns {Promise<Object>} API response
+ */
+async function hubspotApiRequest(auth, endpoint, method = 'GET', body = null) {
+  if (auth.type === 'oauth') {
+    return hubspotProxyRequest(auth.connectionId, endpoint, method, body);
+  }
+  if (auth.type === 'user-oauth') {
+    return userHubspotProxyRequest(auth.connectionId, endpoint, method, body);
+  }
+
+  const response = await fetch(`https://api.hubapi.com${endpoint}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${auth.apiToken}`,
+      'Content-Type': 'application/json'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errText = await response.text();
+    throw new Error(`HubSpot API error: ${response.status} - ${errText}`);
+  }
+
+  return response.json();
+}
+
 // Cache for user OAuth connections
 const userOAuthConnectionCache = new Map();
 const USER_OAUTH_CONNECTION_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
@@ -768,6 +805,19 @@ function mapBannerFromSupabase(data) {
     relatedPlayId: data.related_play_id,
     enabled: data.enabled !== false, // Default to true if not explicitly false
     showOnIndex: data.show_on_index,
+    schedule: data.schedule || null,
+    audience: data.audience || null,
+    dismissMode: data.dismiss_mode || 'session',
+    dismissDays: data.dismiss_days || null,
+    frequencyCap: data.frequency_cap || null,
+    variants: data.variants || [],
+    translations: data.translations || {},
+    requiresAcknowledgement: data.requires_acknowledgement || false,
+    contentVersion: data.content_version || 1,
+    actions: data.actions || [],
+    placement: data.placement || 'inline',
+    placementProperty: data.placement_property || null,
+    placementPropertyLabel: data.placement_property_label || null,
     url: data.url,
     embedUrl: data.embed_url,
     createdAt: data.created_at,
@@ -792,7 +842,11 @@ function mapPlayFromSupabase(data, contentAssetIds = []) {
     groupLogic: data.group_logic,
     logic: data.logic,
     displayOnAll: data.display_on_all,
+    schedule: data.schedule || null,
+    audience: data.audience || null,
     sections: data.sections,
+    variants: data.variants || [],
+    translations: data.translations || {},
     contentAssetIds: contentAssetIds,
     createdAt: data.created_at,
     updatedAt: data.updated_at
@@ -813,6 +867,7 @@ function mapWikiFromSupabase(data) {
     category: data.category || 'general',
     link: data.link || '',
     enabled: data.enabled !== false, // Default to enabled if not specified
+    translations: data.translations || {},
     objectTypes: data.object_types,
     objectType: data.object_type,
     propertyGroup: data.property_group,
@@ -827,6 +882,40 @@ function mapWikiFromSupabase(data) {
   };
 }
 
+/**
+ * Map computed property from Supabase format
+ */
+function mapComputedPropertyFromSupabase(data) {
+  return {
+    id: data.id,
+    key: data.key,
+    label: data.label,
+    expression: data.expression,
+    resultType: data.result_type || 'string',
+    objectType: data.object_type || null
+  };
+}
+
+/**
+ * Keep only what users should see: published rows as they are, drafts and items in review
+ * as their last published version (from get_published_content), never-published items not at all.
+ * Snapshots have no content_version; the row's is the live one since drafts don't bump it
+ * @param {Array} rows - Raw banner, play or wiki rows
+ * @param {string} contentType - 'banner', 'play' or 'wiki'
+ * @param {Object} publishedSnapshots - '<contentType>:<id>' -> published snapshot
+ */
+function selectPublishedContent(rows, contentType, publishedSnapshots) {
+  return (rows || []).reduce((published, row) => {
+    if (!row.status || row.status === 'published') {
+      published.push(row);
+    } else {
+      const snapshot = publishedSnapshots[`${contentType}:${row.id}`];
+      if (snapshot) published.push({ ...row, ...snapshot });
+    }
+    return published;
+  }, []);
+}
+
 /**
  * Fetch all content (banners, plays, wiki) for an organization
  * @param {string} [targetOrgId] - Optional org ID to fetch content for. If not provided, uses user's active org.
@@ -845,7 +934,7 @@ async function fetchCloudContent(targetOrgId = null) {
 
   try {
     // Fetch all content types in parallel (including org settings for erp_config and branding)
-    const [banners, plays, wikiEntries, orgData, tagRules, contentTags, recommendedContent, playContentAssets, branding] = await Promise.all([
+    const [banners, plays, wikiEntries, orgData, tagRules, contentTags, recommendedContent, playContentAssets, computedProperties, branding, userData, publishedContent] = await Promise.all([
       supabaseFetch('banners', {
         filter: { 'organization_id': `eq.${orgId}` },
         order: 'priority.desc'
@@ -857,7 +946,7 @@ async function fetchCloudContent(targetOrgId = null) {
         filter: { 'organization_id': `eq.${orgId}` }
       }),
       supabaseFetch('organizations', {
-        select: 'erp_config,partner_branding_id',
+        select: 'erp_config,partner_branding_id,default_language',
         filter: { 'id': `eq.${orgId}` }
       }),
       // Content Recommendations tables
@@ -876,6 +965,14 @@ async function fetchCloudContent(targetOrgId = null) {
       supabaseFetch('play_content_assets', {
         order: 'display_order.asc'
       }),
+      // Computed (formula) properties, evaluated on each record by the content script
+      supabaseFetch('computed_properties', {
+        filter: { 'organization_id': `eq.${orgId}` },
+        order: 'sort_order.asc'
+      }).catch(err => {
+        console.log('[RevGuide] Computed properties fetch failed:', err.message);
+        return [];
+      }),
       // Fetch branding using RPC (handles partner cascade)
       // RPC returns array (TABLE), so we take first element
       supabaseRpc('get_organization_branding', { p_org_id: orgId })
@@ -893,7 +990,20 @@ async function fetchCloudContent(targetOrgId = null) {
         .catch(err => {
           console.log('[RevGuide] Branding fetch failed:', err.message);
           return null;
-        })
+        }),
+      // The user's content language (read here rather than from the login profile so changes apply on refresh)
+      authState.profile?.id ? supabaseFetch('users', {
+        select: 'preferred_language',
+        filter: { 'id': `eq.${authState.profile.id}` }
+      }).catch(err => {
+        console.log('[RevGuide] User language fetch failed:', err.message);
+        return [];
+      }) : [],
+      // Last published version of drafts and content in review
+      supabaseRpc('get_published_content', { p_org_id: orgId }).catch(err => {
+        console.log('[RevGuide] Published content fetch failed:', err.message);
+        return [];
+      })
     ]);
 
     console.log('[RevGuide] Cloud content fetched:', {
@@ -917,6 +1027,8 @@ async function fetchCloudContent(targetOrgId = null) {
 
     // Extract ERP config from org data
     const erpConfig = orgData && orgData.length > 0 ? orgData[0].erp_config : null;
+    const defaultLanguage = orgData?.[0]?.default_language || 'en';
+    const userLanguage = userData?.[0]?.preferred_language || null;
 
     // Build map of play_id -> content_asset_ids for Recommended Content plays
     const playAssetMap = {};
@@ -927,18 +1039,28 @@ async function fetchCloudContent(targetOrgId = null) {
       playAssetMap[pca.play_id].push(pca.content_asset_id);
     });
 
+    // Users only see published content
+    const publishedSnapshots = {};
+    (Array.isArray(publishedContent) ? publishedContent : []).forEach(item => {
+      publishedSnapshots[`${item.content_type}:${item.content_id}`] = item.snapshot;
+    });
+
     // Transform to match local storage format (snake_case to camelCase)
     const content = {
-      rules: (banners || []).map(mapBannerFromSupabase),
-      battleCards: (plays || []).map(p => mapPlayFromSupabase(p, playAssetMap[p.id] || [])),
-      wikiEntries: (wikiEntries || []).map(mapWikiFromSupabase),
+      rules: selectPublishedContent(banners, 'banner', publishedSnapshots).map(mapBannerFromSupabase),
+      battleCards: selectPublishedContent(plays, 'play', publishedSnapshots).map(p => mapPlayFromSupabase(p, playAssetMap[p.id] || [])),
+      wikiEntries: selectPublishedContent(wikiEntries, 'wiki', publishedSnapshots).map(mapWikiFromSupabase),
       erpConfig: erpConfig,
       // Content Recommendations (keep snake_case for now, transform in sidepanel)
       tagRules: tagRules || [],
       contentTags: contentTags || [],
       recommendedContent: recommendedContent || [],
+      computedProperties: (computedProperties || []).map(mapComputedPropertyFromSupabase),
       // Partner branding (keep snake_case for consistency with DB)
-      branding: branding || null
+      branding: branding || null,
+      // Content languages (see lib/translations.js)
+      defaultLanguage,
+      userLanguage
     };
 
     console.log('[RevGuide] Branding in content:', branding ? {
@@ -1297,6 +1419,22 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // Create a HubSpot task on a record (banner actions)
+  if (request.action === 'createHubSpotTask') {
+    createHubSpotTask(request.objectType, request.recordId, request.task || {}, request.orgId)
+      .then(data => sendResponse({ success: true, data }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  // Enroll a contact in a HubSpot sequence (banner actions)
+  if (request.action === 'enrollInSequence') {
+    enrollInHubSpotSequence(request.contactId, request.sequenceId, request.orgId)
+      .then(data => sendResponse({ success: true, data }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
   // Send invitation email via API
   if (request.action === 'sendInviteEmail') {
     sendInviteEmail(request.email, request.role)
@@ -1313,6 +1451,86 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     return true;
   }
 
+  // Get associated records referenced by rule conditions (with caching)
+  if (request.action === 'fetchAssociatedRecords') {
+    fetchAssociatedRecords(request.objectType, request.recordId, request.request, request.orgId)
+      .then(data => sendResponse({ success: true, data }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  // Look up the current user's HubSpot owner record (audience targeting)
+  if (request.action === 'getCurrentHubSpotOwner') {
+    getCurrentHubSpotOwner()
+      .then(data => sendResponse({ success: true, data }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  // Get the current user's saved banner dismissals (synced with Supabase)
+  if (request.action === 'getBannerDismissals') {
+    getBannerDismissals()
+      .then(data => sendResponse({ success: true, data }))
+      .catch(err => sendResponse({ success: false, error: err.message, data: {} }));
+    return true;
+  }
+
+  // Save a banner dismissal locally and in Supabase
+  if (request.action === 'dismissBanner') {
+    dismissBanner(request.bannerId, request.recordKey, request.until)
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  // Get the current user's banner acknowledgements (synced with Supabase)
+  if (request.action === 'getBannerAcknowledgements') {
+    getBannerAcknowledgements()
+      .then(data => sendResponse({ success: true, data }))
+      .catch(err => sendResponse({ success: false, error: err.message, data: {} }));
+    return true;
+  }
+
+  // Record that the user read an acknowledgement-required banner
+  if (request.action === 'acknowledgeBanner') {
+    acknowledgeBanner(request.bannerId, request.contentVersion)
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message, currentVersion: err.currentVersion || null }));
+    return true;
+  }
+
+  // Record which banners the user has seen (for dismissal rates)
+  if (request.action === 'recordBannerImpressions') {
+    recordBannerImpressions(request.bannerIds || [])
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  // Log A/B variant impressions and interactions
+  if (request.action === 'logVariantEvents') {
+    logVariantEvents(request.events || [])
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
+  // Get the current user's ticked play checklist items
+  if (request.action === 'getChecklistProgress') {
+    getChecklistProgress()
+      .then(data => sendResponse({ success: true, data }))
+      .catch(err => sendResponse({ success: false, error: err.message, data: {} }));
+    return true;
+  }
+
+  // Save the items ticked on a play's checklist for one record
+  if (request.action === 'saveChecklistProgress') {
+    saveChecklistProgress(request.playId, request.recordKey, request.completedItems || [])
+      .then(() => sendResponse({ success: true }))
+      .catch(err => sendResponse({ success: false, error: err.message }));
+    return true;
+  }
+
   // Check user's HubSpot connection status
   if (request.action === 'checkUserHubSpotConnection') {
     checkUserHubSpotConnection(request.orgId)
@@ -1687,6 +1905,87 @@ async function updateHubSpotRecord(objectType, recordId, properties, orgId = nul
   return data;
 }
 
+// Default HubSpot association type IDs from a task to the record it is about
+const TASK_ASSOCIATION_TYPE_IDS = {
+  contacts: 204,
+  companies: 192,
+  deals: 216,
+  tickets: 230
+};
+
+/**
+ * Create a HubSpot task associated with a record (banner "Create task" action)
+ * Uses the user's own HubSpot connection when available so the task is attributed to them
+ * @param {string} objectType - Record object type ('contact', 'deal', ...)
+ * @param {string} recordId - Record ID
+ * @param {Object} task - { subject, body, dueInDays, priority, taskType }
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} Created task
+ */
+async function createHubSpotTask(objectType, recordId, task, orgId = null) {
+  const auth = await getHubSpotAuthForWrite(orgId);
+  if (!auth) {
+    throw new Error('HubSpot not connected. Connect via OAuth in settings or add a Private App token.');
+  }
+
+  const apiObjectType = getHubSpotApiObjectType(objectType);
+  const associationTypeId = TASK_ASSOCIATION_TYPE_IDS[apiObjectType];
+  if (!associationTypeId || !recordId) {
+    throw new Error(`Tasks can't be created for ${objectType} records`);
+  }
+
+  const dueAt = new Date(Date.now() + (Number(task.dueInDays) || 0) * 24 * 60 * 60 * 1000);
+  const properties = {
+    hs_task_subject: task.subject || 'Follow up',
+    hs_task_body: task.body || '',
+    hs_timestamp: dueAt.toISOString(),
+    hs_task_status: 'NOT_STARTED',
+    hs_task_priority: task.priority || 'NONE',
+    hs_task_type: task.taskType || 'TODO'
+  };
+
+  // Assign to the current user when they have a HubSpot owner record
+  const owner = await getCurrentHubSpotOwner().catch(() => null);
+  if (owner?.ownerId) {
+    properties.hubspot_owner_id = owner.ownerId;
+  }
+
+  return hubspotApiRequest(auth, '/crm/v3/objects/tasks', 'POST', {
+    properties,
+    associations: [{
+      to: { id: String(recordId) },
+      types: [{ associationCategory: 'HUBSPOT_DEFINED', associationTypeId }]
+    }]
+  });
+}
+
+/**
+ * Enroll a contact in a HubSpot sequence as the current user (banner "Enroll in sequence" action)
+ * Requires Sales Hub Professional/Enterprise and a HubSpot user matching the RevGuide user's email
+ * @param {string} contactId - Contact record ID
+ * @param {string} sequenceId - HubSpot sequence ID
+ * @param {string} orgId - Organization ID
+ * @returns {Promise<Object>} Enrollment
+ */
+async function enrollInHubSpotSequence(contactId, sequenceId, orgId = null) {
+  const auth = await getHubSpotAuthForWrite(orgId);
+  if (!auth) {
+    throw new Error('HubSpot not connected. Connect via OAuth in settings or add a Private App token.');
+  }
+
+  const owner = await getCurrentHubSpotOwner();
+  if (!owner?.userId) {
+    throw new Error('No HubSpot user found for your email, so the sequence has no sender');
+  }
+
+  const authState = await getAuthState();
+  return hubspotApiRequest(auth, `/automation/v4/sequences/enrollments?userId=${encodeURIComponent(owner.userId)}`, 'POST', {
+    sequenceId: String(sequenceId),
+    contactId: String(contactId),
+    senderEmail: authState.user?.email
+  });
+}
+
 // ============================================
 // List Memberships (for list condition evaluation)
 // ============================================
@@ -1798,6 +2097,579 @@ async function getListMemberships(objectType, recordId, portalId, orgId = null)
   }
 }
 
+// ============================================
+// Associated Records (for associated-record conditions)
+// ============================================
+
+const ASSOCIATIONS_CACHE_KEY = 'associationsCache';
+const ASSOCIATIONS_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Fetch the associated records a record's rules reference (with caching)
+ * @param {string} objectType - Object type of the current record (deal, contact, ...)
+ * @param {string} recordId - HubSpot record ID
+ * @param {Object} request - From RulesEngine.getAssociationRequest, keyed by plural object type
+ * @param {string} orgId - Organization ID (optional, defaults to the signed-in user's org)
+ * @returns {Promise<Object>} { companies: { count, openCount, primary: { id, properties } | null } | null, ... }
+ *   A type is null when its associations could not be fetched
+ */
+async function fetchAssociatedRecords(objectType, recordId, request = {}, orgId = null) {
+  const toTypes = Object.keys(request || {});
+  if (!recordId || toTypes.length === 0) {
+    return {};
+  }
+
+  const fromType = getHubSpotApiObjectType(objectType);
+  const cacheKey = `${fromType}_${recordId}_${JSON.stringify(request)}`;
+
+  const { [ASSOCIATIONS_CACHE_KEY]: cache } = await chrome.storage.local.get({
+    [ASSOCIATIONS_CACHE_KEY]: {}
+  });
+
+  const cached = cache[cacheKey];
+  if (cached && cached.timestamp && (Date.now() - cached.timestamp < ASSOCIATIONS_CACHE_TTL_MS)) {
+    return cached.associations;
+  }
+
+  if (!orgId) {
+    const authState = await getAuthState();
+    orgId = authState.profile?.organizationId || null;
+  }
+
+  const auth = await getHubSpotAuth(orgId);
+  if (!auth) {
+    throw new Error('HubSpot not connected. Connect via OAuth in settings or add a Private App token.');
+  }
+
+  const associations = {};
+  let complete = true;
+  for (const toType of toTypes) {
+    try {
+      associations[toType] = await RevGuideHubSpotAssociations.fetchAssociationsOfType(
+        (endpoint, method, body) => hubspotApiRequest(auth, endpoint, method, body),
+        fromType, recordId, toType, request[toType]
+      );
+    } catch (error) {
+      console.warn('[RevGuide BG] Could not fetch associated', toType, 'for', fromType, recordId, error.message);
+      associations[toType] = null;
+      complete = false;
+    }
+  }
+
+  // Only cache complete results so a transient error doesn't stick for five minutes
+  if (complete) {
+    const updatedCache = {
+      ...cache,
+      [cacheKey]: { associations, timestamp: Date.now() }
+    };
+    for (const key in updatedCache) {
+      if (Date.now() - updatedCache[key].timestamp > ASSOCIATIONS_CACHE_TTL_MS) {
+        delete updatedCache[key];
+      }
+    }
+    await chrome.storage.local.set({ [ASSOCIATIONS_CACHE_KEY]: updatedCache });
+  }
+
+  return associations;
+}
+
+// Current user's HubSpot owner record cache (for audience targeting)
+const CURRENT_OWNER_CACHE_KEY = 'currentHubSpotOwnerCache';
+const CURRENT_OWNER_CACHE_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Look up the signed-in user's HubSpot owner record by email
+ * Powers audience rules such as "record owner is the current user" and team targeting
+ * @returns {Object|null} { ownerId, userId, teamIds } or null if no owner matches
+ */
+async function getCurrentHubSpotOwner() {
+  const authState = await getAuthState();
+  const email = authState.user?.email;
+  const orgId = authState.profile?.organizationId || null;
+  if (!authState.isAuthenticated || !email) {
+    return null;
+  }
+
+  const cacheKey = `${orgId}_${email.toLowerCase()}`;
+  const { [CURRENT_OWNER_CACHE_KEY]: cache } = await chrome.storage.local.get({
+    [CURRENT_OWNER_CACHE_KEY]: {}
+  });
+
+  const cached = cache[cacheKey];
+  if (cached && cached.timestamp && (Date.now() - cached.timestamp < CURRENT_OWNER_CACHE_TTL_MS)) {
+    return cached.owner;
+  }
+
+  const auth = await getHubSpotAuth(orgId);
+  if (!auth) {
+    console.warn('[RevGuide BG] No HubSpot connection, cannot look up current owner');
+    return null;
+  }
+
+  const endpoint = `/crm/v3/owners/?email=${encodeURIComponent(email)}&limit=1`;
+  const data = await hubspotApiRequest(auth, endpoint);
+
+  const match = data.results?.[0];
+  const owner = match ? {
+    ownerId: String(match.id),
+    userId: match.userId ? String(match.userId) : null,
+    teamIds: (match.teams || []).map(team => String(team.id))
+  } : null;
+
+  // Cache misses too, so users without a HubSpot seat don't trigger a lookup on every page
+  await chrome.storage.local.set({
+    [CURRENT_OWNER_CACHE_KEY]: {
+      ...cache,
+      [cacheKey]: { owner, timestamp: Date.now() }
+    }
+  });
+
+  return owner;
+}
+
+// Saved banner dismissals for the signed-in user
+const BANNER_DISMISSALS_KEY = 'bannerDismissals';
+const BANNER_DISMISSALS_SYNC_TTL_MS = 5 * 60 * 1000; // 5 minutes
+const BANNER_IMPRESSIONS_KEY = 'bannerImpressionsLog';
+
+/**
+ * Key per-user banner state by org and user so switching accounts starts clean
+ * @returns {string|null} Scope key, or null when signed out
+ */
+async function getBannerUserScope() {
+  const authState = await getAuthState();
+  const userId = authState.profile?.id;
+  const orgId = authState.profile?.organizationId;
+  if (!authState.isAuthenticated || !userId || !orgId) {
+    return null;
+  }
+  return `${orgId}_${userId}`;
+}
+
+/**
+ * Locally cached per-user banner state (dismissals, acknowledgements) for the current scope
+ * @param {string} storageKey - chrome.storage key
+ * @param {string} scope - From getBannerUserScope()
+ * @returns {Object} { scope, items, syncedAt }
+ */
+async function getBannerUserState(storageKey, scope) {
+  const { [storageKey]: state } = await chrome.storage.local.get({
+    [storageKey]: null
+  });
+  if (!state || state.scope !== scope) {
+    return { scope, items: {}, syncedAt: 0 };
+  }
+  return state;
+}
+
+/**
+ * Send one dismissal to Supabase
+ * @returns {boolean} True once Supabase has it (or rejected it for good, e.g. a deleted banner)
+ */
+async function syncBannerDismissal(bannerId, recordKey, until) {
+  const result = await supabaseRpc('dismiss_banner', {
+    p_banner_id: bannerId,
+    p_record_key: recordKey || '',
+    p_dismissed_until: until === null ? null : new Date(until).toISOString()
+  });
+  if (result && result.success === false) {
+    console.warn('[RevGuide BG] Banner dismissal not saved:', result.error);
+  }
+  return true;
+}
+
+/**
+ * Get the current user's dismissals, refreshing from Supabase every few minutes
+ * Dismissals that failed to upload (e.g. offline) are retried and kept
+ * @returns {Object} 'bannerId|recordKey' -> hidden until (ms) or null for good
+ */
+async function getBannerDismissals() {
+  const scope = await getBannerUserScope();
+  if (!scope) {
+    return {};
+  }
+
+  const state = await getBannerUserState(BANNER_DISMISSALS_KEY, scope);
+  if (Date.now() - state.syncedAt > BANNER_DISMISSALS_SYNC_TTL_MS) {
+    try {
+      const authState = await getAuthState();
+      const rows = await supabaseFetch('banner_dismissals', {
+        select: 'banner_id,record_key,dismissed_until',
+        filter: {
+          user_id: `eq.${authState.profile.id}`,
+          organization_id: `eq.${authState.profile.organizationId}`
+        }
+      });
+
+      const items = {};
+      rows.forEach(row => {
+        items[`${row.banner_id}|${row.record_key || ''}`] = {
+          until: row.dismissed_until ? Date.parse(row.dismissed_until) : null,
+          synced: true
+        };
+      });
+
+      for (const [key, item] of Object.entries(state.items)) {
+        if (item.synced) continue;
+        const [bannerId, recordKey] = key.split('|');
+        try {
+          item.synced = await syncBannerDismissal(bannerId, recordKey, item.until);
+        } catch (err) {
+          console.warn('[RevGuide BG] Banner dismissal retry failed:', err.message);
+        }
+        items[key] = item;
+      }
+
+      state.items = items;
+      state.syncedAt = Date.now();
+      await chrome.storage.local.set({ [BANNER_DISMISSALS_KEY]: state });
+    } catch (err) {
+      console.warn('[RevGuide BG] Failed to sync banner dismissals, using local copy:', err.message);
+    }
+  }
+
+  const dismissals = {};
+  for (const [key, item] of Object.entries(state.items)) {
+    dismissals[key] = item.until;
+  }
+  return dismissals;
+}
+
+/**
+ * Save a dismissal locally right away, then upload it
+ * @param {string} bannerId - Banner ID
+ * @param {string} recordKey - '<objectType>:<recordId>' for per-record dismissals, '' otherwise
+ * @param {number|null} until - Hidden until (ms), null for good; session dismissals pass "now"
+ */
+async function dismissBanner(bannerId, recordKey = '', until = null) {
+  const scope = await getBannerUserScope();
+  if (!scope || !bannerId) {
+    return;
+  }
+
+  const key = `${bannerId}|${recordKey || ''}`;
+  const state = await getBannerUserState(BANNER_DISMISSALS_KEY, scope);
+  const keepLocally = until === null || until > Date.now();
+  if (keepLocally) {
+    state.items[key] = { until, synced: false };
+    await chrome.storage.local.set({ [BANNER_DISMISSALS_KEY]: state });
+  }
+
+  try {
+    await syncBannerDismissal(bannerId, recordKey, until);
+  } catch (err) {
+    // Kept as unsynced and retried on the next sync
+    console.warn('[RevGuide BG] Failed to upload banner dismissal:', err.message);
+    return;
+  }
+
+  if (keepLocally) {
+    const latest = await getBannerUserState(BANNER_DISMISSALS_KEY, scope);
+    if (latest.items[key]) {
+      latest.items[key].synced = true;
+      await chrome.storage.local.set({ [BANNER_DISMISSALS_KEY]: latest });
+    }
+  }
+}
+
+/**
+ * Record banner impressions, sending each banner at most once a day per user
+ * @param {Array<string>} bannerIds - IDs of banners that were shown
+ */
+async function recordBannerImpressions(bannerIds) {
+  const scope = await getBannerUserScope();
+  if (!scope || bannerIds.length === 0) {
+    return;
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  const { [BANNER_IMPRESSIONS_KEY]: log } = await chrome.storage.local.get({
+    [BANNER_IMPRESSIONS_KEY]: null
+  });
+  const seen = log && log.scope === scope && log.day === today ? log.bannerIds : [];
+  const unseen = bannerIds.filter(id => !seen.includes(id));
+  if (unseen.length === 0) {
+    return;
+  }
+
+  await supabaseRpc('record_banner_impressions', { p_banner_ids: unseen });
+  await chrome.storage.local.set({
+    [BANNER_IMPRESSIONS_KEY]: { scope, day: today, bannerIds: [...seen, ...unseen] }
+  });
+}
+
+// Acknowledgements of "I understand" banners for the signed-in user
+const BANNER_ACKNOWLEDGEMENTS_KEY = 'bannerAcknowledgements';
+
+/**
+ * Get the highest content version the current user acknowledged per banner
+ * Refreshed from Supabase on the same schedule as dismissals; unsent acknowledgements are retried
+ * @returns {Object} bannerId -> content version
+ */
+async function getBannerAcknowledgements() {
+  const scope = await getBannerUserScope();
+  if (!scope) {
+    return {};
+  }
+
+  const state = await getBannerUserState(BANNER_ACKNOWLEDGEMENTS_KEY, scope);
+  if (Date.now() - state.syncedAt > BANNER_DISMISSALS_SYNC_TTL_MS) {
+    try {
+      const authState = await getAuthState();
+      const rows = await supabaseFetch('banner_acknowledgements', {
+        select: 'banner_id,content_version',
+        filter: {
+          user_id: `eq.${authState.profile.id}`,
+          organization_id: `eq.${authState.profile.organizationId}`
+        }
+      });
+
+      const items = {};
+      rows.forEach(row => {
+        if (!items[row.banner_id] || items[row.banner_id].version < row.content_version) {
+          items[row.banner_id] = { version: row.content_version, synced: true };
+        }
+      });
+
+      for (const [bannerId, item] of Object.entries(state.items)) {
+        if (item.synced || (items[bannerId] && items[bannerId].version >= item.version)) continue;
+        try {
+          const result = await supabaseRpc('acknowledge_banner', { p_banner_id: bannerId, p_content_version: item.version });
+          // The wording changed before the receipt got through: drop it so the banner asks again
+          if (result?.success === false && result.content_version) continue;
+          item.synced = true;
+        } catch (err) {
+          console.warn('[RevGuide BG] Banner acknowledgement retry failed:', err.message);
+        }
+        items[bannerId] = item;
+      }
+
+      state.items = items;
+      state.syncedAt = Date.now();
+      await chrome.storage.local.set({ [BANNER_ACKNOWLEDGEMENTS_KEY]: state });
+    } catch (err) {
+      console.warn('[RevGuide BG] Failed to sync banner acknowledgements, using local copy:', err.message);
+    }
+  }
+
+  const acknowledgements = {};
+  for (const [bannerId, item] of Object.entries(state.items)) {
+    acknowledgements[bannerId] = item.version;
+  }
+  return acknowledgements;
+}
+
+/**
+ * Save an acknowledgement locally right away, then upload it
+ * @param {string} bannerId - Banner ID
+ * @param {number} contentVersion - Banner content version the user read
+ */
+async function acknowledgeBanner(bannerId, contentVersion) {
+  const scope = await getBannerUserScope();
+  if (!scope || !bannerId) {
+    return;
+  }
+
+  const state = await getBannerUserState(BANNER_ACKNOWLEDGEMENTS_KEY, scope);
+  state.items[bannerId] = { version: contentVersion, synced: false };
+  await chrome.storage.local.set({ [BANNER_ACKNOWLEDGEMENTS_KEY]: state });
+
+  // Compliance receipts must reach Supabase, so errors are reported back to the banner
+  const result = await supabaseRpc('acknowledge_banner', {
+    p_banner_id: bannerId,
+    p_content_version: contentVersion
+  });
+  if (result && result.success === false) {
+    const error = new Error(result.error || 'Acknowledgement not saved');
+    // Acknowledged an outdated version: forget the receipt so the banner asks again
+    if (result.content_version) {
+      error.currentVersion = result.content_version;
+      const outdated = await getBannerUserState(BANNER_ACKNOWLEDGEMENTS_KEY, scope);
+      if (outdated.items[bannerId]?.version === contentVersion) {
+        delete outdated.items[bannerId];
+        await chrome.storage.local.set({ [BANNER_ACKNOWLEDGEMENTS_KEY]: outdated });
+      }
+    }
+    throw error;
+  }
+
+  const latest = await getBannerUserState(BANNER_ACKNOWLEDGEMENTS_KEY, scope);
+  if (latest.items[bannerId]?.version === contentVersion) {
+    latest.items[bannerId].synced = true;
+    await chrome.storage.local.set({ [BANNER_ACKNOWLEDGEMENTS_KEY]: latest });
+  }
+}
+
+// A/B variant events (impressions and interactions per banner/play variant)
+const VARIANT_EVENTS_QUEUE_KEY = 'variantEventsQueue';
+const VARIANT_IMPRESSIONS_KEY = 'variantImpressionsLog';
+const VARIANT_EVENTS_QUEUE_MAX = 500;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Queue variant events and upload everything queued so far
+ * Impressions are sent at most once a day per user and variant; events that fail to upload
+ * stay queued for the next call
+ * @param {Array<{contentType, contentId, variantId, eventType}>} events
+ */
+async function logVariantEvents(events) {
+  const scope = await getBannerUserScope();
+  if (!scope) {
+    return;
+  }
+
+  // Locally stored content has no Supabase row to attribute events to
+  const valid = events.filter(e => e && UUID_PATTERN.test(e.contentId || '') && e.variantId && e.eventType);
+
+  const today = new Date().toISOString().slice(0, 10);
+  const stored = await chrome.storage.local.get({
+    [VARIANT_EVENTS_QUEUE_KEY]: null,
+    [VARIANT_IMPRESSIONS_KEY]: null
+  });
+  const impressionLog = stored[VARIANT_IMPRESSIONS_KEY];
+  const seen = impressionLog && impressionLog.scope === scope && impressionLog.day === today ? impressionLog.keys : [];
+  const queue = stored[VARIANT_EVENTS_QUEUE_KEY]?.scope === scope ? stored[VARIANT_EVENTS_QUEUE_KEY].events : [];
+
+  valid.forEach(e => {
+    if (e.eventType === 'impression') {
+      const key = `${e.contentType}:${e.contentId}:${e.variantId}`;
+      if (seen.includes(key)) return;
+      seen.push(key);
+    }
+    queue.push({
+      content_type: e.contentType,
+      content_id: e.contentId,
+      variant_id: e.variantId,
+      event_type: e.eventType
+    });
+  });
+
+  let remaining = queue.slice(-VARIANT_EVENTS_QUEUE_MAX);
+  if (remaining.length > 0) {
+    try {
+      await supabaseRpc('log_variant_events', { p_events: remaining });
+      remaining = [];
+    } catch (err) {
+      console.warn('[RevGuide BG] Variant events will be retried:', err.message);
+    }
+  }
+
+  await chrome.storage.local.set({
+    [VARIANT_EVENTS_QUEUE_KEY]: { scope, events: remaining },
+    [VARIANT_IMPRESSIONS_KEY]: { scope, day: today, keys: seen }
+  });
+}
+
+// Checklist items ticked per play and record; signed-out users keep them in local storage only
+const CHECKLIST_PROGRESS_KEY = 'playChecklistProgress';
+const CHECKLIST_LOCAL_SCOPE = 'local';
+
+/**
+ * Send one play's checklist progress on a record to Supabase
+ * @returns {boolean} True once Supabase has it (or never will, e.g. a locally stored play)
+ */
+async function syncChecklistProgress(playId, recordKey, completedItems) {
+  if (!UUID_PATTERN.test(playId || '')) {
+    return true;
+  }
+  const result = await supabaseRpc('save_play_checklist_progress', {
+    p_play_id: playId,
+    p_record_key: recordKey,
+    p_completed_items: completedItems
+  });
+  if (result && result.success === false) {
+    console.warn('[RevGuide BG] Checklist progress not saved:', result.error);
+  }
+  return true;
+}
+
+/**
+ * Get the current user's checklist progress, refreshed from Supabase on the dismissal schedule
+ * Progress that failed to upload (e.g. offline) is retried and kept
+ * @returns {Object} 'playId|recordKey' -> ticked item IDs
+ */
+async function getChecklistProgress() {
+  const scope = (await getBannerUserScope()) || CHECKLIST_LOCAL_SCOPE;
+  const state = await getBannerUserState(CHECKLIST_PROGRESS_KEY, scope);
+
+  if (scope !== CHECKLIST_LOCAL_SCOPE && Date.now() - state.syncedAt > BANNER_DISMISSALS_SYNC_TTL_MS) {
+    try {
+      const authState = await getAuthState();
+      const rows = await supabaseFetch('play_checklist_progress', {
+        select: 'play_id,record_key,completed_items',
+        filter: {
+          user_id: `eq.${authState.profile.id}`,
+          organization_id: `eq.${authState.profile.organizationId}`
+        }
+      });
+
+      const items = {};
+      rows.forEach(row => {
+        items[`${row.play_id}|${row.record_key}`] = { completed: row.completed_items || [], synced: true };
+      });
+
+      for (const [key, item] of Object.entries(state.items)) {
+        if (item.synced) continue;
+        const [playId, recordKey] = key.split('|');
+        try {
+          item.synced = await syncChecklistProgress(playId, recordKey, item.completed);
+        } catch (err) {
+          console.warn('[RevGuide BG] Checklist progress retry failed:', err.message);
+        }
+        items[key] = item;
+      }
+
+      state.items = items;
+      state.syncedAt = Date.now();
+      await chrome.storage.local.set({ [CHECKLIST_PROGRESS_KEY]: state });
+    } catch (err) {
+      console.warn('[RevGuide BG] Failed to sync checklist progress, using local copy:', err.message);
+    }
+  }
+
+  const progress = {};
+  for (const [key, item] of Object.entries(state.items)) {
+    progress[key] = item.completed;
+  }
+  return progress;
+}
+
+/**
+ * Save a play's checklist progress on a record locally right away, then upload it
+ * @param {string} playId - Play ID
+ * @param {string} recordKey - '<objectType>:<recordId>'
+ * @param {Array<string>} completedItems - Ticked item IDs
+ */
+async function saveChecklistProgress(playId, recordKey, completedItems = []) {
+  if (!playId || !recordKey) {
+    return;
+  }
+
+  const scope = (await getBannerUserScope()) || CHECKLIST_LOCAL_SCOPE;
+  const key = `${playId}|${recordKey}`;
+  const state = await getBannerUserState(CHECKLIST_PROGRESS_KEY, scope);
+  state.items[key] = { completed: completedItems, synced: scope === CHECKLIST_LOCAL_SCOPE };
+  await chrome.storage.local.set({ [CHECKLIST_PROGRESS_KEY]: state });
+  if (scope === CHECKLIST_LOCAL_SCOPE) {
+    return;
+  }
+
+  try {
+    await syncChecklistProgress(playId, recordKey, completedItems);
+  } catch (err) {
+    // Kept as unsynced and retried on the next sync
+    console.warn('[RevGuide BG] Failed to upload checklist progress:', err.message);
+    return;
+  }
+
+  // Only mark synced if nothing was ticked in the meantime
+  const latest = await getBannerUserState(CHECKLIST_PROGRESS_KEY, scope);
+  if (latest.items[key] && latest.items[key].completed.join() === completedItems.join()) {
+    latest.items[key].synced = true;
+    await chrome.storage.local.set({ [CHECKLIST_PROGRESS_KEY]: latest });
+  }
+}
+
 // Badge update when rules match
 chrome.storage.onChanged.addListener((changes, area) => {
   if (area === 'local' && changes.rules) {
@@ -47,6 +47,27 @@
   if (!RulesEngine) {
     console.error('[RevGuide] RulesEngine not loaded. Ensure lib/rules-engine.js is included.');
   }
+  const ComputedProperties = globalThis.RevGuideComputedProperties;
+  const Variants = globalThis.RevGuideVariants;
+  const Translations = globalThis.RevGuideTranslations;
+
+  /**
+   * Normalize an object type to the singular form used in page context
+   * @param {string} type - e.g. 'deals' or 'deal'
+   * @returns {string|null}
+   */
+  const normalizeObjectType = (type) => {
+    if (!type) return null;
+    const t = type.toLowerCase();
+    // Map plural to singular
+    const pluralMap = {
+      'contacts': 'contact',
+      'companies': 'company',
+      'deals': 'deal',
+      'tickets': 'ticket'
+    };
+    return pluralMap[t] || t;
+  };
 
   // ============ MAIN ORCHESTRATOR CLASS ============
   /**
@@ -57,7 +78,7 @@
   class HubSpotHelper {
     constructor() {
       // Core components
-      this.rulesEngine = new RulesEngine();
+      this.rulesEngine = new RulesEngine({ debug: DEBUG });
       this.recommendationEngine = new RevGuideContentRecommendations(this.rulesEngine);
 
       // Page state
@@ -66,6 +87,7 @@
       this.apiPropertyKeys = new Set(); // Track which keys came from API (survive DOM re-scrapes)
       this.context = {};
       this.matchedOrgId = null; // Organization ID for OAuth API calls
+      this.loggedImpressions = new Set(); // A/B impressions already logged on this page load
 
       // Data from storage
       this.rules = [];
@@ -73,6 +95,8 @@
       this.presentations = [];
       this.wikiEntries = [];
       this.settings = {};
+      this.currentUser = null; // { id, email, role, hubspotOwnerId, hubspotTeamIds } for audience rules
+      this.language = null; // Translation to show, or null for the default language
       this.erpConfig = null;
       this.branding = null;
 
@@ -82,6 +106,9 @@
       this.recommendedContent = [];
       // Note: recommendationEngine already initialized on line 61
 
+      // Org-defined formulas, evaluated into computed.<key> properties
+      this.computedProperties = [];
+
       // Feature modules (initialized after page load)
       this.bannersModule = null;
       this.wikiModule = null;
@@ -106,6 +133,7 @@
      */
     async init() {
       log('Initializing...');
+      this.loggedImpressions.clear();
 
       // Set up message listener for side panel communication
       this.setupMessageListener();
@@ -171,6 +199,21 @@
 
         // Fetch list memberships and inject as virtual property
         await this.fetchListMemberships();
+
+        // Fetch associated records that conditions reference (company.industry, tickets.count, ...)
+        await this.fetchAssociatedRecords();
+
+        // Recompute formulas now that API values are in
+        this.applyComputedProperties();
+      }
+
+      // Saved "for this record / N days / for good" dismissals, acknowledged notices and view counts
+      if (this.bannersModule) {
+        await Promise.all([
+          this.bannersModule.loadDismissals(),
+          this.bannersModule.loadAcknowledgements(),
+          this.bannersModule.loadViewLog()
+        ]);
       }
 
       log('About to call render()...');
@@ -251,7 +294,7 @@
       log('Detected CRM context:', { crmType, portalId });
 
       // Fetch all data in parallel for better performance
-      const [contentResult, localData, authState] = await Promise.all([
+      const [contentResult, localData, authState, hubspotOwner] = await Promise.all([
         // Get content via background script (handles cloud vs local with portal matching)
         new Promise((resolve) => {
           chrome.runtime.sendMessage({
@@ -296,6 +339,17 @@
               resolve(response || { isAuthenticated: false });
             }
           });
+        }),
+        // Get the current user's HubSpot owner record for audience rules
+        new Promise((resolve) => {
+          chrome.runtime.sendMessage({ action: 'getCurrentHubSpotOwner' }, (response) => {
+            if (chrome.runtime.lastError || !response?.success) {
+              log('Could not look up HubSpot owner:', chrome.runtime.lastError?.message || response?.error);
+              resolve(null);
+            } else {
+              resolve(response.data);
+            }
+          });
         })
       ]);
 
@@ -316,11 +370,13 @@
         this.wikiEntries = content.wikiEntries || [];
         this.erpConfig = content.erpConfig || null;
         this.branding = content.branding || null;
+        this.language = this.resolveLanguage(content);
 
         // Recommendation data
         this.tagRules = content.tagRules || [];
         this.contentTags = content.contentTags || [];
         this.recommendedContent = content.recommendedContent || [];
+        this.computedProperties = content.computedProperties || [];
 
         // Initialize ERP module if already created
         if (this.erpModule && this.erpConfig) {
@@ -357,6 +413,16 @@
       this.settings.isAuthenticated = authState.isAuthenticated;
       this.settings.organizationId = authState.profile?.organizationId;
 
+      // Current user for audience rules (role, specific users, HubSpot team/owner)
+      this.currentUser = authState.isAuthenticated ? {
+        id: authState.profile?.id || null,
+        email: authState.user?.email || null,
+        role: role || null,
+        hubspotOwnerId: hubspotOwner?.ownerId || null,
+        hubspotTeamIds: hubspotOwner?.teamIds || []
+      } : null;
+      this.context.user = this.currentUser;
+
       // Store pre-built wiki cache for faster tooltip loading
       this.wikiTermMapCache = localData.wikiTermMapCache;
       this.wikiEntriesById = localData.wikiEntriesById;
@@ -477,6 +543,50 @@
       });
     }
 
+    /**
+     * Fetch associated records referenced by banner, play and content conditions
+     * and inject them as namespaced virtual properties (e.g. company.industry)
+     */
+    async fetchAssociatedRecords() {
+      const request = RulesEngine.getAssociationRequest([
+        ...this.rules,
+        ...this.battleCards,
+        ...this.recommendedContent
+      ]);
+
+      if (Object.keys(request).length === 0) {
+        return;
+      }
+
+      log(`Fetching associated records for ${this.context.objectType} ${this.context.recordId}:`, request);
+
+      return new Promise((resolve) => {
+        chrome.runtime.sendMessage(
+          {
+            action: 'fetchAssociatedRecords',
+            objectType: this.context.objectType,
+            recordId: this.context.recordId,
+            request
+          },
+          (response) => {
+            if (chrome.runtime.lastError) {
+              log('Error fetching associated records:', chrome.runtime.lastError.message);
+            } else if (response?.error) {
+              log('Associated records error:', response.error);
+            }
+            // Inject even on error so is_empty conditions evaluate against blank values
+            const associated = RulesEngine.flattenAssociations(request, response?.data || {});
+            for (const [key, value] of Object.entries(associated)) {
+              this.properties[key] = value;
+              this.apiPropertyKeys.add(key);
+            }
+            log('Associated properties injected:', Object.keys(associated).length);
+            resolve();
+          }
+        );
+      });
+    }
+
     // ============ PAGE DETECTION ============
 
     /**
@@ -754,10 +864,32 @@
       // definitive property values, making text parsing fallbacks unnecessary.
 
       this.normalizePropertyAliases();
+      this.applyComputedProperties();
       log('Extracted properties:', this.properties);
       log('Context:', this.context);
     }
 
+    /**
+     * Evaluate the org's computed properties for the current record
+     * Results are not API keys, so extractPageData() clears and recomputes them on every scrape
+     */
+    applyComputedProperties() {
+      Object.assign(this.properties, this.getComputedProperties(this.properties, this.context.objectType));
+    }
+
+    /**
+     * Evaluate the org's computed properties for a set of record properties
+     * @param {Object} properties - Record properties
+     * @param {string} objectType - Object type of the record
+     * @returns {Object} { 'computed.<key>': value }
+     */
+    getComputedProperties(properties, objectType) {
+      if (!ComputedProperties || this.computedProperties.length === 0) {
+        return {};
+      }
+      return ComputedProperties.applyComputedProperties(this.computedProperties, properties, { objectType });
+    }
+
     /**
      * Extract value from a property input element
      */
@@ -827,7 +959,8 @@
         portalId: null,
         crmType: null,
         pipeline: null,
-        stage: null
+        stage: null,
+        user: this.currentUser || null
       };
 
       // HubSpot detection
@@ -970,12 +1103,12 @@
       container.id = 'hshelper-container';
       document.body.appendChild(container);
 
-      // Evaluate rules for banners
+      // Evaluate rules for banners, then swap in each user's A/B variant
       const matchingRules = this.rulesEngine.evaluateRules(
         this.rules,
         this.properties,
         this.context
-      );
+      ).map(rule => this.localize(rule));
 
       // Filter rules by tab visibility
       const currentTab = this.detectCurrentTab();
@@ -1010,6 +1143,7 @@
       // Render FAB via module
       if (this.sidePanelModule && this.settings.showBattleCards && matchingCards.length > 0) {
         this.sidePanelModule.renderFAB(matchingCards.length);
+        this.logVariantEvents('play', matchingCards, 'impression');
       }
 
       // Apply wiki highlighting via module
@@ -1068,34 +1202,25 @@
       const currentType = this.context.objectType; // e.g., 'deal', 'contact'
       log('Getting matching cards for objectType:', currentType);
 
-      // Normalize object type to singular form
-      const normalizeType = (type) => {
-        if (!type) return null;
-        const t = type.toLowerCase();
-        // Map plural to singular
-        const pluralMap = {
-          'contacts': 'contact',
-          'companies': 'company',
-          'deals': 'deal',
-          'tickets': 'ticket'
-        };
-        return pluralMap[t] || t;
-      };
-
       const matchingCards = this.battleCards.filter(card => {
         log(`Checking card "${card.name}": objectType=${card.objectType}, objectTypes=${JSON.stringify(card.objectTypes)}`);
 
         // Check object type filter (array form)
         if (card.objectTypes?.length) {
-          const matches = card.objectTypes.some(t => normalizeType(t) === currentType);
+          const matches = card.objectTypes.some(t => normalizeObjectType(t) === currentType);
           if (!matches) return false;
         }
 
         // Check singular objectType field (from admin panel)
         if (card.objectType) {
-          if (normalizeType(card.objectType) !== currentType) return false;
+          if (normalizeObjectType(card.objectType) !== currentType) return false;
         }
 
+        if (!this.rulesEngine.isScheduleActive(card.schedule)) return false;
+
+        const audience = this.rulesEngine.checkAudience(card.audience, this.context.user, this.properties);
+        if (audience && !audience.passed) return false;
+
         if (card.displayOnAll) return true;
 
         // Check conditionGroups (new format) or conditions (legacy format)
@@ -1114,18 +1239,130 @@
       });
 
       // Resolve content assets for recommended_content plays
-      return matchingCards.map(card => {
+      return matchingCards.map(card => this.localize(card)).map(card => {
         if (card.cardType === 'recommended_content' && card.contentAssetIds?.length > 0) {
           // Resolve asset IDs to full asset objects from recommendedContent
           const resolvedAssets = card.contentAssetIds
             .map(id => this.recommendedContent.find(c => c.id === id))
-            .filter(Boolean);
+            .filter(asset => asset && this.rulesEngine.isScheduleActive(asset.schedule));
           return { ...card, resolvedAssets };
         }
         return card;
       });
     }
 
+    /**
+     * Pick the language to show content in: the user's RevGuide profile, then HubSpot's UI language
+     * Shared with the sidepanel through storage, since it can't see the HubSpot page
+     * @param {Object} content - Content from the background script
+     * @returns {string|null} Language code, or null when the default language applies
+     */
+    resolveLanguage(content) {
+      if (!Translations) return null;
+      const language = Translations.pickLanguage([content.userLanguage, document.documentElement.lang]);
+      const resolved = language && language !== (content.defaultLanguage || Translations.DEFAULT_LANGUAGE) ? language : null;
+      chrome.storage.local.set({ contentLanguage: resolved });
+      return resolved;
+    }
+
+    /**
+     * Show a banner, play or wiki entry in the user's language, or with their A/B variant
+     * Users reading a translation are left out of A/B tests, since variants are written in the default language
+     * @param {Object} item - Banner rule, play or wiki entry
+     * @returns {Object}
+     */
+    localize(item) {
+      const translated = Translations ? Translations.translate(item, this.language) : item;
+      return translated !== item ? translated : this.resolveVariant(item);
+    }
+
+    /**
+     * Show a banner or play with the A/B variant assigned to the current user
+     * @param {Object} item - Banner rule or play
+     * @returns {Object} The item, or a copy with the variant's content and variantId
+     */
+    resolveVariant(item) {
+      if (!Variants || !item?.variants?.length) return item;
+      return Variants.resolveVariant(item, this.currentUser?.id);
+    }
+
+    /**
+     * Log A/B variant events for items that are being tested
+     * Impressions count once per page load, however often the page re-renders
+     * @param {string} contentType - 'banner' or 'play'
+     * @param {Array<Object>} items - Items from resolveVariant()
+     * @param {string} eventType - 'impression', 'action', 'play_open' or 'field_save'
+     */
+    logVariantEvents(contentType, items, eventType) {
+      const events = items
+        .filter(item => {
+          if (!item?.variantId) return false;
+          if (eventType !== 'impression') return true;
+          const key = `${contentType}:${item.id}:${item.variantId}`;
+          if (this.loggedImpressions.has(key)) return false;
+          this.loggedImpressions.add(key);
+          return true;
+        })
+        .map(item => ({ contentType, contentId: item.id, variantId: item.variantId, eventType }));
+      if (events.length === 0) return;
+
+      chrome.runtime.sendMessage({ action: 'logVariantEvents', events }, () => {
+        if (chrome.runtime.lastError) {
+          log('Error logging variant events:', chrome.runtime.lastError.message);
+        }
+      });
+    }
+
+    /**
+     * Explain why each banner and play does or doesn't show on the current record
+     * Powers the sidepanel "Why isn't this showing?" panel
+     * @returns {Object} { banners: [explanation], plays: [explanation] }
+     */
+    explainContent() {
+      const currentTab = this.detectCurrentTab();
+
+      const banners = this.rules.map(rule => {
+        const explanation = this.rulesEngine.explainRule(rule, this.properties, this.context);
+        // Tab visibility is applied after rule evaluation in render()
+        if (rule.tabVisibility && rule.tabVisibility !== 'all') {
+          const passed = rule.tabVisibility === currentTab;
+          explanation.filters.push({
+            filter: 'tab',
+            passed,
+            expected: rule.tabVisibility,
+            actual: currentTab,
+            reason: `Only shows on tab ${rule.tabVisibility}`
+          });
+          if (!passed && explanation.matched) {
+            explanation.matched = false;
+            explanation.failedAt = 'tab';
+          }
+        }
+        return explanation;
+      });
+
+      const plays = this.battleCards.map(card => {
+        // Mirror getMatchingBattleCards(): a singular objectType wins over the objectTypes array
+        const objectTypes = card.objectType
+          ? [normalizeObjectType(card.objectType)]
+          : (card.objectTypes || []).map(normalizeObjectType);
+        return this.rulesEngine.explainRule({
+          id: card.id,
+          name: card.name,
+          objectTypes,
+          displayOnAll: card.displayOnAll,
+          schedule: card.schedule,
+          audience: card.audience,
+          conditionGroups: card.conditionGroups,
+          groupLogic: card.groupLogic,
+          conditions: card.conditions,
+          logic: card.logic
+        }, this.properties, this.context);
+      });
+
+      return { banners, plays };
+    }
+
     /**
      * Get matching content recommendations based on tags and conditions
      * @returns {Object} { recommendations: Array, activeTags: Array }
@@ -1372,6 +1609,14 @@
             context: this.context
           });
         }
+        if (message.action === 'explainContent') {
+          // Only editors can see why content is hidden
+          if (!this.settings.canEditContent) {
+            sendResponse({ error: 'Not permitted' });
+          } else {
+            sendResponse({ ...this.explainContent(), context: this.context });
+          }
+        }
         if (message.action === 'authStateChanged') {
           log('Auth state changed, isAuthenticated:', message.isAuthenticated);
           if (!message.isAuthenticated) {
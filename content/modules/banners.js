@@ -6,9 +6,17 @@
  *
  * Features:
  * - Renders info, success, warning, error, and battle-card type banners
+ * - Per-banner placement: inline above the record, next to a property in the left
+ *   sidebar, pinned in the right association column, floating toast or blocking modal
+ * - Frequency caps (max views per user, once per record per day, first visit only)
+ *   tracked in chrome.storage.local
+ * - A/B variant events (impressions, action clicks, play opens) for banners being tested
  * - Supports rule-based conditional display
- * - Allows dismissing banners (persists during session)
- * - Supports action buttons with URL or custom actions
+ * - Allows dismissing banners for the session, a record, N days or for good
+ *   (saved per user and synced through the background script)
+ * - Acknowledgement-required banners with an "I understand" button and read receipts
+ * - Supports one-click action buttons: open URL, copy text, update properties,
+ *   create a task, open a play and enroll in a sequence ({{property}} placeholders filled)
  *
  * Dependencies:
  * - Requires RulesEngine for evaluating display conditions
@@ -32,7 +40,13 @@ class BannersModule {
     this.helper = helper;
     this.activeBanners = new Map();
     this.dismissedBanners = new Set();
+    this.savedDismissals = {}; // 'bannerId|recordKey' -> hidden until (ms) or null for good
+    this.acknowledgements = {}; // bannerId -> highest content version the user acknowledged
     this.playsCache = null; // Cache for plays lookup
+    this.modalQueue = []; // Modal-placement banners waiting for the current one to close
+    this.viewLog = {}; // bannerId -> { count, records: { recordKey: { first, last } } } (frequency caps)
+    this.viewLogScope = ''; // '<orgId>_<userId>' the view log belongs to
+    this.visitViews = new Set(); // Banners already counted on this page visit
 
     // Banner type icons (SVG)
     this.icons = {
@@ -55,38 +69,342 @@ class BannersModule {
       return;
     }
 
+    // Group by placement; banners whose anchor isn't on the page fall back to inline
+    const placed = { inline: [], property: [], sidebar: [], toast: [], modal: [] };
+    rules.forEach(rule => {
+      if (this.isDismissed(rule) || this.isCapped(rule)) return;
+      placed[this.getPlacement(rule)].push(rule);
+    });
+
+    const unplaced = [
+      ...this.renderNextToProperties(placed.property),
+      ...this.renderInSidebar(placed.sidebar)
+    ];
+    this.renderInline([...placed.inline, ...unplaced]);
+    this.renderToasts(placed.toast);
+    this.renderModals(placed.modal);
+
+    const shownIds = [...this.activeBanners.keys()];
+    this.recordViews(shownIds);
+    this.recordImpressions(shownIds);
+    this.helper.logVariantEvents('banner', rules.filter(rule => this.activeBanners.has(rule.id)), 'impression');
+  }
+
+  /**
+   * Where a banner should render (embeds are media cards and always render inline)
+   * @param {Object} rule - Banner rule
+   * @returns {string} 'inline' | 'property' | 'sidebar' | 'toast' | 'modal'
+   */
+  getPlacement(rule) {
+    if (rule.type === 'embed') return 'inline';
+    const placement = rule.placement || 'inline';
+    if (placement === 'property' && !rule.placementProperty) return 'inline';
+    return ['inline', 'property', 'sidebar', 'toast', 'modal'].includes(placement) ? placement : 'inline';
+  }
+
+  /**
+   * Create a banner container and render rules into it
+   * @param {Array} rules - Rules to render
+   * @param {string} className - Placement class(es)
+   * @returns {HTMLElement} The container
+   */
+  createContainer(rules, className) {
+    const container = document.createElement('div');
+    container.className = `hshelper-banner-container ${className}`;
+    rules.forEach(rule => {
+      const banner = this.createBanner(rule);
+      container.appendChild(banner);
+      this.activeBanners.set(rule.id, banner);
+    });
+    return container;
+  }
+
+  /**
+   * Render banners at the top of the record's middle column (or the fixed overlay fallback)
+   * @param {Array} rules - Rules to render
+   */
+  renderInline(rules) {
+    if (rules.length === 0) return;
+
     const injectTarget = this.helper.findInjectTarget();
     console.log('[RevGuide Banners] Inject target found:', injectTarget?.tagName, injectTarget?.className?.substring?.(0, 50));
 
     if (injectTarget) {
-      // Create inline banner container
-      const bannerContainer = document.createElement('div');
-      bannerContainer.className = 'hshelper-banner-container inline';
+      // Create inline banner container and insert at the beginning of the target
+      const bannerContainer = this.createContainer(rules, 'inline');
       bannerContainer.id = 'hshelper-banners';
-
-      rules.forEach(rule => {
-        if (this.dismissedBanners.has(rule.id)) return;
-        const banner = this.createBanner(rule);
-        bannerContainer.appendChild(banner);
-        this.activeBanners.set(rule.id, banner);
-      });
-
-      // Insert at the beginning of the target
       injectTarget.insertBefore(bannerContainer, injectTarget.firstChild);
     } else {
       // Fallback to fixed overlay
-      const bannerContainer = document.createElement('div');
-      bannerContainer.className = `hshelper-banner-container ${this.helper.settings.bannerPosition}`;
+      const bannerContainer = this.createContainer(rules, this.helper.settings.bannerPosition);
       bannerContainer.id = 'hshelper-banners';
       document.getElementById('hshelper-container').appendChild(bannerContainer);
+    }
+  }
 
-      rules.forEach(rule => {
-        if (this.dismissedBanners.has(rule.id)) return;
-        const banner = this.createBanner(rule);
-        bannerContainer.appendChild(banner);
-        this.activeBanners.set(rule.id, banner);
-      });
+  /**
+   * Find a property's row in the left sidebar by internal name or label
+   * @param {string} propertyName - Internal property name
+   * @param {string} [propertyLabel] - Property label shown in HubSpot
+   * @returns {HTMLElement|null}
+   */
+  findPropertyRow(propertyName, propertyLabel) {
+    const sidebar = document.querySelector('[data-test-id="left-sidebar"]') || document;
+    const wanted = [propertyName, propertyLabel].filter(Boolean).map(name => this.helper.normalizePropertyName(name));
+
+    // Same layouts extractPageData() reads labels from: current sidebar, then older property lists
+    for (const input of sidebar.querySelectorAll('[data-selenium-test="property-input"]')) {
+      const row = input.closest('[data-selenium-test]:not([data-selenium-test="property-input"])') || input.parentElement;
+      const label = row?.querySelector('label')?.textContent;
+      if (label && wanted.includes(this.helper.normalizePropertyName(label))) {
+        return row;
+      }
     }
+
+    for (const row of sidebar.querySelectorAll('.private-property-list__item, [data-test-id="property-row"]')) {
+      const label = row.querySelector('.property-label, [data-test-id="property-label"]')?.textContent;
+      if (label && wanted.includes(this.helper.normalizePropertyName(label))) {
+        return row;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Render banners directly below a property in the left sidebar
+   * @param {Array} rules - Rules with placement 'property'
+   * @returns {Array} Rules whose property isn't on the page
+   */
+  renderNextToProperties(rules) {
+    const unplaced = [];
+    rules.forEach(rule => {
+      const row = this.findPropertyRow(rule.placementProperty, rule.placementPropertyLabel);
+      if (!row) {
+        unplaced.push(rule);
+        return;
+      }
+      row.insertAdjacentElement('afterend', this.createContainer([rule], 'property'));
+    });
+    return unplaced;
+  }
+
+  /**
+   * Render banners pinned to the top of the right association column
+   * @param {Array} rules - Rules with placement 'sidebar'
+   * @returns {Array} Rules that couldn't be placed (no right column)
+   */
+  renderInSidebar(rules) {
+    if (rules.length === 0) return [];
+
+    const column = document.querySelector('[data-test-id="right-sidebar"]');
+    if (!column) return rules;
+
+    column.insertBefore(this.createContainer(rules, 'sidebar'), column.firstChild);
+    return [];
+  }
+
+  /**
+   * Render banners as floating toasts in the bottom-right corner
+   * @param {Array} rules - Rules with placement 'toast'
+   */
+  renderToasts(rules) {
+    if (rules.length === 0) return;
+    document.getElementById('hshelper-container').appendChild(this.createContainer(rules, 'toast'));
+  }
+
+  /**
+   * Show critical banners one at a time in a blocking modal
+   * The next modal opens once the current banner is dismissed
+   * @param {Array} rules - Rules with placement 'modal'
+   */
+  renderModals(rules) {
+    this.modalQueue = [...rules];
+    this.showNextModal();
+  }
+
+  showNextModal() {
+    const rule = this.modalQueue?.shift();
+    if (!rule) return null;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'hshelper-banner-container modal';
+    overlay.setAttribute('role', 'alertdialog');
+    overlay.setAttribute('aria-modal', 'true');
+
+    const dialog = document.createElement('div');
+    dialog.className = 'hshelper-banner-modal-dialog';
+    const banner = this.createBanner(rule);
+    dialog.appendChild(banner);
+    this.activeBanners.set(rule.id, banner);
+    overlay.appendChild(dialog);
+    document.getElementById('hshelper-container').appendChild(overlay);
+    overlay.querySelector('button:not([hidden])')?.focus();
+    return rule;
+  }
+
+  /**
+   * Load the current user's saved dismissals (call before render)
+   * @returns {Promise<void>}
+   */
+  loadDismissals() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'getBannerDismissals' }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('[RevGuide] Error loading banner dismissals:', chrome.runtime.lastError.message);
+        } else if (response?.success) {
+          this.savedDismissals = response.data || {};
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Load the content versions the current user has acknowledged (call before render)
+   * @returns {Promise<void>}
+   */
+  loadAcknowledgements() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'getBannerAcknowledgements' }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('[RevGuide] Error loading banner acknowledgements:', chrome.runtime.lastError.message);
+        } else if (response?.success) {
+          this.acknowledgements = response.data || {};
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Whether the banner still needs an "I understand" for its current content
+   * @param {Object} rule - Banner rule
+   * @returns {boolean}
+   */
+  needsAcknowledgement(rule) {
+    if (!rule.requiresAcknowledgement || rule.type === 'embed') return false;
+    return (this.acknowledgements[rule.id] || 0) < (rule.contentVersion || 1);
+  }
+
+  /**
+   * Record key for banners dismissed per record ('' for all other modes)
+   * @param {Object} rule - Banner rule
+   * @returns {string}
+   */
+  getDismissalRecordKey(rule) {
+    return rule.dismissMode === 'record' ? this.getRecordKey() : '';
+  }
+
+  /**
+   * Check whether the user has dismissed a banner, honouring its dismiss mode
+   * @param {Object} rule - Banner rule
+   * @returns {boolean}
+   */
+  isDismissed(rule) {
+    // Unread compliance notices can't be hidden until they are acknowledged
+    if (this.needsAcknowledgement(rule)) return false;
+    if (this.dismissedBanners.has(rule.id)) return true;
+    if (!rule.dismissMode || rule.dismissMode === 'session') return false;
+
+    const key = `${rule.id}|${this.getDismissalRecordKey(rule)}`;
+    if (!(key in this.savedDismissals)) return false;
+
+    const until = this.savedDismissals[key];
+    return until === null || until > Date.now();
+  }
+
+  /**
+   * Load the local view log used for frequency caps (call before render, once per page visit)
+   * Logs are kept per org and user, so switching accounts in the same browser starts clean
+   * @returns {Promise<void>}
+   */
+  loadViewLog() {
+    this.visitViews = new Set();
+    this.viewLogScope = `${this.helper.settings?.organizationId || ''}_${this.helper.currentUser?.id || ''}`;
+    return new Promise((resolve) => {
+      chrome.storage.local.get({ bannerViewLog: {} }, (data) => {
+        this.viewLog = data.bannerViewLog?.[this.viewLogScope] || {};
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Key of the record being viewed, '' off record pages
+   * @returns {string}
+   */
+  getRecordKey() {
+    const { objectType, recordId } = this.helper.context || {};
+    return objectType && recordId ? `${objectType}:${recordId}` : '';
+  }
+
+  /**
+   * Check whether a banner has reached its frequency cap
+   * A banner already shown on this visit stays up for the rest of it
+   * @param {Object} rule - Banner rule
+   * @returns {boolean}
+   */
+  isCapped(rule) {
+    const cap = rule.frequencyCap;
+    if (!cap || this.visitViews.has(rule.id)) return false;
+    // Unread compliance notices keep showing until they are acknowledged
+    if (this.needsAcknowledgement(rule)) return false;
+
+    const entry = this.viewLog[rule.id];
+    if (!entry) return false;
+    if (cap.maxViews && entry.count >= cap.maxViews) return true;
+
+    const seenOnRecord = entry.records?.[this.getRecordKey()];
+    if (!seenOnRecord) return false;
+    if (cap.firstVisitOnly) return true;
+    return !!cap.oncePerRecordPerDay && new Date(seenOnRecord.last).toDateString() === new Date().toDateString();
+  }
+
+  /**
+   * Count a view for each banner shown (once per page visit) and save the log
+   * Record entries not seen for 180 days are pruned to keep storage small
+   * @param {Array<string>} ruleIds - IDs of rendered banners
+   */
+  recordViews(ruleIds) {
+    const newIds = ruleIds.filter(id => !this.visitViews.has(id));
+    if (newIds.length === 0) return;
+
+    const now = Date.now();
+    const recordKey = this.getRecordKey();
+    const staleBefore = now - 180 * 24 * 60 * 60 * 1000;
+
+    newIds.forEach(id => {
+      this.visitViews.add(id);
+      const entry = this.viewLog[id] || { count: 0, records: {} };
+      entry.count += 1;
+      if (recordKey) {
+        entry.records[recordKey] = { first: entry.records[recordKey]?.first || now, last: now };
+      }
+      Object.keys(entry.records).forEach(key => {
+        if (entry.records[key].last < staleBefore) delete entry.records[key];
+      });
+      this.viewLog[id] = entry;
+    });
+
+    const scope = this.viewLogScope;
+    const viewLog = this.viewLog;
+    chrome.storage.local.get({ bannerViewLog: {} }, (data) => {
+      chrome.storage.local.set({ bannerViewLog: { ...data.bannerViewLog, [scope]: viewLog } });
+    });
+  }
+
+  /**
+   * Tell the background which banners were shown, for dismissal rates
+   * @param {Array<string>} ruleIds - IDs of rendered banners
+   */
+  recordImpressions(ruleIds) {
+    if (ruleIds.length === 0) return;
+    chrome.runtime.sendMessage({ action: 'recordBannerImpressions', bannerIds: ruleIds }, () => {
+      if (chrome.runtime.lastError) {
+        console.log('[RevGuide] Error recording banner impressions:', chrome.runtime.lastError.message);
+      }
+    });
   }
 
   /**
@@ -100,8 +418,9 @@ class BannersModule {
       return this.createEmbedBanner(rule);
     }
 
+    const needsAck = this.needsAcknowledgement(rule);
     const banner = document.createElement('div');
-    banner.className = `hshelper-banner ${rule.type || 'info'}`;
+    banner.className = `hshelper-banner ${rule.type || 'info'}${needsAck ? ' requires-ack' : ''}`;
     banner.dataset.ruleId = rule.id;
 
     // Build admin edit link if enabled and user can edit content
@@ -129,19 +448,32 @@ class BannersModule {
         <div class="hshelper-banner-message">${this.helper.sanitizeRichText(rule.message || '')}</div>
         ${rule.actions ? this.renderActions(rule.actions) : ''}
         ${relatedPlayBtn}
+        ${needsAck ? '<button class="hshelper-banner-ack-btn">I understand</button>' : ''}
       </div>
-      <button class="hshelper-banner-close" aria-label="Dismiss">×</button>
+      <button class="hshelper-banner-close" aria-label="Dismiss"${needsAck ? ' hidden' : ''}>×</button>
     `;
 
+    // Handle acknowledgement
+    const ackBtn = banner.querySelector('.hshelper-banner-ack-btn');
+    if (ackBtn) {
+      ackBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.acknowledge(rule, banner);
+      });
+    }
+
     // Handle close button
     banner.querySelector('.hshelper-banner-close').addEventListener('click', () => {
-      this.dismiss(rule.id);
+      this.dismiss(rule);
     });
 
     // Handle action button clicks
-    banner.querySelectorAll('.hshelper-banner-btn').forEach((btn, i) => {
-      btn.addEventListener('click', () => {
-        this.handleAction(rule.actions[i]);
+    banner.querySelectorAll('.hshelper-banner-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        this.handleAction(rule.actions[btn.dataset.actionIndex], btn, rule);
       });
     });
 
@@ -161,7 +493,8 @@ class BannersModule {
       playBtn.addEventListener('click', (e) => {
         e.preventDefault();
         e.stopPropagation();
-        this.openPlayInSidepanel(rule.relatedPlayId);
+        this.helper.logVariantEvents('banner', [rule], 'play_open');
+        this.openPlayInSidepanel(rule.relatedPlayId, rule);
       });
     }
 
@@ -313,8 +646,9 @@ class BannersModule {
   /**
    * Open a specific play in the sidepanel
    * @param {string} playId - The ID of the play to open
+   * @param {Object} [sourceRule] - Banner that opened the play; field saves count towards its variant
    */
-  openPlayInSidepanel(playId) {
+  openPlayInSidepanel(playId, sourceRule = null) {
     console.log('[RevGuide] Opening play in sidepanel:', playId);
 
     // Fetch the play data via background script (handles cloud vs local)
@@ -325,7 +659,8 @@ class BannersModule {
       }
 
       const battleCards = response?.content?.battleCards || [];
-      const play = battleCards.find(p => p.id === playId);
+      const storedPlay = battleCards.find(p => p.id === playId);
+      const play = storedPlay && this.helper.localize(storedPlay);
 
       if (!play) {
         console.log('[RevGuide] Play not found:', playId);
@@ -341,7 +676,10 @@ class BannersModule {
           recordId: this.helper.context?.recordId,
           objectType: this.helper.context?.objectType,
           properties: this.helper.properties || {},
-          orgId: this.helper.matchedOrgId
+          orgId: this.helper.matchedOrgId,
+          variantSource: sourceRule?.variantId
+            ? { contentType: 'banner', contentId: sourceRule.id, variantId: sourceRule.variantId }
+            : null
         }
       }, (resp) => {
         if (chrome.runtime.lastError) {
@@ -359,46 +697,225 @@ class BannersModule {
   renderActions(actions) {
     if (!actions || actions.length === 0) return '';
 
+    // Sequences only enroll contacts, so hide those buttons on other records
+    const objectType = this.helper.context?.objectType;
+    const visible = actions
+      .map((action, index) => ({ action, index }))
+      .filter(({ action }) => action.type !== 'enroll_sequence' || objectType === 'contact');
+    if (visible.length === 0) return '';
+
     return `
       <div class="hshelper-banner-actions">
-        ${actions.map((action, i) => `
-          <button class="hshelper-banner-btn ${i === 0 ? 'primary' : 'secondary'}">
-            ${this.helper.escapeHtml(action.label)}
+        ${visible.map(({ action, index }, i) => `
+          <button class="hshelper-banner-btn ${i === 0 ? 'primary' : 'secondary'}" data-action-index="${index}">
+            ${this.helper.escapeHtml(action.label || 'Action')}
           </button>
         `).join('')}
       </div>
     `;
   }
 
+  /**
+   * Fill {{property}} placeholders from the current record
+   * Property names match case-insensitively; missing values become empty
+   * @param {string} text - Text with placeholders
+   * @param {Function} [encode] - Applied to each value (e.g. encodeURIComponent for URLs)
+   * @returns {string}
+   */
+  interpolate(text, encode = (value) => value) {
+    if (!text || typeof text !== 'string') return '';
+    const properties = this.helper.properties || {};
+
+    return text.replace(/\{\{([a-zA-Z0-9_.]+)\}\}/g, (match, name) => {
+      let value = properties[name];
+      if (value === undefined) {
+        const key = Object.keys(properties).find(k => k.toLowerCase() === name.toLowerCase());
+        value = key ? properties[key] : '';
+      }
+      return encode(value === null || value === undefined ? '' : String(value));
+    });
+  }
+
+  /**
+   * Send a message to the background script and resolve with its response
+   * @param {Object} message - Message with an action
+   * @returns {Promise<Object>} Response data
+   */
+  sendActionMessage(message) {
+    return new Promise((resolve, reject) => {
+      chrome.runtime.sendMessage(message, (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response?.success) {
+          reject(new Error(response?.error || 'Action failed'));
+        } else {
+          resolve(response.data);
+        }
+      });
+    });
+  }
+
   /**
    * Handle action button click
    * @param {Object} action - Action object with type and configuration
+   * @param {HTMLElement} [button] - The clicked button, used to show progress and results
+   * @param {Object} [rule] - The banner the action belongs to (for A/B variant events)
    */
-  handleAction(action) {
+  async handleAction(action, button, rule = null) {
     if (!action) return;
+    if (rule) {
+      this.helper.logVariantEvents('banner', [rule], action.type === 'open_play' ? 'play_open' : 'action');
+    }
+
+    const { objectType, recordId } = this.helper.context || {};
+    const orgId = this.helper.matchedOrgId;
+    const label = button ? button.textContent.trim() : '';
+    const showResult = (text, title = '') => {
+      if (!button) return;
+      button.textContent = text;
+      button.title = title;
+      setTimeout(() => {
+        button.textContent = label;
+        button.title = '';
+        button.disabled = false;
+      }, 2500);
+    };
 
-    switch (action.type) {
-      case 'url':
-        window.open(action.url, '_blank', 'noopener,noreferrer');
-        break;
-      case 'copy':
-        navigator.clipboard.writeText(action.text || '');
-        break;
-      default:
-        console.log('[RevGuide] Unknown action type:', action.type);
+    if (button) {
+      button.disabled = true;
     }
+
+    try {
+      switch (action.type) {
+        case 'url':
+          window.open(this.interpolate(action.url, encodeURIComponent), '_blank', 'noopener,noreferrer');
+          if (button) button.disabled = false;
+          return;
+        case 'copy':
+          await navigator.clipboard.writeText(this.interpolate(action.text));
+          showResult('Copied');
+          return;
+        case 'open_play':
+          this.openPlayInSidepanel(action.playId, rule);
+          if (button) button.disabled = false;
+          return;
+        case 'update_property': {
+          const properties = {};
+          Object.entries(action.properties || {}).forEach(([name, value]) => {
+            properties[name] = this.interpolate(String(value ?? ''));
+          });
+          await this.sendActionMessage({ action: 'updateHubSpotProperties', objectType, recordId, properties, orgId });
+          Object.assign(this.helper.properties || {}, properties);
+          showResult('Updated');
+          return;
+        }
+        case 'create_task':
+          await this.sendActionMessage({
+            action: 'createHubSpotTask',
+            objectType,
+            recordId,
+            orgId,
+            task: {
+              subject: this.interpolate(action.subject),
+              body: this.interpolate(action.body),
+              dueInDays: action.dueInDays,
+              priority: action.priority,
+              taskType: action.taskType
+            }
+          });
+          showResult('Task created');
+          return;
+        case 'enroll_sequence':
+          await this.sendActionMessage({ action: 'enrollInSequence', contactId: recordId, sequenceId: action.sequenceId, orgId });
+          showResult('Enrolled');
+          return;
+        default:
+          console.log('[RevGuide] Unknown action type:', action.type);
+          if (button) button.disabled = false;
+      }
+    } catch (err) {
+      console.log('[RevGuide] Banner action failed:', action.type, err.message);
+      showResult('Failed', err.message);
+    }
+  }
+
+  /**
+   * Record that the user read the banner's current content, then let them close it
+   * @param {Object} rule - The banner rule being acknowledged
+   * @param {HTMLElement} banner - The banner element
+   */
+  acknowledge(rule, banner) {
+    const contentVersion = rule.contentVersion || 1;
+    this.acknowledgements[rule.id] = contentVersion;
+
+    const ackBtn = banner.querySelector('.hshelper-banner-ack-btn');
+    ackBtn.disabled = true;
+    ackBtn.textContent = 'Acknowledged';
+    banner.classList.remove('requires-ack');
+    banner.querySelector('.hshelper-banner-close').hidden = false;
+
+    // The background keeps unsent receipts and retries them on the next sync
+    chrome.runtime.sendMessage({ action: 'acknowledgeBanner', bannerId: rule.id, contentVersion }, (response) => {
+      if (chrome.runtime.lastError) {
+        console.log('[RevGuide] Error saving banner acknowledgement:', chrome.runtime.lastError.message);
+      } else if (response?.currentVersion) {
+        // The notice was updated after it was shown; the new wording has to be read first
+        delete this.acknowledgements[rule.id];
+        banner.classList.add('requires-ack');
+        banner.querySelector('.hshelper-banner-close').hidden = true;
+        ackBtn.textContent = 'This notice was updated. Reload the page to read it';
+      } else if (!response?.success) {
+        console.log('[RevGuide] Banner acknowledgement will be retried:', response?.error);
+      }
+    });
   }
 
   /**
-   * Dismiss a banner by rule ID
-   * @param {string} ruleId - The rule ID to dismiss
+   * Dismiss a banner and save the dismissal according to its dismiss mode
+   * Session dismissals are still sent so they count towards dismissal rates
+   * @param {Object} rule - The banner rule to dismiss
    */
-  dismiss(ruleId) {
-    this.dismissedBanners.add(ruleId);
+  dismiss(rule) {
+    const ruleId = rule.id;
+    const mode = rule.dismissMode || 'session';
+    const recordKey = this.getDismissalRecordKey(rule);
+    let until = Date.now();
+    if (mode === 'record' || mode === 'forever') {
+      until = null;
+    } else if (mode === 'days') {
+      until = Date.now() + (rule.dismissDays || 1) * 24 * 60 * 60 * 1000;
+    }
+
+    if (mode === 'session') {
+      this.dismissedBanners.add(ruleId);
+    } else {
+      this.savedDismissals[`${ruleId}|${recordKey}`] = until;
+    }
+
+    chrome.runtime.sendMessage({ action: 'dismissBanner', bannerId: ruleId, recordKey, until }, () => {
+      if (chrome.runtime.lastError) {
+        console.log('[RevGuide] Error saving banner dismissal:', chrome.runtime.lastError.message);
+      }
+    });
+
     const banner = this.activeBanners.get(ruleId);
     if (banner) {
       banner.style.animation = 'hshelper-slideIn 0.2s ease-out reverse';
-      setTimeout(() => banner.remove(), 200);
+      setTimeout(() => {
+        // Drop emptied property/sidebar/toast/modal containers so they don't leave gaps
+        const container = banner.closest('.hshelper-banner-container');
+        banner.remove();
+        if (container && !container.querySelector('.hshelper-banner') && container.id !== 'hshelper-banners') {
+          const wasModal = container.classList.contains('modal');
+          container.remove();
+          const next = wasModal ? this.showNextModal() : null;
+          if (next) {
+            this.recordViews([next.id]);
+            this.recordImpressions([next.id]);
+            this.helper.logVariantEvents('banner', [next], 'impression');
+          }
+        }
+      }, 200);
       this.activeBanners.delete(ruleId);
     }
   }
@@ -423,6 +940,7 @@ class BannersModule {
 
     // Clear active banners map
     this.activeBanners.clear();
+    this.modalQueue = [];
 
     // Optionally clear dismissed list (for full re-init)
     if (full) {
@@ -9,6 +9,7 @@
  * - Evaluates banner rules against record properties
  * - Supports max 3 tags per record, sorted by priority
  * - Opens related play in sidepanel when clicked
+ * - Shows the user's checklist completion when the related play has a checklist
  * - Handles virtual scrolling via MutationObserver
  *
  * Dependencies:
@@ -41,6 +42,7 @@ class IndexTagsModule {
     this.objectTypeId = null;
     this.portalId = null;
     this.eligibleBanners = [];
+    this.checklistProgress = {}; // 'playId|recordKey' -> ticked checklist item IDs
     this.isProcessing = false;
 
     // Cache TTL: 5 minutes
@@ -112,6 +114,11 @@ class IndexTagsModule {
       return;
     }
 
+    // Checklist completion is shown on tags that open a play
+    if (this.eligibleBanners.some(rule => rule.relatedPlayId)) {
+      await this.loadChecklistProgress();
+    }
+
     // Detect view type (table or board)
     this.viewType = this.detectViewType();
     console.log('[RevGuide IndexTags] View type:', this.viewType);
@@ -330,6 +337,12 @@ class IndexTagsModule {
         }
       }
 
+      // Associated records aren't fetched per row, so their conditions can't be checked here
+      if (!rule.displayOnAll && Object.keys(globalThis.RevGuideRulesEngine.getAssociationRequest([rule])).length > 0) {
+        console.log('[RevGuide IndexTags] Rule', rule.id, rule.name, '- skipped: uses associated-record conditions');
+        return false;
+      }
+
       console.log('[RevGuide IndexTags] Rule', rule.id, rule.name, '- ELIGIBLE');
       return true;
     }).sort((a, b) => (b.priority || 0) - (a.priority || 0)); // Sort by priority descending
@@ -504,7 +517,8 @@ class IndexTagsModule {
 
       // Cache and render tags
       const now = Date.now();
-      for (const [recordId, properties] of Object.entries(response)) {
+      for (const [recordId, recordProperties] of Object.entries(response)) {
+        const properties = { ...recordProperties, ...this.helper.getComputedProperties(recordProperties, this.objectType) };
         this.propertiesCache.set(recordId, { properties, timestamp: now });
 
         // Find the row (try both standard and workspace selectors)
@@ -521,6 +535,18 @@ class IndexTagsModule {
     }
   }
 
+  /**
+   * Evaluate eligible banners for a record, sorted by priority
+   * Uses the rules engine's compiled rule set, which is built once per eligibleBanners array
+   * and memoizes results per properties object, so re-renders of the same row are cheap
+   * @param {Object} properties - Record properties
+   * @param {Object} context - { objectType, recordId, user }
+   * @returns {Array} Matching banners
+   */
+  matchBanners(properties, context) {
+    return this.helper.rulesEngine.compileRules(this.eligibleBanners).evaluate(properties, context);
+  }
+
   /**
    * Render tags for a specific record
    * Handles both standard index pages and Sales Workspace
@@ -580,14 +606,11 @@ class IndexTagsModule {
     // Evaluate rules against properties
     const context = {
       objectType: this.objectType,
-      recordId: recordId
+      recordId: recordId,
+      user: this.helper.currentUser || null
     };
 
-    const matchingRules = this.helper.rulesEngine.evaluateRules(
-      this.eligibleBanners,
-      properties,
-      context
-    );
+    const matchingRules = this.matchBanners(properties, context);
 
     // Check if we have ERP icon to show
     const hasErpIcon = this.helper.erpModule?.isEnabled() &&
@@ -613,7 +636,7 @@ class IndexTagsModule {
     }
 
     tagsToShow.forEach(rule => {
-      const tag = this.createTag(rule);
+      const tag = this.createTag(rule, recordId);
       tagsContainer.appendChild(tag);
     });
 
@@ -639,8 +662,8 @@ class IndexTagsModule {
         // Tags were removed - restore them after a micro-delay
         requestAnimationFrame(() => {
           if (!mediaBody.querySelector('.hshelper-index-tags') && mediaBody.isConnected) {
-            const context = { objectType: this.objectType, recordId };
-            const matchingRules = this.helper.rulesEngine.evaluateRules(this.eligibleBanners, properties, context);
+            const context = { objectType: this.objectType, recordId, user: this.helper.currentUser || null };
+            const matchingRules = this.matchBanners(properties, context);
             if (matchingRules.length === 0) return;
 
             const tagsToShow = matchingRules.slice(0, this.MAX_TAGS);
@@ -649,7 +672,7 @@ class IndexTagsModule {
             tagsContainer.dataset.recordId = recordId;
 
             tagsToShow.forEach(rule => {
-              const tag = this.createTag(rule);
+              const tag = this.createTag(rule, recordId);
               tagsContainer.appendChild(tag);
             });
 
@@ -664,12 +687,46 @@ class IndexTagsModule {
     this.tagObservers.set(recordId, observer);
   }
 
+  /**
+   * Load the user's ticked checklist items for all plays and records
+   * @returns {Promise<void>}
+   */
+  loadChecklistProgress() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'getChecklistProgress' }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('[RevGuide IndexTags] Error loading checklist progress:', chrome.runtime.lastError.message);
+        } else if (response?.success) {
+          this.checklistProgress = response.data || {};
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Checklist completion of a tag's related play on a record
+   * @param {Object} rule - The banner rule
+   * @param {string} recordId - The record ID
+   * @returns {{done: number, total: number, percent: number}|null}
+   */
+  getChecklistProgress(rule, recordId) {
+    const Checklists = window.RevGuideChecklists;
+    if (!Checklists || !rule.relatedPlayId || !recordId) return null;
+
+    const play = (this.helper.battleCards || []).find(p => p.id === rule.relatedPlayId);
+    const recordKey = Checklists.getRecordKey(this.objectType, recordId);
+    const completed = this.checklistProgress[Checklists.getProgressKey(rule.relatedPlayId, recordKey)];
+    return Checklists.getPlayProgress(play, completed);
+  }
+
   /**
    * Create a single tag element
    * @param {Object} rule - The banner rule
+   * @param {string} [recordId] - The record ID (for checklist completion)
    * @returns {HTMLElement} Tag element
    */
-  createTag(rule) {
+  createTag(rule, recordId) {
     const tag = document.createElement('span');
     tag.className = `hshelper-index-tag hshelper-index-tag--${rule.type || 'info'}`;
     tag.textContent = rule.title || rule.name;
@@ -677,6 +734,18 @@ class IndexTagsModule {
     tag.dataset.playId = rule.relatedPlayId || '';
     tag.title = rule.title || rule.name;
 
+    const progress = this.getChecklistProgress(rule, recordId);
+    if (progress) {
+      const label = document.createElement('span');
+      label.className = 'hshelper-index-tag__label';
+      label.textContent = tag.textContent;
+      const percent = document.createElement('span');
+      percent.className = 'hshelper-index-tag__progress';
+      percent.textContent = `${progress.percent}%`;
+      tag.replaceChildren(label, percent);
+      tag.title += ` (${progress.done} of ${progress.total} checklist items done)`;
+    }
+
     tag.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
@@ -1204,7 +1273,8 @@ class IndexTagsModule {
 
       // Cache and render tags
       const now = Date.now();
-      for (const [recordId, properties] of Object.entries(response)) {
+      for (const [recordId, recordProperties] of Object.entries(response)) {
+        const properties = { ...recordProperties, ...this.helper.getComputedProperties(recordProperties, this.objectType) };
         this.propertiesCache.set(recordId, { properties, timestamp: now });
 
         // Find the card and render tags
@@ -1237,14 +1307,11 @@ class IndexTagsModule {
     // Evaluate rules against properties
     const context = {
       objectType: this.objectType,
-      recordId: recordId
+      recordId: recordId,
+      user: this.helper.currentUser || null
     };
 
-    const matchingRules = this.helper.rulesEngine.evaluateRules(
-      this.eligibleBanners,
-      properties,
-      context
-    );
+    const matchingRules = this.matchBanners(properties, context);
 
     // Check if we have ERP icon to show
     const hasErpIcon = this.helper.erpModule?.isEnabled() &&
@@ -1270,7 +1337,7 @@ class IndexTagsModule {
     }
 
     tagsToShow.forEach(rule => {
-      const tag = this.createTag(rule);
+      const tag = this.createTag(rule, recordId);
       tagsContainer.appendChild(tag);
     });
 
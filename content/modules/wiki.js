@@ -642,6 +642,7 @@ class WikiModule {
     }
 
     this.hideTooltip();
+    entry = this.helper.localize(entry);
 
     const tooltip = document.createElement('div');
     tooltip.className = 'hshelper-wiki-tooltip';
@@ -0,0 +1,105 @@
+/**
+ * Play Checklists for RevGuide
+ * A checklist section holds items reps tick off in the sidepanel:
+ *   { type: 'checklist', title, items: [{ id, label }], progressProperty }
+ * Ticked item IDs are stored per play, record and user; progressProperty optionally names a
+ * HubSpot number property that receives the section's completion percentage.
+ */
+
+(function(root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RevGuideChecklists = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+  /**
+   * New ID for a checklist item (kept when the label is edited, so ticks survive)
+   * @returns {string}
+   */
+  function createItemId() {
+    return 'item_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+  }
+
+  /**
+   * Key of a record, matching the record keys used for banner dismissals
+   * @param {string} objectType
+   * @param {string} recordId
+   * @returns {string} '<objectType>:<recordId>', or '' without a record
+   */
+  function getRecordKey(objectType, recordId) {
+    return objectType && recordId ? `${objectType}:${recordId}` : '';
+  }
+
+  /**
+   * Key of one play's progress on one record
+   * @param {string} playId
+   * @param {string} recordKey - From getRecordKey()
+   * @returns {string}
+   */
+  function getProgressKey(playId, recordKey) {
+    return `${playId}|${recordKey}`;
+  }
+
+  /**
+   * Items of a checklist section that reps can tick
+   * @param {Object} section - Play section
+   * @returns {Array<{id: string, label: string}>}
+   */
+  function getSectionItems(section) {
+    if (section?.type !== 'checklist' || !Array.isArray(section.items)) return [];
+    return section.items.filter(item => item?.id && String(item.label || '').trim());
+  }
+
+  function summarize(items, completedIds) {
+    const completed = new Set(completedIds || []);
+    const total = items.length;
+    const done = items.filter(item => completed.has(item.id)).length;
+    return { done, total, percent: total ? Math.round((done / total) * 100) : 0 };
+  }
+
+  /**
+   * Completion of one checklist section
+   * @param {Object} section - Play section
+   * @param {Array<string>} completedIds - Ticked item IDs
+   * @returns {{done: number, total: number, percent: number}}
+   */
+  function getSectionProgress(section, completedIds) {
+    return summarize(getSectionItems(section), completedIds);
+  }
+
+  /**
+   * Completion across all checklist sections of a play
+   * Ticks for items that have since been removed are ignored
+   * @param {Object} play - Play with sections
+   * @param {Array<string>} completedIds - Ticked item IDs
+   * @returns {{done: number, total: number, percent: number}|null} Null when the play has no checklist
+   */
+  function getPlayProgress(play, completedIds) {
+    const items = (play?.sections || []).flatMap(getSectionItems);
+    return items.length ? summarize(items, completedIds) : null;
+  }
+
+  /**
+   * Tick or untick an item
+   * @param {Array<string>} completedIds - Ticked item IDs
+   * @param {string} itemId
+   * @param {boolean} checked
+   * @returns {Array<string>} New list of ticked item IDs
+   */
+  function setItemCompleted(completedIds, itemId, checked) {
+    const completed = (completedIds || []).filter(id => id !== itemId);
+    if (checked) completed.push(itemId);
+    return completed;
+  }
+
+  return {
+    createItemId,
+    getRecordKey,
+    getProgressKey,
+    getSectionItems,
+    getSectionProgress,
+    getPlayProgress,
+    setItemCompleted
+  };
+});
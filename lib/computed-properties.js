@@ -0,0 +1,524 @@
+/**
+ * Computed Properties for RevGuide
+ * Evaluates org-defined formulas over record properties and exposes the results as
+ * virtual properties (computed.<key>) for rule conditions and {{variables}}
+ *
+ * Expression language:
+ *   Properties:  amount, hs_date_entered_closedwon, company.industry
+ *   Literals:    42, 3.5, "text" or 'text', true, false, null
+ *   Arithmetic:  + - * / %  (numbers only; empty or non-numeric operands give an empty result)
+ *   Text:        a & b  joins values as text
+ *   Comparison:  == != > < >= <=, combined with && || and negated with !
+ *   Functions:   if(condition, then, else), days_between(from, to), days_since(date),
+ *                round(value, digits), concat(...), coalesce(...) and more (see FUNCTIONS)
+ *
+ * Examples:
+ *   days_since(hs_date_entered_appointmentscheduled)
+ *   round((list_price - amount) / list_price * 100, 1)
+ *   if(amount >= 50000, "Enterprise", "Mid-market")
+ */
+
+(function(root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RevGuideComputedProperties = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+  const KEY_PREFIX = 'computed.';
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MAX_EXPRESSION_LENGTH = 2000;
+  const PARSE_CACHE_SIZE = 200;
+
+  const OBJECT_TYPE_PLURALS = { contact: 'contacts', company: 'companies', deal: 'deals', ticket: 'tickets' };
+
+  // Binary operators by precedence, lowest first
+  const PRECEDENCE = [
+    ['||'],
+    ['&&'],
+    ['==', '!='],
+    ['<', '<=', '>', '>='],
+    ['&'],
+    ['+', '-'],
+    ['*', '/', '%']
+  ];
+  const OPERATOR_TOKENS = ['==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '&', '!'];
+
+  const isEmpty = (val) => val === null || val === undefined || val === '' ||
+    (typeof val === 'number' && !isFinite(val));
+
+  const toNumber = (val) => {
+    if (isEmpty(val) || typeof val === 'boolean') return null;
+    if (typeof val === 'number') return val;
+    const str = String(val).trim();
+    return str !== '' && !isNaN(Number(str)) ? Number(str) : null;
+  };
+
+  // Same date handling as the rules engine: ISO strings or epoch milliseconds
+  const toDate = (val) => {
+    if (isEmpty(val)) return null;
+    if (val instanceof Date) return isNaN(val.getTime()) ? null : val;
+    const str = String(val).trim();
+    const time = /^-?\d+$/.test(str) ? Number(str) : Date.parse(str);
+    return isNaN(time) ? null : new Date(time);
+  };
+
+  const toText = (val) => (isEmpty(val) ? '' : (val instanceof Date ? val.toISOString() : String(val)));
+
+  const isTruthy = (val) => {
+    if (isEmpty(val)) return false;
+    if (typeof val === 'string') return !['false', '0', 'no'].includes(val.trim().toLowerCase());
+    return !!val;
+  };
+
+  // Local calendar day, so "days since" counts midnights the way a rep would
+  const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate()).getTime();
+
+  const daysBetween = (from, to) => {
+    const a = toDate(from);
+    const b = toDate(to);
+    if (!a || !b) return null;
+    return Math.round((startOfDay(b) - startOfDay(a)) / DAY_MS);
+  };
+
+  const formatDay = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  };
+
+  /**
+   * Functions available in expressions
+   * Each takes already-evaluated arguments plus the evaluation environment ({ now }),
+   * except lazy functions which receive unevaluated argument thunks
+   */
+  const FUNCTIONS = {
+    if: { minArgs: 2, maxArgs: 3, lazy: true, description: 'if(condition, then, else)',
+      fn: ([condition, then, otherwise]) => (isTruthy(condition()) ? then() : (otherwise ? otherwise() : null)) },
+    coalesce: { minArgs: 1, maxArgs: Infinity, lazy: true, description: 'First non-empty value',
+      fn: (args) => {
+        for (const arg of args) {
+          const val = arg();
+          if (!isEmpty(val)) return val;
+        }
+        return null;
+      } },
+    today: { minArgs: 0, maxArgs: 0, description: "Today's date",
+      fn: (args, env) => formatDay(new Date(env.now)) },
+    now: { minArgs: 0, maxArgs: 0, description: 'Current date and time',
+      fn: (args, env) => new Date(env.now).toISOString() },
+    days_between: { minArgs: 2, maxArgs: 2, description: 'Whole days from the first date to the second',
+      fn: ([from, to]) => daysBetween(from, to) },
+    days_since: { minArgs: 1, maxArgs: 1, description: 'Whole days since a date',
+      fn: ([date], env) => daysBetween(date, env.now) },
+    days_until: { minArgs: 1, maxArgs: 1, description: 'Whole days until a date',
+      fn: ([date], env) => daysBetween(env.now, date) },
+    add_days: { minArgs: 2, maxArgs: 2, description: 'add_days(date, days)',
+      fn: ([date, days]) => {
+        const d = toDate(date);
+        const n = toNumber(days);
+        return d && n !== null ? formatDay(new Date(d.getTime() + n * DAY_MS)) : null;
+      } },
+    round: { minArgs: 1, maxArgs: 2, description: 'round(value, digits)',
+      fn: ([value, digits]) => {
+        const n = toNumber(value);
+        if (n === null) return null;
+        const factor = Math.pow(10, toNumber(digits) || 0);
+        return Math.round(n * factor) / factor;
+      } },
+    floor: { minArgs: 1, maxArgs: 1, description: 'Round down', fn: ([value]) => (toNumber(value) === null ? null : Math.floor(toNumber(value))) },
+    ceil: { minArgs: 1, maxArgs: 1, description: 'Round up', fn: ([value]) => (toNumber(value) === null ? null : Math.ceil(toNumber(value))) },
+    abs: { minArgs: 1, maxArgs: 1, description: 'Absolute value', fn: ([value]) => (toNumber(value) === null ? null : Math.abs(toNumber(value))) },
+    min: { minArgs: 1, maxArgs: Infinity, description: 'Smallest number',
+      fn: (args) => {
+        const nums = args.map(toNumber).filter(n => n !== null);
+        return nums.length > 0 ? Math.min(...nums) : null;
+      } },
+    max: { minArgs: 1, maxArgs: Infinity, description: 'Largest number',
+      fn: (args) => {
+        const nums = args.map(toNumber).filter(n => n !== null);
+        return nums.length > 0 ? Math.max(...nums) : null;
+      } },
+    number: { minArgs: 1, maxArgs: 1, description: 'Convert to a number', fn: ([value]) => toNumber(value) },
+    concat: { minArgs: 1, maxArgs: Infinity, description: 'Join values as text', fn: (args) => args.map(toText).join('') },
+    text: { minArgs: 1, maxArgs: 1, description: 'Convert to text', fn: ([value]) => toText(value) },
+    upper: { minArgs: 1, maxArgs: 1, description: 'Upper case', fn: ([value]) => toText(value).toUpperCase() },
+    lower: { minArgs: 1, maxArgs: 1, description: 'Lower case', fn: ([value]) => toText(value).toLowerCase() },
+    trim: { minArgs: 1, maxArgs: 1, description: 'Remove surrounding spaces', fn: ([value]) => toText(value).trim() },
+    len: { minArgs: 1, maxArgs: 1, description: 'Text length', fn: ([value]) => toText(value).length },
+    contains: { minArgs: 2, maxArgs: 2, description: 'contains(text, search), case-insensitive',
+      fn: ([value, search]) => toText(value).toLowerCase().includes(toText(search).toLowerCase()) },
+    is_empty: { minArgs: 1, maxArgs: 1, description: 'True when a value is empty', fn: ([value]) => isEmpty(value) }
+  };
+
+  /**
+   * Split an expression into tokens
+   * @returns {Array} [{ type: 'number'|'string'|'ident'|'op'|'('|')'|',', value, pos }]
+   */
+  const tokenize = (expression) => {
+    const tokens = [];
+    let i = 0;
+    while (i < expression.length) {
+      const ch = expression[i];
+
+      if (/\s/.test(ch)) {
+        i++;
+        continue;
+      }
+
+      if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(expression[i + 1] || ''))) {
+        const match = /^(\d+\.?\d*|\.\d+)/.exec(expression.slice(i));
+        tokens.push({ type: 'number', value: Number(match[0]), pos: i });
+        i += match[0].length;
+        continue;
+      }
+
+      if (ch === '"' || ch === "'") {
+        let value = '';
+        let j = i + 1;
+        while (j < expression.length && expression[j] !== ch) {
+          if (expression[j] === '\\' && j + 1 < expression.length) j++;
+          value += expression[j];
+          j++;
+        }
+        if (j >= expression.length) {
+          throw new Error(`Unterminated text starting at position ${i + 1}`);
+        }
+        tokens.push({ type: 'string', value, pos: i });
+        i = j + 1;
+        continue;
+      }
+
+      if (/[A-Za-z_]/.test(ch)) {
+        const match = /^[A-Za-z_][A-Za-z0-9_.]*/.exec(expression.slice(i));
+        tokens.push({ type: 'ident', value: match[0], pos: i });
+        i += match[0].length;
+        continue;
+      }
+
+      if (ch === '(' || ch === ')' || ch === ',') {
+        tokens.push({ type: ch, value: ch, pos: i });
+        i++;
+        continue;
+      }
+
+      const op = OPERATOR_TOKENS.find(candidate => expression.startsWith(candidate, i));
+      if (op) {
+        tokens.push({ type: 'op', value: op, pos: i });
+        i += op.length;
+        continue;
+      }
+
+      throw new Error(`Unexpected "${ch}" at position ${i + 1}`);
+    }
+    return tokens;
+  };
+
+  /**
+   * Recursive-descent parser producing an expression tree
+   * Nodes: literal { value }, property { name }, call { name, args }, unary { op, arg },
+   * binary { op, left, right }
+   */
+  const parseTokens = (tokens) => {
+    let index = 0;
+    const peek = () => tokens[index];
+    const describe = (token) => (token ? `"${token.value}" at position ${token.pos + 1}` : 'end of expression');
+
+    const expect = (type) => {
+      const token = tokens[index];
+      if (!token || token.type !== type) {
+        throw new Error(`Expected "${type}" but found ${describe(token)}`);
+      }
+      index++;
+      return token;
+    };
+
+    const parseBinary = (level) => {
+      if (level >= PRECEDENCE.length) return parseUnary();
+      let left = parseBinary(level + 1);
+      while (peek()?.type === 'op' && PRECEDENCE[level].includes(peek().value)) {
+        const op = tokens[index++].value;
+        left = { type: 'binary', op, left, right: parseBinary(level + 1) };
+      }
+      return left;
+    };
+
+    const parseUnary = () => {
+      const token = peek();
+      if (token?.type === 'op' && (token.value === '-' || token.value === '!')) {
+        index++;
+        return { type: 'unary', op: token.value, arg: parseUnary() };
+      }
+      return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+      const token = tokens[index++];
+      if (!token) throw new Error('Expression ended unexpectedly');
+
+      if (token.type === 'number' || token.type === 'string') {
+        return { type: 'literal', value: token.value };
+      }
+
+      if (token.type === '(') {
+        const inner = parseBinary(0);
+        expect(')');
+        return inner;
+      }
+
+      if (token.type === 'ident') {
+        const lower = token.value.toLowerCase();
+        if (lower === 'true' || lower === 'false') return { type: 'literal', value: lower === 'true' };
+        if (lower === 'null') return { type: 'literal', value: null };
+
+        if (peek()?.type === '(') {
+          const def = FUNCTIONS[lower];
+          if (!def) throw new Error(`Unknown function "${token.value}" at position ${token.pos + 1}`);
+          index++;
+          const args = [];
+          if (peek()?.type !== ')') {
+            args.push(parseBinary(0));
+            while (peek()?.type === ',') {
+              index++;
+              args.push(parseBinary(0));
+            }
+          }
+          expect(')');
+          if (args.length < def.minArgs || args.length > def.maxArgs) {
+            throw new Error(`${lower}() takes ${def.minArgs === def.maxArgs ? def.minArgs : `${def.minArgs}${def.maxArgs === Infinity ? ' or more' : `-${def.maxArgs}`}`} argument(s), got ${args.length}`);
+          }
+          return { type: 'call', name: lower, args };
+        }
+
+        return { type: 'property', name: token.value };
+      }
+
+      throw new Error(`Unexpected ${describe(token)}`);
+    };
+
+    const tree = parseBinary(0);
+    if (index < tokens.length) {
+      throw new Error(`Unexpected ${describe(tokens[index])}`);
+    }
+    return tree;
+  };
+
+  const parseCache = new Map();
+
+  /**
+   * Parse an expression (cached)
+   * @param {string} expression
+   * @returns {Object} Expression tree
+   * @throws {Error} With a readable message when the expression is invalid
+   */
+  const parse = (expression) => {
+    const source = String(expression || '').trim();
+    if (!source) throw new Error('Expression is empty');
+    if (source.length > MAX_EXPRESSION_LENGTH) throw new Error(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+
+    if (parseCache.has(source)) return parseCache.get(source);
+    const tree = parseTokens(tokenize(source));
+    if (parseCache.size >= PARSE_CACHE_SIZE) {
+      parseCache.delete(parseCache.keys().next().value);
+    }
+    parseCache.set(source, tree);
+    return tree;
+  };
+
+  const compare = (op, a, b) => {
+    const numA = toNumber(a);
+    const numB = toNumber(b);
+    let left = a;
+    let right = b;
+    if (numA !== null && numB !== null) {
+      left = numA;
+      right = numB;
+    } else if (typeof a === 'string' && typeof b === 'string' && /^\d{4}-\d{2}-\d{2}/.test(a) && /^\d{4}-\d{2}-\d{2}/.test(b)) {
+      left = toDate(a)?.getTime();
+      right = toDate(b)?.getTime();
+    } else {
+      left = toText(a).toLowerCase();
+      right = toText(b).toLowerCase();
+    }
+
+    switch (op) {
+      case '==': return left === right;
+      case '!=': return left !== right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+    }
+    return null;
+  };
+
+  const evaluateNode = (node, properties, env) => {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'property': {
+        const val = properties[node.name];
+        return val === undefined ? null : val;
+      }
+
+      case 'unary': {
+        const val = evaluateNode(node.arg, properties, env);
+        if (node.op === '!') return !isTruthy(val);
+        const n = toNumber(val);
+        return n === null ? null : -n;
+      }
+
+      case 'call': {
+        const def = FUNCTIONS[node.name];
+        const args = def.lazy
+          ? node.args.map(arg => () => evaluateNode(arg, properties, env))
+          : node.args.map(arg => evaluateNode(arg, properties, env));
+        return def.fn(args, env);
+      }
+
+      case 'binary': {
+        if (node.op === '&&') {
+          return isTruthy(evaluateNode(node.left, properties, env)) && isTruthy(evaluateNode(node.right, properties, env));
+        }
+        if (node.op === '||') {
+          return isTruthy(evaluateNode(node.left, properties, env)) || isTruthy(evaluateNode(node.right, properties, env));
+        }
+
+        const left = evaluateNode(node.left, properties, env);
+        const right = evaluateNode(node.right, properties, env);
+
+        if (node.op === '&') return toText(left) + toText(right);
+        if (['==', '!=', '<', '<=', '>', '>='].includes(node.op)) return compare(node.op, left, right);
+
+        const a = toNumber(left);
+        const b = toNumber(right);
+        if (a === null || b === null) return null;
+        switch (node.op) {
+          case '+': return a + b;
+          case '-': return a - b;
+          case '*': return a * b;
+          case '/': return b === 0 ? null : a / b;
+          case '%': return b === 0 ? null : a % b;
+        }
+        return null;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Evaluate an expression against record properties
+   * @param {string} expression
+   * @param {Object} properties - Record properties
+   * @param {Object} options - { now } epoch ms, defaults to Date.now()
+   * @returns {*} Raw result (number, string, boolean or null)
+   * @throws {Error} When the expression is invalid
+   */
+  const evaluate = (expression, properties = {}, { now = Date.now() } = {}) => {
+    return evaluateNode(parse(expression), properties || {}, { now });
+  };
+
+  /**
+   * Format a result the way HubSpot stores property values (strings, '' when empty)
+   * @param {*} value
+   * @returns {string}
+   */
+  const formatResult = (value) => {
+    if (isEmpty(value)) return '';
+    if (typeof value === 'number') return String(Number(value.toFixed(10)));
+    if (typeof value === 'boolean') return value ? 'true' : 'false';
+    return toText(value);
+  };
+
+  /**
+   * List the record properties an expression reads
+   * @param {string} expression
+   * @returns {Array<string>} Unique property names in order of first use
+   */
+  const getReferences = (expression) => {
+    const names = [];
+    const visit = (node) => {
+      if (node.type === 'property' && !names.includes(node.name)) names.push(node.name);
+      if (node.arg) visit(node.arg);
+      if (node.left) visit(node.left);
+      if (node.right) visit(node.right);
+      (node.args || []).forEach(visit);
+    };
+    visit(parse(expression));
+    return names;
+  };
+
+  /**
+   * Check an expression without evaluating it
+   * @param {string} expression
+   * @returns {Object} { valid, error, references }
+   */
+  const validate = (expression) => {
+    try {
+      return { valid: true, error: null, references: getReferences(expression) };
+    } catch (error) {
+      return { valid: false, error: error.message, references: [] };
+    }
+  };
+
+  /**
+   * Whether a key is usable for a computed property (lower snake_case)
+   * @param {string} key
+   * @returns {boolean}
+   */
+  const isValidKey = (key) => /^[a-z][a-z0-9_]*$/.test(String(key || ''));
+
+  /**
+   * Whether a computed property applies to an object type
+   * @param {Object} definition - { objectType } (plural; empty applies to every type)
+   * @param {string} objectType - Singular or plural object type
+   * @returns {boolean}
+   */
+  const appliesTo = (definition, objectType) => {
+    if (!definition.objectType) return true;
+    return (OBJECT_TYPE_PLURALS[objectType] || objectType) === definition.objectType;
+  };
+
+  /**
+   * Evaluate an org's computed properties for one record
+   * Definitions are evaluated in order, so a formula can use computed properties defined before it
+   * @param {Array} definitions - [{ key, expression, objectType }]
+   * @param {Object} properties - Record properties
+   * @param {Object} options - { objectType, now }
+   * @returns {Object} { 'computed.<key>': value } - '' when a formula is invalid or has no result
+   */
+  const applyComputedProperties = (definitions = [], properties = {}, { objectType = null, now = Date.now() } = {}) => {
+    const results = {};
+    const scope = { ...properties };
+
+    definitions.forEach(definition => {
+      if (!definition || !isValidKey(definition.key)) return;
+      if (objectType && !appliesTo(definition, objectType)) return;
+
+      const name = KEY_PREFIX + definition.key;
+      let value = '';
+      try {
+        value = formatResult(evaluate(definition.expression, scope, { now }));
+      } catch (error) {
+        console.warn(`[RevGuide] Computed property "${definition.key}" failed:`, error.message);
+      }
+      results[name] = value;
+      scope[name] = value;
+    });
+
+    return results;
+  };
+
+  return {
+    KEY_PREFIX,
+    FUNCTIONS,
+    parse,
+    evaluate,
+    formatResult,
+    getReferences,
+    validate,
+    isValidKey,
+    appliesTo,
+    applyComputedProperties
+  };
+});
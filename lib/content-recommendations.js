@@ -172,6 +172,11 @@
           continue;
         }
 
+        // Skip content outside its activation schedule
+        if (!this.rulesEngine.isScheduleActive(item.schedule)) {
+          continue;
+        }
+
         // Check tag-based matching
         const tagsMatch = this.matchesTags(item, activeTags);
 
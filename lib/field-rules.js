@@ -0,0 +1,153 @@
+/**
+ * Field Rules for RevGuide
+ * Fields of a play's fields section can carry rules the sidepanel enforces:
+ *   showWhen:   { property, operator, value }
+ *               Only show the field while the condition holds. It is checked with the rules
+ *               engine's operators against the section's current inputs, falling back to the
+ *               record's properties; hidden fields are neither validated nor saved.
+ *   validation: { min, max, pattern, future, message }
+ *               min/max bound number fields, pattern is a regex for text fields (same syntax as
+ *               the matches_regex operator) and future requires a date after today. message
+ *               replaces the default error text.
+ *   dependsOn:  { property, options: { '<parent value>': ['<option value>', ...] } }
+ *               Dropdown options offered for each value of another dropdown in the section.
+ *               Parent values without a mapping offer every option.
+ */
+
+(function(root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory(require('./rules-engine'));
+  } else {
+    root.RevGuideFieldRules = factory(root.RevGuideRulesEngine);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(RulesEngine) {
+  const SHOW_WHEN_OPERATORS = ['equals', 'not_equals', 'contains', 'is_empty', 'is_not_empty', 'greater_than', 'less_than'];
+
+  let engine = null;
+  function getEngine() {
+    if (!engine) engine = new RulesEngine();
+    return engine;
+  }
+
+  function isBlank(value) {
+    return value === null || value === undefined || String(value).trim() === '';
+  }
+
+  /**
+   * @param {Object} field - Fields section field
+   * @param {Object} values - Property name → current value
+   * @returns {boolean}
+   */
+  function isFieldVisible(field, values) {
+    const showWhen = field?.showWhen;
+    if (!showWhen?.property) return true;
+    return getEngine().evaluateCondition({
+      property: showWhen.property,
+      operator: showWhen.operator || 'equals',
+      value: showWhen.value ?? ''
+    }, values || {});
+  }
+
+  /**
+   * Fields of a section that are shown for the current values, in order
+   * Fields hidden by an earlier rule count as empty, so a chain of conditions collapses together
+   * @param {Array<Object>} fields
+   * @param {Object} values - Property name → current value
+   * @returns {Array<Object>}
+   */
+  function getVisibleFields(fields, values) {
+    const effective = { ...values };
+    return (fields || []).filter(field => {
+      const visible = isFieldVisible(field, effective);
+      if (!visible) effective[field.property] = '';
+      return visible;
+    });
+  }
+
+  /**
+   * Dropdown options to offer for a field
+   * @param {Object} field - Field with options
+   * @param {Object} values - Property name → current value
+   * @returns {Array} Options (empty until a dependent field's parent has a value)
+   */
+  function getFieldOptions(field, values) {
+    const options = field?.options || [];
+    const dependsOn = field?.dependsOn;
+    if (!dependsOn?.property) return options;
+
+    const parentValue = values?.[dependsOn.property];
+    if (isBlank(parentValue)) return [];
+
+    const allowed = dependsOn.options?.[String(parentValue)];
+    if (!Array.isArray(allowed)) return options;
+    return options.filter(opt => allowed.includes(String(opt?.value !== undefined ? opt.value : opt)));
+  }
+
+  function toDayNumber(year, month, day) {
+    return year * 10000 + month * 100 + day;
+  }
+
+  /**
+   * Check a field's value against its validation rules
+   * Empty values pass: whether a value is needed is up to `required`
+   * @param {Object} field - Field with validation
+   * @param {string} value - Value as entered (dates as YYYY-MM-DD)
+   * @param {number} [now] - Current time in epoch ms
+   * @returns {string|null} Error message, or null when valid
+   */
+  function validateField(field, value, now = Date.now()) {
+    const rules = field?.validation;
+    if (!rules || isBlank(value)) return null;
+    const fail = (message) => rules.message || message;
+    const type = field.type || '';
+
+    if (type === 'number' || field.fieldType === 'number') {
+      const number = Number(value);
+      if (Number.isNaN(number)) return fail('Enter a number');
+      if (!isBlank(rules.min) && number < Number(rules.min)) return fail(`Must be at least ${rules.min}`);
+      if (!isBlank(rules.max) && number > Number(rules.max)) return fail(`Must be at most ${rules.max}`);
+    }
+
+    if (rules.future && (type === 'date' || type === 'datetime' || field.fieldType === 'date')) {
+      const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})/);
+      if (!match) return fail('Enter a valid date');
+      const today = new Date(now);
+      const todayNumber = toDayNumber(today.getFullYear(), today.getMonth() + 1, today.getDate());
+      if (toDayNumber(Number(match[1]), Number(match[2]), Number(match[3])) <= todayNumber) {
+        return fail('Must be a date in the future');
+      }
+    }
+
+    if (!isBlank(rules.pattern)) {
+      // Patterns the rules engine refuses (invalid or too expensive) are skipped rather than blocking saves
+      const regex = getEngine().compileRegex(rules.pattern);
+      if (regex && !regex.test(String(value))) return fail('Invalid format');
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a field has any rules set
+   * @param {Object} field
+   * @returns {boolean}
+   */
+  function hasRules(field) {
+    const validation = field?.validation || {};
+    return Boolean(
+      field?.showWhen?.property ||
+      field?.dependsOn?.property ||
+      ['min', 'max', 'pattern'].some(key => !isBlank(validation[key])) ||
+      validation.future
+    );
+  }
+
+  return {
+    SHOW_WHEN_OPERATORS,
+    isFieldVisible,
+    getVisibleFields,
+    getFieldOptions,
+    validateField,
+    hasRules
+  };
+});
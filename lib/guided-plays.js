@@ -0,0 +1,214 @@
+/**
+ * Guided Plays for RevGuide
+ * A guided play is a decision tree reps walk through one step at a time. Its steps are the
+ * play's sections:
+ *   { type: 'step', id, title, content, property, choices: [{ id, label, value, nextStepId }] }
+ * nextStepId names the step a choice leads to; '' continues with the next step in order and
+ * END finishes the play. property optionally names a HubSpot property that receives the chosen
+ * answer's value (or its label when no value is set).
+ */
+
+(function(root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RevGuideGuidedPlays = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+  const END = 'end';
+
+  function createId(prefix) {
+    return prefix + Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+  }
+
+  /**
+   * New ID for a step (kept when it is edited, so choices keep pointing at it)
+   * @returns {string}
+   */
+  function createStepId() {
+    return createId('step_');
+  }
+
+  /**
+   * New ID for an answer choice
+   * @returns {string}
+   */
+  function createChoiceId() {
+    return createId('choice_');
+  }
+
+  /**
+   * Steps of a guided play, in order
+   * @param {Object} play - Play with sections
+   * @returns {Array<Object>}
+   */
+  function getSteps(play) {
+    return (play?.sections || []).filter(section => section?.type === 'step' && section.id);
+  }
+
+  /**
+   * @param {Object} play
+   * @param {string} stepId
+   * @returns {Object|null}
+   */
+  function getStep(play, stepId) {
+    return getSteps(play).find(step => step.id === stepId) || null;
+  }
+
+  /**
+   * Answer choices of a step that reps can pick
+   * @param {Object} step
+   * @returns {Array<Object>}
+   */
+  function getChoices(step) {
+    if (!Array.isArray(step?.choices)) return [];
+    return step.choices.filter(choice => choice?.id && String(choice.label || '').trim());
+  }
+
+  /**
+   * Step that follows a step when a choice is picked
+   * @param {Object} play
+   * @param {string} stepId - Current step
+   * @param {string} [choiceId] - Picked choice; none for steps without choices
+   * @returns {string|null} Next step ID, or null when the play is finished
+   */
+  function getNextStepId(play, stepId, choiceId) {
+    const steps = getSteps(play);
+    const index = steps.findIndex(step => step.id === stepId);
+    if (index === -1) return null;
+
+    const choice = getChoices(steps[index]).find(c => c.id === choiceId);
+    const target = choice?.nextStepId || '';
+    if (target === END) return null;
+    // Choices pointing at a deleted step fall through to the next step in order
+    if (target && steps.some(step => step.id === target)) return target;
+    return steps[index + 1]?.id || null;
+  }
+
+  /**
+   * Start walking through a play
+   * @param {Object} play
+   * @returns {{path: Array<string>, answers: Object, finished: boolean}} path lists the visited
+   *   step IDs (the last one is the current step); answers maps step IDs to picked choice IDs
+   */
+  function createRun(play) {
+    const first = getSteps(play)[0];
+    return { path: first ? [first.id] : [], answers: {}, finished: false };
+  }
+
+  /**
+   * @param {Object} run - From createRun()
+   * @returns {string|null}
+   */
+  function getCurrentStepId(run) {
+    return run.path[run.path.length - 1] || null;
+  }
+
+  /**
+   * Answer the current step and move on
+   * @param {Object} play
+   * @param {Object} run - From createRun()
+   * @param {string} [choiceId]
+   * @returns {Object} New run
+   */
+  function choose(play, run, choiceId) {
+    const stepId = getCurrentStepId(run);
+    if (!stepId || run.finished) return run;
+
+    const answers = { ...run.answers };
+    if (choiceId) {
+      answers[stepId] = choiceId;
+    } else {
+      delete answers[stepId];
+    }
+
+    const nextStepId = getNextStepId(play, stepId, choiceId);
+    if (!nextStepId) return { path: run.path, answers, finished: true };
+    return { path: [...run.path, nextStepId], answers, finished: false };
+  }
+
+  /**
+   * Return to the previous step (or to the last step from the end of the play)
+   * @param {Object} run - From createRun()
+   * @returns {Object} New run
+   */
+  function goBack(run) {
+    if (run.finished) return { ...run, finished: false };
+    if (run.path.length <= 1) return run;
+    return { ...run, path: run.path.slice(0, -1) };
+  }
+
+  /**
+   * Answers given on the path taken, in order
+   * Answers on branches the rep backed out of are left out
+   * @param {Object} play
+   * @param {Object} run - From createRun()
+   * @returns {Array<{step: Object, choice: Object}>}
+   */
+  function getAnsweredSteps(play, run) {
+    return run.path
+      .map(stepId => {
+        const step = getStep(play, stepId);
+        const choice = getChoices(step).find(c => c.id === run.answers[stepId]);
+        return step && choice ? { step, choice } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * HubSpot property values from the answers given
+   * @param {Object} play
+   * @param {Object} run - From createRun()
+   * @returns {Object} Property name → value
+   */
+  function getAnswerUpdates(play, run) {
+    const updates = {};
+    getAnsweredSteps(play, run).forEach(({ step, choice }) => {
+      if (!step.property) return;
+      const value = String(choice.value ?? '').trim();
+      updates[step.property] = value || choice.label.trim();
+    });
+    return updates;
+  }
+
+  /**
+   * Check the steps of a guided play before saving
+   * @param {Array<Object>} steps - Step sections
+   * @returns {string|null} Error message, or null when valid
+   */
+  function validateSteps(steps) {
+    if (!steps?.length) return 'Add at least one step to the guided play';
+
+    const stepIds = new Set(steps.map(step => step.id));
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      if (!String(step.title || '').trim()) return `Step ${i + 1} needs a question or title`;
+
+      for (const choice of getChoices(step)) {
+        const target = choice.nextStepId || '';
+        if (target === step.id) return `Step ${i + 1}: "${choice.label}" can't lead back to its own step`;
+        if (target && target !== END && !stepIds.has(target)) {
+          return `Step ${i + 1}: "${choice.label}" leads to a step that no longer exists`;
+        }
+      }
+    }
+    return null;
+  }
+
+  return {
+    END,
+    createStepId,
+    createChoiceId,
+    getSteps,
+    getStep,
+    getChoices,
+    getNextStepId,
+    createRun,
+    getCurrentStepId,
+    choose,
+    goBack,
+    getAnsweredSteps,
+    getAnswerUpdates,
+    validateSteps
+  };
+});
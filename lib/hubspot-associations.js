@@ -0,0 +1,92 @@
+/**
+ * HubSpot Associations for RevGuide
+ * Reads a record's associated records for associated-record conditions (see
+ * RulesEngine.getAssociationRequest). Shared by the background script and the admin panel,
+ * which reach HubSpot differently, so every call goes through a request function:
+ *   request(endpoint, method, body) → Promise<parsed JSON>
+ */
+
+(function(root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RevGuideHubSpotAssociations = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+  const MAX_RECORDS = 1000; // Counts stop here
+
+  // How to tell whether an associated record is still open (for open_count)
+  const OPEN_STATE = {
+    deals: { property: 'hs_is_closed', isOpen: (props) => props.hs_is_closed !== 'true' },
+    tickets: { property: 'closed_date', isOpen: (props) => !props.closed_date }
+  };
+
+  /**
+   * The primary association: the one labelled "Primary" (companies), otherwise the first
+   * @param {Array<Object>} links - v4 association results
+   * @returns {string|null} Associated record ID
+   */
+  function getPrimaryId(links) {
+    const primaryLink = (links || []).find(link =>
+      (link.associationTypes || []).some(type => /primary/i.test(type.label || ''))
+    ) || links?.[0] || null;
+    return primaryLink ? String(primaryLink.toObjectId) : null;
+  }
+
+  /**
+   * Fetch one associated object type via the v4 associations API
+   * @param {Function} request - (endpoint, method, body) → Promise<Object>
+   * @param {string} fromType - Plural API object type of the current record
+   * @param {string} recordId - HubSpot record ID
+   * @param {string} toType - Plural API object type to look up
+   * @param {Object} wanted - { properties, count, openCount }
+   * @returns {Promise<Object>} { count, openCount, primary: { id, properties } | null }
+   */
+  async function fetchAssociationsOfType(request, fromType, recordId, toType, wanted = {}) {
+    const links = [];
+    let after = null;
+    do {
+      const params = new URLSearchParams({ limit: '500' });
+      if (after) params.set('after', after);
+      const data = await request(`/crm/v4/objects/${fromType}/${recordId}/associations/${toType}?${params.toString()}`, 'GET', null);
+      links.push(...(data.results || []));
+      after = data.paging?.next?.after || null;
+    } while (after && links.length < MAX_RECORDS);
+
+    const primaryId = getPrimaryId(links);
+
+    // Read the primary record's properties, or every associated record when counting open ones
+    const openState = wanted.openCount ? OPEN_STATE[toType] : null;
+    const propertyNames = [...(wanted.properties || [])];
+    if (openState && !propertyNames.includes(openState.property)) {
+      propertyNames.push(openState.property);
+    }
+    const readIds = openState
+      ? links.slice(0, MAX_RECORDS).map(link => String(link.toObjectId))
+      : (primaryId && propertyNames.length > 0 ? [primaryId] : []);
+
+    const records = {};
+    for (let i = 0; i < readIds.length; i += 100) {
+      const data = await request(`/crm/v3/objects/${toType}/batch/read`, 'POST', {
+        properties: propertyNames,
+        inputs: readIds.slice(i, i + 100).map(id => ({ id }))
+      });
+      (data.results || []).forEach(record => {
+        records[String(record.id)] = record.properties || {};
+      });
+    }
+
+    return {
+      count: Math.min(links.length, MAX_RECORDS),
+      openCount: openState ? Object.values(records).filter(openState.isOpen).length : null,
+      primary: primaryId ? { id: primaryId, properties: records[primaryId] || {} } : null
+    };
+  }
+
+  return {
+    MAX_RECORDS,
+    OPEN_STATE,
+    getPrimaryId,
+    fetchAssociationsOfType
+  };
+});
@@ -0,0 +1,286 @@
+/**
+ * Content Revisions for RevGuide
+ * Each save of a banner, play or wiki entry is stored as a revision whose snapshot is the
+ * database row (snake_case, without id and timestamps). These helpers turn two snapshots into
+ * a side-by-side diff an editor can read: content fields line by line, play sections per
+ * section, and targeting (conditions, schedule, audience) as plain-language rule lines.
+ */
+
+(function(root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RevGuideRevisions = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+  // Compared fields per content type, in display order. 'rules' combines the targeting columns
+  // and 'settings' collects every other column so no change goes unnoticed.
+  const FIELDS = {
+    banner: [
+      { key: 'name', label: 'Name' },
+      { key: 'title', label: 'Title' },
+      { key: 'message', label: 'Message' },
+      { key: 'rules', label: 'Rules' },
+      { key: 'settings', label: 'Settings' }
+    ],
+    play: [
+      { key: 'name', label: 'Name' },
+      { key: 'subtitle', label: 'Subtitle' },
+      { key: 'sections', label: 'Sections' },
+      { key: 'rules', label: 'Rules' },
+      { key: 'settings', label: 'Settings' }
+    ],
+    wiki: [
+      { key: 'title', label: 'Title' },
+      { key: 'trigger', label: 'Trigger' },
+      { key: 'aliases', label: 'Aliases' },
+      { key: 'definition', label: 'Definition' },
+      { key: 'settings', label: 'Settings' }
+    ]
+  };
+
+  const RULE_KEYS = [
+    'object_types', 'object_type', 'display_on_all', 'tab_visibility', 'conditions', 'logic',
+    'condition_groups', 'group_logic', 'schedule', 'audience'
+  ];
+
+  // Row metadata and workflow state that are never part of a revision
+  const IGNORED_KEYS = [
+    'id', 'organization_id', 'created_at', 'updated_at', 'created_by', 'content_version',
+    'status', 'review_note', 'submitted_by', 'submitted_at'
+  ];
+
+  /**
+   * Plain text lines from a value that may contain HTML
+   * @param {*} value
+   * @returns {Array<string>}
+   */
+  function toTextLines(value) {
+    if (value === undefined || value === null) return [];
+    return String(value)
+      .replace(/<\s*br\s*\/?>/gi, '\n')
+      .replace(/<\/\s*(p|div|li|h[1-6]|blockquote|tr)\s*>/gi, '\n')
+      .replace(/<li[^>]*>/gi, '• ')
+      .replace(/<[^>]*>/g, '')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean);
+  }
+
+  function formatValue(value) {
+    if (value === undefined || value === null || value === '') return '(empty)';
+    if (Array.isArray(value)) return value.length ? value.map(formatValue).join(', ') : '(none)';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+  }
+
+  const matchLabel = (logic) => (logic === 'OR' ? 'match any' : 'match all');
+
+  function describeCondition(condition) {
+    const operator = String(condition?.operator || 'equals').replace(/_/g, ' ');
+    const property = condition?.property || '(no property)';
+    if (/empty$/.test(operator)) return `${property} ${operator}`;
+    const value = condition?.valueSource === 'property' ? `property ${condition.value}` : formatValue(condition?.value);
+    return `${property} ${operator} ${value}`;
+  }
+
+  function describeGroup(group, depth) {
+    const indent = '  '.repeat(depth);
+    const lines = (group?.conditions || []).map(condition => `${indent}${describeCondition(condition)}`);
+    (group?.groups || []).forEach((subgroup, i) => {
+      lines.push(`${indent}Subgroup ${i + 1} (${subgroup.negate ? 'NOT, ' : ''}${matchLabel(subgroup.logic)}):`);
+      lines.push(...describeGroup(subgroup, depth + 1));
+    });
+    return lines;
+  }
+
+  /**
+   * Targeting of a snapshot as readable lines
+   * @param {Object} snapshot - Database row
+   * @returns {Array<string>}
+   */
+  function describeRules(snapshot) {
+    const lines = [];
+    const objectTypes = snapshot.object_types?.length ? snapshot.object_types : (snapshot.object_type ? [snapshot.object_type] : []);
+    lines.push(`Record types: ${objectTypes.length ? objectTypes.join(', ') : 'all'}`);
+    if (snapshot.tab_visibility && snapshot.tab_visibility !== 'all') lines.push(`Tabs: ${snapshot.tab_visibility}`);
+
+    if (snapshot.display_on_all) {
+      lines.push('Shows on every record');
+    } else if (snapshot.condition_groups?.length) {
+      if (snapshot.condition_groups.length > 1) {
+        lines.push(`Groups combined with ${snapshot.group_logic || 'AND'}`);
+      }
+      snapshot.condition_groups.forEach((group, i) => {
+        lines.push(`Group ${i + 1} (${group.negate ? 'NOT, ' : ''}${matchLabel(group.logic)}):`);
+        lines.push(...describeGroup(group, 1));
+      });
+    } else if (snapshot.conditions?.length) {
+      lines.push(`Conditions (${matchLabel(snapshot.logic)}):`);
+      lines.push(...describeGroup({ conditions: snapshot.conditions }, 1));
+    } else {
+      lines.push('No conditions');
+    }
+
+    if (snapshot.schedule) lines.push(`Schedule: ${formatValue(snapshot.schedule)}`);
+    if (snapshot.audience) lines.push(`Audience: ${formatValue(snapshot.audience)}`);
+    return lines;
+  }
+
+  /**
+   * Play sections as readable lines, one heading per section
+   * @param {Array} sections
+   * @returns {Array<string>}
+   */
+  function describeSections(sections = []) {
+    const lines = [];
+    (sections || []).forEach((section, i) => {
+      const type = section?.type || 'text';
+      lines.push(`§ ${i + 1}. ${section?.title || 'Untitled'} (${type})`);
+      if (type === 'text') {
+        lines.push(...toTextLines(section.content));
+      } else if (type === 'media') {
+        lines.push(`Media: ${formatValue(section.mediaUrl)}`);
+      } else if (type === 'fields') {
+        (section.fields || []).forEach(field => {
+          lines.push(`Field: ${field.property || field.label || formatValue(field)}${field.required ? ' (required)' : ''}`);
+          if (field.showWhen?.property) lines.push(`  Shown when ${describeCondition(field.showWhen)}`);
+          if (field.validation) lines.push(`  Validation: ${formatValue(field.validation)}`);
+          if (field.dependsOn?.property) lines.push(`  Options depend on ${field.dependsOn.property}: ${formatValue(field.dependsOn.options)}`);
+        });
+      } else if (type === 'checklist') {
+        (section.items || []).forEach(item => lines.push(`☐ ${item.label}`));
+        if (section.progressProperty) lines.push(`Progress property: ${section.progressProperty}`);
+      } else if (type === 'step') {
+        lines.push(...toTextLines(section.content));
+        (section.choices || []).forEach(choice => {
+          const targetIndex = sections.findIndex(s => s?.id === choice.nextStepId);
+          const target = choice.nextStepId === 'end' ? 'End' : targetIndex >= 0 ? `§ ${targetIndex + 1}` : 'Next step';
+          lines.push(`↳ ${choice.label}${choice.value ? ` (${choice.value})` : ''} → ${target}`);
+        });
+        if (section.property) lines.push(`Answer property: ${section.property}`);
+      } else {
+        Object.keys(section || {}).filter(key => !['type', 'title'].includes(key)).forEach(key => {
+          lines.push(`${key}: ${formatValue(section[key])}`);
+        });
+      }
+    });
+    return lines;
+  }
+
+  /**
+   * Lines for one compared field of a snapshot
+   * @param {string} contentType - 'banner', 'play' or 'wiki'
+   * @param {Object} snapshot - Database row
+   * @param {string} key - Field key from FIELDS
+   * @returns {Array<string>}
+   */
+  function getFieldLines(contentType, snapshot, key) {
+    const row = snapshot || {};
+    if (key === 'rules') return describeRules(row);
+    if (key === 'sections') return describeSections(row.sections);
+    if (key === 'settings') {
+      const shown = new Set([...(FIELDS[contentType] || []).map(f => f.key), ...RULE_KEYS, ...IGNORED_KEYS]);
+      return Object.keys(row)
+        .filter(k => !shown.has(k))
+        .sort()
+        .map(k => `${k}: ${formatValue(row[k])}`);
+    }
+    if (Array.isArray(row[key])) return row[key].length ? [row[key].map(formatValue).join(', ')] : [];
+    return toTextLines(row[key]);
+  }
+
+  /**
+   * Line diff of two lists (longest common subsequence), paired for side-by-side display
+   * @param {Array<string>} before
+   * @param {Array<string>} after
+   * @returns {Array<{type: 'same'|'removed'|'added'|'changed', left: string|null, right: string|null}>}
+   */
+  function diffLines(before = [], after = []) {
+    const n = before.length;
+    const m = after.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = before[i] === after[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+      const count = Math.max(removed.length, added.length);
+      for (let k = 0; k < count; k++) {
+        const left = k < removed.length ? removed[k] : null;
+        const right = k < added.length ? added[k] : null;
+        rows.push({ type: left !== null && right !== null ? 'changed' : (left !== null ? 'removed' : 'added'), left, right });
+      }
+      removed = [];
+      added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && before[i] === after[j]) {
+        flush();
+        rows.push({ type: 'same', left: before[i], right: after[j] });
+        i++;
+        j++;
+      } else if (j >= m || (i < n && lcs[i + 1][j] >= lcs[i][j + 1])) {
+        removed.push(before[i++]);
+      } else {
+        added.push(after[j++]);
+      }
+    }
+    flush();
+    return rows;
+  }
+
+  /**
+   * Fields that differ between two snapshots
+   * @param {string} contentType - 'banner', 'play' or 'wiki'
+   * @param {Object|null} older - Earlier snapshot (null for the first version)
+   * @param {Object} newer - Later snapshot
+   * @returns {Array<{key: string, label: string, rows: Array}>}
+   */
+  function compareRevisions(contentType, older, newer) {
+    return (FIELDS[contentType] || [])
+      .map(field => {
+        const before = older ? getFieldLines(contentType, older, field.key) : [];
+        const after = getFieldLines(contentType, newer, field.key);
+        const rows = diffLines(before, after);
+        return { key: field.key, label: field.label, rows };
+      })
+      .filter(field => field.rows.some(row => row.type !== 'same'));
+  }
+
+  /**
+   * Column updates that put a snapshot back on its content row
+   * @param {Object} snapshot
+   * @returns {Object}
+   */
+  function getRestoreUpdates(snapshot) {
+    const updates = { ...(snapshot || {}) };
+    IGNORED_KEYS.forEach(key => delete updates[key]);
+    return updates;
+  }
+
+  return {
+    FIELDS,
+    toTextLines,
+    describeRules,
+    describeSections,
+    getFieldLines,
+    diffLines,
+    compareRevisions,
+    getRestoreUpdates
+  };
+});
@@ -0,0 +1,518 @@
+/**
+ * Rule Linter for RevGuide
+ * Static checks over banner/play rules: conditions that can never match, duplicate rules,
+ * banners that always fire together, and priorities that bury a more specific banner under a
+ * general one
+ *
+ * Rules are expanded into OR-of-AND terms (disjunctive normal form) and each term is checked
+ * per property. The checks are conservative: a finding is only reported when it holds for
+ * every record, so rules the linter can't reason about (negated groups, property-to-property
+ * comparisons, relative dates) are left alone rather than guessed at.
+ *
+ * Finding: { code, severity, ruleIds, message }
+ *   unreachable        error    The rule can never match
+ *   dead_group         warning  One condition group of an OR rule can never match
+ *   expired            warning  The schedule has ended
+ *   duplicate          warning  Same object type and equivalent conditions as another rule
+ *   conflicting_types  error    Banners of opposing types (success vs warning/error) show on the same records
+ *   overlap            warning  Two warning/error banners of the same type always show together
+ *   shadowed_priority  warning  A more specific banner has a lower priority than a general one
+ */
+
+(function(root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory(require('./rules-engine'));
+  } else {
+    root.RevGuideRuleLinter = factory(root.RevGuideRulesEngine);
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function(RulesEngine) {
+  // Expanding nested AND/OR groups multiplies terms; past this a rule is treated as too complex to lint
+  const MAX_TERMS = 64;
+
+  const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+  const OBJECT_TYPE_SINGULARS = { contacts: 'contact', companies: 'company', deals: 'deal', tickets: 'ticket' };
+
+  const NUMERIC_BOUNDS = {
+    greater_than: { side: 'lower', inclusive: false },
+    greater_equal: { side: 'lower', inclusive: true },
+    less_than: { side: 'upper', inclusive: false },
+    less_equal: { side: 'upper', inclusive: true }
+  };
+
+  // Operators whose result depends on the current time, so a pinned value can't decide them
+  const TIME_RELATIVE_OPERATORS = ['within_last_n_days', 'within_next_n_days', 'more_than_n_days_ago', 'is_today'];
+
+  // Operators that only pass when the property has a value
+  const VALUE_REQUIRED_OPERATORS = [
+    'equals', 'contains', 'starts_with', 'ends_with', 'in_list',
+    'greater_than', 'less_than', 'greater_equal', 'less_equal',
+    'has_any_of', 'has_all_of', 'matches_regex',
+    'is_before', 'is_after', 'within_last_n_days', 'within_next_n_days', 'more_than_n_days_ago', 'is_today'
+  ];
+
+  // Banner types that give opposite signals when shown on the same record
+  const CONFLICTING_TYPES = [['success', 'warning'], ['success', 'error']];
+  const OVERLAP_TYPES = ['warning', 'error'];
+
+  const engine = new RulesEngine();
+
+  const normalizeValue = (val) => (val === null || val === undefined ? '' : String(val).trim().toLowerCase());
+  const splitList = (val, separator) => normalizeValue(val).split(separator).map(s => s.trim()).filter(Boolean);
+
+  const toNumber = (val) => {
+    const str = normalizeValue(val);
+    return str !== '' && !isNaN(Number(str)) ? Number(str) : null;
+  };
+
+  const toTime = (val) => {
+    const str = normalizeValue(val);
+    if (!str) return null;
+    const time = /^-?\d+$/.test(str) ? Number(str) : Date.parse(str);
+    return isNaN(time) ? null : time;
+  };
+
+  // 'greater than "10"' - the condition without its property
+  const describeOperator = (atom) => {
+    const value = atom.operator === 'is_empty' || atom.operator === 'is_not_empty' ? '' : ` "${atom.rawValue}"`;
+    return `${atom.operator.replace(/_/g, ' ')}${value}`;
+  };
+
+  const describeAtom = (atom) => `${atom.property} ${describeOperator(atom)}`;
+
+  const toAtom = (condition) => {
+    const valueSource = condition.valueSource || 'value';
+    const value = normalizeValue(condition.value);
+    return {
+      key: `${condition.property}|${condition.operator}|${valueSource}|${value}`,
+      property: condition.property,
+      operator: condition.operator,
+      value,
+      rawValue: condition.value === null || condition.value === undefined ? '' : String(condition.value),
+      // Property-to-property comparisons depend on two record values, so they are never reasoned about
+      opaque: valueSource === 'property'
+    };
+  };
+
+  // Negated groups are kept as a single opaque atom keyed by their contents
+  const toOpaqueAtom = (group) => ({
+    key: `not|${JSON.stringify({ logic: group.logic, conditions: group.conditions, groups: group.groups })}`,
+    opaque: true
+  });
+
+  /**
+   * Expand a condition group into OR-of-AND terms
+   * @returns {Array|null} [[atom]] or null when the expansion exceeds MAX_TERMS
+   */
+  const groupToTerms = (group) => {
+    if (group.negate) return [[toOpaqueAtom(group)]];
+
+    const children = [
+      ...(group.conditions || []).filter(c => c && c.property && c.operator).map(c => [[toAtom(c)]]),
+      ...(group.groups || []).map(groupToTerms)
+    ];
+    if (children.some(child => child === null)) return null;
+    return combineTerms(children, group.logic || 'AND');
+  };
+
+  const combineTerms = (children, logic) => {
+    if (children.length === 0) return [[]];
+
+    if (logic === 'OR') {
+      const terms = children.flat();
+      return terms.length > MAX_TERMS ? null : terms;
+    }
+
+    let terms = [[]];
+    for (const child of children) {
+      const next = [];
+      for (const term of terms) {
+        for (const childTerm of child) {
+          next.push([...term, ...childTerm]);
+          if (next.length > MAX_TERMS) return null;
+        }
+      }
+      terms = next;
+    }
+    return terms;
+  };
+
+  /**
+   * The top-level condition groups of a rule, in the same shape the rules engine evaluates
+   * Legacy flat conditions become a single group
+   */
+  const getGroups = (rule) => {
+    if (rule.conditionGroups && rule.conditionGroups.length > 0) {
+      return { logic: rule.groupLogic || 'AND', groups: rule.conditionGroups };
+    }
+    if (rule.conditions && rule.conditions.length > 0) {
+      return { logic: 'AND', groups: [{ id: 'conditions', logic: rule.logic || 'AND', conditions: rule.conditions }] };
+    }
+    return { logic: 'AND', groups: [] };
+  };
+
+  /**
+   * Expand a rule into OR-of-AND terms
+   * @param {Object} rule
+   * @returns {Array|null} [[atom]] - [[]] matches every record; null when too complex to lint
+   */
+  const getRuleTerms = (rule) => {
+    if (rule.displayOnAll) return [[]];
+    const { logic, groups } = getGroups(rule);
+    const children = groups.map(groupToTerms);
+    if (children.some(child => child === null)) return null;
+    return combineTerms(children, logic);
+  };
+
+  /**
+   * Find why a set of conditions that must all pass can never pass together
+   * @param {Array} atoms - Conditions combined with AND
+   * @returns {string|null} Reason, or null when the conditions may all pass
+   */
+  const findContradiction = (atoms) => {
+    const byProperty = new Map();
+    for (const atom of atoms) {
+      if (atom.opaque) continue;
+      if (!engine.operators[atom.operator]) return `unknown operator "${atom.operator}"`;
+      if (!byProperty.has(atom.property)) byProperty.set(atom.property, []);
+      byProperty.get(atom.property).push(atom);
+    }
+
+    for (const [property, propertyAtoms] of byProperty) {
+      const reason = findPropertyContradiction(property, propertyAtoms);
+      if (reason) return reason;
+    }
+    return null;
+  };
+
+  const findPropertyContradiction = (property, atoms) => {
+    const find = (operator) => atoms.filter(a => a.operator === operator);
+
+    // Two different exact values
+    const equals = find('equals');
+    const distinct = [...new Set(equals.map(a => a.value))];
+    if (distinct.length > 1) {
+      return `${property} can't equal both "${equals[0].rawValue}" and "${equals.find(a => a.value !== equals[0].value).rawValue}"`;
+    }
+
+    // Empty vs. a condition that needs a value
+    const isEmpty = find('is_empty')[0];
+    if (isEmpty) {
+      const needsValue = atoms.find(a => a.operator === 'is_not_empty' ||
+        (VALUE_REQUIRED_OPERATORS.includes(a.operator) && a.value !== ''));
+      if (needsValue) return `${property} can't be empty and ${describeOperator(needsValue)}`;
+    }
+
+    // A pinned value decides every other condition on the property
+    if (equals.length > 0) {
+      const pinned = equals[0];
+      const failing = atoms.find(a => a !== pinned && !TIME_RELATIVE_OPERATORS.includes(a.operator) &&
+        !engine.operators[a.operator](pinned.rawValue, a.rawValue));
+      if (failing) return `${property} equals "${pinned.rawValue}", so ${describeAtom(failing)} can never be true`;
+    }
+
+    // Allowed values left after in_list / not_in_list / not_equals
+    const inLists = find('in_list');
+    if (inLists.length > 0) {
+      const excluded = [
+        ...find('not_in_list').flatMap(a => splitList(a.value, ',')),
+        ...find('not_equals').map(a => a.value)
+      ];
+      const allowed = inLists
+        .map(a => splitList(a.value, ','))
+        .reduce((acc, list) => acc.filter(v => list.includes(v)))
+        .filter(v => !excluded.includes(v));
+      if (allowed.length === 0) return `no value of ${property} is allowed by all of its list conditions`;
+    }
+
+    // Numeric range
+    const range = getNumericRange(atoms);
+    if (range && range.lower !== null && range.upper !== null) {
+      const { lower, upper } = range;
+      if (lower.value > upper.value || (lower.value === upper.value && !(lower.inclusive && upper.inclusive))) {
+        return `${property} can't be both ${describeOperator(lower.atom)} and ${describeOperator(upper.atom)}`;
+      }
+    }
+
+    // Date range
+    const after = find('is_after').map(a => ({ atom: a, time: toTime(a.value) })).filter(d => d.time !== null);
+    const before = find('is_before').map(a => ({ atom: a, time: toTime(a.value) })).filter(d => d.time !== null);
+    if (after.length > 0 && before.length > 0) {
+      const latestAfter = after.reduce((a, b) => (b.time > a.time ? b : a));
+      const earliestBefore = before.reduce((a, b) => (b.time < a.time ? b : a));
+      if (earliestBefore.time <= latestAfter.time) {
+        return `${property} can't be both ${describeOperator(latestAfter.atom)} and ${describeOperator(earliestBefore.atom)}`;
+      }
+    }
+
+    // List membership
+    const member = find('is_member_of_list').find(a => find('is_not_member_of_list').some(b => b.value === a.value));
+    if (member) return `the record can't be both in and not in list ${member.rawValue}`;
+
+    // Multi-select options
+    const excludedOptions = find('has_none_of').flatMap(a => splitList(a.value, ';'));
+    if (excludedOptions.length > 0) {
+      const required = find('has_all_of').find(a => splitList(a.value, ';').some(v => excludedOptions.includes(v)));
+      if (required) return `${property} can't have all of "${required.rawValue}" and none of an overlapping set`;
+      const anyOf = find('has_any_of').find(a => splitList(a.value, ';').every(v => excludedOptions.includes(v)));
+      if (anyOf) return `every option in ${describeAtom(anyOf)} is excluded by a has none of condition`;
+    }
+
+    return null;
+  };
+
+  // Tightest numeric bounds on a property: { lower, upper } with { value, inclusive, atom } or null sides
+  const getNumericRange = (atoms) => {
+    let lower = null;
+    let upper = null;
+    for (const atom of atoms) {
+      const bound = NUMERIC_BOUNDS[atom.operator];
+      const value = toNumber(atom.value);
+      if (!bound || value === null) continue;
+      const candidate = { value, inclusive: bound.inclusive, atom };
+      if (bound.side === 'lower') {
+        if (!lower || value > lower.value || (value === lower.value && !bound.inclusive)) lower = candidate;
+      } else if (!upper || value < upper.value || (value === upper.value && !bound.inclusive)) {
+        upper = candidate;
+      }
+    }
+    return lower || upper ? { lower, upper } : null;
+  };
+
+  /**
+   * Whether every record that passes all of `atoms` also passes `target`
+   */
+  const atomImplied = (atoms, target) => {
+    if (atoms.some(a => a.key === target.key)) return true;
+    if (target.opaque) return false;
+
+    const sameProperty = atoms.filter(a => !a.opaque && a.property === target.property);
+    if (sameProperty.length === 0) return false;
+
+    // A pinned value decides the target directly
+    const pinned = sameProperty.find(a => a.operator === 'equals');
+    if (pinned && !TIME_RELATIVE_OPERATORS.includes(target.operator) && engine.operators[target.operator]) {
+      return !!engine.operators[target.operator](pinned.rawValue, target.rawValue);
+    }
+
+    if (target.operator === 'is_not_empty') {
+      return sameProperty.some(a => VALUE_REQUIRED_OPERATORS.includes(a.operator) && a.value !== '');
+    }
+
+    if (target.operator === 'in_list') {
+      const allowed = splitList(target.value, ',');
+      return sameProperty.some(a => a.operator === 'in_list' && splitList(a.value, ',').every(v => allowed.includes(v)));
+    }
+
+    const bound = NUMERIC_BOUNDS[target.operator];
+    const targetValue = toNumber(target.value);
+    if (bound && targetValue !== null) {
+      const range = getNumericRange(sameProperty);
+      const side = range && range[bound.side];
+      if (!side) return false;
+      if (bound.side === 'lower') {
+        return side.value > targetValue || (side.value === targetValue && (bound.inclusive || !side.inclusive));
+      }
+      return side.value < targetValue || (side.value === targetValue && (bound.inclusive || !side.inclusive));
+    }
+
+    return false;
+  };
+
+  const termImplies = (term, target) => target.every(atom => atomImplied(term, atom));
+
+  /**
+   * Whether every record matching terms `a` also matches terms `b`
+   * Only satisfiable terms of `a` count; a rule with none implies nothing
+   */
+  const termsImply = (a, b) => {
+    const live = a.filter(term => !findContradiction(term));
+    return live.length > 0 && live.every(term => b.some(target => termImplies(term, target)));
+  };
+
+  const getObjectTypes = (rule) => {
+    const types = rule.objectTypes && rule.objectTypes.length > 0
+      ? rule.objectTypes
+      : (rule.objectType ? [rule.objectType] : []);
+    return types.map(t => OBJECT_TYPE_SINGULARS[t] || t);
+  };
+
+  // Rules can only show together when their object types and tab positions can coincide
+  const canShowTogether = (a, b) => {
+    const typesA = getObjectTypes(a);
+    const typesB = getObjectTypes(b);
+    if (typesA.length > 0 && typesB.length > 0 && !typesA.some(t => typesB.includes(t))) return false;
+
+    const tabA = a.tabVisibility && a.tabVisibility !== 'all' ? String(a.tabVisibility) : null;
+    const tabB = b.tabVisibility && b.tabVisibility !== 'all' ? String(b.tabVisibility) : null;
+    return !tabA || !tabB || tabA === tabB;
+  };
+
+  const sameObjectTypes = (a, b) => {
+    const typesA = getObjectTypes(a).sort().join(',');
+    const typesB = getObjectTypes(b).sort().join(',');
+    return typesA === typesB;
+  };
+
+  const typesConflict = (a, b) => CONFLICTING_TYPES.some(([x, y]) =>
+    (a.type === x && b.type === y) || (a.type === y && b.type === x));
+
+  // Disabled and expired rules never show, so they are left out of comparisons
+  const canEverShow = (rule, now) =>
+    rule.enabled !== false && RulesEngine.getScheduleStatus(rule.schedule, now) !== 'expired';
+
+  const label = (rule) => `"${rule.name || rule.title || rule.id}"`;
+
+  /**
+   * Checks that only need the rule itself
+   * @returns {Array} Findings
+   */
+  const lintOwnRule = (rule, { kind = 'banner', now = Date.now() } = {}) => {
+    const findings = [];
+    const add = (code, severity, message) => findings.push({ code, severity, ruleIds: [rule.id], message });
+
+    if (RulesEngine.getScheduleStatus(rule.schedule, now) === 'expired') {
+      add('expired', 'warning', `Schedule ended ${new Date(rule.schedule.endAt).toLocaleDateString()}; this ${kind} won't show again`);
+    }
+
+    if (rule.displayOnAll) return findings;
+
+    const { logic, groups } = getGroups(rule);
+    const groupTerms = groups.map(groupToTerms);
+    if (groupTerms.some(terms => terms === null)) return findings;
+
+    const deadReasons = groupTerms.map(terms => {
+      const reasons = terms.map(findContradiction);
+      return reasons.every(Boolean) ? reasons[0] : null;
+    });
+
+    if (logic === 'OR' && groups.length > 1) {
+      if (deadReasons.every(Boolean)) {
+        add('unreachable', 'error', `Can never match: every condition group contradicts itself (${deadReasons[0]})`);
+      } else {
+        deadReasons.forEach((reason, i) => {
+          if (reason) add('dead_group', 'warning', `Condition group ${i + 1} can never match: ${reason}`);
+        });
+      }
+      return findings;
+    }
+
+    const deadGroup = deadReasons.find(Boolean);
+    if (deadGroup) {
+      add('unreachable', 'error', `Can never match: ${deadGroup}`);
+      return findings;
+    }
+
+    // Groups that are fine on their own can still contradict each other when ANDed together
+    const terms = combineTerms(groupTerms, logic);
+    if (terms && terms.length > 0) {
+      const reasons = terms.map(findContradiction);
+      if (reasons.every(Boolean)) add('unreachable', 'error', `Can never match: ${reasons[0]}`);
+    }
+
+    return findings;
+  };
+
+  /**
+   * Checks between two rules
+   * @returns {Object|null} Finding
+   */
+  const lintPair = (a, b, termsA, termsB, { kind = 'banner' } = {}) => {
+    if (!canShowTogether(a, b)) return null;
+
+    const aImpliesB = termsImply(termsA, termsB);
+    const bImpliesA = termsImply(termsB, termsA);
+    if (!aImpliesB && !bImpliesA) return null;
+
+    const finding = (code, severity, message) => ({ code, severity, ruleIds: [a.id, b.id], message });
+
+    if (aImpliesB && bImpliesA && sameObjectTypes(a, b)) {
+      return finding('duplicate', 'warning', `${label(a)} and ${label(b)} have equivalent conditions on the same object type`);
+    }
+
+    if (kind !== 'banner') return null;
+
+    // narrow only matches records that broad also matches
+    const [narrow, broad] = aImpliesB ? [a, b] : [b, a];
+    const together = aImpliesB && bImpliesA
+      ? `${label(a)} and ${label(b)} always show together`
+      : `Every record that shows ${label(narrow)} also shows ${label(broad)}`;
+
+    if (typesConflict(a, b)) {
+      return finding('conflicting_types', 'error', `${together}, but ${label(a)} is ${a.type} and ${label(b)} is ${b.type}`);
+    }
+
+    if (a.type === b.type && OVERLAP_TYPES.includes(a.type)) {
+      return finding('overlap', 'warning', `${together} (both ${a.type}); check their advice doesn't conflict`);
+    }
+
+    if (!(aImpliesB && bImpliesA) && (narrow.priority || 0) < (broad.priority || 0)) {
+      return finding('shadowed_priority', 'warning',
+        `${label(narrow)} is more specific than ${label(broad)} but has a lower priority ` +
+        `(${narrow.priority || 0} vs ${broad.priority || 0}), so it always shows below it`);
+    }
+
+    return null;
+  };
+
+  const sortFindings = (findings) =>
+    findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]);
+
+  /**
+   * Lint a set of banners or plays
+   * Disabled and expired rules get their own checks but are left out of comparisons
+   * @param {Array} rules
+   * @param {Object} options - { kind: 'banner' | 'play', now }
+   * @returns {Array} Findings, errors first
+   */
+  const lintRules = (rules = [], options = {}) => {
+    const findings = [];
+    const active = [];
+
+    rules.forEach(rule => {
+      findings.push(...lintOwnRule(rule, options));
+      const terms = canEverShow(rule, options.now || Date.now()) ? getRuleTerms(rule) : null;
+      if (terms) active.push({ rule, terms });
+    });
+
+    for (let i = 0; i < active.length; i++) {
+      for (let j = i + 1; j < active.length; j++) {
+        const finding = lintPair(active[i].rule, active[j].rule, active[i].terms, active[j].terms, options);
+        if (finding) findings.push(finding);
+      }
+    }
+
+    return sortFindings(findings);
+  };
+
+  /**
+   * Lint one rule against the rest, e.g. an unsaved rule in the editor
+   * @param {Object} rule
+   * @param {Array} others - Other rules of the same kind (the rule itself is skipped by id)
+   * @param {Object} options - { kind: 'banner' | 'play', now }
+   * @returns {Array} Findings involving the rule, errors first
+   */
+  const lintRule = (rule, others = [], options = {}) => {
+    const findings = lintOwnRule(rule, options);
+    const terms = getRuleTerms(rule);
+
+    if (terms) {
+      others.forEach(other => {
+        if (!canEverShow(other, options.now || Date.now()) || (rule.id && other.id === rule.id)) return;
+        const otherTerms = getRuleTerms(other);
+        const finding = otherTerms && lintPair(rule, other, terms, otherTerms, options);
+        if (finding) findings.push(finding);
+      });
+    }
+
+    return sortFindings(findings);
+  };
+
+  return {
+    MAX_TERMS,
+    getRuleTerms,
+    findContradiction,
+    lintRules,
+    lintRule
+  };
+});
@@ -10,13 +10,246 @@
     root.RevGuideRulesEngine = factory();
   }
 })(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const parseNumber = (val) => {
+    if (val === null || val === undefined) return NaN;
+    const cleaned = String(val).replace(/[^0-9.\-]/g, '');
+    return parseFloat(cleaned);
+  };
+
+  // HubSpot returns dates as ISO strings ("2024-05-01" or "2024-05-01T12:00:00.000Z")
+  // or as epoch milliseconds (number or numeric string)
+  const parseDate = (val) => {
+    if (val === null || val === undefined || val === '') return null;
+    if (val instanceof Date) return isNaN(val.getTime()) ? null : val;
+    const str = String(val).trim();
+    const time = /^-?\d+$/.test(str) ? Number(str) : Date.parse(str);
+    return isNaN(time) ? null : new Date(time);
+  };
+
+  // Date-only properties are stored as midnight UTC, so compare those by their UTC day
+  const isDateOnly = (date) => date.getTime() % DAY_MS === 0;
+
+  const toDayKey = (date) => {
+    return isDateOnly(date)
+      ? `${date.getUTCFullYear()}-${date.getUTCMonth()}-${date.getUTCDate()}`
+      : `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+  };
+
+  const parseDays = (val) => {
+    const days = parseNumber(val);
+    return isNaN(days) || days < 0 ? null : days;
+  };
+
+  const isNumeric = (val) => {
+    if (typeof val === 'number') return !isNaN(val);
+    return typeof val === 'string' && val.trim() !== '' && !isNaN(Number(val.trim()));
+  };
+
+  // ISO date strings only - bare numbers are treated as numbers, not epoch timestamps
+  const isIsoDate = (val) => typeof val === 'string' && /^\d{4}-\d{2}-\d{2}/.test(val.trim()) && !!parseDate(val);
+
+  // HubSpot multi-checkbox properties are stored as semicolon-separated strings
+  const splitMultiValue = (val) => {
+    if (val === null || val === undefined) return [];
+    const items = Array.isArray(val) ? val : String(val).split(';');
+    return items.map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  };
+
+  const REGEX_MAX_PATTERN_LENGTH = 500;
+  const REGEX_MAX_INPUT_LENGTH = 10000;
+  const REGEX_CACHE_SIZE = 200;
+
+  // Quantifier at pattern[i] ('+', '*', '?', '{n}', '{n,}', '{n,m}', optionally lazy), or null
+  // repeats is true when it can match its atom more than once
+  const readQuantifier = (pattern, i) => {
+    let length = 0;
+    let repeats = false;
+    const c = pattern[i];
+    if (c === '+' || c === '*') {
+      length = 1;
+      repeats = true;
+    } else if (c === '?') {
+      length = 1;
+    } else if (c === '{') {
+      const match = /^\{(\d+)(,(\d*))?\}/.exec(pattern.slice(i));
+      if (!match) return null;
+      length = match[0].length;
+      repeats = match[2] ? (match[3] === '' || Number(match[3]) > 1) : Number(match[1]) > 1;
+    } else {
+      return null;
+    }
+    if (pattern[i + length] === '?') length++;
+    return { length, repeats };
+  };
+
+  /**
+   * Whether a regex can backtrack catastrophically: a repeated group that contains a quantifier
+   * at any depth, e.g. (a+)+ or ((\w*))*, or whose alternatives can match the same text, e.g.
+   * (a|a)* or (a|aa)+. Repeated alternations are only allowed when every alternative is plain
+   * text and none is a prefix of another, such as (foo|bar)+.
+   * @param {string} pattern - Regex source
+   * @returns {boolean}
+   */
+  const isUnsafeRegex = (pattern) => {
+    // One frame per open group: quantified (contains a quantifier), branches (text of each
+    // alternative) and literal (every alternative is plain text)
+    const newFrame = () => ({ quantified: false, branches: [''], literal: true });
+    const stack = [newFrame()];
+    const top = () => stack[stack.length - 1];
+    const append = (text) => {
+      const frame = top();
+      frame.branches[frame.branches.length - 1] += text.toLowerCase();
+    };
+    const overlaps = (branches) => branches.some((a, i) =>
+      a === '' || branches.some((b, j) => i !== j && b.startsWith(a))
+    );
+
+    let i = 0;
+    while (i < pattern.length) {
+      const c = pattern[i];
+
+      if (c === '\\') {
+        const next = pattern[i + 1] || '';
+        if (/[A-Za-z0-9]/.test(next)) top().literal = false; // \d, \w, \b, backreferences...
+        else append(next);
+        i += 2;
+      } else if (c === '[') {
+        // Character class: everything up to the closing ] is one atom
+        let j = i + 1;
+        if (pattern[j] === '^') j++;
+        if (pattern[j] === ']') j++;
+        while (j < pattern.length && pattern[j] !== ']') j += pattern[j] === '\\' ? 2 : 1;
+        top().literal = false;
+        i = j + 1;
+      } else if (c === '(') {
+        stack.push(newFrame());
+        i++;
+        if (pattern[i] === '?') {
+          // (?:, (?=, (?!, (?<=, (?<!, (?<name>
+          const named = /^\?<[A-Za-z_$][\w$]*>/.exec(pattern.slice(i));
+          i += named ? named[0].length : (pattern[i + 1] === '<' ? 3 : 2);
+        }
+      } else if (c === ')' && stack.length > 1) {
+        const group = stack.pop();
+        const quantifier = readQuantifier(pattern, i + 1);
+        i += 1 + (quantifier ? quantifier.length : 0);
+        if (quantifier?.repeats) {
+          if (group.quantified) return true;
+          if (group.branches.length > 1 && (!group.literal || overlaps(group.branches))) return true;
+        }
+        const parent = top();
+        parent.quantified = parent.quantified || group.quantified || !!quantifier;
+        parent.literal = false;
+      } else if (c === '|') {
+        top().branches.push('');
+        i++;
+      } else {
+        const quantifier = readQuantifier(pattern, i);
+        if (quantifier) {
+          top().quantified = true;
+          top().literal = false;
+          i += quantifier.length;
+        } else {
+          if (c === '.' || c === '^' || c === '$') top().literal = false;
+          else append(c);
+          i++;
+        }
+      }
+    }
+    return false;
+  };
+
+  const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  // 'HH:MM' -> minutes since midnight, or null
+  const parseTimeOfDay = (val) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(val || '').trim());
+    if (!match) return null;
+    const minutes = Number(match[1]) * 60 + Number(match[2]);
+    return minutes < 24 * 60 ? minutes : null;
+  };
+
+  // Day of week and minutes since midnight for a timestamp, in the schedule's timezone when set
+  const getZonedTime = (ms, timeZone) => {
+    if (timeZone) {
+      try {
+        const parts = new Intl.DateTimeFormat('en-US', {
+          timeZone,
+          weekday: 'short',
+          hour: '2-digit',
+          minute: '2-digit',
+          hourCycle: 'h23'
+        }).formatToParts(new Date(ms));
+        const get = (type) => parts.find(p => p.type === type)?.value;
+        return {
+          day: WEEKDAYS.indexOf(get('weekday')),
+          minutes: (Number(get('hour')) % 24) * 60 + Number(get('minute'))
+        };
+      } catch (e) {
+        // Unknown timezone - fall back to the viewer's local time
+      }
+    }
+    const date = new Date(ms);
+    return { day: date.getDay(), minutes: date.getHours() * 60 + date.getMinutes() };
+  };
+
+  const hasRecurringWindow = (schedule) =>
+    (Array.isArray(schedule.days) && schedule.days.length > 0) ||
+    parseTimeOfDay(schedule.startTime) !== null ||
+    parseTimeOfDay(schedule.endTime) !== null;
+
+  // A window whose end time is before its start time runs overnight and belongs to the day it starts
+  const isInRecurringWindow = (schedule, now) => {
+    const days = Array.isArray(schedule.days) && schedule.days.length > 0 ? schedule.days.map(Number) : null;
+    const start = parseTimeOfDay(schedule.startTime) ?? 0;
+    const end = parseTimeOfDay(schedule.endTime) ?? 24 * 60;
+    const { day, minutes } = getZonedTime(now, schedule.timezone);
+    const dayAllowed = (d) => !days || days.includes(d);
+
+    if (start <= end) {
+      return dayAllowed(day) && minutes >= start && minutes < end;
+    }
+    if (minutes >= start) return dayAllowed(day);
+    return minutes < end && dayAllowed((day + 6) % 7);
+  };
+
+  const hasAudience = (audience) => !!audience && (
+    (Array.isArray(audience.roles) && audience.roles.length > 0) ||
+    (Array.isArray(audience.userIds) && audience.userIds.length > 0) ||
+    (Array.isArray(audience.teamIds) && audience.teamIds.length > 0) ||
+    audience.ownerIsCurrentUser === true
+  );
+
+  // Legacy 'member' role is a viewer
+  const normalizeRole = (role) => (role === 'member' ? 'viewer' : role);
+
+  // Associated-record keys: "company.industry" reads the primary associated company's property,
+  // "tickets.count" / "tickets.open_count" count associated records
+  const ASSOCIATION_OBJECT_TYPES = { company: 'companies', contact: 'contacts', deal: 'deals', ticket: 'tickets' };
+  const ASSOCIATION_AGGREGATES = ['count', 'open_count'];
+
+  const NUMERIC_OPERATORS = ['greater_than', 'less_than', 'greater_equal', 'less_equal'];
+  const EQUALITY_OPERATORS = ['equals', 'not_equals'];
+
+  // Compiled rule sets reuse a record's result for this long, so schedule windows and
+  // relative date operators are at most a minute stale
+  const COMPILED_RESULT_TTL_MS = 60 * 1000;
+
   class RulesEngine {
-    constructor() {
-      const parseNumber = (val) => {
-        if (val === null || val === undefined) return NaN;
-        const cleaned = String(val).replace(/[^0-9.\-]/g, '');
-        return parseFloat(cleaned);
-      };
+    /**
+     * @param {Object} [options]
+     * @param {boolean} [options.debug] - Log each evaluation step to the console
+     */
+    constructor(options = {}) {
+      this.debug = options.debug === true;
+
+      // Compiled matches_regex patterns keyed by source; null marks a pattern that failed to compile
+      this.regexCache = new Map();
+
+      // compileRules() results keyed by the rules array they were built from
+      this.compiledRuleSets = new WeakMap();
 
       this.operators = {
         equals: (a, b) => String(a).toLowerCase() === String(b).toLowerCase(),
@@ -52,62 +285,273 @@
           if (!a) return true; // No memberships means not in any list
           const memberships = String(a).split(',').map(s => s.trim());
           return !memberships.includes(String(b).trim());
+        },
+        // Multi-select operators - property value (a) and condition value (b) are semicolon-separated options
+        has_any_of: (a, b) => {
+          const values = splitMultiValue(a);
+          return splitMultiValue(b).some(option => values.includes(option));
+        },
+        has_all_of: (a, b) => {
+          const values = splitMultiValue(a);
+          const options = splitMultiValue(b);
+          return options.length > 0 && options.every(option => values.includes(option));
+        },
+        has_none_of: (a, b) => {
+          const values = splitMultiValue(a);
+          return !splitMultiValue(b).some(option => values.includes(option));
+        },
+        matches_regex: (a, b) => {
+          const regex = this.compileRegex(b);
+          if (!regex || a === null || a === undefined) return false;
+          return regex.test(String(a).slice(0, REGEX_MAX_INPUT_LENGTH));
+        },
+        // Date operators - property value (a) is a HubSpot date/datetime
+        // is_before/is_after compare against a date (b); the *_n_days operators take a day count (b)
+        is_before: (a, b) => {
+          const date = parseDate(a);
+          const target = parseDate(b);
+          return !!date && !!target && date.getTime() < target.getTime();
+        },
+        is_after: (a, b) => {
+          const date = parseDate(a);
+          const target = parseDate(b);
+          return !!date && !!target && date.getTime() > target.getTime();
+        },
+        within_last_n_days: (a, b) => {
+          const date = parseDate(a);
+          const days = parseDays(b);
+          if (!date || days === null) return false;
+          const now = this.getReferenceTime(date);
+          return date.getTime() <= now && date.getTime() >= now - days * DAY_MS;
+        },
+        within_next_n_days: (a, b) => {
+          const date = parseDate(a);
+          const days = parseDays(b);
+          if (!date || days === null) return false;
+          const now = this.getReferenceTime(date);
+          return date.getTime() >= now && date.getTime() <= now + days * DAY_MS;
+        },
+        more_than_n_days_ago: (a, b) => {
+          const date = parseDate(a);
+          const days = parseDays(b);
+          if (!date || days === null) return false;
+          return date.getTime() < this.getReferenceTime(date) - days * DAY_MS;
+        },
+        is_today: (a) => {
+          const date = parseDate(a);
+          if (!date) return false;
+          return toDayKey(date) === toDayKey(new Date(this.now()));
         }
       };
     }
 
     /**
-     * Evaluate a single condition against record properties
+     * Compile a matches_regex pattern, caching the result
+     * Accepts a bare pattern (case-insensitive) or /pattern/flags. Patterns that are too long,
+     * can backtrack catastrophically (see isUnsafeRegex) or fail to compile return null and never
+     * match. Inputs are cut to REGEX_MAX_INPUT_LENGTH characters before matching.
+     * @param {string} pattern
+     * @returns {RegExp|null}
      */
-    evaluateCondition(condition, properties) {
+    compileRegex(pattern) {
+      if (pattern === null || pattern === undefined || pattern === '') return null;
+      const source = String(pattern);
+
+      if (this.regexCache.has(source)) {
+        return this.regexCache.get(source);
+      }
+
+      let regex = null;
+      const literal = source.match(/^\/(.*)\/([imsu]*)$/s);
+      const body = literal ? literal[1] : source;
+      const flags = literal ? literal[2] : 'i';
+
+      if (body.length > REGEX_MAX_PATTERN_LENGTH) {
+        console.warn('[RevGuide RulesEngine] Regex pattern too long, ignoring:', source.slice(0, 50));
+      } else if (isUnsafeRegex(body)) {
+        console.warn('[RevGuide RulesEngine] Regex pattern can backtrack catastrophically, ignoring:', source);
+      } else {
+        try {
+          regex = new RegExp(body, flags);
+        } catch (e) {
+          console.warn('[RevGuide RulesEngine] Invalid regex pattern:', source, e.message);
+        }
+      }
+
+      // Simple FIFO eviction keeps the cache bounded
+      if (this.regexCache.size >= REGEX_CACHE_SIZE) {
+        this.regexCache.delete(this.regexCache.keys().next().value);
+      }
+      this.regexCache.set(source, regex);
+      return regex;
+    }
+
+    /**
+     * Current time in epoch ms, used by the date operators
+     * Overridable so date-relative rules can be evaluated against a fixed point in time
+     */
+    now() {
+      return Date.now();
+    }
+
+    /**
+     * Point in time relative date operators count from: now, or the start of today (UTC) for
+     * date-only values, so a date-only value for today is both within the last and next N days
+     * @param {Date} date - Value being compared
+     * @returns {number} Epoch ms
+     */
+    getReferenceTime(date) {
+      const now = this.now();
+      return isDateOnly(date) ? now - (((now % DAY_MS) + DAY_MS) % DAY_MS) : now;
+    }
+
+    /**
+     * Log an evaluation step when debug logging is enabled
+     */
+    log(...args) {
+      if (this.debug) {
+        console.log('[RevGuide RulesEngine]', ...args);
+      }
+    }
+
+    /**
+     * Evaluate a single condition and return what was compared
+     * @returns {Object} { property, operator, value, valueSource, actual, compared, passed, error }
+     */
+    traceCondition(condition, properties) {
       const { property, operator, value } = condition;
-      const propertyValue = properties[property];
+      const trace = {
+        property,
+        operator,
+        value,
+        valueSource: condition.valueSource || 'value',
+        actual: properties[property],
+        compared: value,
+        passed: false
+      };
 
       const operatorFn = this.operators[operator];
       if (!operatorFn) {
         console.warn(`Unknown operator: ${operator}`);
-        return false;
+        trace.error = `Unknown operator: ${operator}`;
+        return trace;
+      }
+
+      let propertyValue = trace.actual;
+      let compareValue = value;
+
+      // Property-to-property comparison: value holds the name of the other property
+      if (trace.valueSource === 'property') {
+        compareValue = properties[value];
+        trace.compared = compareValue;
+        if (compareValue === null || compareValue === undefined || compareValue === '') {
+          trace.error = `Compared property "${value}" is empty`;
+          return trace;
+        }
+        [propertyValue, compareValue] = this.coerceValues(propertyValue, compareValue, operator);
       }
 
-      const result = operatorFn(propertyValue, value);
-      console.log('[RevGuide RulesEngine] Condition:', property, operator, value, '| Record value:', propertyValue, '| Result:', result);
-      return result;
+      trace.passed = !!operatorFn(propertyValue, compareValue);
+      return trace;
     }
 
     /**
-     * Evaluate a single condition group
+     * Evaluate a single condition against record properties
      */
-    evaluateGroup(group, properties) {
-      if (!group.conditions || group.conditions.length === 0) {
-        return true;
+    evaluateCondition(condition, properties) {
+      const trace = this.traceCondition(condition, properties);
+      this.log('Condition:', trace.property, trace.operator, trace.compared, '| Record value:', trace.actual, '| Result:', trace.passed);
+      return trace.passed;
+    }
+
+    /**
+     * Coerce two property values to a common type before comparing them
+     * Dates become epoch ms and numbers are normalized, so "2024-05-01" vs "2024-05-01T00:00:00Z"
+     * and "1000" vs "1000.00" compare as expected
+     * @returns {Array} [a, b]
+     */
+    coerceValues(a, b, operator) {
+      if (!NUMERIC_OPERATORS.includes(operator) && !EQUALITY_OPERATORS.includes(operator)) {
+        return [a, b];
+      }
+
+      if (isIsoDate(a) && isIsoDate(b)) {
+        return [parseDate(a).getTime(), parseDate(b).getTime()];
+      }
+
+      if (isNumeric(a) && isNumeric(b)) {
+        return [Number(a), Number(b)];
       }
 
+      return [a, b];
+    }
+
+    /**
+     * Evaluate a condition group and return per-condition and per-sub-group results
+     * Groups can nest: a group's conditions and sub-groups (group.groups) are combined with
+     * group.logic, and group.negate inverts the result
+     * @returns {Object} { id, logic, negate, passed, conditions, groups }
+     */
+    traceGroup(group, properties) {
+      const conditions = (group.conditions || []).map(condition => this.traceCondition(condition, properties));
+      const groups = (group.groups || []).map(subGroup => this.traceGroup(subGroup, properties));
       const logic = group.logic || 'AND';
-      const results = group.conditions.map(condition =>
-        this.evaluateCondition(condition, properties)
-      );
+      const trace = { id: group.id, logic, negate: group.negate === true, passed: true, conditions, groups };
 
-      const result = logic === 'OR' ? results.some(Boolean) : results.every(Boolean);
-      console.log('[RevGuide RulesEngine] Group', group.id, 'logic:', logic, '| Result:', result);
-      return result;
+      if (conditions.length === 0 && groups.length === 0) {
+        return trace;
+      }
+
+      const results = [...conditions, ...groups].map(r => r.passed);
+      const matched = logic === 'OR' ? results.some(Boolean) : results.every(Boolean);
+      trace.passed = group.negate ? !matched : matched;
+      return trace;
+    }
+
+    /**
+     * Evaluate a single condition group
+     */
+    evaluateGroup(group, properties) {
+      const trace = this.traceGroup(group, properties);
+      this.log('Group', group.id, 'logic:', trace.logic, trace.negate ? '(NOT)' : '', '| Result:', trace.passed);
+      return trace.passed;
     }
 
     /**
      * Evaluate condition groups with group-level logic
      */
     evaluateGroups(rule, properties) {
-      if (!rule.conditionGroups || rule.conditionGroups.length === 0) {
-        return true;
+      return this.traceConditions(rule, properties).passed;
+    }
+
+    /**
+     * Evaluate a rule's conditions and return the full group/condition breakdown
+     * Legacy flat conditions are reported as a single group
+     * @returns {Object} { logic, passed, groups }
+     */
+    traceConditions(rule, properties) {
+      // New format: condition groups
+      if (rule.conditionGroups && rule.conditionGroups.length > 0) {
+        const logic = rule.groupLogic || 'AND';
+        const groups = rule.conditionGroups.map(group => this.traceGroup(group, properties));
+        const results = groups.map(g => g.passed);
+        const passed = logic === 'OR' ? results.some(Boolean) : results.every(Boolean);
+        this.log('Groups evaluation - groupLogic:', logic, '| Result:', passed);
+        return { logic, passed, groups };
+      }
+
+      // Legacy format: flat conditions array
+      if (!rule.conditions || rule.conditions.length === 0) {
+        return { logic: 'AND', passed: true, groups: [] };
       }
 
-      const groupLogic = rule.groupLogic || 'AND';
-      const results = rule.conditionGroups.map(group =>
-        this.evaluateGroup(group, properties)
-      );
+      const logic = rule.logic || 'AND';
+      if (logic !== 'AND' && logic !== 'OR') {
+        return { logic, passed: false, groups: [] };
+      }
 
-      const result = groupLogic === 'OR' ? results.some(Boolean) : results.every(Boolean);
-      console.log('[RevGuide RulesEngine] Groups evaluation - groupLogic:', groupLogic, '| Result:', result);
-      return result;
+      const group = this.traceGroup({ id: 'conditions', logic, conditions: rule.conditions }, properties);
+      return { logic: 'AND', passed: group.passed, groups: [group] };
     }
 
     /**
@@ -115,77 +559,593 @@
      * Supports both legacy flat conditions and new condition groups
      */
     evaluateRule(rule, properties) {
-      // New format: condition groups
-      if (rule.conditionGroups && rule.conditionGroups.length > 0) {
-        return this.evaluateGroups(rule, properties);
+      return this.traceConditions(rule, properties).passed;
+    }
+
+    /**
+     * Check the non-condition filters that gate a rule (enabled, object type, pipeline, stage, schedule, audience)
+     * @param {Object} rule
+     * @param {Object} context - { objectType, pipeline, stage, user }
+     * @param {Object} properties - Record properties (audience owner matching reads hubspot_owner_id)
+     * @returns {Array} [{ filter, passed, expected, actual }] - only filters that apply to the rule
+     */
+    checkFilters(rule, context = {}, properties = {}) {
+      const filters = [{ filter: 'enabled', passed: rule.enabled !== false, expected: true, actual: rule.enabled !== false }];
+
+      if (rule.objectTypes && rule.objectTypes.length > 0) {
+        filters.push({
+          filter: 'objectType',
+          passed: !!context.objectType && rule.objectTypes.includes(context.objectType),
+          expected: rule.objectTypes,
+          actual: context.objectType || null
+        });
       }
 
-      // Legacy format: flat conditions array
-      if (!rule.conditions || rule.conditions.length === 0) {
-        return true;
+      if (rule.pipelines && rule.pipelines.length > 0) {
+        filters.push({
+          filter: 'pipeline',
+          passed: !!context.pipeline && rule.pipelines.includes(context.pipeline),
+          expected: rule.pipelines,
+          actual: context.pipeline || null
+        });
       }
 
-      const logic = rule.logic || 'AND';
+      if (rule.stages && rule.stages.length > 0) {
+        filters.push({
+          filter: 'stage',
+          passed: !!context.stage && rule.stages.includes(context.stage),
+          expected: rule.stages,
+          actual: context.stage || null
+        });
+      }
 
-      if (logic === 'AND') {
-        return rule.conditions.every(condition =>
-          this.evaluateCondition(condition, properties)
-        );
+      const scheduleStatus = RulesEngine.getScheduleStatus(rule.schedule, this.now());
+      if (scheduleStatus !== 'none') {
+        filters.push({
+          filter: 'schedule',
+          passed: scheduleStatus === 'active',
+          expected: RulesEngine.describeSchedule(rule.schedule),
+          actual: scheduleStatus
+        });
       }
 
-      if (logic === 'OR') {
-        return rule.conditions.some(condition =>
-          this.evaluateCondition(condition, properties)
-        );
+      const audience = this.checkAudience(rule.audience, context.user, properties);
+      if (audience) {
+        filters.push({
+          filter: 'audience',
+          passed: audience.passed,
+          expected: rule.audience,
+          actual: audience.failed,
+          reason: audience.reason
+        });
       }
 
-      return false;
+      return filters;
     }
 
     /**
-     * Evaluate all rules and return matching ones
+     * Check a rule's audience against the current user
+     * Every audience criterion that is set must pass.
+     * @param {Object|null} audience - { roles, userIds, teamIds, ownerIsCurrentUser }
+     * @param {Object|null} user - { id, email, role, hubspotOwnerId, hubspotTeamIds }
+     * @param {Object} properties - Record properties
+     * @returns {Object|null} { passed, failed, reason } or null when the rule has no audience;
+     *   failed is 'user' | 'role' | 'userIds' | 'teamIds' | 'owner' | null
      */
-    evaluateRules(rules, properties, context = {}) {
-      const matchingRules = [];
-      console.log('[RevGuide RulesEngine] Evaluating', rules?.length || 0, 'rules for context:', context.objectType);
+    checkAudience(audience, user, properties = {}) {
+      if (!hasAudience(audience)) return null;
 
-      for (const rule of rules) {
-        if (rule.enabled === false) {
-          console.log('[RevGuide RulesEngine] Rule', rule.id, 'skipped - disabled');
-          continue;
+      const fail = (failed, reason) => ({ passed: false, failed, reason });
+
+      if (!user) {
+        return fail('user', 'Only shows to a targeted audience (not signed in)');
+      }
+
+      if (audience.roles?.length > 0) {
+        const roles = audience.roles.map(normalizeRole);
+        if (!roles.includes(normalizeRole(user.role))) {
+          return fail('role', `Only shows to ${roles.join(', ')} roles`);
         }
+      }
+
+      if (audience.userIds?.length > 0 && !audience.userIds.includes(user.id)) {
+        return fail('userIds', 'Only shows to specific users');
+      }
 
-        if (rule.objectTypes && rule.objectTypes.length > 0) {
-          if (!context.objectType || !rule.objectTypes.includes(context.objectType)) {
-            console.log('[RevGuide RulesEngine] Rule', rule.id, 'skipped - objectType mismatch:', rule.objectTypes, 'vs', context.objectType);
-            continue;
-          }
+      if (audience.teamIds?.length > 0) {
+        const teamIds = (user.hubspotTeamIds || []).map(String);
+        if (!audience.teamIds.some(id => teamIds.includes(String(id)))) {
+          return fail('teamIds', 'Only shows to selected HubSpot teams');
         }
+      }
 
-        if (rule.pipelines && rule.pipelines.length > 0) {
-          if (!context.pipeline || !rule.pipelines.includes(context.pipeline)) {
-            console.log('[RevGuide RulesEngine] Rule', rule.id, 'skipped - pipeline mismatch');
-            continue;
-          }
+      if (audience.ownerIsCurrentUser) {
+        const ownerId = properties?.hubspot_owner_id;
+        if (!ownerId || !user.hubspotOwnerId || String(ownerId) !== String(user.hubspotOwnerId)) {
+          return fail('owner', 'Only shows to the record owner');
         }
+      }
+
+      return { passed: true, failed: null, reason: 'Shown to this user' };
+    }
+
+    /**
+     * Check whether content with an optional schedule is live right now
+     * @param {Object|null} schedule - See getScheduleStatus()
+     * @returns {boolean} true when there is no schedule or it is active
+     */
+    isScheduleActive(schedule) {
+      const status = RulesEngine.getScheduleStatus(schedule, this.now());
+      return status === 'none' || status === 'active';
+    }
 
-        if (rule.stages && rule.stages.length > 0) {
-          if (!context.stage || !rule.stages.includes(context.stage)) {
-            console.log('[RevGuide RulesEngine] Rule', rule.id, 'skipped - stage mismatch');
-            continue;
-          }
+    /**
+     * Explain why a rule does or doesn't match a record
+     * @param {Object} rule - Banner/play rule
+     * @param {Object} properties - Record properties
+     * @param {Object} context - { objectType, pipeline, stage, user }
+     * @returns {Object} { ruleId, ruleName, matched, failedAt, filters, displayOnAll, conditions }
+     *   failedAt is the first failing filter name, 'conditions', or null when the rule matched
+     */
+    explainRule(rule, properties, context = {}) {
+      const filters = this.checkFilters(rule, context, properties || {});
+      const failedFilter = filters.find(f => !f.passed);
+      const displayOnAll = !!rule.displayOnAll;
+      const conditions = displayOnAll ? null : this.traceConditions(rule, properties || {});
+
+      let failedAt = null;
+      if (failedFilter) {
+        failedAt = failedFilter.filter;
+      } else if (conditions && !conditions.passed) {
+        failedAt = 'conditions';
+      }
+
+      return {
+        ruleId: rule.id,
+        ruleName: rule.name,
+        matched: failedAt === null,
+        failedAt,
+        filters,
+        displayOnAll,
+        conditions
+      };
+    }
+
+    /**
+     * Evaluate all rules and return matching ones
+     */
+    evaluateRules(rules, properties, context = {}) {
+      const matchingRules = [];
+      this.log('Evaluating', rules?.length || 0, 'rules for context:', context.objectType);
+
+      for (const rule of rules) {
+        const failedFilter = this.checkFilters(rule, context, properties || {}).find(f => !f.passed);
+        if (failedFilter) {
+          this.log('Rule', rule.id, 'skipped -', failedFilter.filter, 'mismatch:', failedFilter.expected, 'vs', failedFilter.actual);
+          continue;
         }
 
         const conditionsMatch = rule.displayOnAll || this.evaluateRule(rule, properties);
-        console.log('[RevGuide RulesEngine] Rule', rule.id, rule.name, '- displayOnAll:', rule.displayOnAll, 'conditionsMatch:', conditionsMatch);
+        this.log('Rule', rule.id, rule.name, '- displayOnAll:', rule.displayOnAll, 'conditionsMatch:', conditionsMatch);
         if (conditionsMatch) {
           matchingRules.push(rule);
         }
       }
 
-      console.log('[RevGuide RulesEngine] Total matching rules:', matchingRules.length);
+      this.log('Total matching rules:', matchingRules.length);
       return matchingRules.sort((a, b) => (b.priority || 0) - (a.priority || 0));
     }
+
+    /**
+     * Compile rules for evaluating many records, e.g. every row of an index page
+     * Condition values are parsed once (lists split, text lowercased, numbers, dates and regexes
+     * parsed), rules are indexed by objectType/pipeline/stage, and results are memoized per
+     * properties object. Compiling the same array again returns the cached set, so pass a new
+     * array when rules change.
+     * @param {Array} rules
+     * @returns {CompiledRuleSet} Call evaluate(properties, context) - same result as evaluateRules()
+     */
+    compileRules(rules = []) {
+      let compiled = this.compiledRuleSets.get(rules);
+      if (!compiled) {
+        compiled = new CompiledRuleSet(this, rules);
+        this.compiledRuleSets.set(rules, compiled);
+      }
+      return compiled;
+    }
+
+    /**
+     * Compile a rule's conditions into a predicate, mirroring traceConditions()
+     * @returns {Function} (properties) => boolean
+     */
+    compileConditions(rule) {
+      if (rule.displayOnAll) return () => true;
+
+      if (rule.conditionGroups && rule.conditionGroups.length > 0) {
+        const groups = rule.conditionGroups.map(group => this.compileGroup(group));
+        return rule.groupLogic === 'OR'
+          ? (properties) => groups.some(fn => fn(properties))
+          : (properties) => groups.every(fn => fn(properties));
+      }
+
+      if (!rule.conditions || rule.conditions.length === 0) return () => true;
+
+      const logic = rule.logic || 'AND';
+      if (logic !== 'AND' && logic !== 'OR') return () => false;
+      return this.compileGroup({ logic, conditions: rule.conditions });
+    }
+
+    /**
+     * Compile a condition group (and its sub-groups), mirroring traceGroup()
+     * @returns {Function} (properties) => boolean
+     */
+    compileGroup(group) {
+      const parts = [
+        ...(group.conditions || []).map(condition => this.compileCondition(condition)),
+        ...(group.groups || []).map(subGroup => this.compileGroup(subGroup))
+      ];
+      if (parts.length === 0) return () => true;
+
+      const matched = group.logic === 'OR'
+        ? (properties) => parts.some(fn => fn(properties))
+        : (properties) => parts.every(fn => fn(properties));
+      return group.negate ? (properties) => !matched(properties) : matched;
+    }
+
+    /**
+     * Compile a single condition, mirroring traceCondition()
+     * @returns {Function} (properties) => boolean
+     */
+    compileCondition(condition) {
+      const { property, operator, value } = condition;
+      const operatorFn = this.operators[operator];
+      if (!operatorFn) {
+        console.warn(`Unknown operator: ${operator}`);
+        return () => false;
+      }
+
+      if ((condition.valueSource || 'value') === 'property') {
+        return (properties) => {
+          const compareValue = properties[value];
+          if (compareValue === null || compareValue === undefined || compareValue === '') return false;
+          const [a, b] = this.coerceValues(properties[property], compareValue, operator);
+          return !!operatorFn(a, b);
+        };
+      }
+
+      const test = this.compileOperator(operator, value) || ((a) => !!operatorFn(a, value));
+      return (properties) => test(properties[property]);
+    }
+
+    /**
+     * Pre-parse a condition value for the operators where that saves work per record
+     * Each returned test gives the same result as this.operators[operator](a, value)
+     * @returns {Function|null} (propertyValue) => boolean, or null to call the operator directly
+     */
+    compileOperator(operator, value) {
+      const text = String(value).toLowerCase();
+      const number = parseNumber(value);
+      const list = () => new Set(String(value).split(',').map(s => s.trim().toLowerCase()));
+      const options = () => splitMultiValue(value);
+      const lower = (a) => String(a).toLowerCase();
+
+      switch (operator) {
+        case 'equals': return (a) => lower(a) === text;
+        case 'not_equals': return (a) => lower(a) !== text;
+        case 'contains': return (a) => lower(a).includes(text);
+        case 'not_contains': return (a) => !lower(a).includes(text);
+        case 'starts_with': return (a) => lower(a).startsWith(text);
+        case 'ends_with': return (a) => lower(a).endsWith(text);
+        case 'greater_than': return (a) => parseNumber(a) > number;
+        case 'less_than': return (a) => parseNumber(a) < number;
+        case 'greater_equal': return (a) => parseNumber(a) >= number;
+        case 'less_equal': return (a) => parseNumber(a) <= number;
+        case 'in_list': {
+          const values = list();
+          return (a) => values.has(lower(a));
+        }
+        case 'not_in_list': {
+          const values = list();
+          return (a) => !values.has(lower(a));
+        }
+        case 'has_any_of': {
+          const wanted = options();
+          return (a) => {
+            const values = splitMultiValue(a);
+            return wanted.some(option => values.includes(option));
+          };
+        }
+        case 'has_all_of': {
+          const wanted = options();
+          return (a) => {
+            const values = splitMultiValue(a);
+            return wanted.length > 0 && wanted.every(option => values.includes(option));
+          };
+        }
+        case 'has_none_of': {
+          const wanted = options();
+          return (a) => {
+            const values = splitMultiValue(a);
+            return !wanted.some(option => values.includes(option));
+          };
+        }
+        case 'matches_regex': {
+          const regex = this.compileRegex(value);
+          if (!regex) return () => false;
+          return (a) => a !== null && a !== undefined && regex.test(String(a).slice(0, REGEX_MAX_INPUT_LENGTH));
+        }
+        case 'is_before':
+        case 'is_after': {
+          const target = parseDate(value);
+          if (!target) return () => false;
+          const time = target.getTime();
+          return operator === 'is_before'
+            ? (a) => { const date = parseDate(a); return !!date && date.getTime() < time; }
+            : (a) => { const date = parseDate(a); return !!date && date.getTime() > time; };
+        }
+        default:
+          return null;
+      }
+    }
+
+    /**
+     * Get the state of an activation schedule at a point in time
+     * @param {Object|null} schedule - { startAt, endAt, days, startTime, endTime, timezone }
+     *   startAt/endAt are ISO datetimes. days (0 = Sunday) and 'HH:MM' startTime/endTime
+     *   define an optional recurring window in timezone (the viewer's local time if unset).
+     * @param {number} now - Epoch milliseconds
+     * @returns {string} 'none' | 'upcoming' | 'active' | 'inactive' (outside the recurring window) | 'expired'
+     */
+    static getScheduleStatus(schedule, now) {
+      if (!schedule || typeof schedule !== 'object') return 'none';
+
+      const startAt = parseDate(schedule.startAt);
+      const endAt = parseDate(schedule.endAt);
+      const recurring = hasRecurringWindow(schedule);
+      if (!startAt && !endAt && !recurring) return 'none';
+
+      if (startAt && now < startAt.getTime()) return 'upcoming';
+      if (endAt && now >= endAt.getTime()) return 'expired';
+      if (recurring && !isInRecurringWindow(schedule, now)) return 'inactive';
+      return 'active';
+    }
+
+    /**
+     * Human-readable description of an activation schedule
+     * @param {Object|null} schedule
+     * @returns {string}
+     */
+    static describeSchedule(schedule) {
+      if (!schedule) return '';
+      const parts = [];
+      const startAt = parseDate(schedule.startAt);
+      const endAt = parseDate(schedule.endAt);
+      if (startAt) parts.push(`from ${startAt.toLocaleString()}`);
+      if (endAt) parts.push(`until ${endAt.toLocaleString()}`);
+
+      if (hasRecurringWindow(schedule)) {
+        const days = Array.isArray(schedule.days) && schedule.days.length > 0
+          ? [...schedule.days].map(Number).sort((a, b) => a - b).map(d => WEEKDAYS[d]).filter(Boolean).join(', ')
+          : 'Every day';
+        const hasTimes = parseTimeOfDay(schedule.startTime) !== null || parseTimeOfDay(schedule.endTime) !== null;
+        const times = hasTimes ? ` ${schedule.startTime || '00:00'}–${schedule.endTime || '24:00'}` : '';
+        parts.push(`${days}${times}${schedule.timezone ? ` (${schedule.timezone})` : ''}`);
+      }
+
+      return parts.join(', ');
+    }
+
+    /**
+     * Parse a namespaced associated-record property key
+     * @param {string} key - e.g. "company.industry" or "tickets.open_count"
+     * @returns {Object|null} { key, objectType, property } or { key, objectType, aggregate };
+     *   objectType is the plural HubSpot API type. Null for the record's own properties
+     */
+    static parseAssociationKey(key) {
+      const match = /^([a-z]+)\.(.+)$/.exec(String(key || ''));
+      if (!match) return null;
+      const [, prefix, rest] = match;
+      if (ASSOCIATION_OBJECT_TYPES[prefix]) {
+        return { key, objectType: ASSOCIATION_OBJECT_TYPES[prefix], property: rest };
+      }
+      if (Object.values(ASSOCIATION_OBJECT_TYPES).includes(prefix) && ASSOCIATION_AGGREGATES.includes(rest)) {
+        return { key, objectType: prefix, aggregate: rest };
+      }
+      return null;
+    }
+
+    /**
+     * Work out which associated records the given rules need
+     * Walks condition groups (including nested and legacy flat conditions) and the
+     * right-hand side of property-to-property comparisons
+     * @param {Array} rules - Rules, plays or content items
+     * @returns {Object} { companies: { properties: ['industry'], count, openCount }, ... } (empty when none)
+     */
+    static getAssociationRequest(rules = []) {
+      const request = {};
+      const add = (key) => {
+        const ref = RulesEngine.parseAssociationKey(key);
+        if (!ref) return;
+        const entry = request[ref.objectType] || (request[ref.objectType] = { properties: [], count: false, openCount: false });
+        if (ref.aggregate === 'count') entry.count = true;
+        else if (ref.aggregate === 'open_count') entry.openCount = true;
+        else if (!entry.properties.includes(ref.property)) entry.properties.push(ref.property);
+      };
+      const visit = (group) => {
+        (group.conditions || []).forEach(condition => {
+          add(condition.property);
+          if (condition.valueSource === 'property') add(condition.value);
+        });
+        (group.groups || []).forEach(visit);
+      };
+
+      rules.forEach(rule => {
+        if (!rule) return;
+        (rule.conditionGroups || rule.condition_groups || []).forEach(visit);
+        visit({ conditions: rule.conditions || [] });
+      });
+      return request;
+    }
+
+    /**
+     * Turn fetched associated records into namespaced properties for evaluation
+     * Requested values that could not be found are set to '' so is_empty conditions work
+     * @param {Object} request - Result of getAssociationRequest
+     * @param {Object} associations - { companies: { count, openCount, primary: { id, properties } } }
+     * @returns {Object} e.g. { 'company.industry': 'Software', 'tickets.open_count': '2' }
+     */
+    static flattenAssociations(request = {}, associations = {}) {
+      const properties = {};
+      const singular = (objectType) => Object.keys(ASSOCIATION_OBJECT_TYPES).find(key => ASSOCIATION_OBJECT_TYPES[key] === objectType);
+      const toValue = (val) => (val === null || val === undefined ? '' : String(val));
+
+      Object.entries(request).forEach(([objectType, wanted]) => {
+        const data = associations?.[objectType] || null;
+        const primaryProps = data?.primary?.properties || {};
+        wanted.properties.forEach(property => {
+          properties[`${singular(objectType)}.${property}`] = toValue(primaryProps[property]);
+        });
+        if (wanted.count) properties[`${objectType}.count`] = toValue(data?.count);
+        if (wanted.openCount) properties[`${objectType}.open_count`] = toValue(data?.openCount);
+      });
+      return properties;
+    }
+
+    /**
+     * Human-readable summary of an explainRule() result
+     * @param {Object} explanation
+     * @returns {string}
+     */
+    static summarizeExplanation(explanation) {
+      if (explanation.matched) {
+        return explanation.displayOnAll ? 'Shows on all records' : 'All conditions match';
+      }
+
+      const failedFilter = explanation.filters.find(f => !f.passed);
+      if (failedFilter) {
+        const expected = Array.isArray(failedFilter.expected) ? failedFilter.expected.join(', ') : failedFilter.expected;
+        switch (failedFilter.filter) {
+          case 'enabled': return 'Disabled';
+          case 'objectType': return `Only shows on ${expected} (this is ${failedFilter.actual || 'unknown'})`;
+          case 'pipeline': return `Only shows in pipeline ${expected}`;
+          case 'stage': return `Only shows in stage ${expected}`;
+          case 'schedule': return `Outside its schedule (${expected})`;
+          default: return failedFilter.reason || `Filter "${failedFilter.filter}" did not match`;
+        }
+      }
+
+      const failedCount = RulesEngine.collectConditions(explanation.conditions).filter(c => !c.passed).length;
+      return `${failedCount} condition${failedCount === 1 ? '' : 's'} not met`;
+    }
+
+    /**
+     * Human-readable description of a traceCondition() result
+     * @param {Object} trace
+     * @returns {string}
+     */
+    static describeCondition(trace) {
+      const operator = String(trace.operator || '').replace(/_/g, ' ');
+      const target = trace.valueSource === 'property' ? `property ${trace.value}` : `"${trace.value ?? ''}"`;
+      const actual = trace.actual === undefined || trace.actual === null || trace.actual === '' ? '(empty)' : `"${trace.actual}"`;
+      let text = `${trace.property} ${operator} ${target} — record value ${actual}`;
+      if (trace.valueSource === 'property') {
+        text += `, ${trace.value} is ${trace.compared === undefined || trace.compared === null || trace.compared === '' ? '(empty)' : `"${trace.compared}"`}`;
+      }
+      return text;
+    }
+
+    /**
+     * Flatten every condition trace in a traceConditions() result
+     * @param {Object|null} conditionsTrace
+     * @returns {Array}
+     */
+    static collectConditions(conditionsTrace) {
+      if (!conditionsTrace) return [];
+      const collect = (group) => [...group.conditions, ...group.groups.flatMap(collect)];
+      return conditionsTrace.groups.flatMap(collect);
+    }
+  }
+
+  /**
+   * Rules compiled by RulesEngine.compileRules()
+   * Disabled rules are dropped; objectType/pipeline/stage filters are resolved once per
+   * combination; schedule and audience filters still run per call since they depend on the
+   * time and the viewer.
+   */
+  class CompiledRuleSet {
+    constructor(engine, rules) {
+      const toSet = (values) => (values && values.length > 0 ? new Set(values) : null);
+
+      this.engine = engine;
+      this.rules = rules;
+      this.entries = rules.filter(rule => rule.enabled !== false).map(rule => ({
+        rule,
+        objectTypes: toSet(rule.objectTypes),
+        pipelines: toSet(rule.pipelines),
+        stages: toSet(rule.stages),
+        hasSchedule: RulesEngine.getScheduleStatus(rule.schedule, 0) !== 'none',
+        hasAudience: hasAudience(rule.audience),
+        matches: engine.compileConditions(rule)
+      }));
+
+      // 'objectType|pipeline|stage' -> entries that pass those filters
+      this.candidates = new Map();
+      // properties object -> Map('objectType|pipeline|stage|userId' -> { at, rules })
+      this.results = new WeakMap();
+    }
+
+    /**
+     * Rules whose objectType/pipeline/stage filters pass for a context
+     * @returns {Array} Compiled entries, in rule order
+     */
+    getCandidates(context) {
+      const key = `${context.objectType || ''}|${context.pipeline || ''}|${context.stage || ''}`;
+      let candidates = this.candidates.get(key);
+      if (!candidates) {
+        const allows = (set, value) => !set || (!!value && set.has(value));
+        candidates = this.entries.filter(entry =>
+          allows(entry.objectTypes, context.objectType) &&
+          allows(entry.pipelines, context.pipeline) &&
+          allows(entry.stages, context.stage)
+        );
+        this.candidates.set(key, candidates);
+      }
+      return candidates;
+    }
+
+    /**
+     * Matching rules for a record, sorted by priority
+     * Results are reused for the same properties object and context for COMPILED_RESULT_TTL_MS
+     * @param {Object} properties - Record properties
+     * @param {Object} context - { objectType, pipeline, stage, user }
+     * @returns {Array} Matching rules (a new array each call)
+     */
+    evaluate(properties, context = {}) {
+      const props = properties || {};
+      const now = this.engine.now();
+      const key = `${context.objectType || ''}|${context.pipeline || ''}|${context.stage || ''}|${context.user?.id || ''}`;
+
+      let memo = this.results.get(props);
+      const cached = memo?.get(key);
+      if (cached && now - cached.at < COMPILED_RESULT_TTL_MS) {
+        return cached.rules.slice();
+      }
+
+      const matching = [];
+      for (const entry of this.getCandidates(context)) {
+        if (entry.hasSchedule && !this.engine.isScheduleActive(entry.rule.schedule)) continue;
+        if (entry.hasAudience && !this.engine.checkAudience(entry.rule.audience, context.user, props).passed) continue;
+        if (entry.matches(props)) matching.push(entry.rule);
+      }
+      matching.sort((a, b) => (b.priority || 0) - (a.priority || 0));
+
+      if (!memo) {
+        memo = new Map();
+        this.results.set(props, memo);
+      }
+      memo.set(key, { at: now, rules: matching });
+      return matching.slice();
+    }
   }
 
   return RulesEngine;
@@ -0,0 +1,141 @@
+/**
+ * Content Translations for RevGuide
+ * Banners, plays and wiki entries are written in the organization's default language and can
+ * carry translations keyed by language code:
+ *
+ *   translations: { de: { title, message }, fr: { ... } }
+ *
+ * Play sections are translated by position: translations.de.sections[i] holds the title (and
+ * content, for text and guided step sections) of section i. Anything left untranslated falls back to the default.
+ */
+
+(function(root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RevGuideTranslations = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+  const LANGUAGES = {
+    en: 'English',
+    de: 'Deutsch',
+    fr: 'Français'
+  };
+
+  const DEFAULT_LANGUAGE = 'en';
+
+  // Translatable fields per content type
+  const FIELDS = {
+    banner: ['title', 'message'],
+    play: ['name', 'subtitle', 'sections'],
+    wiki: ['title', 'definition']
+  };
+
+  const isBlank = (value) => value === undefined || value === null || String(value).replace(/<[^>]*>/g, '').trim() === '';
+
+  /**
+   * Reduce a language tag to a supported language code ('de-DE' -> 'de')
+   * @param {string} code - Language tag from a profile or <html lang>
+   * @returns {string|null} Supported code, or null
+   */
+  function normalizeLanguage(code) {
+    if (!code || typeof code !== 'string') return null;
+    const base = code.trim().toLowerCase().split(/[-_]/)[0];
+    return LANGUAGES[base] ? base : null;
+  }
+
+  /**
+   * First supported language from a list of preferences
+   * @param {Array<string>} candidates - Most preferred first
+   * @returns {string|null}
+   */
+  function pickLanguage(candidates = []) {
+    for (const candidate of candidates) {
+      const language = normalizeLanguage(candidate);
+      if (language) return language;
+    }
+    return null;
+  }
+
+  /**
+   * The fields of a section that need translating
+   * @param {Object} section - Play section
+   * @returns {Array<string>}
+   */
+  function getSectionFields(section) {
+    const fields = [];
+    if (!isBlank(section?.title)) fields.push('title');
+    if (['text', 'step'].includes(section?.type || 'text') && !isBlank(section?.content)) fields.push('content');
+    return fields;
+  }
+
+  /**
+   * Copy of an item in another language, tagged with language
+   * @param {Object} item - Banner, play or wiki entry
+   * @param {string|null} language - Language code
+   * @returns {Object} The item itself when it has no translation for the language
+   */
+  function translate(item, language) {
+    const translation = language && item?.translations?.[language];
+    if (!translation) return item;
+
+    const translated = { ...item, language };
+    let changed = false;
+    Object.keys(translation).forEach(field => {
+      if (field === 'sections') {
+        if (!Array.isArray(item.sections) || !Array.isArray(translation.sections)) return;
+        translated.sections = item.sections.map((section, i) => {
+          const sectionTranslation = translation.sections[i] || {};
+          const merged = { ...section };
+          getSectionFields(section).forEach(key => {
+            if (!isBlank(sectionTranslation[key])) {
+              merged[key] = sectionTranslation[key];
+              changed = true;
+            }
+          });
+          return merged;
+        });
+      } else if (!isBlank(translation[field])) {
+        translated[field] = translation[field];
+        changed = true;
+      }
+    });
+    return changed ? translated : item;
+  }
+
+  /**
+   * Fields with default-language content but no translation
+   * @param {Object} item - Banner, play or wiki entry (default-language fields plus translations)
+   * @param {string} contentType - 'banner', 'play' or 'wiki'
+   * @param {string} language - Language code
+   * @returns {Array<string>} Field names; sections are reported as 'sections.0.title', 'sections.0.content', ...
+   */
+  function getMissingFields(item, contentType, language) {
+    const translation = item?.translations?.[language] || {};
+    const missing = [];
+
+    (FIELDS[contentType] || []).forEach(field => {
+      if (field === 'sections') {
+        (item?.sections || []).forEach((section, i) => {
+          getSectionFields(section).forEach(key => {
+            if (isBlank(translation.sections?.[i]?.[key])) missing.push(`sections.${i}.${key}`);
+          });
+        });
+      } else if (!isBlank(item?.[field]) && isBlank(translation[field])) {
+        missing.push(field);
+      }
+    });
+    return missing;
+  }
+
+  return {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    FIELDS,
+    normalizeLanguage,
+    pickLanguage,
+    getSectionFields,
+    translate,
+    getMissingFields
+  };
+});
@@ -0,0 +1,132 @@
+/**
+ * Content Variants for RevGuide
+ * A/B tests for banners and plays: an item can carry alternative wordings in `variants`, each
+ * with a percentage of traffic. The item's own content is variant "a" (the control) and gets
+ * whatever share the other variants leave.
+ *
+ * Users are assigned by hashing the user and item IDs, so the same person always sees the same
+ * variant on every record and browser without storing the assignment anywhere.
+ *
+ * Variant: { id, name, weight, ...content overrides }
+ *   Banners override title and message; plays override subtitle and sections.
+ */
+
+(function(root, factory) {
+  if (typeof module !== 'undefined' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.RevGuideVariants = factory();
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function() {
+  const CONTROL_ID = 'a';
+
+  // Content a variant may replace; everything else (rules, actions, settings) is shared
+  const CONTENT_FIELDS = ['title', 'message', 'subtitle', 'sections'];
+
+  /**
+   * FNV-1a hash of a string as an unsigned 32-bit integer
+   * @param {string} text
+   * @returns {number}
+   */
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * All variants of an item, control first, with the control's weight filled in
+   * @param {Object} item - Banner or play
+   * @returns {Array<{id: string, name: string, weight: number}>} Empty when the item isn't being tested
+   */
+  function getVariants(item) {
+    const variants = (item?.variants || []).filter(v => v && v.id && v.id !== CONTROL_ID);
+    if (variants.length === 0) return [];
+
+    const others = variants.map(v => ({ ...v, weight: Math.max(0, Number(v.weight) || 0) }));
+    const used = others.reduce((sum, v) => sum + v.weight, 0);
+    return [
+      { id: CONTROL_ID, name: 'A (original)', weight: Math.max(0, 100 - used) },
+      ...others
+    ];
+  }
+
+  /**
+   * Pick the variant a user sees
+   * @param {Object} item - Banner or play
+   * @param {string} userId - Stable user ID
+   * @returns {string|null} Variant ID, or null when the item isn't being tested
+   */
+  function assignVariant(item, userId) {
+    const variants = getVariants(item);
+    if (variants.length === 0 || !userId) return null;
+
+    const total = variants.reduce((sum, v) => sum + v.weight, 0);
+    if (total <= 0) return CONTROL_ID;
+
+    const bucket = hashString(`${item.id}:${userId}`) % 10000 / 10000 * total;
+    let cumulative = 0;
+    for (const variant of variants) {
+      cumulative += variant.weight;
+      if (bucket < cumulative) return variant.id;
+    }
+    return variants[variants.length - 1].id;
+  }
+
+  /**
+   * Copy of an item showing one variant's content, tagged with variantId
+   * @param {Object} item - Banner or play
+   * @param {string|null} variantId - From assignVariant()
+   * @returns {Object} The item itself when there is no variant to apply
+   */
+  function applyVariant(item, variantId) {
+    if (!variantId) return item;
+
+    const applied = { ...item, variantId };
+    const variant = variantId === CONTROL_ID ? null : (item.variants || []).find(v => v.id === variantId);
+    if (variant) {
+      CONTENT_FIELDS.forEach(field => {
+        if (variant[field] !== undefined && variant[field] !== null) applied[field] = variant[field];
+      });
+    }
+    return applied;
+  }
+
+  /**
+   * Assign and apply in one step
+   * @param {Object} item - Banner or play
+   * @param {string} userId - Stable user ID
+   * @returns {Object}
+   */
+  function resolveVariant(item, userId) {
+    return applyVariant(item, assignVariant(item, userId));
+  }
+
+  /**
+   * Next unused variant ID ('b', 'c', ...)
+   * @param {Array} variants - Existing variants (without the control)
+   * @returns {string}
+   */
+  function nextVariantId(variants = []) {
+    const used = new Set([CONTROL_ID, ...variants.map(v => v.id)]);
+    for (let code = 'b'.charCodeAt(0); code <= 'z'.charCodeAt(0); code++) {
+      const id = String.fromCharCode(code);
+      if (!used.has(id)) return id;
+    }
+    return `v${variants.length + 1}`;
+  }
+
+  return {
+    CONTROL_ID,
+    CONTENT_FIELDS,
+    hashString,
+    getVariants,
+    assignVariant,
+    applyVariant,
+    resolveVariant,
+    nextVariantId
+  };
+});
@@ -53,6 +53,10 @@ class SidePanel {
     this.propertyMetadata = {}; // Property definitions from HubSpot API
     this.authState = { isAuthenticated: false };
     this.currentDetailCard = null;  // Currently displayed card in detail panel
+    this.variantSource = null;  // Banner variant that opened the current play (for A/B field saves)
+    this.contentLanguage = null;  // Translation to show, picked by the content script
+    this.checklistProgress = {};  // 'playId|recordKey' -> ticked checklist item IDs
+    this.guidedRun = null;  // Steps taken through the guided play in the detail panel
     this.listenersInitialized = false;  // Prevent duplicate chrome.tabs listeners
     this.pendingPlayFocusInterval = null;  // Track interval for cleanup
     this.init();
@@ -65,9 +69,21 @@ class SidePanel {
     // Load settings
     await this.loadSettings();
 
+    // The content script picks the language, since only it can see HubSpot's UI language
+    const { contentLanguage } = await chrome.storage.local.get('contentLanguage');
+    this.contentLanguage = contentLanguage || null;
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes.contentLanguage) {
+        this.contentLanguage = changes.contentLanguage.newValue || null;
+      }
+    });
+
     // Check auth state
     await this.checkAuthState();
 
+    // Ticked checklist items, needed before any play is rendered
+    await this.loadChecklistProgress();
+
     // Load and apply branding (if authenticated)
     if (this.authState.isAuthenticated) {
       await this.loadBranding();
@@ -82,6 +98,9 @@ class SidePanel {
     // Set up play detail panel handlers
     this.setupPlayDetailHandlers();
 
+    // Set up "Why isn't this showing?" panel
+    this.setupWhyPanelHandlers();
+
     // Check if we should open to settings tab (from extension icon click)
     await this.checkOpenTab();
 
@@ -112,6 +131,7 @@ class SidePanel {
             orgId: message.recordContext.orgId
           };
           this.properties = message.recordContext.properties || {};
+          this.variantSource = message.recordContext.variantSource || null;
         }
         // Switch to plays tab
         this.switchTab('plays');
@@ -133,7 +153,7 @@ class SidePanel {
                 const battleCards = response?.content?.battleCards || [];
                 const play = battleCards.find(p => p.id === message.playId);
                 console.log('[RevGuide] Fetched play from content:', play?.name || 'not found');
-                this.focusOnPlay(message.playId, play || null);
+                this.focusOnPlay(message.playId, play ? this.localize(play) : null);
               });
             }
           });
@@ -376,6 +396,116 @@ class SidePanel {
     if (emptyState) emptyState.style.display = 'none';
     if (notHubspotState) notHubspotState.style.display = 'none';
     if (loggedOutState) loggedOutState.style.display = 'flex';
+    this.updateWhyPanelVisibility(false);
+  }
+
+  // ============ WHY ISN'T THIS SHOWING ============
+
+  setupWhyPanelHandlers() {
+    document.getElementById('whyPanelToggle')?.addEventListener('click', () => {
+      const toggle = document.getElementById('whyPanelToggle');
+      const body = document.getElementById('whyPanelBody');
+      const isOpen = toggle.getAttribute('aria-expanded') === 'true';
+
+      toggle.setAttribute('aria-expanded', String(!isOpen));
+      body.hidden = isOpen;
+      if (!isOpen) {
+        this.loadWhyPanel();
+      }
+    });
+  }
+
+  /**
+   * Show the panel on HubSpot pages for users who can edit content
+   */
+  updateWhyPanelVisibility(visible) {
+    const panel = document.getElementById('whyPanel');
+    if (!panel) return;
+
+    const role = this.authState.profile?.role;
+    const canEditContent = role === 'owner' || role === 'admin' || role === 'editor';
+    panel.style.display = visible && canEditContent ? 'block' : 'none';
+
+    // Refresh an open panel when the record changes
+    if (visible && canEditContent && document.getElementById('whyPanelToggle').getAttribute('aria-expanded') === 'true') {
+      this.loadWhyPanel();
+    }
+  }
+
+  async loadWhyPanel() {
+    const body = document.getElementById('whyPanelBody');
+    body.innerHTML = '<div class="why-panel-status">Checking rules...</div>';
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) return;
+
+    chrome.tabs.sendMessage(tab.id, { action: 'explainContent' }, (response) => {
+      if (chrome.runtime.lastError || !response || response.error) {
+        body.innerHTML = '<div class="why-panel-status">Could not check rules on this page.</div>';
+        return;
+      }
+
+      body.innerHTML =
+        this.renderWhySection('Banners', response.banners || []) +
+        this.renderWhySection('Plays', response.plays || []);
+    });
+  }
+
+  renderWhySection(title, explanations) {
+    const hidden = explanations.filter(e => !e.matched);
+    const showingCount = explanations.length - hidden.length;
+
+    return `
+      <div class="why-section">
+        <div class="why-section-title">
+          <span>${title}</span>
+          <span class="why-section-count">${showingCount} showing · ${hidden.length} hidden</span>
+        </div>
+        ${hidden.length === 0
+          ? '<div class="why-panel-status">Nothing hidden on this record.</div>'
+          : hidden.map(e => this.renderWhyItem(e)).join('')}
+      </div>
+    `;
+  }
+
+  renderWhyItem(explanation) {
+    const RulesEngine = globalThis.RevGuideRulesEngine;
+    const summary = RulesEngine.summarizeExplanation(explanation);
+
+    let details;
+    if (explanation.failedAt && explanation.failedAt !== 'conditions') {
+      details = explanation.filters
+        .filter(f => !f.passed)
+        .map(f => `<div class="why-condition fail">✗ ${this.escapeHtml(f.reason || `${f.filter}: expected ${[].concat(f.expected).join(', ')}, got ${f.actual ?? '(none)'}`)}</div>`)
+        .join('');
+    } else {
+      details = (explanation.conditions?.groups || []).map(group => this.renderWhyGroup(group, RulesEngine)).join('');
+    }
+
+    return `
+      <details class="why-item">
+        <summary>
+          <span class="why-item-name">${this.escapeHtml(explanation.ruleName || 'Untitled')}</span>
+          <span class="why-item-reason">${this.escapeHtml(summary)}</span>
+        </summary>
+        <div class="why-item-body">${details}</div>
+      </details>
+    `;
+  }
+
+  renderWhyGroup(group, RulesEngine) {
+    return `
+      <div class="why-group ${group.passed ? 'pass' : 'fail'}">
+        <div class="why-group-header">${group.negate ? 'NOT ' : ''}${group.logic} group · ${group.passed ? 'passes' : 'fails'}</div>
+        ${group.conditions.map(c => `
+          <div class="why-condition ${c.passed ? 'pass' : 'fail'}">
+            ${c.passed ? '✓' : '✗'} ${this.escapeHtml(RulesEngine.describeCondition(c))}
+            ${c.error ? `<span class="why-condition-error">${this.escapeHtml(c.error)}</span>` : ''}
+          </div>
+        `).join('')}
+        ${group.groups.map(sub => this.renderWhyGroup(sub, RulesEngine)).join('')}
+      </div>
+    `;
   }
 
   // ============ PLAY DETAIL PANEL ============
@@ -412,6 +542,7 @@ class SidePanel {
 
     // Store current card
     this.currentDetailCard = card;
+    this.logVariantEvents([card], 'play_open');
 
     // Update header
     nameEl.textContent = card.name || 'Untitled Play';
@@ -442,15 +573,67 @@ class SidePanel {
     if (panel) {
       panel.classList.remove('active');
       this.currentDetailCard = null;
+      this.guidedRun = null;
+      this.variantSource = null;
     }
   }
 
+  /**
+   * Show a play in the user's language, or with the A/B variant assigned to them
+   * Cards from the content script are already localized
+   * @param {Object} play - Play from storage
+   * @returns {Object}
+   */
+  localize(play) {
+    if (play.variantId || play.language) return play;
+    const Translations = globalThis.RevGuideTranslations;
+    const translated = Translations ? Translations.translate(play, this.contentLanguage) : play;
+    return translated !== play ? translated : this.resolveVariant(play);
+  }
+
+  /**
+   * Show a play with the A/B variant assigned to the signed-in user
+   * @param {Object} play - Play from storage
+   * @returns {Object}
+   */
+  resolveVariant(play) {
+    const Variants = globalThis.RevGuideVariants;
+    if (!Variants || !play.variants?.length) return play;
+    return Variants.resolveVariant(play, this.authState.profile?.id);
+  }
+
+  /**
+   * Log A/B variant events for plays being tested
+   * @param {Array<Object>} plays - Plays with variantId set by resolveVariant()
+   * @param {string} eventType - 'play_open' or 'field_save'
+   * @param {Array<Object>} [extraEvents] - Already-built events (e.g. for the banner that opened the play)
+   */
+  logVariantEvents(plays, eventType, extraEvents = []) {
+    const events = plays
+      .filter(play => play?.variantId)
+      .map(play => ({ contentType: 'play', contentId: play.id, variantId: play.variantId, eventType }))
+      .concat(extraEvents);
+    if (events.length === 0) return;
+
+    chrome.runtime.sendMessage({ action: 'logVariantEvents', events }, () => {
+      if (chrome.runtime.lastError) {
+        console.log('[RevGuide] Error logging variant events:', chrome.runtime.lastError.message);
+      }
+    });
+  }
+
   renderCardBodyContent(card) {
     // For recommended_content type with assets, render timeline
     if (card.cardType === 'recommended_content' && card.resolvedAssets?.length > 0) {
       return this.renderRecommendedContentBody(card);
     }
 
+    // For guided type, render the step-by-step wizard (plus the link, if any)
+    if (card.cardType === 'guided') {
+      return `<div class="guided-play" data-card-id="${this.escapeHtml(card.id)}"></div>` +
+        this.renderRegularCardBody({ ...card, sections: [] });
+    }
+
     // For regular plays, render sections
     return this.renderRegularCardBody(card);
   }
@@ -586,7 +769,7 @@ class SidePanel {
 
     // Render sections
     if (card.sections) {
-      html += card.sections.map(section => {
+      html += card.sections.map((section, index) => {
         const sectionTitle = section.title ? this.escapeHtml(this.interpolateVariables(section.title)) : '';
 
         if (section.type === 'media' && section.mediaUrl) {
@@ -609,7 +792,11 @@ class SidePanel {
         }
 
         if (section.type === 'fields' && section.fields?.length > 0) {
-          return this.renderFieldsSection(section, card);
+          return this.renderFieldsSection(section, card, index);
+        }
+
+        if (section.type === 'checklist' && section.items?.length > 0) {
+          return this.renderChecklistSection(section, card, index);
         }
 
         return `
@@ -703,6 +890,14 @@ class SidePanel {
       btn.addEventListener('click', (e) => this.handleSaveFields(e));
     });
 
+    this.attachChecklistHandlers(bodyEl);
+    this.initFieldRules(bodyEl);
+
+    const guidedEl = bodyEl.querySelector('.guided-play');
+    if (guidedEl) {
+      this.startGuidedPlay(guidedEl, card);
+    }
+
     // Initialize keyboard shortcuts for fields
     this.initFieldKeyboardShortcuts(bodyEl);
   }
@@ -1136,6 +1331,7 @@ class SidePanel {
 
     notHubspotState.style.display = 'none';
     loggedOutState.style.display = 'none';
+    this.updateWhyPanelVisibility(true);
 
     const hasCards = this.cards.length > 0;
     const hasRecommendations = this.recommendations && this.recommendations.length > 0;
@@ -1178,6 +1374,8 @@ class SidePanel {
       });
     });
 
+    this.attachChecklistHandlers(container);
+
     // Add click handlers for admin edit links
     container.querySelectorAll('.admin-edit-link').forEach(link => {
       link.addEventListener('click', (e) => {
@@ -1365,6 +1563,7 @@ class SidePanel {
         orgId: this.pendingRecordContext.orgId
       };
       this.properties = this.pendingRecordContext.properties || {};
+      this.variantSource = this.pendingRecordContext.variantSource || null;
       this.pendingRecordContext = null;
     }
 
@@ -1378,7 +1577,7 @@ class SidePanel {
         const play = battleCards.find(p => p.id === playId);
         if (play) {
           console.log('[RevGuide] Found play in content, adding it');
-          this.focusOnPlay(playId, play); // Recursive call with data
+          this.focusOnPlay(playId, this.localize(play)); // Recursive call with data
         } else {
           console.log('[RevGuide] Play not found in content either');
         }
@@ -1458,6 +1657,7 @@ class SidePanel {
     document.getElementById('notHubspotState').style.display = 'none';
     document.getElementById('loggedOutState').style.display = 'none';
     document.getElementById('emptyState').style.display = 'flex';
+    this.updateWhyPanelVisibility(true);
   }
 
   showNotHubspotState() {
@@ -1465,6 +1665,7 @@ class SidePanel {
     document.getElementById('emptyState').style.display = 'none';
     document.getElementById('loggedOutState').style.display = 'none';
     document.getElementById('notHubspotState').style.display = 'flex';
+    this.updateWhyPanelVisibility(false);
   }
 
   renderCard(card) {
@@ -1473,7 +1674,8 @@ class SidePanel {
       objection: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/></svg>',
       tip: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M15 14c.2-1 .7-1.7 1.5-2.5 1-.9 1.5-2.2 1.5-3.5A6 6 0 0 0 6 8c0 1 .2 2.2 1.5 3.5.7.7 1.3 1.5 1.5 2.5"/><path d="M9 18h6"/><path d="M10 22h4"/></svg>',
       process: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><line x1="10" x2="21" y1="6" y2="6"/><line x1="10" x2="21" y1="12" y2="12"/><line x1="10" x2="21" y1="18" y2="18"/><path d="M4 6h1v4"/><path d="M4 10h2"/><path d="M6 18H4c0-1 2-2 2-3s-1-1.5-2-1"/></svg>',
-      recommended_content: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 19.5v-15A2.5 2.5 0 0 1 6.5 2H20v20H6.5a2.5 2.5 0 0 1 0-5H20"/><polyline points="10 2 10 10 13 7 16 10 16 2"/></svg>'
+      recommended_content: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M4 19.5v-15A2.5 2.5 0 0 1 6.5 2H20v20H6.5a2.5 2.5 0 0 1 0-5H20"/><polyline points="10 2 10 10 13 7 16 10 16 2"/></svg>',
+      guided: '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M16 3h5v5"/><path d="M8 3H3v5"/><path d="M12 22v-8.3a4 4 0 0 0-1.172-2.872L3 3"/><path d="m15 9 6-6"/></svg>'
     };
 
     // For recommended_content type, render asset list instead of sections
@@ -1481,7 +1683,8 @@ class SidePanel {
       return this.renderRecommendedContentCard(card, typeIcons);
     }
 
-    const sectionsHtml = card.sections ? card.sections.map(section => {
+    // Guided plays are walked through step by step in the detail panel
+    const sectionsHtml = card.sections && card.cardType !== 'guided' ? card.sections.map((section, index) => {
       // Interpolate variables in section title
       const sectionTitle = section.title ? this.escapeHtml(this.interpolateVariables(section.title)) : '';
 
@@ -1505,7 +1708,9 @@ class SidePanel {
           </div>
         `;
       } else if (section.type === 'fields' && section.fields?.length > 0) {
-        return this.renderFieldsSection(section, card);
+        return this.renderFieldsSection(section, card, index);
+      } else if (section.type === 'checklist' && section.items?.length > 0) {
+        return this.renderChecklistSection(section, card, index);
       } else {
         return `
           <div class="card-section">
@@ -1555,6 +1760,7 @@ class SidePanel {
             <div class="card-name">${this.escapeHtml(card.name)}</div>
             ${card.subtitle ? `<div class="card-subtitle">${this.escapeHtml(card.subtitle)}</div>` : ''}
           </div>
+          ${this.renderChecklistBadge(card)}
           <span class="card-expand">
             <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
               <polyline points="6 9 12 15 18 9"></polyline>
@@ -1833,7 +2039,7 @@ class SidePanel {
     if (!html || typeof html !== 'string') return html;
 
     // Replace {{variableName}} with escaped, formatted values
-    return html.replace(/\{\{([a-zA-Z0-9_]+)\}\}/g, (match, propertyName) => {
+    return html.replace(/\{\{([a-zA-Z0-9_.]+)\}\}/g, (match, propertyName) => {
       const value = this.getPropertyValue(propertyName);
       if (value !== null && value !== undefined && value !== '') {
         const formatted = this.formatVariableValue(value, propertyName);
@@ -1845,15 +2051,15 @@ class SidePanel {
 
   /**
    * Interpolate {{variable}} placeholders with property values
-   * Supports: {{propertyName}}, {{property_name}}, and case-insensitive matching
+   * Supports: {{propertyName}}, {{property_name}}, {{computed.key}} and case-insensitive matching
    * Shows placeholder with "not set" message if property not found
    * Auto-formats dates and currency values
    */
   interpolateVariables(text) {
     if (!text || typeof text !== 'string') return text;
 
-    // Match {{variableName}} pattern - allows letters, numbers, underscores
-    return text.replace(/\{\{([a-zA-Z0-9_]+)\}\}/g, (match, propertyName) => {
+    // Match {{variableName}} pattern - allows letters, numbers, underscores and dots (computed.key)
+    return text.replace(/\{\{([a-zA-Z0-9_.]+)\}\}/g, (match, propertyName) => {
       const value = this.getPropertyValue(propertyName);
       if (value !== null && value !== undefined && value !== '') {
         return this.formatVariableValue(value, propertyName);
@@ -2097,28 +2303,302 @@ class SidePanel {
     return '';
   }
 
-  renderFieldsSection(section, card) {
+  // ============ CHECKLISTS ============
+
+  /**
+   * Load the user's ticked checklist items for all plays and records
+   * @returns {Promise<void>}
+   */
+  loadChecklistProgress() {
+    return new Promise((resolve) => {
+      chrome.runtime.sendMessage({ action: 'getChecklistProgress' }, (response) => {
+        if (chrome.runtime.lastError) {
+          console.log('[RevGuide] Error loading checklist progress:', chrome.runtime.lastError.message);
+        } else if (response?.success) {
+          this.checklistProgress = response.data || {};
+        }
+        resolve();
+      });
+    });
+  }
+
+  getChecklistRecordKey() {
+    return globalThis.RevGuideChecklists.getRecordKey(this.context.objectType, this.context.recordId);
+  }
+
+  /**
+   * Items of a play ticked on the current record
+   * @param {Object} card - Play
+   * @returns {Array<string>}
+   */
+  getCompletedChecklistItems(card) {
+    const recordKey = this.getChecklistRecordKey();
+    if (!recordKey) return [];
+    return this.checklistProgress[globalThis.RevGuideChecklists.getProgressKey(card.id, recordKey)] || [];
+  }
+
+  renderChecklistBadge(card) {
+    const progress = globalThis.RevGuideChecklists.getPlayProgress(card, this.getCompletedChecklistItems(card));
+    if (!progress) return '';
+    return `
+      <span class="checklist-progress-badge ${progress.percent === 100 ? 'complete' : ''}" data-checklist-progress="${this.escapeHtml(card.id)}" title="${progress.done} of ${progress.total} checklist items done">
+        ${progress.percent}%
+      </span>
+    `;
+  }
+
+  renderChecklistSection(section, card, index) {
+    const Checklists = globalThis.RevGuideChecklists;
+    const sectionTitle = section.title ? this.escapeHtml(this.interpolateVariables(section.title)) : '';
+    const completed = new Set(this.getCompletedChecklistItems(card));
+    const progress = Checklists.getSectionProgress(section, [...completed]);
+    const disabled = this.getChecklistRecordKey() ? '' : 'disabled';
+
+    const itemsHtml = Checklists.getSectionItems(section).map(item => `
+      <label class="checklist-item ${completed.has(item.id) ? 'is-done' : ''}">
+        <input type="checkbox" class="checklist-checkbox" data-item-id="${this.escapeHtml(item.id)}" ${completed.has(item.id) ? 'checked' : ''} ${disabled}>
+        <span>${this.escapeHtml(this.interpolateVariables(item.label))}</span>
+      </label>
+    `).join('');
+
+    return `
+      <div class="card-section card-section-checklist" data-card-id="${this.escapeHtml(card.id)}" data-section-index="${index}">
+        <div class="checklist-header">
+          ${sectionTitle ? `<div class="section-title">${sectionTitle}</div>` : ''}
+          <span class="checklist-count">${progress.done}/${progress.total}</span>
+        </div>
+        <div class="checklist-items">${itemsHtml}</div>
+        ${disabled ? '<div class="checklist-hint">Open a record to tick items off</div>' : ''}
+      </div>
+    `;
+  }
+
+  attachChecklistHandlers(container) {
+    container.querySelectorAll('.checklist-checkbox').forEach(checkbox => {
+      checkbox.addEventListener('change', () => this.handleChecklistToggle(checkbox));
+    });
+  }
+
+  /**
+   * Save a ticked/unticked item for the current record and mirror progress to HubSpot
+   * @param {HTMLInputElement} checkbox
+   */
+  handleChecklistToggle(checkbox) {
+    const Checklists = globalThis.RevGuideChecklists;
+    const sectionEl = checkbox.closest('.card-section-checklist');
+    const cardId = sectionEl?.dataset.cardId;
+    const card = this.cards.find(c => c.id === cardId) ||
+      (this.currentDetailCard?.id === cardId ? this.currentDetailCard : null);
+    const recordKey = this.getChecklistRecordKey();
+    if (!card || !recordKey) return;
+
+    const progressKey = Checklists.getProgressKey(card.id, recordKey);
+    const completedItems = Checklists.setItemCompleted(this.checklistProgress[progressKey], checkbox.dataset.itemId, checkbox.checked);
+    this.checklistProgress[progressKey] = completedItems;
+    this.updateChecklistProgressUI(card);
+
+    chrome.runtime.sendMessage({ action: 'saveChecklistProgress', playId: card.id, recordKey, completedItems }, (response) => {
+      if (chrome.runtime.lastError || !response?.success) {
+        console.log('[RevGuide] Error saving checklist progress:', chrome.runtime.lastError?.message || response?.error);
+      }
+    });
+
+    const section = card.sections?.[Number(sectionEl.dataset.sectionIndex)];
+    if (section?.progressProperty) {
+      this.mirrorChecklistProgress(section, completedItems);
+    }
+  }
+
+  /**
+   * Refresh the ticks, counts and percentage of a play everywhere it is shown
+   * @param {Object} card - Play
+   */
+  updateChecklistProgressUI(card) {
+    const Checklists = globalThis.RevGuideChecklists;
+    const completedItems = this.getCompletedChecklistItems(card);
+    const completed = new Set(completedItems);
+
+    document.querySelectorAll('.card-section-checklist').forEach(sectionEl => {
+      if (sectionEl.dataset.cardId !== card.id) return;
+      const section = card.sections?.[Number(sectionEl.dataset.sectionIndex)];
+      const progress = Checklists.getSectionProgress(section, completedItems);
+      sectionEl.querySelector('.checklist-count').textContent = `${progress.done}/${progress.total}`;
+      sectionEl.querySelectorAll('.checklist-checkbox').forEach(checkbox => {
+        checkbox.checked = completed.has(checkbox.dataset.itemId);
+        checkbox.closest('.checklist-item').classList.toggle('is-done', checkbox.checked);
+      });
+    });
+
+    const progress = Checklists.getPlayProgress(card, completedItems);
+    document.querySelectorAll('.checklist-progress-badge').forEach(badge => {
+      if (badge.dataset.checklistProgress !== card.id || !progress) return;
+      badge.textContent = `${progress.percent}%`;
+      badge.title = `${progress.done} of ${progress.total} checklist items done`;
+      badge.classList.toggle('complete', progress.percent === 100);
+    });
+  }
+
+  /**
+   * Write a checklist section's completion percentage to its HubSpot property
+   * Failures are only logged: the ticks themselves are already saved
+   * @param {Object} section - Checklist section with progressProperty
+   * @param {Array<string>} completedItems - Ticked item IDs
+   */
+  async mirrorChecklistProgress(section, completedItems) {
+    const { percent } = globalThis.RevGuideChecklists.getSectionProgress(section, completedItems);
+    const updates = { [section.progressProperty]: String(percent) };
+    const response = await this.updateHubSpotProperties(updates);
+    if (response.success) {
+      Object.assign(this.properties, updates);
+    } else {
+      console.warn('[RevGuide] Could not update checklist progress in HubSpot:', response.error);
+    }
+  }
+
+  // ============ GUIDED PLAYS ============
+
+  /**
+   * Start a guided play from its first step
+   * @param {HTMLElement} container - Wizard element in the detail panel
+   * @param {Object} card - Guided play
+   */
+  startGuidedPlay(container, card) {
+    this.guidedRun = globalThis.RevGuideGuidedPlays.createRun(card);
+    this.renderGuidedPlay(container, card);
+  }
+
+  renderGuidedPlay(container, card) {
+    const GuidedPlays = globalThis.RevGuideGuidedPlays;
+    const run = this.guidedRun;
+    const step = GuidedPlays.getStep(card, GuidedPlays.getCurrentStepId(run));
+
+    if (!step) {
+      container.innerHTML = '<div class="guided-empty">This guided play has no steps yet</div>';
+      return;
+    }
+
+    const canGoBack = run.finished || run.path.length > 1;
+    container.innerHTML = `
+      <div class="guided-progress">${run.finished ? 'Done' : `Step ${run.path.length}`}</div>
+      ${run.finished ? this.renderGuidedSummary(card) : this.renderGuidedStep(step)}
+      <div class="guided-nav">
+        <button type="button" class="guided-back-btn" ${canGoBack ? '' : 'disabled'}>
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <polyline points="15 18 9 12 15 6"/>
+          </svg>
+          Back
+        </button>
+        ${canGoBack ? '<button type="button" class="guided-restart-btn">Start over</button>' : ''}
+      </div>
+    `;
+
+    container.querySelectorAll('.guided-choice-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.guidedRun = GuidedPlays.choose(card, this.guidedRun, btn.dataset.choiceId);
+        this.renderGuidedPlay(container, card);
+      });
+    });
+    container.querySelector('.guided-back-btn').addEventListener('click', () => {
+      this.guidedRun = GuidedPlays.goBack(this.guidedRun);
+      this.renderGuidedPlay(container, card);
+    });
+    container.querySelector('.guided-restart-btn')?.addEventListener('click', () => this.startGuidedPlay(container, card));
+    container.querySelector('.guided-save-btn')?.addEventListener('click', (e) => {
+      const btn = e.currentTarget;
+      const updates = GuidedPlays.getAnswerUpdates(card, this.guidedRun);
+      this.saveFieldUpdates(updates, { btn, statusEl: container.querySelector('.fields-status'), card });
+    });
+  }
+
+  renderGuidedStep(step) {
+    const choices = globalThis.RevGuideGuidedPlays.getChoices(step);
+    const selectedId = this.guidedRun.answers[step.id];
+
+    // Steps without answers are just guidance to read before moving on
+    const choicesHtml = choices.length > 0
+      ? choices.map(choice => `
+          <button type="button" class="guided-choice-btn ${choice.id === selectedId ? 'selected' : ''}" data-choice-id="${this.escapeHtml(choice.id)}">
+            ${this.escapeHtml(this.interpolateVariables(choice.label))}
+          </button>
+        `).join('')
+      : '<button type="button" class="guided-choice-btn guided-continue-btn" data-choice-id="">Continue</button>';
+
+    return `
+      <div class="card-section guided-step">
+        <div class="section-title">${this.escapeHtml(this.interpolateVariables(step.title || ''))}</div>
+        ${step.content ? `<div class="section-content">${this.formatContent(step.content)}</div>` : ''}
+        <div class="guided-choices">${choicesHtml}</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Answers given on the way through, with a button to write them to the record
+   * @param {Object} card - Guided play
+   * @returns {string} HTML
+   */
+  renderGuidedSummary(card) {
+    const GuidedPlays = globalThis.RevGuideGuidedPlays;
+    const answered = GuidedPlays.getAnsweredSteps(card, this.guidedRun);
+    const updates = GuidedPlays.getAnswerUpdates(card, this.guidedRun);
+    const canSave = Object.keys(updates).length > 0;
+    const hasRecord = Boolean(this.context.recordId);
+
+    const answersHtml = answered.map(({ step, choice }) => `
+      <div class="guided-answer">
+        <div class="guided-answer-question">${this.escapeHtml(this.interpolateVariables(step.title || ''))}</div>
+        <div class="guided-answer-choice">${this.escapeHtml(this.interpolateVariables(choice.label))}</div>
+      </div>
+    `).join('');
+
+    return `
+      <div class="card-section guided-summary">
+        <div class="section-title">You've reached the end of this play</div>
+        ${answersHtml ? `<div class="guided-answers">${answersHtml}</div>` : ''}
+        ${canSave ? `
+          <div class="fields-actions">
+            <button type="button" class="btn btn-primary btn-sm guided-save-btn" ${hasRecord ? '' : 'disabled'}>
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="20 6 9 17 4 12"/>
+              </svg>
+              Save answers to HubSpot
+            </button>
+            <span class="fields-status">${hasRecord ? '' : 'Open a record to save answers'}</span>
+          </div>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  renderFieldsSection(section, card, index) {
     const sectionId = `fields-section-${card.id}-${Math.random().toString(36).substr(2, 9)}`;
     // Interpolate variables in section title
     const sectionTitle = section.title ? this.escapeHtml(this.interpolateVariables(section.title)) : '';
 
+    const values = { ...this.properties };
+    section.fields.forEach(field => {
+      values[field.property] = this.getPropertyValue(field.property);
+    });
+    const visibleFields = globalThis.RevGuideFieldRules.getVisibleFields(section.fields, values);
+
     const fieldsHtml = section.fields.map(field => {
-      const currentValue = this.getPropertyValue(field.property);
+      const currentValue = values[field.property];
       const displayLabel = field.label || field.property.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
 
       return `
-        <div class="field-input-row" data-property="${this.escapeHtml(field.property)}">
+        <div class="field-input-row" data-property="${this.escapeHtml(field.property)}" ${visibleFields.includes(field) ? '' : 'hidden'}>
           <label class="field-label">
             ${this.escapeHtml(displayLabel)}
             ${field.required ? '<span class="field-required">*</span>' : ''}
           </label>
-          ${this.renderFieldInput(field, currentValue)}
+          ${this.renderFieldInput(field, currentValue, values)}
+          <div class="field-error-message"></div>
         </div>
       `;
     }).join('');
 
     return `
-      <div class="card-section card-section-fields" data-section-id="${sectionId}">
+      <div class="card-section card-section-fields" data-section-id="${sectionId}" data-card-id="${card.id}" data-section-index="${index}">
         ${sectionTitle ? `<div class="section-title">${sectionTitle}</div>` : ''}
         <div class="fields-form">
           ${fieldsHtml}
@@ -2136,33 +2616,25 @@ class SidePanel {
     `;
   }
 
-  renderFieldInput(field, currentValue) {
+  /**
+   * @param {Object} field - Fields section field
+   * @param {*} currentValue - Record value
+   * @param {Object} values - Current values of the section, for dependent dropdowns
+   * @returns {string} HTML
+   */
+  renderFieldInput(field, currentValue, values = {}) {
     const displayLabel = field.label || field.property;
     const fieldType = field.fieldType || '';
     const type = field.type || 'string';
-    const options = field.options || [];
-
-    // Normalize current value for comparison (lowercase, trimmed)
-    const normalizedCurrentValue = String(currentValue || '').toLowerCase().trim();
 
     // Dropdown/select fields - enumeration, checkbox (multi-select), radio, select
-    if (options.length > 0 || fieldType === 'select' || fieldType === 'radio' || fieldType === 'checkbox') {
-      const optionsHtml = options.map(opt => {
-        const optValue = opt.value !== undefined ? opt.value : opt;
-        const optLabel = opt.label || opt;
-        // Compare normalized values (case-insensitive)
-        const normalizedOptValue = String(optValue || '').toLowerCase().trim();
-        const selected = normalizedCurrentValue && normalizedCurrentValue === normalizedOptValue ? 'selected' : '';
-        return `<option value="${this.escapeHtml(String(optValue))}" ${selected}>${this.escapeHtml(optLabel)}</option>`;
-      }).join('');
-
+    if (field.options?.length > 0 || fieldType === 'select' || fieldType === 'radio' || fieldType === 'checkbox') {
       return `
         <select
           class="field-input field-select"
           data-property="${this.escapeHtml(field.property)}"
           data-required="${field.required ? 'true' : 'false'}">
-          <option value="">Select ${this.escapeHtml(displayLabel)}...</option>
-          ${optionsHtml}
+          ${this.renderFieldOptions(field, globalThis.RevGuideFieldRules.getFieldOptions(field, values), currentValue)}
         </select>
       `;
     }
@@ -2253,16 +2725,108 @@ class SidePanel {
     `;
   }
 
+  /**
+   * Options of a dropdown field, with the current value selected
+   * @param {Object} field
+   * @param {Array} options - Options to offer (see RevGuideFieldRules.getFieldOptions)
+   * @param {*} currentValue
+   * @returns {string} HTML
+   */
+  renderFieldOptions(field, options, currentValue) {
+    const displayLabel = field.label || field.property;
+
+    // Normalize current value for comparison (lowercase, trimmed)
+    const normalizedCurrentValue = String(currentValue || '').toLowerCase().trim();
+
+    const optionsHtml = options.map(opt => {
+      const optValue = opt.value !== undefined ? opt.value : opt;
+      const optLabel = opt.label || opt;
+      // Compare normalized values (case-insensitive)
+      const normalizedOptValue = String(optValue || '').toLowerCase().trim();
+      const selected = normalizedCurrentValue && normalizedCurrentValue === normalizedOptValue ? 'selected' : '';
+      return `<option value="${this.escapeHtml(String(optValue))}" ${selected}>${this.escapeHtml(optLabel)}</option>`;
+    }).join('');
+
+    return `
+      <option value="">Select ${this.escapeHtml(displayLabel)}...</option>
+      ${optionsHtml}
+    `;
+  }
+
   initFieldSectionEvents() {
     // Set up click handlers for save buttons in field sections
     document.querySelectorAll('.save-fields-btn').forEach(btn => {
       btn.addEventListener('click', (e) => this.handleSaveFields(e));
     });
 
+    this.initFieldRules(document);
+
     // Set up Cmd/Ctrl+Enter to save on field inputs
     this.initFieldKeyboardShortcuts(document);
   }
 
+  /**
+   * Re-apply conditional fields and dependent dropdowns as the user edits a fields section
+   * @param {Element} container - Container element to search for fields sections
+   */
+  initFieldRules(container) {
+    container.querySelectorAll('.card-section-fields').forEach(sectionEl => {
+      const update = () => this.updateFieldSectionState(sectionEl);
+      sectionEl.addEventListener('input', update);
+      sectionEl.addEventListener('change', update);
+    });
+  }
+
+  /**
+   * Field definitions of a rendered fields section
+   * @param {HTMLElement} sectionEl
+   * @returns {Object|null} Section
+   */
+  getFieldSection(sectionEl) {
+    const cardId = sectionEl.dataset.cardId;
+    const card = this.cards.find(c => c.id === cardId) ||
+      (this.currentDetailCard?.id === cardId ? this.currentDetailCard : null);
+    const section = card?.sections?.[Number(sectionEl.dataset.sectionIndex)];
+    return section?.type === 'fields' ? section : null;
+  }
+
+  /**
+   * Value of a field input as entered (dates as YYYY-MM-DD)
+   * @param {HTMLElement} input
+   * @returns {string}
+   */
+  getFieldInputValue(input) {
+    if (input.type === 'checkbox' && input.dataset.type === 'boolean') {
+      return input.checked ? 'true' : 'false';
+    }
+    return input.value.trim();
+  }
+
+  updateFieldSectionState(sectionEl) {
+    const section = this.getFieldSection(sectionEl);
+    if (!section) return;
+    const FieldRules = globalThis.RevGuideFieldRules;
+
+    const values = { ...this.properties };
+    sectionEl.querySelectorAll('.field-input').forEach(input => {
+      values[input.dataset.property] = this.getFieldInputValue(input);
+    });
+
+    // Dependent dropdowns drop a selection their parent no longer allows
+    section.fields.forEach(field => {
+      if (!field.dependsOn?.property) return;
+      const select = [...sectionEl.querySelectorAll('select.field-input')].find(el => el.dataset.property === field.property);
+      if (!select) return;
+      select.innerHTML = this.renderFieldOptions(field, FieldRules.getFieldOptions(field, values), select.value);
+      values[field.property] = select.value;
+    });
+
+    const visible = new Set(FieldRules.getVisibleFields(section.fields, values).map(field => field.property));
+    sectionEl.querySelectorAll('.field-input-row').forEach(row => {
+      row.hidden = !visible.has(row.dataset.property);
+    });
+  }
+
   /**
    * Add Cmd/Ctrl+Enter keyboard shortcut to save fields
    * @param {Element} container - Container element to search for field inputs
@@ -2287,12 +2851,24 @@ class SidePanel {
     const btn = e.target.closest('.save-fields-btn');
     const sectionEl = btn.closest('.card-section-fields');
     const statusEl = sectionEl.querySelector('.fields-status');
+    const fields = this.getFieldSection(sectionEl)?.fields || [];
 
     // Get all field values
     const updates = {};
     let hasValidationError = false;
+    let hasRuleError = false;
 
     sectionEl.querySelectorAll('.field-input').forEach(input => {
+      const row = input.closest('.field-input-row');
+      const errorEl = row?.querySelector('.field-error-message');
+
+      // Hidden fields are neither validated nor saved
+      if (row?.hidden) {
+        input.classList.remove('field-error');
+        if (errorEl) errorEl.textContent = '';
+        return;
+      }
+
       const property = input.dataset.property;
       const required = input.dataset.required === 'true';
       const dataType = input.dataset.type || '';
@@ -2311,21 +2887,45 @@ class SidePanel {
         value = input.value.trim();
       }
 
+      const field = fields.find(f => f.property === property);
+      const ruleError = value ? globalThis.RevGuideFieldRules.validateField(field, this.getFieldInputValue(input)) : null;
+      if (errorEl) errorEl.textContent = ruleError || '';
+
       if (required && !value) {
         input.classList.add('field-error');
         hasValidationError = true;
+      } else if (ruleError) {
+        input.classList.add('field-error');
+        hasRuleError = true;
       } else {
         input.classList.remove('field-error');
         updates[property] = value;
       }
     });
 
-    if (hasValidationError) {
-      statusEl.textContent = 'Please fill in required fields';
+    if (hasValidationError || hasRuleError) {
+      statusEl.textContent = hasValidationError ? 'Please fill in required fields' : 'Please fix the highlighted fields';
       statusEl.className = 'fields-status error';
       return;
     }
 
+    const cardId = sectionEl.closest('[data-card-id]')?.dataset.cardId;
+    const card = (cardId && this.cards.find(c => c.id === cardId)) || this.currentDetailCard;
+    await this.saveFieldUpdates(updates, { btn, statusEl, card });
+  }
+
+  /**
+   * Write property values to the current record, showing progress on the save button
+   * Used by fields sections and for the answers of guided plays
+   * @param {Object} updates - Property name → value
+   * @param {Object} options
+   * @param {HTMLButtonElement} options.btn - Save button
+   * @param {HTMLElement} options.statusEl - Status message element
+   * @param {Object} [options.card] - Play saved from, for A/B variant events
+   */
+  async saveFieldUpdates(updates, { btn, statusEl, card }) {
+    const idleHtml = btn.innerHTML;
+
     // Disable button and show loading state
     btn.disabled = true;
     btn.innerHTML = `
@@ -2345,6 +2945,10 @@ class SidePanel {
         // Update local properties cache
         Object.assign(this.properties, updates);
 
+        // Count the save for the play's variant and for the banner variant that opened it
+        const bannerEvents = this.variantSource ? [{ ...this.variantSource, eventType: 'field_save' }] : [];
+        this.logVariantEvents(card ? [card] : [], 'field_save', bannerEvents);
+
         btn.innerHTML = `
           <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <polyline points="20 6 9 17 4 12"/>
@@ -2360,12 +2964,7 @@ class SidePanel {
 
           // Reset button state
           btn.disabled = false;
-          btn.innerHTML = `
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <polyline points="20 6 9 17 4 12"/>
-            </svg>
-            Save to HubSpot
-          `;
+          btn.innerHTML = idleHtml;
           statusEl.textContent = '';
         }, 800);
       } else {
@@ -2374,12 +2973,7 @@ class SidePanel {
     } catch (error) {
       console.error('Error saving fields:', error);
       btn.disabled = false;
-      btn.innerHTML = `
-        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <polyline points="20 6 9 17 4 12"/>
-        </svg>
-        Save to HubSpot
-      `;
+      btn.innerHTML = idleHtml;
 
       // Parse and display user-friendly error message
       const errorMessage = this.parseHubSpotError(error.message);
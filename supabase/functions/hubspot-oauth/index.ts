@@ -55,6 +55,12 @@ const HUBSPOT_SCOPES = [
   'crm.objects.deals.write'
 ]
 
+// Optional OAuth scopes - granted when the portal has the feature, never block a connection
+const HUBSPOT_OPTIONAL_SCOPES = [
+  // Banner "Enroll in sequence" actions (Sales Hub Professional/Enterprise)
+  'automation.sequences.enrollments.write'
+]
+
 serve(async (req) => {
   // Handle CORS preflight
   if (req.method === 'OPTIONS') {
@@ -163,6 +169,7 @@ async function handleAuthorize(req: Request): Promise<Response> {
   authUrl.searchParams.set('client_id', HUBSPOT_CLIENT_ID)
   authUrl.searchParams.set('redirect_uri', HUBSPOT_REDIRECT_URI)
   authUrl.searchParams.set('scope', HUBSPOT_SCOPES.join(' '))
+  authUrl.searchParams.set('optional_scope', HUBSPOT_OPTIONAL_SCOPES.join(' '))
   authUrl.searchParams.set('state', state)
 
   return new Response(
@@ -1011,6 +1018,7 @@ async function handleUserAuthorize(req: Request): Promise<Response> {
   authUrl.searchParams.set('client_id', HUBSPOT_CLIENT_ID)
   authUrl.searchParams.set('redirect_uri', redirectUri)
   authUrl.searchParams.set('scope', HUBSPOT_SCOPES.join(' '))
+  authUrl.searchParams.set('optional_scope', HUBSPOT_OPTIONAL_SCOPES.join(' '))
   authUrl.searchParams.set('state', state)
 
   return new Response(
@@ -0,0 +1,18 @@
+-- Migration: Scheduled Activation Windows
+--
+-- Adds an optional activation schedule to banners, plays and recommended content.
+-- Content with a schedule only shows while the schedule is active:
+--   { "startAt": ISO datetime, "endAt": ISO datetime,
+--     "days": [0-6, 0 = Sunday], "startTime": "HH:MM", "endTime": "HH:MM",
+--     "timezone": IANA timezone for the recurring window }
+-- All keys are optional. NULL means always active.
+--
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS schedule JSONB;
+ALTER TABLE plays ADD COLUMN IF NOT EXISTS schedule JSONB;
+ALTER TABLE recommended_content ADD COLUMN IF NOT EXISTS schedule JSONB;
+
+COMMENT ON COLUMN banners.schedule IS 'Optional activation window (start/end datetimes and recurring days/times)';
+COMMENT ON COLUMN plays.schedule IS 'Optional activation window (start/end datetimes and recurring days/times)';
+COMMENT ON COLUMN recommended_content.schedule IS 'Optional activation window (start/end datetimes and recurring days/times)';
@@ -0,0 +1,16 @@
+-- Migration: Audience Targeting
+--
+-- Adds an optional audience to banners and plays so they only show to some users:
+--   { "roles": ["editor", "viewer"],         -- RevGuide roles
+--     "userIds": ["<users.id>"],              -- specific RevGuide users
+--     "teamIds": ["<HubSpot team id>"],       -- HubSpot teams of the viewer's owner record
+--     "ownerIsCurrentUser": true }            -- record's hubspot_owner_id is the viewer
+-- Every criterion that is set must match. NULL means everyone.
+--
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS audience JSONB;
+ALTER TABLE plays ADD COLUMN IF NOT EXISTS audience JSONB;
+
+COMMENT ON COLUMN banners.audience IS 'Optional audience (roles, user IDs, HubSpot team IDs, record owner is viewer)';
+COMMENT ON COLUMN plays.audience IS 'Optional audience (roles, user IDs, HubSpot team IDs, record owner is viewer)';
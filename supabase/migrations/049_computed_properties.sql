@@ -0,0 +1,87 @@
+-- Migration: Computed Properties
+--
+-- Org-level formulas over record properties (e.g. days in current stage, discount percent).
+-- The extension evaluates them on each record and exposes the result as computed.<key>
+-- for rule conditions and {{computed.<key>}} play variables.
+--
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Computed Properties Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS computed_properties (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  key TEXT NOT NULL,                        -- snake_case, exposed as computed.<key>
+  label TEXT NOT NULL,                      -- Display name in condition pickers
+  expression TEXT NOT NULL,                 -- Formula, see lib/computed-properties.js
+  result_type TEXT NOT NULL DEFAULT 'string', -- 'string', 'number', 'date', 'bool'
+  object_type TEXT,                         -- 'contacts', 'companies', 'deals', 'tickets' or NULL for all
+  description TEXT,
+  sort_order INTEGER DEFAULT 0,             -- Evaluation order (later formulas can use earlier ones)
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(organization_id, key),
+  CHECK (key ~ '^[a-z][a-z0-9_]*$'),
+  CHECK (result_type IN ('string', 'number', 'date', 'bool'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_computed_properties_org ON computed_properties(organization_id);
+
+COMMENT ON TABLE computed_properties IS 'Org-defined formulas evaluated on records by the extension';
+COMMENT ON COLUMN computed_properties.key IS 'Exposed to rules and play variables as computed.<key>';
+COMMENT ON COLUMN computed_properties.result_type IS 'Result type used to pick condition operators: string, number, date, bool';
+
+-- ============================================
+-- 2. Enable RLS
+-- ============================================
+
+ALTER TABLE computed_properties ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- 3. RLS Policies
+-- ============================================
+
+DROP POLICY IF EXISTS "Users can view computed_properties" ON computed_properties;
+DROP POLICY IF EXISTS "Editors can create computed_properties" ON computed_properties;
+DROP POLICY IF EXISTS "Editors can update computed_properties" ON computed_properties;
+DROP POLICY IF EXISTS "Editors can delete computed_properties" ON computed_properties;
+DROP POLICY IF EXISTS "Service role can manage computed_properties" ON computed_properties;
+
+-- Policy: Users can view computed properties for their org or partner orgs
+CREATE POLICY "Users can view computed_properties" ON computed_properties
+  FOR SELECT USING (
+    organization_id = get_user_organization_id(auth.uid())
+    OR check_user_can_edit_org_content(auth.uid(), organization_id)
+  );
+
+-- Policy: Editors, admins, and partners can create computed properties
+CREATE POLICY "Editors can create computed_properties" ON computed_properties
+  FOR INSERT WITH CHECK (
+    check_user_can_edit_org_content(auth.uid(), organization_id)
+  );
+
+-- Policy: Editors, admins, and partners can update computed properties
+CREATE POLICY "Editors can update computed_properties" ON computed_properties
+  FOR UPDATE USING (
+    check_user_can_edit_org_content(auth.uid(), organization_id)
+  );
+
+-- Policy: Editors, admins, and partners can delete computed properties
+CREATE POLICY "Editors can delete computed_properties" ON computed_properties
+  FOR DELETE USING (
+    check_user_can_edit_org_content(auth.uid(), organization_id)
+  );
+
+-- Policy: Service role has full access
+CREATE POLICY "Service role can manage computed_properties" ON computed_properties
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- ============================================
+-- 4. Grant permissions
+-- ============================================
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON computed_properties TO authenticated;
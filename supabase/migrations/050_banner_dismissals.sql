@@ -0,0 +1,201 @@
+-- Migration: Persistent Banner Dismissals
+--
+-- Lets admins choose how long a dismissed banner stays hidden for the user who closed it:
+--   'session' - until the page is reloaded (previous behaviour, default)
+--   'record'  - on that record only, for good
+--   'days'    - everywhere, for dismiss_days days (snooze)
+--   'forever' - everywhere, for good
+-- Dismissals are stored per user so they follow the user across machines. Impressions
+-- (one row per banner and user) give admins a dismissal rate per banner.
+--
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Banner dismiss settings
+-- ============================================
+
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS dismiss_mode TEXT DEFAULT 'session';
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS dismiss_days INTEGER;
+
+COMMENT ON COLUMN banners.dismiss_mode IS 'How long a dismissal lasts: session, record, days, forever';
+COMMENT ON COLUMN banners.dismiss_days IS 'Snooze length in days when dismiss_mode = days';
+
+-- ============================================
+-- 2. Dismissals and impressions tables
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS banner_dismissals (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  banner_id UUID NOT NULL REFERENCES banners(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  record_key TEXT NOT NULL DEFAULT '',      -- '<objectType>:<recordId>' for 'record' mode, '' otherwise
+  dismissed_until TIMESTAMPTZ,              -- NULL = hidden for good
+  dismiss_count INTEGER NOT NULL DEFAULT 1, -- Times the user closed this banner (for reporting)
+  dismissed_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(banner_id, user_id, record_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_banner_dismissals_user ON banner_dismissals(user_id, organization_id);
+CREATE INDEX IF NOT EXISTS idx_banner_dismissals_org ON banner_dismissals(organization_id);
+
+CREATE TABLE IF NOT EXISTS banner_impressions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  banner_id UUID NOT NULL REFERENCES banners(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  first_seen_at TIMESTAMPTZ DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(banner_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_banner_impressions_org ON banner_impressions(organization_id);
+
+COMMENT ON TABLE banner_dismissals IS 'Per-user banner dismissals, synced to the extension';
+COMMENT ON TABLE banner_impressions IS 'Users who have seen each banner (denominator for dismissal rates)';
+
+-- ============================================
+-- 3. RLS Policies
+-- ============================================
+
+ALTER TABLE banner_dismissals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE banner_impressions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users see own banner_dismissals" ON banner_dismissals;
+DROP POLICY IF EXISTS "Users delete own banner_dismissals" ON banner_dismissals;
+DROP POLICY IF EXISTS "Service role can manage banner_dismissals" ON banner_dismissals;
+DROP POLICY IF EXISTS "Service role can manage banner_impressions" ON banner_impressions;
+
+-- Policy: Users can read and clear their own dismissals (writes go through dismiss_banner)
+CREATE POLICY "Users see own banner_dismissals" ON banner_dismissals
+  FOR SELECT USING (
+    user_id IN (SELECT id FROM users WHERE auth_user_id = auth.uid())
+  );
+
+CREATE POLICY "Users delete own banner_dismissals" ON banner_dismissals
+  FOR DELETE USING (
+    user_id IN (SELECT id FROM users WHERE auth_user_id = auth.uid())
+  );
+
+-- Policy: Service role has full access
+CREATE POLICY "Service role can manage banner_dismissals" ON banner_dismissals
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage banner_impressions" ON banner_impressions
+  FOR ALL USING (auth.role() = 'service_role');
+
+GRANT SELECT, DELETE ON banner_dismissals TO authenticated;
+
+-- ============================================
+-- 4. Record a dismissal
+-- ============================================
+
+CREATE OR REPLACE FUNCTION dismiss_banner(
+  p_banner_id UUID,
+  p_record_key TEXT DEFAULT '',
+  p_dismissed_until TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID;
+  v_org_id UUID;
+BEGIN
+  SELECT id INTO v_user_id FROM users WHERE auth_user_id = auth.uid();
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object('success', false, 'error', 'User not found');
+  END IF;
+
+  SELECT organization_id INTO v_org_id FROM banners WHERE id = p_banner_id;
+  IF v_org_id IS NULL THEN
+    RETURN json_build_object('success', false, 'error', 'Banner not found');
+  END IF;
+
+  IF v_org_id NOT IN (SELECT get_user_org_ids(auth.uid())) THEN
+    RETURN json_build_object('success', false, 'error', 'Not a member of this organization');
+  END IF;
+
+  INSERT INTO banner_dismissals (organization_id, banner_id, user_id, record_key, dismissed_until)
+  VALUES (v_org_id, p_banner_id, v_user_id, COALESCE(p_record_key, ''), p_dismissed_until)
+  ON CONFLICT (banner_id, user_id, record_key) DO UPDATE SET
+    dismissed_until = EXCLUDED.dismissed_until,
+    dismiss_count = banner_dismissals.dismiss_count + 1,
+    dismissed_at = NOW();
+
+  RETURN json_build_object('success', true);
+END;
+$$;
+
+-- ============================================
+-- 5. Record impressions (the extension sends each banner at most once a day)
+-- ============================================
+
+CREATE OR REPLACE FUNCTION record_banner_impressions(p_banner_ids UUID[])
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID;
+BEGIN
+  SELECT id INTO v_user_id FROM users WHERE auth_user_id = auth.uid();
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object('success', false, 'error', 'User not found');
+  END IF;
+
+  INSERT INTO banner_impressions (organization_id, banner_id, user_id)
+  SELECT b.organization_id, b.id, v_user_id
+  FROM banners b
+  WHERE b.id = ANY(p_banner_ids)
+    AND b.organization_id IN (SELECT get_user_org_ids(auth.uid()))
+  ON CONFLICT (banner_id, user_id) DO UPDATE SET last_seen_at = NOW();
+
+  RETURN json_build_object('success', true);
+END;
+$$;
+
+-- ============================================
+-- 6. Dismissal report for admins
+-- ============================================
+
+CREATE OR REPLACE FUNCTION get_banner_dismissal_stats(p_organization_id UUID)
+RETURNS TABLE (
+  banner_id UUID,
+  viewers BIGINT,
+  dismissers BIGINT,
+  dismissals BIGINT,
+  active_dismissals BIGINT,
+  last_dismissed_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT check_user_can_edit_org_content(auth.uid(), p_organization_id) THEN
+    RAISE EXCEPTION 'Not allowed to view banner statistics for this organization';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    b.id,
+    (SELECT COUNT(*) FROM banner_impressions i WHERE i.banner_id = b.id),
+    (SELECT COUNT(DISTINCT d.user_id) FROM banner_dismissals d WHERE d.banner_id = b.id),
+    (SELECT COALESCE(SUM(d.dismiss_count), 0) FROM banner_dismissals d WHERE d.banner_id = b.id),
+    (SELECT COUNT(*) FROM banner_dismissals d
+      WHERE d.banner_id = b.id AND (d.dismissed_until IS NULL OR d.dismissed_until > NOW())),
+    (SELECT MAX(d.dismissed_at) FROM banner_dismissals d WHERE d.banner_id = b.id)
+  FROM banners b
+  WHERE b.organization_id = p_organization_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION dismiss_banner(UUID, TEXT, TIMESTAMPTZ) TO authenticated;
+GRANT EXECUTE ON FUNCTION record_banner_impressions(UUID[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_banner_dismissal_stats(UUID) TO authenticated;
@@ -0,0 +1,168 @@
+-- Migration: Acknowledgement-Required Banners
+--
+-- Compliance notices (pricing changes, regional legal terms) can require reps to click
+-- "I understand". Each acknowledgement records the banner content version it was given
+-- for; editing the title or message bumps content_version so everyone is asked again.
+-- Embed banners are media cards and never ask for acknowledgement.
+--
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Banner acknowledgement settings
+-- ============================================
+
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS requires_acknowledgement BOOLEAN DEFAULT false;
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS content_version INTEGER NOT NULL DEFAULT 1;
+
+COMMENT ON COLUMN banners.requires_acknowledgement IS 'Show an "I understand" button and record read receipts';
+COMMENT ON COLUMN banners.content_version IS 'Bumped when the title or message changes; acknowledgements are per version';
+
+CREATE OR REPLACE FUNCTION bump_banner_content_version()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.title IS DISTINCT FROM OLD.title OR NEW.message IS DISTINCT FROM OLD.message THEN
+    NEW.content_version = OLD.content_version + 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS banners_content_version ON banners;
+CREATE TRIGGER banners_content_version
+  BEFORE UPDATE ON banners
+  FOR EACH ROW EXECUTE FUNCTION bump_banner_content_version();
+
+-- ============================================
+-- 2. Acknowledgements table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS banner_acknowledgements (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  banner_id UUID NOT NULL REFERENCES banners(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  content_version INTEGER NOT NULL,
+  acknowledged_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(banner_id, user_id, content_version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_banner_acknowledgements_user ON banner_acknowledgements(user_id, organization_id);
+CREATE INDEX IF NOT EXISTS idx_banner_acknowledgements_banner ON banner_acknowledgements(banner_id);
+
+COMMENT ON TABLE banner_acknowledgements IS 'Read receipts for acknowledgement-required banners, one row per user and content version';
+
+-- ============================================
+-- 3. RLS Policies
+-- ============================================
+
+ALTER TABLE banner_acknowledgements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users see own banner_acknowledgements" ON banner_acknowledgements;
+DROP POLICY IF EXISTS "Service role can manage banner_acknowledgements" ON banner_acknowledgements;
+
+-- Policy: Users can read their own receipts (writes go through acknowledge_banner)
+CREATE POLICY "Users see own banner_acknowledgements" ON banner_acknowledgements
+  FOR SELECT USING (
+    user_id IN (SELECT id FROM users WHERE auth_user_id = auth.uid())
+  );
+
+-- Policy: Service role has full access
+CREATE POLICY "Service role can manage banner_acknowledgements" ON banner_acknowledgements
+  FOR ALL USING (auth.role() = 'service_role');
+
+GRANT SELECT ON banner_acknowledgements TO authenticated;
+
+-- ============================================
+-- 4. Record an acknowledgement
+-- ============================================
+
+CREATE OR REPLACE FUNCTION acknowledge_banner(
+  p_banner_id UUID,
+  p_content_version INTEGER
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID;
+  v_org_id UUID;
+  v_content_version INTEGER;
+BEGIN
+  SELECT id INTO v_user_id FROM users WHERE auth_user_id = auth.uid();
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object('success', false, 'error', 'User not found');
+  END IF;
+
+  SELECT organization_id, content_version INTO v_org_id, v_content_version FROM banners WHERE id = p_banner_id;
+  IF v_org_id IS NULL THEN
+    RETURN json_build_object('success', false, 'error', 'Banner not found');
+  END IF;
+
+  IF v_org_id NOT IN (SELECT get_user_org_ids(auth.uid())) THEN
+    RETURN json_build_object('success', false, 'error', 'Not a member of this organization');
+  END IF;
+
+  -- Only acknowledge the wording the user was shown; if it changed since, they have to read it again
+  IF p_content_version IS DISTINCT FROM v_content_version THEN
+    RETURN json_build_object(
+      'success', false,
+      'error', 'Banner content has changed',
+      'content_version', v_content_version
+    );
+  END IF;
+
+  INSERT INTO banner_acknowledgements (organization_id, banner_id, user_id, content_version)
+  VALUES (v_org_id, p_banner_id, v_user_id, v_content_version)
+  ON CONFLICT (banner_id, user_id, content_version) DO NOTHING;
+
+  RETURN json_build_object('success', true, 'content_version', v_content_version);
+END;
+$$;
+
+-- ============================================
+-- 5. Acknowledgement report for admins
+-- ============================================
+
+-- One row per organization member with their latest acknowledgement (if any)
+CREATE OR REPLACE FUNCTION get_banner_acknowledgements(p_banner_id UUID)
+RETURNS TABLE (
+  user_id UUID,
+  name TEXT,
+  email TEXT,
+  content_version INTEGER,
+  acknowledged_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_org_id UUID;
+BEGIN
+  SELECT organization_id INTO v_org_id FROM banners WHERE id = p_banner_id;
+  IF v_org_id IS NULL OR NOT check_user_can_edit_org_content(auth.uid(), v_org_id) THEN
+    RAISE EXCEPTION 'Not allowed to view acknowledgements for this banner';
+  END IF;
+
+  RETURN QUERY
+  SELECT u.id, u.name, u.email, latest.content_version, latest.acknowledged_at
+  FROM organization_members om
+  JOIN users u ON u.id = om.user_id
+  LEFT JOIN LATERAL (
+    SELECT a.content_version, a.acknowledged_at
+    FROM banner_acknowledgements a
+    WHERE a.banner_id = p_banner_id AND a.user_id = u.id
+    ORDER BY a.content_version DESC
+    LIMIT 1
+  ) latest ON true
+  WHERE om.organization_id = v_org_id
+    AND om.role <> 'partner'
+  ORDER BY latest.acknowledged_at DESC NULLS LAST, u.name;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION acknowledge_banner(UUID, INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_banner_acknowledgements(UUID) TO authenticated;
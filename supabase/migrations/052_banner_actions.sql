@@ -0,0 +1,18 @@
+-- Migration: Banner Actions
+--
+-- One-click buttons on banners. Stored as an ordered array; the first action is the primary button:
+--   { "type": "url",             "label": "...", "url": "https://...?id={{hs_object_id}}" }
+--   { "type": "copy",            "label": "...", "text": "Hi {{firstname}}, ..." }
+--   { "type": "update_property", "label": "...", "properties": { "hs_lead_status": "ATTEMPTED_TO_CONTACT" } }
+--   { "type": "create_task",     "label": "...", "subject": "...", "body": "...", "dueInDays": 3,
+--                                "priority": "NONE|LOW|MEDIUM|HIGH", "taskType": "TODO|CALL|EMAIL" }
+--   { "type": "open_play",       "label": "...", "playId": "<plays.id>" }
+--   { "type": "enroll_sequence", "label": "...", "sequenceId": "<HubSpot sequence id>" }  -- contacts only
+-- {{property}} placeholders are filled from the current record. HubSpot writes use the
+-- viewer's own HubSpot connection when they have one, so changes are attributed to them.
+--
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS actions JSONB DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN banners.actions IS 'Banner buttons: url, copy, update_property, create_task, open_play, enroll_sequence';
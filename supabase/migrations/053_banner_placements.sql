@@ -0,0 +1,20 @@
+-- Migration: Banner Placements
+--
+-- Where a banner renders on the record page:
+--   'inline'   - above the record's middle column (previous behaviour, default)
+--   'property' - directly below placement_property in the left sidebar
+--   'sidebar'  - pinned at the top of the right association column
+--   'toast'    - floating toast in the bottom-right corner
+--   'modal'    - blocking modal for critical warnings, one at a time
+-- The sidebar shows labels rather than internal names, so the property label is stored too.
+-- Banners whose anchor isn't on the page fall back to inline. Embed banners are always inline.
+--
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS placement TEXT DEFAULT 'inline';
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS placement_property TEXT;
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS placement_property_label TEXT;
+
+COMMENT ON COLUMN banners.placement IS 'Where the banner renders: inline, property, sidebar, toast, modal';
+COMMENT ON COLUMN banners.placement_property IS 'Property the banner is shown next to when placement = property';
+COMMENT ON COLUMN banners.placement_property_label IS 'Label of placement_property, used to find its row in the sidebar';
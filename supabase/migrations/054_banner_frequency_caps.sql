@@ -0,0 +1,14 @@
+-- Migration: Banner Frequency Caps
+--
+-- Stops useful-at-first tips from turning into noise. frequency_cap is NULL (no cap) or:
+--   { "maxViews": 5, "oncePerRecordPerDay": true, "firstVisitOnly": false }
+--   maxViews            - show at most this many page visits per user
+--   oncePerRecordPerDay - show on a given record at most once a day
+--   firstVisitOnly      - show only the first time the user opens a given record
+-- Views are counted by the extension in chrome.storage.local (per browser), once per page visit.
+--
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS frequency_cap JSONB;
+
+COMMENT ON COLUMN banners.frequency_cap IS 'Per-user frequency cap: maxViews, oncePerRecordPerDay, firstVisitOnly (NULL = no cap)';
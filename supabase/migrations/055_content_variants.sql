@@ -0,0 +1,127 @@
+-- Migration: A/B Content Variants
+--
+-- Banners and plays can carry alternative wordings with a traffic split:
+--   variants = [{ "id": "b", "name": "Shorter wording", "weight": 50, "title": "...", "message": "..." }]
+-- Banner variants override title and message; play variants override subtitle and sections.
+-- The item's own content is variant "a" and gets the traffic the other variants leave.
+-- The extension assigns users deterministically (hash of user and item ID) and logs events
+-- per variant so admins can compare outcomes:
+--   impression - the banner was shown / the play was listed (at most once a day per user)
+--   action     - a banner action button was clicked
+--   play_open  - the play was opened (from the sidepanel or the banner's play button)
+--   field_save - fields were saved from the play
+--
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Variant content
+-- ============================================
+
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS variants JSONB DEFAULT '[]'::jsonb;
+ALTER TABLE plays ADD COLUMN IF NOT EXISTS variants JSONB DEFAULT '[]'::jsonb;
+
+COMMENT ON COLUMN banners.variants IS 'A/B variants: [{ id, name, weight, title, message }]';
+COMMENT ON COLUMN plays.variants IS 'A/B variants: [{ id, name, weight, subtitle, sections }]';
+
+-- ============================================
+-- 2. Variant events
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS content_variant_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  content_type TEXT NOT NULL CHECK (content_type IN ('banner', 'play')),
+  content_id UUID NOT NULL,
+  variant_id TEXT NOT NULL,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL CHECK (event_type IN ('impression', 'action', 'play_open', 'field_save')),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_variant_events_content ON content_variant_events(content_type, content_id);
+CREATE INDEX IF NOT EXISTS idx_content_variant_events_org ON content_variant_events(organization_id);
+
+COMMENT ON TABLE content_variant_events IS 'Impressions and interactions per banner/play variant for A/B comparisons';
+
+-- ============================================
+-- 3. RLS Policies
+-- ============================================
+
+ALTER TABLE content_variant_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage content_variant_events" ON content_variant_events;
+
+-- Writes go through log_variant_events and reads through get_variant_stats
+CREATE POLICY "Service role can manage content_variant_events" ON content_variant_events
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- ============================================
+-- 4. Log events from the extension
+-- ============================================
+
+-- p_events: [{ "content_type": "banner", "content_id": "<uuid>", "variant_id": "b", "event_type": "impression" }]
+CREATE OR REPLACE FUNCTION log_variant_events(p_events JSONB)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID;
+BEGIN
+  SELECT id INTO v_user_id FROM users WHERE auth_user_id = auth.uid();
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object('success', false, 'error', 'User not found');
+  END IF;
+
+  INSERT INTO content_variant_events (organization_id, content_type, content_id, variant_id, user_id, event_type)
+  SELECT COALESCE(b.organization_id, p.organization_id), e.content_type, e.content_id, e.variant_id, v_user_id, e.event_type
+  FROM jsonb_to_recordset(p_events) AS e(content_type TEXT, content_id UUID, variant_id TEXT, event_type TEXT)
+  LEFT JOIN banners b ON e.content_type = 'banner' AND b.id = e.content_id
+  LEFT JOIN plays p ON e.content_type = 'play' AND p.id = e.content_id
+  WHERE COALESCE(b.organization_id, p.organization_id) IN (SELECT get_user_org_ids(auth.uid()))
+    AND e.variant_id IS NOT NULL
+    AND e.event_type IN ('impression', 'action', 'play_open', 'field_save');
+
+  RETURN json_build_object('success', true);
+END;
+$$;
+
+-- ============================================
+-- 5. Comparison report for admins
+-- ============================================
+
+CREATE OR REPLACE FUNCTION get_variant_stats(p_content_type TEXT, p_content_id UUID)
+RETURNS TABLE (
+  variant_id TEXT,
+  event_type TEXT,
+  users BIGINT,
+  events BIGINT
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_org_id UUID;
+BEGIN
+  IF p_content_type = 'banner' THEN
+    SELECT organization_id INTO v_org_id FROM banners WHERE id = p_content_id;
+  ELSE
+    SELECT organization_id INTO v_org_id FROM plays WHERE id = p_content_id;
+  END IF;
+
+  IF v_org_id IS NULL OR NOT check_user_can_edit_org_content(auth.uid(), v_org_id) THEN
+    RAISE EXCEPTION 'Not allowed to view variant statistics for this content';
+  END IF;
+
+  RETURN QUERY
+  SELECT e.variant_id, e.event_type, COUNT(DISTINCT e.user_id), COUNT(*)
+  FROM content_variant_events e
+  WHERE e.content_type = p_content_type AND e.content_id = p_content_id
+  GROUP BY e.variant_id, e.event_type;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION log_variant_events(JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_variant_stats(TEXT, UUID) TO authenticated;
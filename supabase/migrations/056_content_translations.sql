@@ -0,0 +1,40 @@
+-- Migration: Content Translations
+--
+-- Banners, plays and wiki entries keep their content in the organization's default language
+-- and can carry translations keyed by language code:
+--   { "de": { "title": "...", "message": "..." }, "fr": { ... } }
+-- Play sections are translated by position: { "de": { "sections": [{ "title": "...", "content": "..." }] } }
+-- Reps see their profile language, or HubSpot's UI language when they haven't picked one.
+-- Untranslated fields fall back to the default language.
+--
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Organization languages
+-- ============================================
+
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS default_language TEXT NOT NULL DEFAULT 'en';
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS translation_languages TEXT[] NOT NULL DEFAULT '{}';
+
+COMMENT ON COLUMN organizations.default_language IS 'Language content is written in (en, de, fr)';
+COMMENT ON COLUMN organizations.translation_languages IS 'Languages the team translates content into; shown in the admin Translations tabs';
+
+-- ============================================
+-- 2. User language
+-- ============================================
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS preferred_language TEXT;
+
+COMMENT ON COLUMN users.preferred_language IS 'Language to show content in; NULL follows the HubSpot UI language';
+
+-- ============================================
+-- 3. Content translations
+-- ============================================
+
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS translations JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE plays ADD COLUMN IF NOT EXISTS translations JSONB DEFAULT '{}'::jsonb;
+ALTER TABLE wiki_entries ADD COLUMN IF NOT EXISTS translations JSONB DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN banners.translations IS 'Translated title and message per language code';
+COMMENT ON COLUMN plays.translations IS 'Translated name, subtitle and sections (by position) per language code';
+COMMENT ON COLUMN wiki_entries.translations IS 'Translated title and definition per language code';
@@ -0,0 +1,159 @@
+-- Migration: Content Revision History
+--
+-- Every saved version of a banner, play or wiki entry is kept in content_revisions with its
+-- author and timestamp, so editors can see what changed between saves and restore an older
+-- version. A trigger records the row after each insert or update:
+--   snapshot = the row as JSON, without id, organization_id, timestamps and content_version
+-- Saves that change nothing produce no new revision. Restoring writes a snapshot back to the
+-- content row, which records a new revision on top (history is never rewritten).
+--
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Revisions table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS content_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  content_type TEXT NOT NULL CHECK (content_type IN ('banner', 'play', 'wiki')),
+  content_id UUID NOT NULL,
+  version INTEGER NOT NULL,
+  snapshot JSONB NOT NULL,
+  author_id UUID REFERENCES users(id) ON DELETE SET NULL,   -- NULL for service role and backfilled rows
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(content_type, content_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_content_revisions_content ON content_revisions(content_type, content_id, version DESC);
+CREATE INDEX IF NOT EXISTS idx_content_revisions_org ON content_revisions(organization_id);
+
+COMMENT ON TABLE content_revisions IS 'Saved versions of banners, plays and wiki entries for diff and restore';
+
+-- ============================================
+-- 2. RLS Policies
+-- ============================================
+
+ALTER TABLE content_revisions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Editors can view content_revisions" ON content_revisions;
+DROP POLICY IF EXISTS "Service role can manage content_revisions" ON content_revisions;
+
+-- Policy: Anyone who can edit the content can read its history (writes go through the trigger)
+CREATE POLICY "Editors can view content_revisions" ON content_revisions
+  FOR SELECT USING (
+    check_user_can_edit_org_content(auth.uid(), organization_id)
+  );
+
+CREATE POLICY "Service role can manage content_revisions" ON content_revisions
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- ============================================
+-- 3. Record revisions on save
+-- ============================================
+
+-- TG_ARGV[0] is the content type ('banner', 'play' or 'wiki')
+CREATE OR REPLACE FUNCTION record_content_revision()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_content_type TEXT := TG_ARGV[0];
+  v_snapshot JSONB;
+  v_last_snapshot JSONB;
+  v_last_version INTEGER;
+  v_author_id UUID;
+BEGIN
+  v_snapshot := to_jsonb(NEW) - ARRAY['id', 'organization_id', 'created_at', 'updated_at', 'content_version'];
+
+  SELECT snapshot, version INTO v_last_snapshot, v_last_version
+  FROM content_revisions
+  WHERE content_type = v_content_type AND content_id = NEW.id
+  ORDER BY version DESC
+  LIMIT 1;
+
+  IF v_last_snapshot IS NOT NULL AND v_last_snapshot = v_snapshot THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT id INTO v_author_id FROM users WHERE auth_user_id = auth.uid();
+
+  INSERT INTO content_revisions (organization_id, content_type, content_id, version, snapshot, author_id)
+  VALUES (NEW.organization_id, v_content_type, NEW.id, COALESCE(v_last_version, 0) + 1, v_snapshot, v_author_id);
+
+  RETURN NEW;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION delete_content_revisions()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM content_revisions WHERE content_type = TG_ARGV[0] AND content_id = OLD.id;
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS banners_record_revision ON banners;
+CREATE TRIGGER banners_record_revision
+  AFTER INSERT OR UPDATE ON banners
+  FOR EACH ROW EXECUTE FUNCTION record_content_revision('banner');
+
+DROP TRIGGER IF EXISTS plays_record_revision ON plays;
+CREATE TRIGGER plays_record_revision
+  AFTER INSERT OR UPDATE ON plays
+  FOR EACH ROW EXECUTE FUNCTION record_content_revision('play');
+
+DROP TRIGGER IF EXISTS wiki_entries_record_revision ON wiki_entries;
+CREATE TRIGGER wiki_entries_record_revision
+  AFTER INSERT OR UPDATE ON wiki_entries
+  FOR EACH ROW EXECUTE FUNCTION record_content_revision('wiki');
+
+DROP TRIGGER IF EXISTS banners_delete_revisions ON banners;
+CREATE TRIGGER banners_delete_revisions
+  AFTER DELETE ON banners
+  FOR EACH ROW EXECUTE FUNCTION delete_content_revisions('banner');
+
+DROP TRIGGER IF EXISTS plays_delete_revisions ON plays;
+CREATE TRIGGER plays_delete_revisions
+  AFTER DELETE ON plays
+  FOR EACH ROW EXECUTE FUNCTION delete_content_revisions('play');
+
+DROP TRIGGER IF EXISTS wiki_entries_delete_revisions ON wiki_entries;
+CREATE TRIGGER wiki_entries_delete_revisions
+  AFTER DELETE ON wiki_entries
+  FOR EACH ROW EXECUTE FUNCTION delete_content_revisions('wiki');
+
+-- ============================================
+-- 4. Backfill: current content becomes version 1
+-- ============================================
+
+INSERT INTO content_revisions (organization_id, content_type, content_id, version, snapshot, created_at)
+SELECT b.organization_id, 'banner', b.id, 1,
+  to_jsonb(b) - ARRAY['id', 'organization_id', 'created_at', 'updated_at', 'content_version'],
+  COALESCE(b.updated_at, b.created_at, NOW())
+FROM banners b
+WHERE b.organization_id IS NOT NULL
+ON CONFLICT (content_type, content_id, version) DO NOTHING;
+
+INSERT INTO content_revisions (organization_id, content_type, content_id, version, snapshot, created_at)
+SELECT p.organization_id, 'play', p.id, 1,
+  to_jsonb(p) - ARRAY['id', 'organization_id', 'created_at', 'updated_at', 'content_version'],
+  COALESCE(p.updated_at, p.created_at, NOW())
+FROM plays p
+WHERE p.organization_id IS NOT NULL
+ON CONFLICT (content_type, content_id, version) DO NOTHING;
+
+INSERT INTO content_revisions (organization_id, content_type, content_id, version, snapshot, created_at)
+SELECT w.organization_id, 'wiki', w.id, 1,
+  to_jsonb(w) - ARRAY['id', 'organization_id', 'created_at', 'updated_at', 'content_version'],
+  COALESCE(w.updated_at, w.created_at, NOW())
+FROM wiki_entries w
+WHERE w.organization_id IS NOT NULL
+ON CONFLICT (content_type, content_id, version) DO NOTHING;
@@ -0,0 +1,343 @@
+-- Migration: Draft / Review / Publish Workflow
+--
+-- Banners, plays and wiki entries get a workflow status:
+--   draft     - saved but not live; users keep seeing the last published version (if any)
+--   in_review - submitted for approval by an admin
+--   published - live
+-- Organizations can require approval (require_content_approval). Editors in those orgs can
+-- save drafts and submit them, but only owners/admins can publish; an editor's save of
+-- published content is turned into a draft by the enforce_content_review trigger.
+--
+-- The live version of each item is the latest content revision marked published_at
+-- (see 057_content_revisions.sql). The extension loads published rows as they are and
+-- gets the live snapshot of drafts through get_published_content.
+--
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Workflow columns
+-- ============================================
+
+ALTER TABLE organizations ADD COLUMN IF NOT EXISTS require_content_approval BOOLEAN NOT NULL DEFAULT false;
+
+COMMENT ON COLUMN organizations.require_content_approval IS 'Only admins can publish; editors submit drafts for review';
+
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'published'
+  CHECK (status IN ('draft', 'in_review', 'published'));
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS review_note TEXT;
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS submitted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE banners ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ;
+
+ALTER TABLE plays ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'published'
+  CHECK (status IN ('draft', 'in_review', 'published'));
+ALTER TABLE plays ADD COLUMN IF NOT EXISTS review_note TEXT;
+ALTER TABLE plays ADD COLUMN IF NOT EXISTS submitted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE plays ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ;
+
+ALTER TABLE wiki_entries ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'published'
+  CHECK (status IN ('draft', 'in_review', 'published'));
+ALTER TABLE wiki_entries ADD COLUMN IF NOT EXISTS review_note TEXT;
+ALTER TABLE wiki_entries ADD COLUMN IF NOT EXISTS submitted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE wiki_entries ADD COLUMN IF NOT EXISTS submitted_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN banners.status IS 'Workflow status: draft, in_review, published';
+COMMENT ON COLUMN plays.status IS 'Workflow status: draft, in_review, published';
+COMMENT ON COLUMN wiki_entries.status IS 'Workflow status: draft, in_review, published';
+COMMENT ON COLUMN banners.review_note IS 'Reason given when a review was rejected';
+COMMENT ON COLUMN plays.review_note IS 'Reason given when a review was rejected';
+COMMENT ON COLUMN wiki_entries.review_note IS 'Reason given when a review was rejected';
+
+ALTER TABLE content_revisions ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN content_revisions.published_at IS 'When this version went live; the newest published revision is what users see';
+
+-- Everything that existed before this migration is live
+UPDATE content_revisions SET published_at = created_at WHERE published_at IS NULL;
+
+-- ============================================
+-- 2. Revisions track content, not workflow state
+-- ============================================
+
+CREATE OR REPLACE FUNCTION record_content_revision()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_content_type TEXT := TG_ARGV[0];
+  v_snapshot JSONB;
+  v_last_id UUID;
+  v_last_snapshot JSONB;
+  v_last_version INTEGER;
+  v_author_id UUID;
+BEGIN
+  v_snapshot := to_jsonb(NEW) - ARRAY[
+    'id', 'organization_id', 'created_at', 'updated_at', 'content_version',
+    'status', 'review_note', 'submitted_by', 'submitted_at'
+  ];
+
+  SELECT id, snapshot, version INTO v_last_id, v_last_snapshot, v_last_version
+  FROM content_revisions
+  WHERE content_type = v_content_type AND content_id = NEW.id
+  ORDER BY version DESC
+  LIMIT 1;
+
+  -- Unchanged content: publishing it marks the existing version live
+  IF v_last_snapshot IS NOT NULL AND v_last_snapshot = v_snapshot THEN
+    IF NEW.status = 'published' THEN
+      UPDATE content_revisions SET published_at = COALESCE(published_at, NOW()) WHERE id = v_last_id;
+    END IF;
+    RETURN NEW;
+  END IF;
+
+  SELECT id INTO v_author_id FROM users WHERE auth_user_id = auth.uid();
+
+  INSERT INTO content_revisions (organization_id, content_type, content_id, version, snapshot, author_id, published_at)
+  VALUES (
+    NEW.organization_id, v_content_type, NEW.id, COALESCE(v_last_version, 0) + 1, v_snapshot, v_author_id,
+    CASE WHEN NEW.status = 'published' THEN NOW() END
+  );
+
+  RETURN NEW;
+END;
+$$;
+
+-- ============================================
+-- 3. Only admins publish when approval is required
+-- ============================================
+
+CREATE OR REPLACE FUNCTION enforce_content_review()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_required BOOLEAN;
+  v_workflow_keys TEXT[] := ARRAY[
+    'updated_at', 'content_version', 'status', 'review_note', 'submitted_by', 'submitted_at'
+  ];
+BEGIN
+  -- Service role and SQL editor
+  IF auth.uid() IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT require_content_approval INTO v_required FROM organizations WHERE id = NEW.organization_id;
+  IF NOT COALESCE(v_required, false) OR user_is_org_admin(auth.uid(), NEW.organization_id) THEN
+    RETURN NEW;
+  END IF;
+
+  IF NEW.status = 'published' AND (
+    TG_OP = 'INSERT'
+    OR OLD.status IS DISTINCT FROM 'published'
+    OR (to_jsonb(NEW) - v_workflow_keys) IS DISTINCT FROM (to_jsonb(OLD) - v_workflow_keys)
+  ) THEN
+    NEW.status := 'draft';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS banners_enforce_review ON banners;
+CREATE TRIGGER banners_enforce_review
+  BEFORE INSERT OR UPDATE ON banners
+  FOR EACH ROW EXECUTE FUNCTION enforce_content_review();
+
+DROP TRIGGER IF EXISTS plays_enforce_review ON plays;
+CREATE TRIGGER plays_enforce_review
+  BEFORE INSERT OR UPDATE ON plays
+  FOR EACH ROW EXECUTE FUNCTION enforce_content_review();
+
+DROP TRIGGER IF EXISTS wiki_entries_enforce_review ON wiki_entries;
+CREATE TRIGGER wiki_entries_enforce_review
+  BEFORE INSERT OR UPDATE ON wiki_entries
+  FOR EACH ROW EXECUTE FUNCTION enforce_content_review();
+
+-- ============================================
+-- 4. Acknowledgement versions follow the live wording
+-- ============================================
+
+-- content_version (051_banner_acknowledgements.sql) is what users acknowledge, so drafts keep the
+-- live version and it is bumped when new wording is published. Wording is everything a user can
+-- read: title, message, A/B variants and translations. For example, publishing a new German
+-- translation or a reworded variant asks everyone to acknowledge again, while changing only the
+-- rules or placement does not. The trigger is recreated under a name that sorts after
+-- banners_enforce_review, so it sees the status that trigger settles on.
+CREATE OR REPLACE FUNCTION bump_banner_content_version()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_wording_keys TEXT[] := ARRAY['title', 'message', 'variants', 'translations'];
+  v_live JSONB;
+  v_live_wording JSONB;
+  v_new_wording JSONB;
+BEGIN
+  NEW.content_version := OLD.content_version;
+  IF NEW.status IS DISTINCT FROM 'published' THEN
+    RETURN NEW;
+  END IF;
+
+  IF OLD.status = 'published' THEN
+    v_live := to_jsonb(OLD);
+  ELSE
+    SELECT snapshot INTO v_live
+    FROM content_revisions
+    WHERE content_type = 'banner' AND content_id = NEW.id AND published_at IS NOT NULL
+    ORDER BY version DESC
+    LIMIT 1;
+  END IF;
+
+  -- Banners that were never live have nothing acknowledged yet
+  IF v_live IS NULL THEN
+    RETURN NEW;
+  END IF;
+
+  -- Keys missing from older snapshots compare as null
+  SELECT jsonb_object_agg(k, COALESCE(v_live->k, 'null'::jsonb)), jsonb_object_agg(k, to_jsonb(NEW)->k)
+  INTO v_live_wording, v_new_wording
+  FROM unnest(v_wording_keys) AS k;
+
+  IF v_new_wording IS DISTINCT FROM v_live_wording THEN
+    NEW.content_version := OLD.content_version + 1;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON COLUMN banners.content_version IS 'Bumped when changed title, message, variants or translations are published; acknowledgements are per version';
+
+DROP TRIGGER IF EXISTS banners_content_version ON banners;
+DROP TRIGGER IF EXISTS banners_publish_content_version ON banners;
+CREATE TRIGGER banners_publish_content_version
+  BEFORE UPDATE ON banners
+  FOR EACH ROW EXECUTE FUNCTION bump_banner_content_version();
+
+-- ============================================
+-- 5. Submit and review
+-- ============================================
+
+CREATE OR REPLACE FUNCTION content_table_name(p_content_type TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE p_content_type
+    WHEN 'banner' THEN 'banners'
+    WHEN 'play' THEN 'plays'
+    WHEN 'wiki' THEN 'wiki_entries'
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION submit_content_for_review(p_content_type TEXT, p_content_id UUID)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID;
+  v_table TEXT := content_table_name(p_content_type);
+  v_org_id UUID;
+BEGIN
+  SELECT id INTO v_user_id FROM users WHERE auth_user_id = auth.uid();
+  IF v_user_id IS NULL OR v_table IS NULL THEN
+    RETURN json_build_object('success', false, 'error', 'User not found');
+  END IF;
+
+  EXECUTE format('SELECT organization_id FROM %I WHERE id = $1', v_table) INTO v_org_id USING p_content_id;
+  IF v_org_id IS NULL OR NOT check_user_can_edit_org_content(auth.uid(), v_org_id) THEN
+    RETURN json_build_object('success', false, 'error', 'Not allowed to submit this content');
+  END IF;
+
+  EXECUTE format(
+    'UPDATE %I SET status = ''in_review'', review_note = NULL, submitted_by = $1, submitted_at = NOW() WHERE id = $2',
+    v_table
+  ) USING v_user_id, p_content_id;
+
+  RETURN json_build_object('success', true);
+END;
+$$;
+
+-- Approve publishes the current content; reject sends it back to draft with a note.
+-- Returns the submitter so the client can notify them.
+CREATE OR REPLACE FUNCTION review_content(p_content_type TEXT, p_content_id UUID, p_approve BOOLEAN, p_note TEXT DEFAULT NULL)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_table TEXT := content_table_name(p_content_type);
+  v_org_id UUID;
+  v_submitted_by UUID;
+  v_submitter RECORD;
+BEGIN
+  IF v_table IS NULL THEN
+    RETURN json_build_object('success', false, 'error', 'Unknown content type');
+  END IF;
+
+  EXECUTE format('SELECT organization_id, submitted_by FROM %I WHERE id = $1', v_table)
+    INTO v_org_id, v_submitted_by USING p_content_id;
+  IF v_org_id IS NULL OR NOT user_is_org_admin(auth.uid(), v_org_id) THEN
+    RETURN json_build_object('success', false, 'error', 'Only admins can review content');
+  END IF;
+
+  IF p_approve THEN
+    EXECUTE format('UPDATE %I SET status = ''published'', review_note = NULL WHERE id = $1', v_table)
+      USING p_content_id;
+  ELSE
+    EXECUTE format('UPDATE %I SET status = ''draft'', review_note = $1 WHERE id = $2', v_table)
+      USING NULLIF(TRIM(p_note), ''), p_content_id;
+  END IF;
+
+  SELECT email, name INTO v_submitter FROM users WHERE id = v_submitted_by;
+
+  RETURN json_build_object(
+    'success', true,
+    'submitter_email', v_submitter.email,
+    'submitter_name', v_submitter.name
+  );
+END;
+$$;
+
+-- ============================================
+-- 6. Live version of unpublished content for the extension
+-- ============================================
+
+-- Latest published snapshot of every draft or in-review item in the org.
+-- Items never published have no row and are not shown.
+CREATE OR REPLACE FUNCTION get_published_content(p_org_id UUID)
+RETURNS TABLE (
+  content_type TEXT,
+  content_id UUID,
+  snapshot JSONB
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF p_org_id NOT IN (SELECT get_user_org_ids(auth.uid()))
+    AND p_org_id IS DISTINCT FROM get_user_organization_id(auth.uid()) THEN
+    RETURN;
+  END IF;
+
+  RETURN QUERY
+  SELECT DISTINCT ON (r.content_type, r.content_id) r.content_type, r.content_id, r.snapshot
+  FROM content_revisions r
+  WHERE r.organization_id = p_org_id
+    AND r.published_at IS NOT NULL
+    AND (
+      (r.content_type = 'banner' AND r.content_id IN (SELECT id FROM banners WHERE organization_id = p_org_id AND status <> 'published'))
+      OR (r.content_type = 'play' AND r.content_id IN (SELECT id FROM plays WHERE organization_id = p_org_id AND status <> 'published'))
+      OR (r.content_type = 'wiki' AND r.content_id IN (SELECT id FROM wiki_entries WHERE organization_id = p_org_id AND status <> 'published'))
+    )
+  ORDER BY r.content_type, r.content_id, r.version DESC;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION submit_content_for_review(TEXT, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION review_content(TEXT, UUID, BOOLEAN, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_published_content(UUID) TO authenticated;
@@ -0,0 +1,99 @@
+-- Migration: Play Checklist Progress
+--
+-- Plays can have checklist sections ({ type: 'checklist', items: [{ id, label }] } in
+-- plays.sections) that reps tick off in the sidepanel. Ticked items are stored per play,
+-- record and user so progress follows the rep across machines:
+--   record_key      = '<objectType>:<recordId>' (same format as banner_dismissals)
+--   completed_items = IDs of the ticked checklist items
+--
+-- Run this in Supabase SQL Editor
+
+-- ============================================
+-- 1. Progress table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS play_checklist_progress (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  organization_id UUID NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  play_id UUID NOT NULL REFERENCES plays(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  record_key TEXT NOT NULL,
+  completed_items TEXT[] NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  UNIQUE(play_id, user_id, record_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_play_checklist_progress_user ON play_checklist_progress(user_id, organization_id);
+CREATE INDEX IF NOT EXISTS idx_play_checklist_progress_org ON play_checklist_progress(organization_id);
+
+COMMENT ON TABLE play_checklist_progress IS 'Checklist items each user ticked on a play, per record';
+
+-- ============================================
+-- 2. RLS Policies
+-- ============================================
+
+ALTER TABLE play_checklist_progress ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users see own play_checklist_progress" ON play_checklist_progress;
+DROP POLICY IF EXISTS "Service role can manage play_checklist_progress" ON play_checklist_progress;
+
+-- Policy: Users can read their own progress (writes go through save_play_checklist_progress)
+CREATE POLICY "Users see own play_checklist_progress" ON play_checklist_progress
+  FOR SELECT USING (
+    user_id IN (SELECT id FROM users WHERE auth_user_id = auth.uid())
+  );
+
+-- Policy: Service role has full access
+CREATE POLICY "Service role can manage play_checklist_progress" ON play_checklist_progress
+  FOR ALL USING (auth.role() = 'service_role');
+
+GRANT SELECT ON play_checklist_progress TO authenticated;
+
+-- ============================================
+-- 3. Save progress
+-- ============================================
+
+CREATE OR REPLACE FUNCTION save_play_checklist_progress(
+  p_play_id UUID,
+  p_record_key TEXT,
+  p_completed_items TEXT[]
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID;
+  v_org_id UUID;
+BEGIN
+  SELECT id INTO v_user_id FROM users WHERE auth_user_id = auth.uid();
+  IF v_user_id IS NULL THEN
+    RETURN json_build_object('success', false, 'error', 'User not found');
+  END IF;
+
+  SELECT organization_id INTO v_org_id FROM plays WHERE id = p_play_id;
+  IF v_org_id IS NULL THEN
+    RETURN json_build_object('success', false, 'error', 'Play not found');
+  END IF;
+
+  IF v_org_id NOT IN (SELECT get_user_org_ids(auth.uid())) THEN
+    RETURN json_build_object('success', false, 'error', 'Not a member of this organization');
+  END IF;
+
+  IF COALESCE(p_record_key, '') = '' THEN
+    RETURN json_build_object('success', false, 'error', 'Record is required');
+  END IF;
+
+  INSERT INTO play_checklist_progress (organization_id, play_id, user_id, record_key, completed_items)
+  VALUES (v_org_id, p_play_id, v_user_id, p_record_key, COALESCE(p_completed_items, '{}'))
+  ON CONFLICT (play_id, user_id, record_key) DO UPDATE SET
+    completed_items = EXCLUDED.completed_items,
+    updated_at = NOW();
+
+  RETURN json_build_object('success', true);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION save_play_checklist_progress(UUID, TEXT, TEXT[]) TO authenticated;
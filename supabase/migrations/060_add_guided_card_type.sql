@@ -0,0 +1,19 @@
+-- Migration: Add guided to plays card_type constraint
+--
+-- Guided plays are decision trees reps walk through step by step in the sidepanel.
+-- Their steps are stored in plays.sections as { type: 'step', id, title, content, property,
+-- choices: [{ id, label, value, nextStepId }] }, so no new columns are needed.
+--
+-- Run this in Supabase SQL Editor
+
+-- Drop the existing constraint
+ALTER TABLE plays DROP CONSTRAINT IF EXISTS plays_card_type_check;
+
+-- Add the new constraint with guided included
+ALTER TABLE plays ADD CONSTRAINT plays_card_type_check
+  CHECK (card_type IN ('competitor', 'objection', 'tip', 'process', 'recommended_content', 'guided'));
+
+-- Verify the constraint
+SELECT conname, pg_get_constraintdef(oid)
+FROM pg_constraint
+WHERE conname = 'plays_card_type_check';
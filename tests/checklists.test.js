@@ -0,0 +1,68 @@
+/**
+ * RevGuide - Play Checklists Tests
+ *
+ * Tests for checklist completion per section and per play.
+ */
+
+const { TestRunner, assert, assertEqual } = require('./setup');
+const Checklists = require('../lib/checklists');
+
+const play = {
+  id: 'play-1',
+  sections: [
+    { type: 'text', title: 'Why', content: '<p>Close the paperwork early.</p>' },
+    { type: 'checklist', title: 'Paperwork', items: [
+      { id: 'msa', label: 'Send MSA' },
+      { id: 'dpa', label: 'Send DPA' },
+      { id: 'blank', label: '  ' }
+    ] },
+    { type: 'checklist', title: 'People', items: [{ id: 'dm', label: 'Confirm decision maker' }] }
+  ]
+};
+
+// Run tests
+const runner = new TestRunner();
+
+runner.test('plays without a checklist have no progress', () => {
+  assertEqual(Checklists.getPlayProgress({ sections: [{ type: 'text', content: 'x' }] }, []), null, 'Text only');
+  assertEqual(Checklists.getPlayProgress({}, ['msa']), null, 'No sections');
+  assertEqual(Checklists.getPlayProgress({ sections: [{ type: 'checklist', items: [] }] }, []), null, 'Empty checklist');
+});
+
+runner.test('progress counts ticked items across checklist sections', () => {
+  const none = Checklists.getPlayProgress(play, []);
+  assertEqual(none.total, 3, 'Blank items are not counted');
+  assertEqual(none.percent, 0, 'Nothing ticked');
+
+  const some = Checklists.getPlayProgress(play, ['msa', 'dm', 'removed-item']);
+  assertEqual(some.done, 2, 'Ticks for removed items are ignored');
+  assertEqual(some.percent, 67, 'Rounded percentage');
+
+  const section = Checklists.getSectionProgress(play.sections[1], ['msa', 'dm']);
+  assertEqual(`${section.done}/${section.total}`, '1/2', 'Section only counts its own items');
+  assertEqual(Checklists.getSectionProgress(play.sections[0], ['msa']).total, 0, 'Not a checklist');
+});
+
+runner.test('ticking and unticking items', () => {
+  let completed = Checklists.setItemCompleted([], 'msa', true);
+  completed = Checklists.setItemCompleted(completed, 'msa', true);
+  assertEqual(completed.join(','), 'msa', 'No duplicates');
+
+  completed = Checklists.setItemCompleted(completed, 'dpa', true);
+  completed = Checklists.setItemCompleted(completed, 'msa', false);
+  assertEqual(completed.join(','), 'dpa', 'Unticked item removed');
+});
+
+runner.test('record and progress keys', () => {
+  assertEqual(Checklists.getRecordKey('deal', '123'), 'deal:123', 'Record key');
+  assertEqual(Checklists.getRecordKey('deal', null), '', 'No record');
+  assertEqual(Checklists.getProgressKey('play-1', 'deal:123'), 'play-1|deal:123', 'Progress key');
+
+  const id = Checklists.createItemId();
+  assert(id.startsWith('item_') && id !== Checklists.createItemId(), 'Unique item IDs');
+});
+
+// Run all tests
+runner.run().then(success => {
+  process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,79 @@
+/**
+ * RevGuide - Computed Properties Tests
+ *
+ * Tests for the formula language behind org-defined computed properties.
+ */
+
+const { TestRunner, assert, assertEqual } = require('./setup');
+const ComputedProperties = require('../lib/computed-properties');
+const RulesEngine = require('../lib/rules-engine');
+
+const NOW = Date.parse('2025-03-15T12:00:00Z');
+const evaluate = (expression, properties = {}) => ComputedProperties.evaluate(expression, properties, { now: NOW });
+
+// Run tests
+const runner = new TestRunner();
+
+runner.test('arithmetic follows precedence and treats HubSpot strings as numbers', () => {
+  assertEqual(evaluate('1 + 2 * 3'), 7, 'Multiplication binds tighter');
+  assertEqual(evaluate('(1 + 2) * 3'), 9, 'Parentheses group');
+  assertEqual(evaluate('round((list_price - amount) / list_price * 100, 1)', { list_price: '1200', amount: '1000' }), 16.7,
+    'Discount percent');
+  assertEqual(evaluate('-amount', { amount: '5' }), -5, 'Unary minus');
+});
+
+runner.test('empty and non-numeric operands give empty results', () => {
+  assertEqual(evaluate('amount * 2', {}), null, 'Missing property');
+  assertEqual(evaluate('amount / 0', { amount: '10' }), null, 'Division by zero');
+  assertEqual(evaluate('name + 1', { name: 'Acme' }), null, 'Text is not added');
+  assertEqual(ComputedProperties.formatResult(null), '', 'Empty results format as blank');
+  assertEqual(ComputedProperties.formatResult(0.1 + 0.2), '0.3', 'Floating point noise is trimmed');
+});
+
+runner.test('text, comparisons and if()', () => {
+  assertEqual(evaluate('firstname & " " & lastname', { firstname: 'Ada', lastname: 'Lovelace' }), 'Ada Lovelace', '& joins text');
+  assertEqual(evaluate('if(amount >= 50000, "Enterprise", "Mid-market")', { amount: '75000' }), 'Enterprise', 'if() picks then');
+  assertEqual(evaluate('if(amount >= 50000, "Enterprise")', { amount: '100' }), null, 'if() without else is empty');
+  assert(evaluate('dealstage == "ClosedWon" && !is_empty(amount)', { dealstage: 'closedwon', amount: '1' }), 'Case-insensitive equality');
+  assert(evaluate('closedate > "2025-01-01"', { closedate: '2025-02-01T00:00:00Z' }), 'Dates compare chronologically');
+});
+
+runner.test('date functions count whole days', () => {
+  assertEqual(evaluate('days_since(entered)', { entered: '2025-03-01T09:00:00Z' }), 14, 'days_since');
+  assertEqual(evaluate('days_until(closedate)', { closedate: String(Date.parse('2025-03-20T12:00:00Z')) }), 5, 'Epoch milliseconds');
+  assertEqual(evaluate('days_between(a, b)', { a: '2025-01-01', b: '2025-01-31' }), 30, 'days_between');
+  assertEqual(evaluate('days_since(missing)'), null, 'Missing dates are empty');
+});
+
+runner.test('invalid formulas are reported with a reason', () => {
+  assert(!ComputedProperties.validate('round(1, 2, 3)').valid, 'Too many arguments');
+  assert(ComputedProperties.validate('foo(1)').error.includes('Unknown function'), 'Unknown function');
+  assert(!ComputedProperties.validate('(1 + 2').valid, 'Unclosed parenthesis');
+  assert(!ComputedProperties.validate('"unterminated').valid, 'Unterminated text');
+  assertEqual(ComputedProperties.validate('amount * company.tier_discount').references.join(','), 'amount,company.tier_discount',
+    'References are listed');
+});
+
+runner.test('computed properties are namespaced, ordered and usable in rules', () => {
+  const definitions = [
+    { key: 'discount', expression: 'list_price - amount', objectType: 'deals' },
+    { key: 'discount_pct', expression: 'round(computed.discount / list_price * 100)', objectType: 'deals' },
+    { key: 'contact_only', expression: '1', objectType: 'contacts' },
+    { key: 'broken', expression: '((' }
+  ];
+  const properties = { list_price: '1000', amount: '850' };
+  const computed = ComputedProperties.applyComputedProperties(definitions, properties, { objectType: 'deal', now: NOW });
+
+  assertEqual(computed['computed.discount_pct'], '15', 'Later formulas can use earlier ones');
+  assert(!('computed.contact_only' in computed), 'Other object types are skipped');
+  assertEqual(computed['computed.broken'], '', 'Invalid formulas are blank');
+
+  const engine = new RulesEngine();
+  const rule = { id: 'r', conditions: [{ property: 'computed.discount_pct', operator: 'greater_than', value: '10' }] };
+  assertEqual(engine.evaluateRules([rule], { ...properties, ...computed }, {}).length, 1, 'Rules read computed values');
+});
+
+// Run all tests
+runner.run().then(success => {
+  process.exit(success ? 0 : 1);
+});
@@ -6,6 +6,7 @@
 
 const { TestRunner, assert, assertEqual } = require('./setup');
 const RulesEngine = require('../lib/rules-engine');
+const ContentRecommendationEngine = require('../lib/content-recommendations');
 
 const engine = new RulesEngine();
 
@@ -132,6 +133,396 @@ runner.test('null conditions - should return true', () => {
   assert(evaluateConditions(null, {}, 'AND'), 'Null conditions should return true');
 });
 
+// Date operator tests
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FIXED_NOW = Date.parse('2025-03-15T12:00:00.000Z');
+const dateEngine = new RulesEngine();
+dateEngine.now = () => FIXED_NOW;
+
+function evaluateDateCondition(condition, recordData) {
+  return dateEngine.evaluateCondition(condition, recordData);
+}
+
+runner.test('is_before operator - ISO date string', () => {
+  const condition = { property: 'closedate', operator: 'is_before', value: '2025-04-01' };
+  assert(evaluateDateCondition(condition, { closedate: '2025-03-20T10:00:00.000Z' }), 'Should be before target date');
+  assert(!evaluateDateCondition(condition, { closedate: '2025-04-02' }), 'Should not be before target date');
+});
+
+runner.test('is_after operator - epoch milliseconds', () => {
+  const condition = { property: 'closedate', operator: 'is_after', value: '2025-01-01' };
+  const data = { closedate: String(Date.parse('2025-02-01T00:00:00.000Z')) };
+  assert(evaluateDateCondition(condition, data), 'Epoch ms string should be parsed as a date');
+  assert(evaluateDateCondition(condition, { closedate: Date.parse('2025-02-01') }), 'Epoch ms number should be parsed as a date');
+});
+
+runner.test('date operators - empty or invalid value never matches', () => {
+  const condition = { property: 'closedate', operator: 'is_before', value: '2025-04-01' };
+  assert(!evaluateDateCondition(condition, {}), 'Missing date should not match');
+  assert(!evaluateDateCondition(condition, { closedate: 'not a date' }), 'Invalid date should not match');
+});
+
+runner.test('within_last_n_days operator', () => {
+  const condition = { property: 'notes_last_contacted', operator: 'within_last_n_days', value: '7' };
+  assert(evaluateDateCondition(condition, { notes_last_contacted: FIXED_NOW - 3 * DAY_MS }), '3 days ago should be within last 7 days');
+  assert(!evaluateDateCondition(condition, { notes_last_contacted: FIXED_NOW - 10 * DAY_MS }), '10 days ago should not match');
+  assert(!evaluateDateCondition(condition, { notes_last_contacted: FIXED_NOW + DAY_MS }), 'Future date should not match');
+});
+
+runner.test('within_next_n_days operator', () => {
+  const condition = { property: 'closedate', operator: 'within_next_n_days', value: '30' };
+  assert(evaluateDateCondition(condition, { closedate: new Date(FIXED_NOW + 5 * DAY_MS).toISOString() }), '5 days ahead should match');
+  assert(!evaluateDateCondition(condition, { closedate: new Date(FIXED_NOW + 45 * DAY_MS).toISOString() }), '45 days ahead should not match');
+  assert(!evaluateDateCondition(condition, { closedate: new Date(FIXED_NOW - DAY_MS).toISOString() }), 'Past date should not match');
+});
+
+runner.test('relative date operators - date-only values count from the start of today', () => {
+  const next = { property: 'closedate', operator: 'within_next_n_days', value: '7' };
+  const last = { property: 'closedate', operator: 'within_last_n_days', value: '7' };
+  assert(evaluateDateCondition(next, { closedate: '2025-03-15' }), 'Today is within the next 7 days');
+  assert(evaluateDateCondition(last, { closedate: '2025-03-15' }), 'Today is within the last 7 days');
+  assert(evaluateDateCondition({ ...next, value: '0' }, { closedate: '2025-03-15' }), 'Today is within the next 0 days');
+  assert(evaluateDateCondition(last, { closedate: '2025-03-08' }), 'Seven days ago is within the last 7 days');
+  assert(!evaluateDateCondition(last, { closedate: '2025-03-07' }), 'Eight days ago is not');
+  assert(evaluateDateCondition(next, { closedate: String(Date.parse('2025-03-22')) }), 'Seven days ahead as epoch ms');
+  assert(!evaluateDateCondition(next, { closedate: '2025-03-14' }), 'Yesterday is not in the next 7 days');
+  assert(!evaluateDateCondition({ property: 'closedate', operator: 'more_than_n_days_ago', value: '0' }, { closedate: '2025-03-15' }), 'Today is not more than 0 days ago');
+});
+
+runner.test('more_than_n_days_ago operator', () => {
+  const condition = { property: 'notes_last_contacted', operator: 'more_than_n_days_ago', value: '14' };
+  assert(evaluateDateCondition(condition, { notes_last_contacted: '2025-02-01' }), 'Six weeks ago should match');
+  assert(!evaluateDateCondition(condition, { notes_last_contacted: '2025-03-10' }), 'Five days ago should not match');
+  assert(!evaluateDateCondition({ ...condition, value: 'abc' }, { notes_last_contacted: '2025-02-01' }), 'Invalid day count should not match');
+});
+
+runner.test('is_today operator - date-only and datetime values', () => {
+  const condition = { property: 'closedate', operator: 'is_today', value: '' };
+  assert(evaluateDateCondition(condition, { closedate: '2025-03-15' }), 'Date-only value for today should match');
+  assert(evaluateDateCondition(condition, { closedate: FIXED_NOW }), 'Current timestamp should match');
+  assert(!evaluateDateCondition(condition, { closedate: '2025-03-14' }), 'Yesterday should not match');
+});
+
+// Property-to-property comparison tests
+runner.test('property comparison - greater_than another number property', () => {
+  const condition = { property: 'amount', operator: 'greater_than', value: 'forecast_amount', valueSource: 'property' };
+  assert(evaluateCondition(condition, { amount: '15000', forecast_amount: '12000' }), 'Amount should exceed forecast');
+  assert(!evaluateCondition(condition, { amount: '9000', forecast_amount: '12000' }), 'Amount should not exceed forecast');
+});
+
+runner.test('property comparison - equals normalizes numbers', () => {
+  const condition = { property: 'amount', operator: 'equals', value: 'forecast_amount', valueSource: 'property' };
+  assert(evaluateCondition(condition, { amount: '1000', forecast_amount: '1000.00' }), 'Numerically equal values should match');
+});
+
+runner.test('property comparison - dates compared chronologically', () => {
+  const condition = { property: 'hs_lastmodifieddate', operator: 'greater_than', value: 'closedate', valueSource: 'property' };
+  const data = { hs_lastmodifieddate: '2025-03-02T08:30:00.000Z', closedate: '2025-03-01' };
+  assert(evaluateCondition(condition, data), 'Later datetime should be greater than earlier date');
+
+  const afterCondition = { property: 'hs_lastmodifieddate', operator: 'is_after', value: 'closedate', valueSource: 'property' };
+  assert(evaluateCondition(afterCondition, data), 'is_after should work against another date property');
+});
+
+runner.test('property comparison - equals matches same date in different formats', () => {
+  const condition = { property: 'closedate', operator: 'equals', value: 'renewal_date', valueSource: 'property' };
+  assert(evaluateCondition(condition, { closedate: '2025-03-01', renewal_date: '2025-03-01T00:00:00.000Z' }), 'Same instant should be equal');
+});
+
+runner.test('property comparison - empty referenced property never matches', () => {
+  const condition = { property: 'amount', operator: 'not_equals', value: 'forecast_amount', valueSource: 'property' };
+  assert(!evaluateCondition(condition, { amount: '1000' }), 'Missing compared property should not match');
+});
+
+runner.test('property comparison - literal values are not treated as property names', () => {
+  const condition = { property: 'dealstage', operator: 'equals', value: 'pipeline' };
+  assert(!evaluateCondition(condition, { dealstage: 'default', pipeline: 'default' }), 'Literal value should be compared as text');
+});
+
+// Multi-select operator tests
+runner.test('has_any_of operator - matches whole options only', () => {
+  const condition = { property: 'partner_type', operator: 'has_any_of', value: 'API' };
+  assert(evaluateCondition(condition, { partner_type: 'API;Reseller' }), 'Should match an exact option');
+  assert(!evaluateCondition(condition, { partner_type: 'API Partner;Reseller' }), 'Should not match a partial option');
+});
+
+runner.test('has_all_of operator', () => {
+  const condition = { property: 'products', operator: 'has_all_of', value: 'sales hub;service hub' };
+  assert(evaluateCondition(condition, { products: 'Sales Hub;Marketing Hub;Service Hub' }), 'Should contain every option');
+  assert(!evaluateCondition(condition, { products: 'Sales Hub;Marketing Hub' }), 'Should fail when an option is missing');
+});
+
+runner.test('has_none_of operator', () => {
+  const condition = { property: 'products', operator: 'has_none_of', value: 'Service Hub;CMS Hub' };
+  assert(evaluateCondition(condition, { products: 'Sales Hub;Marketing Hub' }), 'Should pass when no option is present');
+  assert(!evaluateCondition(condition, { products: 'Sales Hub;CMS Hub' }), 'Should fail when an option is present');
+  assert(evaluateCondition(condition, {}), 'Empty property has none of the options');
+});
+
+// Regex operator tests
+runner.test('matches_regex operator - case-insensitive by default', () => {
+  const condition = { property: 'email', operator: 'matches_regex', value: '@(acme|globex)\\.com$' };
+  assert(evaluateCondition(condition, { email: 'jane@ACME.com' }), 'Should match pattern');
+  assert(!evaluateCondition(condition, { email: 'jane@acme.co.uk' }), 'Should not match pattern');
+});
+
+runner.test('matches_regex operator - /pattern/flags syntax', () => {
+  const condition = { property: 'name', operator: 'matches_regex', value: '/^Acme/' };
+  assert(evaluateCondition(condition, { name: 'Acme Corp' }), 'Should match with explicit flags');
+  assert(!evaluateCondition(condition, { name: 'acme corp' }), 'Should be case-sensitive without i flag');
+});
+
+runner.test('matches_regex operator - invalid and unsafe patterns never match', () => {
+  assert(!evaluateCondition({ property: 'name', operator: 'matches_regex', value: '[unclosed' }, { name: '[unclosed' }), 'Invalid pattern should not match');
+  assert(!evaluateCondition({ property: 'name', operator: 'matches_regex', value: '(a+)+$' }, { name: 'aaaa' }), 'Nested quantifier should be rejected');
+});
+
+runner.test('matches_regex operator - patterns that backtrack catastrophically are rejected', () => {
+  const regexEngine = new RulesEngine();
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    ['((a+))+', '(a|a)*', '(a|aa)+', '(\\w+\\s?)+', '(a|)+', '(\\w|\\d)+'].forEach(pattern => {
+      assertEqual(regexEngine.compileRegex(pattern), null, `${pattern} should be rejected`);
+    });
+    ['(foo|bar)+', '@(acme|globex)\\.com$', '(\\d{3}-)?\\d{4}', '[(a+)]+', '(ab){3}'].forEach(pattern => {
+      assert(regexEngine.compileRegex(pattern) instanceof RegExp, `${pattern} should compile`);
+    });
+  } finally {
+    console.warn = warn;
+  }
+});
+
+runner.test('matches_regex operator - compiled patterns are cached', () => {
+  const regexEngine = new RulesEngine();
+  const first = regexEngine.compileRegex('^deal');
+  assertEqual(regexEngine.compileRegex('^deal'), first, 'Should reuse the compiled pattern');
+});
+
+// Nested condition group tests
+// (A AND (B OR C)) OR (D AND E AND NOT F)
+const territoryRule = {
+  groupLogic: 'OR',
+  conditionGroups: [
+    {
+      id: 'g1',
+      logic: 'AND',
+      conditions: [{ property: 'country', operator: 'equals', value: 'US' }],
+      groups: [{
+        id: 'g1a',
+        logic: 'OR',
+        conditions: [
+          { property: 'state', operator: 'equals', value: 'CA' },
+          { property: 'state', operator: 'equals', value: 'WA' }
+        ]
+      }]
+    },
+    {
+      id: 'g2',
+      logic: 'AND',
+      conditions: [
+        { property: 'industry', operator: 'equals', value: 'software' },
+        { property: 'tier', operator: 'equals', value: 'enterprise' }
+      ],
+      groups: [{
+        id: 'g2a',
+        negate: true,
+        conditions: [{ property: 'lifecyclestage', operator: 'equals', value: 'customer' }]
+      }]
+    }
+  ]
+};
+
+runner.test('nested groups - matches via sub-group OR', () => {
+  assert(engine.evaluateRule(territoryRule, { country: 'US', state: 'WA' }), 'A AND (B OR C) should match');
+  assert(!engine.evaluateRule(territoryRule, { country: 'US', state: 'TX' }), 'Sub-group failing should fail the group');
+});
+
+runner.test('nested groups - NOT sub-group', () => {
+  const data = { industry: 'software', tier: 'enterprise', lifecyclestage: 'lead' };
+  assert(engine.evaluateRule(territoryRule, data), 'D AND E AND NOT F should match when F is false');
+  assert(!engine.evaluateRule(territoryRule, { ...data, lifecyclestage: 'customer' }), 'Should fail when F is true');
+});
+
+runner.test('nested groups - negate on a top-level group', () => {
+  const rule = {
+    conditionGroups: [{ id: 'g', negate: true, logic: 'OR', conditions: [
+      { property: 'dealstage', operator: 'equals', value: 'closedwon' },
+      { property: 'dealstage', operator: 'equals', value: 'closedlost' }
+    ] }]
+  };
+  assert(engine.evaluateRule(rule, { dealstage: 'qualified' }), 'Open deal is NOT closed');
+  assert(!engine.evaluateRule(rule, { dealstage: 'closedwon' }), 'Closed deal should fail');
+});
+
+runner.test('nested groups - flat groups without sub-groups still work', () => {
+  const rule = {
+    groupLogic: 'AND',
+    conditionGroups: [{ id: 'g', logic: 'AND', conditions: [{ property: 'amount', operator: 'greater_than', value: '100' }] }]
+  };
+  assert(engine.evaluateRule(rule, { amount: '500' }), 'Single-level group should evaluate as before');
+});
+
+// explainRule tests
+runner.test('explainRule - reports the failing filter', () => {
+  const rule = { id: 'r1', name: 'Deal banner', objectTypes: ['deal'], conditions: [] };
+  const explanation = engine.explainRule(rule, {}, { objectType: 'contact' });
+  assert(!explanation.matched, 'Should not match');
+  assertEqual(explanation.failedAt, 'objectType', 'Should fail at objectType');
+  const filter = explanation.filters.find(f => f.filter === 'objectType');
+  assertEqual(filter.actual, 'contact', 'Should report the actual object type');
+});
+
+runner.test('explainRule - reports failing conditions with compared values', () => {
+  const rule = {
+    id: 'r2',
+    conditionGroups: [{ id: 'g1', logic: 'AND', conditions: [
+      { property: 'amount', operator: 'greater_than', value: '10000' },
+      { property: 'dealtype', operator: 'equals', value: 'newbusiness' }
+    ] }]
+  };
+  const explanation = engine.explainRule(rule, { amount: '5000', dealtype: 'newbusiness' }, {});
+  assertEqual(explanation.failedAt, 'conditions', 'Should fail at conditions');
+  const [amountTrace, typeTrace] = explanation.conditions.groups[0].conditions;
+  assert(!amountTrace.passed, 'Amount condition should fail');
+  assertEqual(amountTrace.actual, '5000', 'Should include the record value');
+  assert(typeTrace.passed, 'Deal type condition should pass');
+  assertEqual(RulesEngine.collectConditions(explanation.conditions).length, 2, 'Should flatten all conditions');
+});
+
+runner.test('explainRule - matched and displayOnAll rules', () => {
+  const matched = engine.explainRule({ id: 'r3', conditions: [{ property: 'a', operator: 'equals', value: '1' }] }, { a: '1' });
+  assert(matched.matched, 'Should match');
+  assertEqual(matched.failedAt, null, 'Nothing should fail');
+
+  const onAll = engine.explainRule({ id: 'r4', displayOnAll: true, conditions: [{ property: 'a', operator: 'equals', value: '1' }] }, {});
+  assert(onAll.matched, 'displayOnAll should match regardless of conditions');
+  assertEqual(onAll.conditions, null, 'Conditions are not evaluated for displayOnAll');
+});
+
+runner.test('explainRule - agrees with evaluateRules', () => {
+  const rules = [
+    { id: 'a', enabled: false },
+    { id: 'b', conditions: [{ property: 'x', operator: 'equals', value: '1' }] },
+    { id: 'c', conditions: [{ property: 'x', operator: 'equals', value: '2' }] }
+  ];
+  const props = { x: '1' };
+  const matchedIds = engine.evaluateRules(rules, props, {}).map(r => r.id);
+  const explainedIds = rules.filter(r => engine.explainRule(r, props, {}).matched).map(r => r.id);
+  assertEqual(explainedIds.join(','), matchedIds.join(','), 'Should agree on matching rules');
+});
+
+// Activation schedule tests (FIXED_NOW is Saturday 2025-03-15 12:00 UTC)
+runner.test('Schedule - start and end datetimes', () => {
+  const upcoming = { id: 's1', displayOnAll: true, schedule: { startAt: '2025-04-01T00:00:00Z' } };
+  const live = { id: 's2', displayOnAll: true, schedule: { startAt: '2025-03-01T00:00:00Z', endAt: '2025-03-31T00:00:00Z' } };
+  const ended = { id: 's3', displayOnAll: true, schedule: { endAt: '2025-03-15T11:59:00Z' } };
+  const matched = dateEngine.evaluateRules([upcoming, live, ended], {}, {}).map(r => r.id);
+  assertEqual(matched.join(','), 's2', 'Only the live window should match');
+  assertEqual(RulesEngine.getScheduleStatus(upcoming.schedule, FIXED_NOW), 'upcoming', 'Future start is upcoming');
+  assertEqual(RulesEngine.getScheduleStatus(ended.schedule, FIXED_NOW), 'expired', 'Past end is expired');
+});
+
+runner.test('Schedule - recurring days and times in a timezone', () => {
+  const weekend = { days: [0, 6], timezone: 'UTC' };
+  const weekdays = { days: [1, 2, 3, 4, 5], timezone: 'UTC' };
+  const businessHours = { startTime: '09:00', endTime: '17:00', timezone: 'UTC' };
+  const evening = { startTime: '18:00', endTime: '23:00', timezone: 'UTC' };
+  assertEqual(RulesEngine.getScheduleStatus(weekend, FIXED_NOW), 'active', 'Saturday is in a weekend window');
+  assertEqual(RulesEngine.getScheduleStatus(weekdays, FIXED_NOW), 'inactive', 'Saturday is outside a weekday window');
+  assertEqual(RulesEngine.getScheduleStatus(businessHours, FIXED_NOW), 'active', 'Noon is within business hours');
+  assertEqual(RulesEngine.getScheduleStatus(evening, FIXED_NOW), 'inactive', 'Noon is outside an evening window');
+  assertEqual(RulesEngine.getScheduleStatus({ ...businessHours, timezone: 'America/Los_Angeles' }, FIXED_NOW), 'inactive',
+    'Noon UTC is 05:00 in Los Angeles');
+});
+
+runner.test('Schedule - overnight windows belong to the day they start', () => {
+  const fridayNight = { days: [5], startTime: '22:00', endTime: '02:00', timezone: 'UTC' };
+  assertEqual(RulesEngine.getScheduleStatus(fridayNight, Date.parse('2025-03-15T01:00:00Z')), 'active', 'Saturday 01:00 continues Friday night');
+  assertEqual(RulesEngine.getScheduleStatus(fridayNight, Date.parse('2025-03-15T23:00:00Z')), 'inactive', 'Saturday 23:00 is not Friday night');
+  assertEqual(RulesEngine.getScheduleStatus(fridayNight, Date.parse('2025-03-14T22:30:00Z')), 'active', 'Friday 22:30 is in the window');
+});
+
+runner.test('Schedule - empty schedules are ignored and failures are explained', () => {
+  assertEqual(RulesEngine.getScheduleStatus({}, FIXED_NOW), 'none', 'Empty schedule means always active');
+  assert(dateEngine.isScheduleActive(null), 'No schedule is active');
+  const explanation = dateEngine.explainRule({ id: 'x', displayOnAll: true, schedule: { days: [1], timezone: 'UTC' } }, {}, {});
+  assertEqual(explanation.failedAt, 'schedule', 'Should fail at schedule');
+  assert(RulesEngine.summarizeExplanation(explanation).includes('Mon'), 'Summary should describe the window');
+});
+
+runner.test('Schedule - recommended content outside its window is skipped', () => {
+  const recommendations = new ContentRecommendationEngine(dateEngine);
+  const content = [
+    { id: 'c1', title: 'Always', display_on_all: true },
+    { id: 'c2', title: 'Next month', display_on_all: true, schedule: { startAt: '2025-04-01T00:00:00Z' } }
+  ];
+  const matching = recommendations.getMatchingContent(content, new Set(), {}, {});
+  assertEqual(matching.map(c => c.id).join(','), 'c1', 'Scheduled content should wait for its window');
+});
+
+// Audience targeting tests
+runner.test('Audience - roles, users and teams', () => {
+  const rule = (audience) => ({ id: 'a', displayOnAll: true, audience });
+  const sdr = { id: 'u1', role: 'viewer', hubspotOwnerId: '100', hubspotTeamIds: ['emea'] };
+  const match = (audience, user) => engine.evaluateRules([rule(audience)], {}, { user }).length === 1;
+
+  assert(match({ roles: ['viewer'] }, sdr), 'Viewer role should match');
+  assert(match({ roles: ['viewer'] }, { ...sdr, role: 'member' }), 'Legacy member role counts as viewer');
+  assert(!match({ roles: ['admin', 'owner'] }, sdr), 'Viewer should not match an admin-only audience');
+  assert(match({ userIds: ['u1', 'u2'] }, sdr), 'Listed user should match');
+  assert(!match({ userIds: ['u2'] }, sdr), 'Unlisted user should not match');
+  assert(match({ teamIds: ['emea'] }, sdr), 'Team member should match');
+  assert(!match({ teamIds: ['amer'] }, sdr), 'Other team should not match');
+  assert(!match({ roles: ['viewer'], teamIds: ['amer'] }, sdr), 'Every criterion must match');
+  assert(!match({ roles: ['viewer'] }, null), 'No user should not match a targeted rule');
+  assert(match({}, null), 'An empty audience targets everyone');
+});
+
+runner.test('Audience - record owner is the current user', () => {
+  const rule = { id: 'o', name: 'My deals', displayOnAll: true, audience: { ownerIsCurrentUser: true } };
+  const user = { id: 'u1', role: 'editor', hubspotOwnerId: '100' };
+  assertEqual(engine.evaluateRules([rule], { hubspot_owner_id: '100' }, { user }).length, 1, 'Owner should see it');
+  assertEqual(engine.evaluateRules([rule], { hubspot_owner_id: '200' }, { user }).length, 0, 'Non-owner should not');
+  const explanation = engine.explainRule(rule, { hubspot_owner_id: '200' }, { user });
+  assertEqual(explanation.failedAt, 'audience', 'Should fail at audience');
+  assertEqual(RulesEngine.summarizeExplanation(explanation), 'Only shows to the record owner', 'Should explain the audience');
+});
+
+// Associated-record condition tests
+runner.test('Associations - namespaced keys are parsed and collected from rules', () => {
+  assertEqual(RulesEngine.parseAssociationKey('company.industry').objectType, 'companies', 'company.* reads companies');
+  assertEqual(RulesEngine.parseAssociationKey('tickets.open_count').aggregate, 'open_count', 'tickets.open_count is a count');
+  assertEqual(RulesEngine.parseAssociationKey('dealstage'), null, 'Own properties are not associations');
+  assertEqual(RulesEngine.parseAssociationKey('tickets.subject'), null, 'Plural prefixes only take counts');
+
+  const request = RulesEngine.getAssociationRequest([
+    { conditionGroups: [{ conditions: [{ property: 'company.industry', operator: 'equals', value: 'Software' }],
+      groups: [{ conditions: [{ property: 'amount', operator: 'greater_than', valueSource: 'property', value: 'company.annualrevenue' }] }] }] },
+    { conditions: [{ property: 'tickets.open_count', operator: 'greater_than', value: '0' }] }
+  ]);
+  assertEqual(request.companies.properties.join(','), 'industry,annualrevenue', 'Should collect nested and compared properties');
+  assert(request.tickets.openCount && !request.tickets.count, 'Should request only the open ticket count');
+});
+
+runner.test('Associations - flattened values drive conditions', () => {
+  const request = { companies: { properties: ['industry', 'tier'], count: false, openCount: false }, tickets: { properties: [], count: true, openCount: true } };
+  const properties = RulesEngine.flattenAssociations(request, {
+    companies: { count: 1, openCount: null, primary: { id: '1', properties: { industry: 'Software' } } },
+    tickets: { count: 3, openCount: 2, primary: { id: '9', properties: {} } }
+  });
+  assertEqual(properties['company.tier'], '', 'Missing values should be blank');
+  assertEqual(properties['tickets.open_count'], '2', 'Counts should be injected as strings');
+
+  const rule = { id: 'r', conditionGroups: [{ logic: 'AND', conditions: [
+    { property: 'company.industry', operator: 'equals', value: 'software' },
+    { property: 'tickets.open_count', operator: 'greater_equal', value: '2' },
+    { property: 'company.tier', operator: 'is_empty' }
+  ] }] };
+  assertEqual(engine.evaluateRules([rule], properties, {}).length, 1, 'Rule on associated records should match');
+  assertEqual(RulesEngine.flattenAssociations(request, { tickets: null })['tickets.count'], '', 'Failed lookups should be blank');
+});
+
 // Run all tests
 runner.run().then(success => {
   process.exit(success ? 0 : 1);
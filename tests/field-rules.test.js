@@ -0,0 +1,73 @@
+/**
+ * RevGuide - Field Rules Tests
+ *
+ * Tests for conditional fields, dependent dropdowns and per-field validation.
+ */
+
+const { TestRunner, assert, assertEqual } = require('./setup');
+const FieldRules = require('../lib/field-rules');
+
+const fields = [
+  { property: 'closed_lost_reason', options: [{ value: 'price', label: 'Price' }, { value: 'other', label: 'Other' }] },
+  { property: 'lost_reason_detail', showWhen: { property: 'closed_lost_reason', operator: 'equals', value: 'Other' } },
+  { property: 'lost_reason_followup', showWhen: { property: 'lost_reason_detail', operator: 'is_not_empty' } }
+];
+
+// Run tests
+const runner = new TestRunner();
+
+runner.test('fields show only when their condition holds', () => {
+  assert(FieldRules.isFieldVisible(fields[0], {}), 'No condition');
+  assert(FieldRules.isFieldVisible(fields[1], { closed_lost_reason: 'other' }), 'Case-insensitive match');
+  assert(!FieldRules.isFieldVisible(fields[1], { closed_lost_reason: 'price' }), 'Hidden');
+
+  const visible = FieldRules.getVisibleFields(fields, { closed_lost_reason: 'price', lost_reason_detail: 'Stale value' });
+  assertEqual(visible.map(f => f.property).join(','), 'closed_lost_reason', 'Fields depending on a hidden field are hidden too');
+
+  const shown = FieldRules.getVisibleFields(fields, { closed_lost_reason: 'other', lost_reason_detail: 'Budget cut' });
+  assertEqual(shown.length, 3, 'Whole chain shown');
+});
+
+runner.test('dependent dropdowns offer options for the parent value', () => {
+  const field = {
+    property: 'product_tier',
+    options: [{ value: 'starter', label: 'Starter' }, { value: 'pro', label: 'Pro' }, 'enterprise'],
+    dependsOn: { property: 'region', options: { emea: ['pro', 'enterprise'], apac: [] } }
+  };
+
+  assertEqual(FieldRules.getFieldOptions(field, {}).length, 0, 'Nothing until the parent is set');
+  assertEqual(FieldRules.getFieldOptions(field, { region: 'emea' }).length, 2, 'Mapped options');
+  assertEqual(FieldRules.getFieldOptions(field, { region: 'apac' }).length, 0, 'Mapped to nothing');
+  assertEqual(FieldRules.getFieldOptions(field, { region: 'amer' }).length, 3, 'Unmapped parent value offers everything');
+  assertEqual(FieldRules.getFieldOptions(fields[0], {}).length, 2, 'Independent field');
+});
+
+runner.test('number, date and pattern validation', () => {
+  const amount = { property: 'amount', type: 'number', validation: { min: 0, max: 1000 } };
+  assertEqual(FieldRules.validateField(amount, '500'), null, 'In range');
+  assertEqual(FieldRules.validateField(amount, '-1'), 'Must be at least 0', 'Below min');
+  assertEqual(FieldRules.validateField(amount, '1001'), 'Must be at most 1000', 'Above max');
+  assertEqual(FieldRules.validateField(amount, ''), null, 'Empty values are left to required');
+
+  const now = new Date(2026, 4, 10, 15, 0).getTime();
+  const closeDate = { property: 'closedate', type: 'date', validation: { future: true } };
+  assertEqual(FieldRules.validateField(closeDate, '2026-05-11', now), null, 'Tomorrow');
+  assertEqual(FieldRules.validateField(closeDate, '2026-05-10', now), 'Must be a date in the future', 'Today');
+
+  const code = { property: 'po_number', validation: { pattern: '^PO-\\d{4}$', message: 'Use the format PO-1234' } };
+  assertEqual(FieldRules.validateField(code, 'po-1234'), null, 'Bare patterns are case-insensitive');
+  assertEqual(FieldRules.validateField(code, 'PO-12'), 'Use the format PO-1234', 'Custom message');
+  assertEqual(FieldRules.validateField({ validation: { pattern: '(a+)+' } }, 'b'), null, 'Unsafe patterns are skipped');
+});
+
+runner.test('detecting rules', () => {
+  assert(!FieldRules.hasRules({ property: 'amount', validation: { message: 'x' } }), 'Message alone is not a rule');
+  assert(FieldRules.hasRules(fields[1]), 'Show when');
+  assert(FieldRules.hasRules({ validation: { min: 0 } }), 'Min of zero');
+  assert(FieldRules.hasRules({ dependsOn: { property: 'region' } }), 'Depends on');
+});
+
+// Run all tests
+runner.run().then(success => {
+  process.exit(success ? 0 : 1);
+});
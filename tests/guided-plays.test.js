@@ -0,0 +1,103 @@
+/**
+ * RevGuide - Guided Plays Tests
+ *
+ * Tests for branching between steps, back navigation and answers written to HubSpot.
+ */
+
+const { TestRunner, assert, assertEqual } = require('./setup');
+const GuidedPlays = require('../lib/guided-plays');
+
+const play = {
+  id: 'play-1',
+  sections: [
+    { type: 'step', id: 'budget', title: 'Is there budget?', property: 'budget_confirmed', choices: [
+      { id: 'yes', label: 'Yes', value: 'true', nextStepId: 'timeline' },
+      { id: 'no', label: 'No', value: 'false', nextStepId: 'nurture' },
+      { id: 'blank', label: ' ' }
+    ] },
+    { type: 'step', id: 'nurture', title: 'Move to nurture', choices: [] },
+    { type: 'step', id: 'timeline', title: 'When do they want to go live?', property: 'go_live', choices: [
+      { id: 'q1', label: 'This quarter', nextStepId: 'end' },
+      { id: 'later', label: 'Later', value: 'later' }
+    ] },
+    { type: 'step', id: 'wrap-up', title: 'Book the next meeting' }
+  ]
+};
+
+// Run tests
+const runner = new TestRunner();
+
+runner.test('choices branch to the chosen step', () => {
+  assertEqual(GuidedPlays.getNextStepId(play, 'budget', 'yes'), 'timeline', 'Jumps ahead');
+  assertEqual(GuidedPlays.getNextStepId(play, 'budget', 'no'), 'nurture', 'Branches');
+  assertEqual(GuidedPlays.getNextStepId(play, 'timeline', 'q1'), null, 'Ends the play');
+  assertEqual(GuidedPlays.getNextStepId(play, 'timeline', 'later'), 'wrap-up', 'No target continues in order');
+  assertEqual(GuidedPlays.getNextStepId(play, 'nurture'), 'timeline', 'Steps without choices continue in order');
+  assertEqual(GuidedPlays.getNextStepId(play, 'wrap-up'), null, 'Last step ends the play');
+  assertEqual(GuidedPlays.getChoices(play.sections[0]).length, 2, 'Blank choices are ignored');
+
+  const deletedTarget = { sections: [
+    { type: 'step', id: 'a', title: 'A', choices: [{ id: 'x', label: 'X', nextStepId: 'gone' }] },
+    { type: 'step', id: 'b', title: 'B' }
+  ] };
+  assertEqual(GuidedPlays.getNextStepId(deletedTarget, 'a', 'x'), 'b', 'Deleted target continues in order');
+});
+
+runner.test('walking forward and back', () => {
+  let run = GuidedPlays.createRun(play);
+  assertEqual(GuidedPlays.getCurrentStepId(run), 'budget', 'Starts at the first step');
+
+  run = GuidedPlays.choose(play, run, 'no');
+  assertEqual(GuidedPlays.getCurrentStepId(run), 'nurture', 'Followed the branch');
+
+  run = GuidedPlays.goBack(run);
+  assertEqual(GuidedPlays.getCurrentStepId(run), 'budget', 'Back to the question');
+  assertEqual(run.answers.budget, 'no', 'Previous answer is remembered');
+
+  run = GuidedPlays.choose(play, run, 'yes');
+  run = GuidedPlays.choose(play, run, 'q1');
+  assert(run.finished, 'Finished');
+  assertEqual(run.path.join(','), 'budget,timeline', 'Path taken');
+
+  run = GuidedPlays.goBack(run);
+  assert(!run.finished && GuidedPlays.getCurrentStepId(run) === 'timeline', 'Back from the end');
+  assertEqual(GuidedPlays.goBack(GuidedPlays.createRun(play)).path.length, 1, 'Cannot go back from the first step');
+  assertEqual(GuidedPlays.createRun({ sections: [] }).path.length, 0, 'No steps');
+});
+
+runner.test('answers become HubSpot property values', () => {
+  let run = GuidedPlays.createRun(play);
+  run = GuidedPlays.choose(play, run, 'no');
+  run = GuidedPlays.goBack(run);
+  run = GuidedPlays.choose(play, run, 'yes');
+  run = GuidedPlays.choose(play, run, 'q1');
+
+  const updates = GuidedPlays.getAnswerUpdates(play, run);
+  assertEqual(updates.budget_confirmed, 'true', 'Choice value');
+  assertEqual(updates.go_live, 'This quarter', 'Label when no value is set');
+  assertEqual(Object.keys(updates).length, 2, 'Only properties of answered steps');
+
+  const answered = GuidedPlays.getAnsweredSteps(play, run);
+  assertEqual(answered.map(a => a.choice.label).join(','), 'Yes,This quarter', 'Answers on the path taken');
+});
+
+runner.test('validating steps', () => {
+  assertEqual(GuidedPlays.validateSteps(play.sections), null, 'Valid');
+  assert(GuidedPlays.validateSteps([]), 'Needs a step');
+  assert(GuidedPlays.validateSteps([{ id: 'a', title: ' ' }]), 'Needs a title');
+  assert(GuidedPlays.validateSteps([
+    { id: 'a', title: 'A', choices: [{ id: 'x', label: 'Again', nextStepId: 'a' }] }
+  ]).includes('own step'), 'Choice cannot loop to its own step');
+  assert(GuidedPlays.validateSteps([
+    { id: 'a', title: 'A', choices: [{ id: 'x', label: 'X', nextStepId: 'gone' }] }
+  ]).includes('no longer exists'), 'Choice target must exist');
+
+  const stepId = GuidedPlays.createStepId();
+  assert(stepId.startsWith('step_') && stepId !== GuidedPlays.createStepId(), 'Unique step IDs');
+  assert(GuidedPlays.createChoiceId().startsWith('choice_'), 'Choice IDs');
+});
+
+// Run all tests
+runner.run().then(success => {
+  process.exit(success ? 0 : 1);
+});
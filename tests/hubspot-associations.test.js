@@ -0,0 +1,72 @@
+/**
+ * RevGuide - HubSpot Associations Tests
+ *
+ * Tests for paging associations, picking the primary record and counting open records.
+ */
+
+const { TestRunner, assert, assertEqual } = require('./setup');
+const Associations = require('../lib/hubspot-associations');
+
+/**
+ * Fake HubSpot API: association pages plus the records batch/read returns
+ */
+function createRequest(pages, records = {}) {
+  const calls = [];
+  const request = async (endpoint, method, body) => {
+    calls.push({ endpoint, method, body });
+    if (endpoint.includes('/batch/read')) {
+      return { results: body.inputs.filter(input => records[input.id]).map(input => ({ id: input.id, properties: records[input.id] })) };
+    }
+    const after = new URLSearchParams(endpoint.split('?')[1]).get('after');
+    const index = after ? Number(after) : 0;
+    return { results: pages[index], paging: pages[index + 1] ? { next: { after: String(index + 1) } } : undefined };
+  };
+  return { request, calls };
+}
+
+const link = (id, label = null) => ({ toObjectId: id, associationTypes: label ? [{ label }] : [] });
+
+// Run tests
+const runner = new TestRunner();
+
+runner.test('primary association', () => {
+  assertEqual(Associations.getPrimaryId([link(1), link(2, 'Primary')]), '2', 'Labelled primary');
+  assertEqual(Associations.getPrimaryId([link(1), link(2)]), '1', 'First association otherwise');
+  assertEqual(Associations.getPrimaryId([]), null, 'No associations');
+});
+
+runner.test('reads the primary record across pages', async () => {
+  const { request, calls } = createRequest(
+    [[link(10)], [link(11, 'Primary')]],
+    { 11: { industry: 'Software' } }
+  );
+  const result = await Associations.fetchAssociationsOfType(request, 'deals', '5', 'companies', { properties: ['industry'] });
+
+  assertEqual(result.count, 2, 'Counted every page');
+  assertEqual(result.primary.id, '11', 'Primary');
+  assertEqual(result.primary.properties.industry, 'Software', 'Primary properties');
+  assertEqual(result.openCount, null, 'Open count not requested');
+  assertEqual(calls.filter(c => c.method === 'POST').length, 1, 'One batch read');
+  assert(calls[0].endpoint.startsWith('/crm/v4/objects/deals/5/associations/companies'), 'Associations endpoint');
+});
+
+runner.test('counts open records', async () => {
+  const { request, calls } = createRequest(
+    [[link(1), link(2), link(3)]],
+    { 1: { hs_is_closed: 'false' }, 2: { hs_is_closed: 'true' }, 3: {} }
+  );
+  const result = await Associations.fetchAssociationsOfType(request, 'companies', '7', 'deals', { openCount: true });
+
+  assertEqual(result.openCount, 2, 'Open deals');
+  assertEqual(calls[1].body.properties.join(','), 'hs_is_closed', 'Reads the open state');
+
+  const noReads = createRequest([[link(1)]]);
+  const countOnly = await Associations.fetchAssociationsOfType(noReads.request, 'companies', '7', 'contacts', { count: true });
+  assertEqual(countOnly.count, 1, 'Count');
+  assertEqual(noReads.calls.length, 1, 'No record reads without properties');
+});
+
+// Run all tests
+runner.run().then(success => {
+  process.exit(success ? 0 : 1);
+});
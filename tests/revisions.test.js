@@ -0,0 +1,86 @@
+/**
+ * RevGuide - Content Revisions Tests
+ *
+ * Tests for the line diff and the field-by-field comparison of saved versions.
+ */
+
+const { TestRunner, assert, assertEqual } = require('./setup');
+const Revisions = require('../lib/revisions');
+
+const playV1 = {
+  name: 'Competitor: Acme',
+  subtitle: 'Enterprise CRM',
+  card_type: 'competitor',
+  object_types: ['deal'],
+  display_on_all: false,
+  condition_groups: [{ id: 'g1', logic: 'AND', conditions: [{ property: 'competitor', operator: 'equals', value: 'Acme' }] }],
+  group_logic: 'AND',
+  sections: [
+    { type: 'text', title: 'Overview', content: '<p>Acme is expensive.</p><p>They lock you in.</p>' },
+    { type: 'media', title: 'Demo', mediaUrl: 'https://loom.com/x' }
+  ],
+  enabled: true
+};
+
+const playV2 = {
+  ...playV1,
+  condition_groups: [{ id: 'g1', logic: 'OR', conditions: [
+    { property: 'competitor', operator: 'equals', value: 'Acme' },
+    { property: 'amount', operator: 'greater_than', value: '50000' }
+  ] }],
+  sections: [
+    { type: 'text', title: 'Overview', content: '<p>Acme is expensive &amp; slow.</p><p>They lock you in.</p>' },
+    { type: 'media', title: 'Demo', mediaUrl: 'https://loom.com/x' }
+  ]
+};
+
+// Run tests
+const runner = new TestRunner();
+
+runner.test('line diff pairs removals with additions', () => {
+  const rows = Revisions.diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd']);
+  assertEqual(rows.map(r => r.type).join(','), 'same,changed,same,added', 'Row types');
+  assertEqual(rows[1].left, 'b', 'Old line on the left');
+  assertEqual(rows[1].right, 'x', 'New line on the right');
+  assertEqual(rows[3].left, null, 'Added lines have no left side');
+
+  const removed = Revisions.diffLines(['a', 'b'], ['b']);
+  assertEqual(removed.map(r => r.type).join(','), 'removed,same', 'Removed line');
+  assertEqual(Revisions.diffLines([], []).length, 0, 'Nothing to compare');
+});
+
+runner.test('HTML content is compared as text lines', () => {
+  const lines = Revisions.toTextLines('<p>Hello&nbsp;there</p><ul><li>One</li><li>Two</li></ul><p></p>');
+  assertEqual(lines.join('|'), 'Hello there|• One|• Two', 'Paragraphs and list items');
+  assertEqual(Revisions.toTextLines(null).length, 0, 'Empty value');
+});
+
+runner.test('only changed fields are reported', () => {
+  const changes = Revisions.compareRevisions('play', playV1, playV2);
+  assertEqual(changes.map(c => c.key).join(','), 'sections,rules', 'Sections and rules changed');
+
+  const sections = changes[0].rows.filter(r => r.type !== 'same');
+  assertEqual(sections.length, 1, 'One section line changed');
+  assertEqual(sections[0].left, 'Acme is expensive.', 'Old wording');
+  assertEqual(sections[0].right, 'Acme is expensive & slow.', 'New wording');
+
+  const rules = changes[1].rows.filter(r => r.type !== 'same');
+  assert(rules.some(r => r.right === 'Group 1 (match any):'), 'Group logic change is described');
+  assert(rules.some(r => r.type === 'added' && r.right === '  amount greater than 50000'), 'Added condition is described');
+
+  assertEqual(Revisions.compareRevisions('play', playV1, { ...playV1 }).length, 0, 'Identical versions');
+});
+
+runner.test('the first version shows everything as added and settings catch other columns', () => {
+  const first = Revisions.compareRevisions('banner', null, { name: 'Budget', title: 'Ask', message: '<p>Hi</p>', dismiss_mode: 'days' });
+  assert(first.every(field => field.rows.every(r => r.type === 'added')), 'Everything is new');
+  assertEqual(first.find(f => f.key === 'settings').rows[0].right, 'dismiss_mode: days', 'Other columns are listed');
+
+  const updates = Revisions.getRestoreUpdates({ name: 'Budget', id: 'x', content_version: 3, updated_at: 'now' });
+  assertEqual(Object.keys(updates).join(','), 'name', 'Row metadata is not restored');
+});
+
+// Run all tests
+runner.run().then(success => {
+  process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,120 @@
+/**
+ * RevGuide - Rule Linter Tests
+ *
+ * Tests for unreachable, duplicate, conflicting and shadowed banner/play rules.
+ */
+
+const { TestRunner, assert, assertEqual } = require('./setup');
+const RuleLinter = require('../lib/rule-linter');
+
+const condition = (property, operator, value = '') => ({ property, operator, value });
+const banner = (id, conditions, extra = {}) => ({
+  id,
+  name: id,
+  type: 'info',
+  priority: 10,
+  objectTypes: ['deal'],
+  conditionGroups: [{ id: 'g1', logic: 'AND', conditions }],
+  groupLogic: 'AND',
+  enabled: true,
+  ...extra
+});
+const codes = (findings) => findings.map(f => f.code).sort().join(',');
+
+// Run tests
+const runner = new TestRunner();
+
+runner.test('contradictory conditions make a rule unreachable', () => {
+  const cases = [
+    [condition('dealstage', 'equals', 'A'), condition('dealstage', 'equals', 'B')],
+    [condition('amount', 'greater_than', '10000'), condition('amount', 'less_equal', '5000')],
+    [condition('industry', 'is_empty'), condition('industry', 'contains', 'tech')],
+    [condition('dealstage', 'equals', 'won'), condition('dealstage', 'not_in_list', 'won, lost')],
+    [condition('tier', 'in_list', 'gold, silver'), condition('tier', 'in_list', 'bronze')],
+    [condition('closedate', 'is_after', '2025-06-01'), condition('closedate', 'is_before', '2025-01-01')]
+  ];
+
+  cases.forEach((conditions, i) => {
+    const findings = RuleLinter.lintRules([banner(`r${i}`, conditions)]);
+    assertEqual(codes(findings), 'unreachable', `Case ${i + 1}: ${JSON.stringify(conditions)}`);
+  });
+});
+
+runner.test('satisfiable conditions are not flagged', () => {
+  const rules = [
+    banner('range', [condition('amount', 'greater_than', '1000'), condition('amount', 'less_than', '5000')]),
+    banner('pinned', [condition('dealstage', 'equals', 'won'), condition('dealstage', 'in_list', 'won, lost')], { objectTypes: ['contact'] }),
+    banner('relative', [condition('closedate', 'equals', '2020-01-01'), condition('closedate', 'within_last_n_days', '7')], { objectTypes: ['ticket'] }),
+    banner('compare', [condition('amount', 'greater_than', 'budget'), condition('amount', 'less_than', '5')], { objectTypes: ['company'] })
+  ];
+  rules[3].conditionGroups[0].conditions[0].valueSource = 'property';
+
+  assertEqual(RuleLinter.lintRules(rules).length, 0, 'No findings');
+});
+
+runner.test('OR groups report dead groups unless all are dead', () => {
+  const rule = banner('or', [], {
+    groupLogic: 'OR',
+    conditionGroups: [
+      { id: 'g1', logic: 'AND', conditions: [condition('a', 'equals', '1'), condition('a', 'equals', '2')] },
+      { id: 'g2', logic: 'AND', conditions: [condition('b', 'equals', '1')] }
+    ]
+  });
+  const findings = RuleLinter.lintRules([rule]);
+  assertEqual(codes(findings), 'dead_group', 'One dead group');
+  assert(findings[0].message.startsWith('Condition group 1'), 'Names the group');
+
+  rule.conditionGroups[1].conditions.push(condition('b', 'is_empty'));
+  assertEqual(codes(RuleLinter.lintRules([rule])), 'unreachable', 'All groups dead');
+});
+
+runner.test('duplicates, conflicting types, overlaps and shadowed priorities', () => {
+  const rules = [
+    banner('big', [condition('amount', 'greater_than', '1000')], { type: 'error', priority: 20 }),
+    banner('big_copy', [condition('amount', 'greater_than', '1000.0')], { type: 'error', priority: 20 }),
+    banner('bigger', [condition('amount', 'greater_than', '5000')], { type: 'error', priority: 20 }),
+    banner('celebrate', [condition('amount', 'greater_equal', '2000'), condition('dealtype', 'equals', 'new')], { type: 'success', priority: 5 }),
+    banner('tip', [condition('amount', 'greater_than', '1000'), condition('dealtype', 'equals', 'renewal')], { type: 'info', priority: 5 })
+  ];
+  const findings = RuleLinter.lintRules(rules);
+  const pair = (a, b) => findings.find(f => f.ruleIds.includes(a) && f.ruleIds.includes(b));
+
+  assertEqual(pair('big', 'big_copy').code, 'duplicate', 'Equivalent numeric thresholds');
+  assertEqual(pair('big', 'bigger').code, 'overlap', 'Narrower error banner always shows with the broader one');
+  assertEqual(pair('big', 'celebrate').code, 'conflicting_types', 'Success banner inside an error banner');
+  assertEqual(pair('big', 'tip').code, 'shadowed_priority', 'Specific tip ranked below the general banner');
+  assertEqual(pair('celebrate', 'tip'), undefined, 'Different deal types never overlap');
+  assertEqual(findings[0].severity, 'error', 'Errors sort first');
+});
+
+runner.test('rules that never show together are not compared', () => {
+  const rules = [
+    banner('deal', [condition('amount', 'greater_than', '1000')], { type: 'error' }),
+    banner('contact', [condition('amount', 'greater_than', '1000')], { type: 'error', objectTypes: ['contact'] }),
+    banner('tab2', [condition('amount', 'greater_than', '1000')], { type: 'error', tabVisibility: '2' }),
+    banner('tab3', [condition('amount', 'greater_than', '1000')], { type: 'success', tabVisibility: '3' }),
+    banner('off', [condition('amount', 'greater_than', '1000')], { type: 'success', enabled: false }),
+    banner('ended', [condition('amount', 'greater_than', '1000')], { type: 'success', schedule: { endAt: '2020-01-01T00:00:00Z' } })
+  ];
+  const findings = RuleLinter.lintRules(rules, { now: Date.parse('2025-01-01T00:00:00Z') });
+
+  assert(!findings.some(f => f.ruleIds.includes('contact')), 'Different object type');
+  assert(!findings.some(f => f.ruleIds.includes('tab2') && f.ruleIds.includes('tab3')), 'Different tabs');
+  assert(!findings.some(f => f.ruleIds.includes('off')), 'Disabled');
+  assertEqual(codes(findings.filter(f => f.ruleIds.includes('ended'))), 'expired', 'Expired is only reported on its own');
+});
+
+runner.test('lintRule checks an unsaved draft against saved rules', () => {
+  const saved = [banner('saved', [condition('amount', 'greater_than', '1000')], { type: 'warning' })];
+  const draft = banner(null, [condition('amount', 'greater_than', '2000')], { type: 'success', name: 'Draft' });
+
+  const findings = RuleLinter.lintRule(draft, saved);
+  assertEqual(codes(findings), 'conflicting_types', 'Draft compared with saved banner');
+  assertEqual(RuleLinter.lintRule(saved[0], saved).length, 0, 'A rule is not compared with itself');
+  assertEqual(RuleLinter.lintRule(draft, saved, { kind: 'play' }).length, 0, 'Plays only check duplicates');
+});
+
+// Run all tests
+runner.run().then(success => {
+  process.exit(success ? 0 : 1);
+});
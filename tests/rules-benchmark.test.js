@@ -0,0 +1,226 @@
+/**
+ * RevGuide - Compiled Rules Benchmark
+ *
+ * Checks that compiled rule sets (RulesEngine.compileRules) match evaluateRules() exactly
+ * on an index-page sized workload: hundreds of rows x hundreds of banners.
+ * Timings against the interpreted engine are printed with BENCHMARK=1; they are never asserted
+ * since they depend on the machine.
+ */
+
+const { TestRunner, assert, assertEqual } = require('./setup');
+const RulesEngine = require('../lib/rules-engine');
+
+const NOW = Date.parse('2025-03-15T12:00:00Z');
+const ROWS = 500;
+const BANNERS = 300;
+
+// Deterministic pseudo-random numbers so failures are reproducible
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+const STAGES = ['appointmentscheduled', 'qualifiedtobuy', 'presentationscheduled', 'closedwon', 'closedlost'];
+const TYPES = ['newbusiness', 'existingbusiness', 'renewal'];
+const FEATURES = ['sso', 'api', 'audit', 'sandbox'];
+
+function createRecord(random, i) {
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const day = 24 * 60 * 60 * 1000;
+  return {
+    dealname: `Deal ${i} ${pick(['Acme', 'Globex', 'Initech', 'Umbrella'])}`,
+    dealstage: pick(STAGES),
+    dealtype: random() < 0.1 ? '' : pick(TYPES),
+    amount: String(Math.floor(random() * 200000)),
+    budget: String(Math.floor(random() * 200000)),
+    closedate: new Date(NOW + Math.floor((random() - 0.5) * 120) * day).toISOString(),
+    features: FEATURES.filter(() => random() < 0.4).join(';'),
+    hubspot_owner_id: pick(['101', '102', '103']),
+    _list_memberships: random() < 0.3 ? '12,45' : '45'
+  };
+}
+
+function createCondition(random) {
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const templates = [
+    () => ({ property: 'dealstage', operator: pick(['equals', 'not_equals']), value: pick(STAGES).toUpperCase() }),
+    () => ({ property: 'dealstage', operator: pick(['in_list', 'not_in_list']), value: `${pick(STAGES)}, ${pick(STAGES)}` }),
+    () => ({ property: 'amount', operator: pick(['greater_than', 'less_than', 'greater_equal', 'less_equal']), value: String(Math.floor(random() * 200000)) }),
+    () => ({ property: 'dealname', operator: pick(['contains', 'not_contains', 'starts_with', 'ends_with']), value: pick(['acme', 'Deal 1', '7', 'globex']) }),
+    () => ({ property: 'dealtype', operator: pick(['is_empty', 'is_not_empty']), value: '' }),
+    () => ({ property: 'features', operator: pick(['has_any_of', 'has_all_of', 'has_none_of']), value: `${pick(FEATURES)};${pick(FEATURES)}` }),
+    () => ({ property: 'dealname', operator: 'matches_regex', value: pick(['^deal \\d+ acme$', '/GLOBEX/', '(a+)+', '[']) }),
+    () => ({ property: 'closedate', operator: pick(['is_before', 'is_after']), value: new Date(NOW + Math.floor((random() - 0.5) * 60) * 86400000).toISOString().slice(0, 10) }),
+    () => ({ property: 'closedate', operator: pick(['within_last_n_days', 'within_next_n_days', 'more_than_n_days_ago']), value: String(Math.floor(random() * 60)) }),
+    () => ({ property: '_list_memberships', operator: pick(['is_member_of_list', 'is_not_member_of_list']), value: pick(['12', '45', '99']) }),
+    () => ({ property: 'amount', operator: pick(['greater_than', 'equals']), value: 'budget', valueSource: 'property' })
+  ];
+  return pick(templates)();
+}
+
+function createRule(random, i) {
+  const conditions = () => Array.from({ length: 1 + Math.floor(random() * 3) }, () => createCondition(random));
+  const rule = {
+    id: `banner_${i}`,
+    name: `Banner ${i}`,
+    priority: Math.floor(random() * 100),
+    objectTypes: random() < 0.85 ? ['deal'] : ['contact'],
+    enabled: random() > 0.05
+  };
+
+  const shape = random();
+  if (shape < 0.1) {
+    rule.displayOnAll = true;
+  } else if (shape < 0.3) {
+    rule.conditions = conditions();
+    rule.logic = random() < 0.5 ? 'AND' : 'OR';
+  } else {
+    rule.groupLogic = random() < 0.5 ? 'AND' : 'OR';
+    rule.conditionGroups = Array.from({ length: 1 + Math.floor(random() * 2) }, (_, g) => ({
+      id: `g${g}`,
+      logic: random() < 0.5 ? 'AND' : 'OR',
+      negate: random() < 0.1,
+      conditions: conditions(),
+      groups: random() < 0.2 ? [{ id: 'nested', logic: 'OR', conditions: conditions() }] : []
+    }));
+  }
+
+  if (random() < 0.1) rule.audience = { ownerIsCurrentUser: true };
+  if (random() < 0.1) rule.schedule = { endAt: random() < 0.5 ? '2025-01-01T00:00:00Z' : '2026-01-01T00:00:00Z' };
+  return rule;
+}
+
+function createEngine() {
+  const engine = new RulesEngine();
+  engine.now = () => NOW;
+  return engine;
+}
+
+const random = createRandom(42);
+const rules = Array.from({ length: BANNERS }, (_, i) => createRule(random, i));
+const records = Array.from({ length: ROWS }, (_, i) => createRecord(random, i));
+const context = { objectType: 'deal', user: { id: 'user-1', role: 'admin', hubspotOwnerId: '101' } };
+const ids = (matched) => matched.map(rule => rule.id).join(',');
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+// Keep the generated invalid-regex warnings out of the output while fn runs
+function withoutWarnings(fn) {
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    return fn();
+  } finally {
+    console.warn = warn;
+  }
+}
+
+// Run tests
+const runner = new TestRunner();
+
+runner.test('compiled rule sets match evaluateRules for every record', () => withoutWarnings(() => {
+  const engine = createEngine();
+  const compiled = engine.compileRules(rules);
+
+  records.forEach((record, i) => {
+    assertEqual(ids(compiled.evaluate(record, context)), ids(engine.evaluateRules(rules, record, context)), `Row ${i}`);
+  });
+
+  const contactRecord = records[0];
+  assertEqual(ids(compiled.evaluate(contactRecord, { ...context, objectType: 'contact' })),
+    ids(engine.evaluateRules(rules, contactRecord, { ...context, objectType: 'contact' })), 'Other object type');
+}));
+
+runner.test('compiled rule sets are cached per rules array and filter by pipeline/stage', () => {
+  const engine = createEngine();
+  withoutWarnings(() => {
+    assert(engine.compileRules(rules) === engine.compileRules(rules), 'Same array reuses the compiled set');
+    assert(engine.compileRules(rules.slice()) !== engine.compileRules(rules), 'New array compiles afresh');
+  });
+
+  const staged = [
+    { id: 'any', displayOnAll: true },
+    { id: 'sales', displayOnAll: true, pipelines: ['default'] },
+    { id: 'won', displayOnAll: true, pipelines: ['default'], stages: ['closedwon'] }
+  ];
+  const compiled = engine.compileRules(staged);
+  assertEqual(ids(compiled.evaluate({}, { pipeline: 'default', stage: 'closedwon' })), 'any,sales,won', 'All filters pass');
+  assertEqual(ids(compiled.evaluate({}, { pipeline: 'default', stage: 'qualified' })), 'any,sales', 'Stage filtered');
+  assertEqual(ids(compiled.evaluate({}, {})), 'any', 'No pipeline');
+});
+
+runner.test('results are memoized per record until they go stale', () => {
+  const engine = createEngine();
+  let now = NOW;
+  engine.now = () => now;
+
+  const record = { amount: '10' };
+  const compiled = engine.compileRules([{ id: 'big', conditions: [{ property: 'amount', operator: 'greater_than', value: '100' }] }]);
+  assertEqual(compiled.evaluate(record, {}).length, 0, 'No match');
+
+  record.amount = '1000';
+  assertEqual(compiled.evaluate(record, {}).length, 0, 'Same properties object within a minute reuses the result');
+  assertEqual(compiled.evaluate({ ...record }, {}).length, 1, 'New properties object is evaluated');
+
+  now += 61 * 1000;
+  assertEqual(compiled.evaluate(record, {}).length, 1, 'Stale result is re-evaluated');
+
+  const result = compiled.evaluate(record, {});
+  result.pop();
+  assertEqual(compiled.evaluate(record, {}).length, 1, 'Callers get their own array');
+});
+
+runner.test(`re-rendering ${ROWS} rows x ${BANNERS} banners reuses memoized results`, () => withoutWarnings(() => {
+  const engine = createEngine();
+
+  let expected;
+  const interpreted = time(() => {
+    expected = records.map(record => ids(engine.evaluateRules(rules, record, context)));
+  });
+
+  let compiled;
+  const compileTime = time(() => { compiled = engine.compileRules(rules); });
+
+  // Count condition evaluations to tell memo hits from misses
+  let evaluations = 0;
+  compiled.entries.forEach(entry => {
+    const matches = entry.matches;
+    entry.matches = (props) => {
+      evaluations++;
+      return matches(props);
+    };
+  });
+
+  let firstResults;
+  const firstPass = time(() => {
+    firstResults = records.map(record => ids(compiled.evaluate(record, context)));
+  });
+  const firstEvaluations = evaluations;
+
+  let memoizedResults;
+  const memoized = time(() => {
+    memoizedResults = records.map(record => ids(compiled.evaluate(record, context)));
+  });
+
+  assertEqual(firstResults.join('|'), expected.join('|'), 'First pass matches the interpreted engine');
+  assertEqual(memoizedResults.join('|'), expected.join('|'), 'Memoized pass returns the same matches');
+  assert(firstEvaluations > 0, 'First pass evaluates conditions');
+  assertEqual(evaluations, firstEvaluations, 'Every row of the second pass is a memo hit');
+
+  if (process.env.BENCHMARK) {
+    console.log(`    interpreted: ${interpreted.toFixed(1)}ms | compile: ${compileTime.toFixed(1)}ms | ` +
+      `compiled: ${firstPass.toFixed(1)}ms | memoized: ${memoized.toFixed(1)}ms`);
+  }
+}));
+
+// Run all tests
+runner.run().then(success => {
+  process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,85 @@
+/**
+ * RevGuide - Content Translations Tests
+ *
+ * Tests for language selection, translation fallback and missing translation reports.
+ */
+
+const { TestRunner, assert, assertEqual } = require('./setup');
+const Translations = require('../lib/translations');
+
+const banner = {
+  id: 'banner-1',
+  title: 'Ask about budget',
+  message: '<p>Confirm the budget before sending a quote.</p>',
+  translations: {
+    de: { title: 'Nach dem Budget fragen', message: '<p></p>' }
+  }
+};
+
+const play = {
+  id: 'play-1',
+  name: 'Competitor: Acme',
+  subtitle: 'Enterprise CRM',
+  sections: [
+    { type: 'text', title: 'Overview', content: '<p>Acme is expensive.</p>' },
+    { type: 'media', title: 'Demo', mediaUrl: 'https://loom.com/x' },
+    { type: 'text', title: '', content: '<p>Untitled notes</p>' }
+  ],
+  translations: {
+    fr: { name: 'Concurrent : Acme', sections: [{ title: 'Aperçu', content: '' }, { title: 'Démo' }] }
+  }
+};
+
+// Run tests
+const runner = new TestRunner();
+
+runner.test('language tags are reduced to supported codes', () => {
+  assertEqual(Translations.normalizeLanguage('de-DE'), 'de', 'Region dropped');
+  assertEqual(Translations.normalizeLanguage('FR_ca'), 'fr', 'Underscore and case');
+  assertEqual(Translations.normalizeLanguage('es'), null, 'Unsupported');
+  assertEqual(Translations.normalizeLanguage(''), null, 'Empty');
+
+  assertEqual(Translations.pickLanguage([null, 'ja-JP', 'de']), 'de', 'First supported wins');
+  assertEqual(Translations.pickLanguage([]), null, 'No preference');
+});
+
+runner.test('translations override filled fields and fall back to the default', () => {
+  const german = Translations.translate(banner, 'de');
+  assertEqual(german.title, 'Nach dem Budget fragen', 'Title translated');
+  assertEqual(german.message, banner.message, 'Empty message falls back');
+  assertEqual(german.language, 'de', 'Tagged with the language');
+  assertEqual(banner.title, 'Ask about budget', 'Original is not mutated');
+
+  assert(Translations.translate(banner, 'fr') === banner, 'No translation returns the item');
+  assert(Translations.translate(banner, null) === banner, 'No language returns the item');
+  assert(Translations.translate({ ...banner, translations: { de: { title: ' ' } } }, 'de').language === undefined, 'Blank translation is ignored');
+});
+
+runner.test('play sections are translated by position', () => {
+  const french = Translations.translate(play, 'fr');
+  assertEqual(french.name, 'Concurrent : Acme', 'Name translated');
+  assertEqual(french.sections[0].title, 'Aperçu', 'Section title translated');
+  assertEqual(french.sections[0].content, '<p>Acme is expensive.</p>', 'Missing section content falls back');
+  assertEqual(french.sections[1].title, 'Démo', 'Media section title translated');
+  assertEqual(french.sections[1].mediaUrl, 'https://loom.com/x', 'Media URL is shared');
+  assertEqual(french.sections.length, 3, 'Untranslated sections are kept');
+});
+
+runner.test('missing fields are reported per language', () => {
+  assertEqual(Translations.getMissingFields(banner, 'banner', 'de').join(','), 'message', 'Empty HTML counts as missing');
+  assertEqual(Translations.getMissingFields(banner, 'banner', 'fr').join(','), 'title,message', 'Untranslated language');
+
+  assertEqual(
+    Translations.getMissingFields(play, 'play', 'fr').join(','),
+    'subtitle,sections.0.content,sections.2.content',
+    'Sections report each missing part'
+  );
+
+  const wiki = { title: 'MRR', definition: '', translations: {} };
+  assertEqual(Translations.getMissingFields(wiki, 'wiki', 'de').join(','), 'title', 'Empty source fields are not missing');
+});
+
+// Run all tests
+runner.run().then(success => {
+  process.exit(success ? 0 : 1);
+});
@@ -0,0 +1,91 @@
+/**
+ * RevGuide - Content Variants Tests
+ *
+ * Tests for deterministic A/B variant assignment and content overrides.
+ */
+
+const { TestRunner, assert, assertEqual } = require('./setup');
+const Variants = require('../lib/variants');
+
+const banner = {
+  id: 'banner-1',
+  title: 'Ask about budget',
+  message: '<p>Original</p>',
+  actions: [{ type: 'open_play', label: 'Open', playId: 'p1' }],
+  variants: [{ id: 'b', name: 'B', weight: 50, title: 'Qualify the budget', message: '<p>Variant B</p>' }]
+};
+
+// Run tests
+const runner = new TestRunner();
+
+runner.test('items without variants are not tested', () => {
+  assertEqual(Variants.getVariants({ id: 'x' }).length, 0, 'No variants');
+  assertEqual(Variants.assignVariant({ id: 'x', variants: [] }, 'user-1'), null, 'Empty variants');
+  assertEqual(Variants.assignVariant(banner, null), null, 'No user');
+
+  const item = { id: 'x', title: 'Same' };
+  assert(Variants.resolveVariant(item, 'user-1') === item, 'Untested items are returned as-is');
+});
+
+runner.test('the control gets the traffic the other variants leave', () => {
+  const variants = Variants.getVariants({
+    id: 'x',
+    variants: [{ id: 'b', weight: 30 }, { id: 'c', weight: '20' }]
+  });
+  assertEqual(variants.map(v => `${v.id}:${v.weight}`).join(','), 'a:50,b:30,c:20', 'Weights');
+
+  const overbooked = Variants.getVariants({ id: 'x', variants: [{ id: 'b', weight: 80 }, { id: 'c', weight: 40 }] });
+  assertEqual(overbooked[0].weight, 0, 'Control never goes negative');
+});
+
+runner.test('assignment is deterministic per user and item', () => {
+  const first = Variants.assignVariant(banner, 'user-42');
+  for (let i = 0; i < 5; i++) {
+    assertEqual(Variants.assignVariant(banner, 'user-42'), first, 'Same user, same variant');
+  }
+
+  const users = Array.from({ length: 200 }, (_, i) => `user-${i}`);
+  const forBanner = users.map(u => Variants.assignVariant(banner, u)).join('');
+  const forOther = users.map(u => Variants.assignVariant({ ...banner, id: 'banner-2' }, u)).join('');
+  assert(forBanner !== forOther, 'Different items split users independently');
+});
+
+runner.test('traffic split follows the weights', () => {
+  const item = { id: 'split', variants: [{ id: 'b', weight: 20 }] };
+  const counts = { a: 0, b: 0 };
+  for (let i = 0; i < 5000; i++) {
+    counts[Variants.assignVariant(item, `user-${i}`)]++;
+  }
+  assert(counts.b > 850 && counts.b < 1150, `About 20% see B (got ${counts.b})`);
+
+  const allB = { id: 'all', variants: [{ id: 'b', weight: 100 }] };
+  assertEqual(Variants.assignVariant(allB, 'user-1'), 'b', '100% weight always wins');
+});
+
+runner.test('applying a variant overrides content only', () => {
+  const applied = Variants.applyVariant(banner, 'b');
+  assertEqual(applied.title, 'Qualify the budget', 'Title replaced');
+  assertEqual(applied.message, '<p>Variant B</p>', 'Message replaced');
+  assertEqual(applied.variantId, 'b', 'Tagged with the variant');
+  assert(applied.actions === banner.actions, 'Actions are shared');
+  assertEqual(banner.title, 'Ask about budget', 'Original is not mutated');
+
+  const control = Variants.applyVariant(banner, 'a');
+  assertEqual(control.title, 'Ask about budget', 'Control keeps the original content');
+  assertEqual(control.variantId, 'a', 'Control is tagged too');
+
+  const play = { id: 'p', subtitle: 'Old', sections: [{ title: 'S1' }], variants: [{ id: 'b', weight: 50, sections: [{ title: 'S2' }] }] };
+  const appliedPlay = Variants.applyVariant(play, 'b');
+  assertEqual(appliedPlay.sections[0].title, 'S2', 'Play sections replaced');
+  assertEqual(appliedPlay.subtitle, 'Old', 'Missing overrides keep the original');
+});
+
+runner.test('next variant IDs skip used letters', () => {
+  assertEqual(Variants.nextVariantId([]), 'b', 'First variant');
+  assertEqual(Variants.nextVariantId([{ id: 'b' }, { id: 'd' }]), 'c', 'Fills gaps');
+});
+
+// Run all tests
+runner.run().then(success => {
+  process.exit(success ? 0 : 1);
+});